@@ -11,6 +11,13 @@ import { SecurityManager } from './modules/SecurityManager.js';
 import { ProxyService } from './modules/ProxyService.js';
 import { MobileAdaptationManager } from './modules/MobileAdaptationManager.js';
 import { ErrorHandler } from './modules/ErrorHandler.js';
+import { SessionStore } from './modules/SessionStore.js';
+import { BookmarkManager, ROOT_FOLDER_ID } from './modules/BookmarkManager.js';
+import { HistoryStore, HISTORY_CONTENT_TYPES } from './modules/HistoryStore.js';
+import { Omnibox, SEARCH_ENGINES } from './modules/Omnibox.js';
+import { PageFinder } from './modules/PageFinder.js';
+import { SiteCrawler } from './modules/SiteCrawler.js';
+import { APP_NAME, APP_VERSION } from './modules/AppInfo.js';
 
 /**
  * 应用主类
@@ -35,9 +42,22 @@ class WebBrowserDownloader {
             // 初始化各个组件（按依赖顺序）
             this.components.securityManager = new SecurityManager();
             this.components.mobileManager = new MobileAdaptationManager();
-            this.components.browserEngine = new BrowserEngine(null, this.components.securityManager);
+            this.components.proxyService = new ProxyService(this.components.securityManager);
+            this.sessionStore = new SessionStore();
+            this.bookmarkManager = new BookmarkManager();
+            this.historyStore = new HistoryStore();
+            this.omnibox = new Omnibox();
+            this.components.browserEngine = new BrowserEngine(
+                this.components.proxyService,
+                this.components.securityManager,
+                { sessionStore: this.sessionStore }
+            );
             this.components.contentDetector = new ContentDetector(this.components.securityManager);
-            this.components.downloadManager = new DownloadManager(this.components.mobileManager);
+            this.siteCrawler = new SiteCrawler(this.components.browserEngine, this.components.contentDetector);
+            this.components.downloadManager = new DownloadManager(
+                this.components.mobileManager,
+                this.components.proxyService
+            );
             this.components.uiController = new UIController();
 
             // 设置组件间的依赖关系
@@ -46,6 +66,9 @@ class WebBrowserDownloader {
             // 初始化所有组件
             await this.initializeComponents();
 
+            // 代理服务在后台初始化，不阻塞启动（页面默认直接加载）
+            this.initializeProxyService();
+
             // 设置事件监听器
             this.setupEventListeners();
 
@@ -56,7 +79,7 @@ class WebBrowserDownloader {
             console.log('Web浏览器下载器初始化完成');
 
             // 更新版本显示
-            this.components.uiController.updateVersion('v2.1.0');
+            this.components.uiController.updateVersion(`v${APP_VERSION}`);
 
             // 更新连接状态
             this.components.uiController.updateConnectionStatus('online');
@@ -118,9 +141,44 @@ class WebBrowserDownloader {
      * 设置组件间的依赖关系
      */
     setupComponentDependencies() {
-        // 浏览器引擎监听页面变化，通知内容检测器
-        this.components.browserEngine.onPageChange((url, content) => {
-            this.components.contentDetector.analyzeContent(content, url);
+        // 浏览器引擎监听页面变化，通知内容检测器（每个标签页分别保存检测结果）
+        this.components.browserEngine.onPageChange((url, content, tabId) => {
+            this.components.contentDetector.analyzeContent(content, url, tabId);
+
+            // 开启WARC捕获时，检测结果写入存档的metadata记录（只写入这次加载的检测结果）
+            if (content) {
+                this.components.proxyService.warcArchive.addDetection(
+                    url,
+                    this.components.contentDetector.getTabResults(tabId)
+                );
+            }
+
+            // 记录到全局浏览历史（与标签页的前进/后退记录分开）；无法读取内容的页面没有检测结果
+            this.historyStore.recordVisit(url, {
+                title: content ? content.title : '',
+                detected: content ? this.components.contentDetector.getTabSummary(tabId) : null
+            });
+        });
+
+        // 切换标签页时更新标签栏，下载按钮跟随当前标签页的检测结果
+        this.components.browserEngine.onTabsChange((tabs, activeTabId) => {
+            this.components.contentDetector.setActiveTab(activeTabId);
+            this.components.uiController.renderTabs(tabs, activeTabId);
+            this.components.uiController.updateBookmarkStar(
+                this.bookmarkManager.isBookmarked(this.components.browserEngine.currentURL)
+            );
+            const activeTab = tabs.find(tab => tab.id === activeTabId);
+            const hasWebPage = Boolean(activeTab) && /^https?:/i.test(activeTab.url) && !activeTab.isLoading;
+            this.components.uiController.updatePageSaveButton(hasWebPage);
+            this.components.uiController.updateCrawlButton(hasWebPage);
+            this.components.uiController.updateReaderControls({
+                active: this.components.browserEngine.isReaderMode(),
+                settings: this.components.browserEngine.readerView.getSettings()
+            });
+        });
+
+        this.components.browserEngine.onTabClosed((tabId) => {
+            this.components.contentDetector.removeTab(tabId);
         });
 
         // 内容检测器检测到内容时，更新UI按钮状态
@@ -186,6 +244,17 @@ class WebBrowserDownloader {
         console.log('所有组件初始化完成');
     }
 
+    /**
+     * 初始化代理服务，失败时保持直通模式
+     */
+    async initializeProxyService() {
+        try {
+            await this.components.proxyService.initialize();
+        } catch (error) {
+            console.warn('代理服务不可用，继续使用直通模式:', error.message);
+        }
+    }
+
     /**
      * 设置事件监听器
      */
@@ -198,10 +267,14 @@ class WebBrowserDownloader {
         goBtn.addEventListener('click', () => this.handleNavigation());
         refreshBtn.addEventListener('click', () => this.handleRefresh());
         
-        // 支持回车键导航
-        urlInput.addEventListener('keypress', (e) => {
+        // 输入提示的键盘选择，没有选择提示时回车导航
+        urlInput.addEventListener('keydown', (e) => {
+            if (this.components.uiController.handleUrlSuggestionKey(e)) {
+                return;
+            }
             if (e.key === 'Enter') {
                 e.preventDefault();
+                this.components.uiController.hideUrlSuggestions();
                 this.handleNavigation();
             }
         });
@@ -211,6 +284,10 @@ class WebBrowserDownloader {
             this.handleUrlInputChange(e.target.value);
         });
 
+        urlInput.addEventListener('blur', () => {
+            this.components.uiController.hideUrlSuggestions();
+        });
+
         // 下载按钮
         document.getElementById('media-download-btn').addEventListener('click', () => {
             this.handleMediaDownload();
@@ -224,6 +301,10 @@ class WebBrowserDownloader {
             this.handlePDFDownload();
         });
 
+        document.getElementById('page-save-btn').addEventListener('click', () => {
+            this.handlePageSave();
+        });
+
         // 错误提示关闭
         document.getElementById('close-toast-btn').addEventListener('click', () => {
             this.components.uiController.hideError();
@@ -234,10 +315,663 @@ class WebBrowserDownloader {
             this.components.uiController.hideDownloadPanel();
         });
 
+        // 标签页和会话恢复
+        this.setupTabs();
+        this.setupSessionRestore();
+
+        // 书签和浏览历史
+        this.setupBookmarks();
+        this.setupHistory();
+
+        // 页内查找和阅读模式
+        this.setupFindInPage();
+        this.setupReaderMode();
+
+        // 站点抓取
+        this.setupSiteCrawl();
+
+        // 设置面板
+        this.setupSettingsPanel();
+        this.setupDiagnosticsPanel();
+
         // 移动设备触摸事件
         this.components.mobileManager.handleTouchInteractions();
     }
 
+    /**
+     * 标签栏和标签页快捷键
+     */
+    setupTabs() {
+        const browserEngine = this.components.browserEngine;
+        const uiController = this.components.uiController;
+
+        const runTabAction = (action) => {
+            try {
+                action();
+            } catch (error) {
+                uiController.showError(error.message);
+            }
+        };
+
+        uiController.setTabHandlers({
+            onNew: () => runTabAction(() => {
+                browserEngine.openTab();
+                const urlInput = document.getElementById('url-input');
+                urlInput.focus();
+            }),
+            onClose: (tabId) => runTabAction(() => browserEngine.closeTab(tabId)),
+            onSelect: (tabId) => runTabAction(() => browserEngine.switchTab(tabId)),
+            onSelectIndex: (index) => runTabAction(() => browserEngine.switchTabByIndex(index)),
+            onCycle: (offset) => runTabAction(() => browserEngine.switchTabByOffset(offset))
+        });
+
+        // 初始标签页在界面初始化之前创建，这里补充显示
+        const activeTabId = browserEngine.activeTab.id;
+        this.components.contentDetector.setActiveTab(activeTabId);
+        uiController.renderTabs(browserEngine.getTabs(), activeTabId);
+    }
+
+    /**
+     * 会话恢复：启动时提示恢复上次会话，设置面板中列出最近关闭的会话
+     */
+    setupSessionRestore() {
+        const browserEngine = this.components.browserEngine;
+        const uiController = this.components.uiController;
+        const sessionStore = this.sessionStore;
+
+        const restore = (id) => {
+            const session = sessionStore.takeClosedSession(id);
+            if (!session) {
+                uiController.showError('该会话已恢复或已被清除');
+                return;
+            }
+            try {
+                const tabIds = browserEngine.restoreSession(session);
+                uiController.updateStatus(`已恢复 ${tabIds.length} 个标签页`);
+            } catch (error) {
+                console.error('会话恢复失败:', error);
+                uiController.showError('会话恢复失败: ' + error.message);
+            }
+        };
+
+        const showClosedSessions = () => {
+            uiController.renderClosedSessions(sessionStore.getClosedSessions(), {
+                onRestore: (id) => {
+                    restore(id);
+                    showClosedSessions();
+                }
+            });
+        };
+        this.showClosedSessions = showClosedSessions;
+
+        const previous = browserEngine.previousSession;
+        if (previous) {
+            uiController.showSessionRestorePrompt(previous);
+        }
+
+        document.getElementById('session-restore-btn').addEventListener('click', () => {
+            uiController.hideSessionRestorePrompt();
+            restore(previous.id);
+        });
+
+        document.getElementById('session-dismiss-btn').addEventListener('click', () => {
+            // 忽略后仍保留在最近关闭的会话中
+            uiController.hideSessionRestorePrompt();
+        });
+
+        document.getElementById('closed-sessions-clear-btn').addEventListener('click', () => {
+            sessionStore.clearClosedSessions();
+            showClosedSessions();
+        });
+    }
+
+    /**
+     * 书签：地址栏中的星标按钮、书签面板（文件夹、标签、搜索、导入导出）和地址栏提示
+     */
+    setupBookmarks() {
+        const bookmarkManager = this.bookmarkManager;
+        const browserEngine = this.components.browserEngine;
+        const uiController = this.components.uiController;
+        const searchInput = document.getElementById('bookmark-search-input');
+        const fileInput = document.getElementById('bookmark-file-input');
+        let currentFolderId = ROOT_FOLDER_ID;
+
+        const runBookmarkAction = (action) => {
+            try {
+                action();
+            } catch (error) {
+                uiController.showError(error.message);
+            }
+        };
+
+        const showBookmarks = () => {
+            if (!bookmarkManager.getItem(currentFolderId)) {
+                currentFolderId = ROOT_FOLDER_ID;
+            }
+            const query = searchInput.value.trim();
+            const items = query
+                ? bookmarkManager.search(query).map(item => ({
+                    ...item,
+                    location: ['书签', ...bookmarkManager.getFolderPath(item.parentId).map(folder => folder.title)].join(' / ')
+                }))
+                : bookmarkManager.getChildren(currentFolderId);
+
+            uiController.renderBookmarks({
+                path: [{ id: ROOT_FOLDER_ID, title: '书签' }, ...bookmarkManager.getFolderPath(currentFolderId)],
+                items,
+                folders: bookmarkManager.getFolders(),
+                tags: bookmarkManager.getTags(),
+                isSearch: Boolean(query)
+            }, {
+                onOpenFolder: (id) => {
+                    currentFolderId = id;
+                    searchInput.value = '';
+                    showBookmarks();
+                },
+                onOpen: (url) => {
+                    uiController.hideBookmarksPanel();
+                    this.navigateTo(url);
+                },
+                onFilterTag: (tag) => {
+                    searchInput.value = `#${tag}`;
+                    showBookmarks();
+                },
+                onSave: (id, changes) => runBookmarkAction(() => bookmarkManager.updateItem(id, changes)),
+                onRemove: (id) => runBookmarkAction(() => bookmarkManager.removeItem(id))
+            });
+        };
+
+        const showBookmarksPanel = () => {
+            showBookmarks();
+            uiController.showBookmarksPanel();
+        };
+
+        // 书签变化时同步星标和打开的面板
+        const refreshBookmarks = () => {
+            uiController.updateBookmarkStar(bookmarkManager.isBookmarked(browserEngine.currentURL));
+            if (uiController.isBookmarksPanelVisible()) {
+                showBookmarks();
+            }
+        };
+        bookmarkManager.onChange(refreshBookmarks);
+        refreshBookmarks();
+
+        document.getElementById('bookmark-star-btn').addEventListener('click', () => {
+            const url = browserEngine.currentURL;
+            if (bookmarkManager.isBookmarked(url)) {
+                // 已加入书签时打开面板，方便修改标签、移动或删除
+                searchInput.value = url;
+                showBookmarksPanel();
+                return;
+            }
+
+            runBookmarkAction(() => {
+                if (!/^https?:/.test(url)) {
+                    throw new Error('当前页面无法加入书签，请先打开一个网页');
+                }
+                const bookmark = bookmarkManager.addBookmark({ url, title: browserEngine.activeTab.title });
+                uiController.updateStatus(`已添加书签: ${bookmark.title}`);
+            });
+        });
+
+        document.getElementById('bookmarks-btn').addEventListener('click', showBookmarksPanel);
+
+        document.getElementById('close-bookmarks-btn').addEventListener('click', () => {
+            uiController.hideBookmarksPanel();
+        });
+
+        searchInput.addEventListener('input', showBookmarks);
+
+        document.getElementById('bookmark-new-folder-btn').addEventListener('click', () => {
+            const title = window.prompt('文件夹名称');
+            if (title !== null) {
+                runBookmarkAction(() => bookmarkManager.addFolder(title, currentFolderId));
+            }
+        });
+
+        document.getElementById('bookmark-import-btn').addEventListener('click', () => fileInput.click());
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files && fileInput.files[0];
+            if (!file) {
+                return;
+            }
+            try {
+                const result = bookmarkManager.importNetscapeHTML(await file.text(), currentFolderId);
+                uiController.updateStatus(`已导入 ${result.bookmarks} 个书签、${result.folders} 个文件夹` +
+                    (result.skipped > 0 ? `，跳过 ${result.skipped} 个重复或不支持的条目` : ''));
+            } catch (error) {
+                console.error('书签导入失败:', error);
+                uiController.showError('书签导入失败: ' + error.message);
+            } finally {
+                fileInput.value = '';
+            }
+        });
+
+        document.getElementById('bookmark-export-btn').addEventListener('click', () => {
+            const blob = new Blob([bookmarkManager.exportNetscapeHTML()], { type: 'text/html' });
+            this.components.downloadManager.saveBlob(blob, 'bookmarks.html');
+        });
+    }
+
+    /**
+     * 浏览历史面板：搜索、打开、按网址或时间范围删除
+     */
+    setupHistory() {
+        const historyStore = this.historyStore;
+        const uiController = this.components.uiController;
+        const searchInput = document.getElementById('history-search-input');
+        const rangeSelect = document.getElementById('history-range-select');
+        const rangeDurations = {
+            hour: 60 * 60 * 1000,
+            day: 24 * 60 * 60 * 1000,
+            week: 7 * 24 * 60 * 60 * 1000,
+            month: 28 * 24 * 60 * 60 * 1000,
+            all: Infinity
+        };
+
+        const showHistory = () => {
+            uiController.renderHistory(historyStore.getEntries({ query: searchInput.value, limit: 200 }), {
+                typeNames: HISTORY_CONTENT_TYPES,
+                onOpen: (url) => {
+                    uiController.hideHistoryPanel();
+                    this.navigateTo(url);
+                },
+                onRemove: (url) => historyStore.removeEntry(url)
+            });
+        };
+
+        historyStore.onChange(() => {
+            if (uiController.isHistoryPanelVisible()) {
+                showHistory();
+            }
+        });
+
+        document.getElementById('history-btn').addEventListener('click', () => {
+            showHistory();
+            uiController.showHistoryPanel();
+            searchInput.focus();
+        });
+
+        document.getElementById('close-history-btn').addEventListener('click', () => {
+            uiController.hideHistoryPanel();
+        });
+
+        searchInput.addEventListener('input', showHistory);
+
+        document.getElementById('history-delete-range-btn').addEventListener('click', () => {
+            const rangeName = rangeSelect.options[rangeSelect.selectedIndex].text;
+            if (!window.confirm(`确定删除${rangeName}的浏览历史吗？`)) {
+                return;
+            }
+            const duration = rangeDurations[rangeSelect.value];
+            const removed = historyStore.deleteRange(duration === Infinity ? 0 : Date.now() - duration);
+            uiController.updateStatus(`已删除 ${removed} 条访问记录`);
+        });
+    }
+
+    /**
+     * 站点抓取：从当前页面开始按链接抓取，汇总的内容可以勾选后批量下载
+     */
+    setupSiteCrawl() {
+        const siteCrawler = this.siteCrawler;
+        const uiController = this.components.uiController;
+        let startURL = '';
+
+        document.getElementById('crawl-btn').addEventListener('click', () => {
+            // 抓取进行中时只打开面板查看进度，不改变起始页面
+            if (!siteCrawler.isRunning()) {
+                startURL = this.components.browserEngine.getCurrentURL();
+            }
+            uiController.showCrawlPanel(startURL);
+        });
+
+        document.getElementById('close-crawl-btn').addEventListener('click', () => {
+            uiController.hideCrawlPanel();
+        });
+
+        document.getElementById('crawl-start-btn').addEventListener('click', async () => {
+            uiController.setCrawlRunning(true);
+            try {
+                const result = await siteCrawler.crawl(startURL, {
+                    maxDepth: document.getElementById('crawl-depth-input').value,
+                    maxPages: document.getElementById('crawl-max-pages-input').value,
+                    scope: document.getElementById('crawl-scope-select').value,
+                    include: document.getElementById('crawl-include-input').value,
+                    exclude: document.getElementById('crawl-exclude-input').value,
+                    onProgress: (progress) => uiController.renderCrawlProgress(progress)
+                });
+                uiController.setCrawlRunning(false);
+                uiController.renderCrawlResults(result);
+                uiController.updateStatus(`站点抓取完成，共 ${result.pages.length} 个页面`);
+            } catch (error) {
+                console.error('站点抓取失败:', error);
+                uiController.setCrawlRunning(false);
+                uiController.showError('站点抓取失败: ' + error.message);
+            }
+        });
+
+        document.getElementById('crawl-stop-btn').addEventListener('click', () => {
+            siteCrawler.stop();
+        });
+
+        document.getElementById('crawl-download-btn').addEventListener('click', () => {
+            this.handleCrawlDownload(uiController.getSelectedCrawlItems());
+        });
+    }
+
+    /**
+     * 批量下载抓取结果中勾选的内容，单个文件失败不影响其他文件
+     * @param {Array<Object>} items - UIController.getSelectedCrawlItems()的结果
+     */
+    async handleCrawlDownload(items) {
+        const downloadManager = this.components.downloadManager;
+        const uiController = this.components.uiController;
+        const failed = [];
+
+        for (const [index, { kind, item }] of items.entries()) {
+            uiController.updateStatus(`正在批量下载 ${index + 1}/${items.length}`);
+            try {
+                if (kind === 'media') {
+                    await downloadManager.downloadMediaFile(item.url, item.filename);
+                } else if (kind === 'pdf') {
+                    await downloadManager.downloadPDFFile(item.url, item.filename);
+                } else {
+                    await downloadManager.downloadTextContent(item.content, item.title || 'webpage-content');
+                }
+            } catch (error) {
+                console.warn('批量下载失败:', item.url, error);
+                failed.push(item);
+            }
+        }
+
+        if (failed.length > 0) {
+            uiController.showError(`${failed.length} 个文件下载失败，其余 ${items.length - failed.length} 个已完成`);
+        } else {
+            uiController.updateStatus(`批量下载完成，共 ${items.length} 个文件`);
+        }
+    }
+
+    /**
+     * 页内查找：在同源页面或代理渲染的页面中高亮匹配
+     */
+    setupFindInPage() {
+        const browserEngine = this.components.browserEngine;
+        const uiController = this.components.uiController;
+        const finder = new PageFinder();
+        let lastQuery = '';
+        let lastOptions = {};
+
+        const find = (query, options) => {
+            lastQuery = query;
+            lastOptions = options;
+            if (!query) {
+                finder.clear();
+                uiController.updateFindStatus(finder.getStatus());
+                return;
+            }
+
+            const doc = browserEngine.getPageDocument();
+            if (!doc) {
+                finder.clear();
+                uiController.updateFindStatus({ error: '无法在跨域页面中查找，请通过代理打开' });
+                return;
+            }
+
+            try {
+                uiController.updateFindStatus(finder.find(doc, query, options));
+            } catch (error) {
+                finder.clear();
+                uiController.updateFindStatus({ error: error.message });
+            }
+        };
+
+        const move = (direction) => {
+            // 切换标签页或页面改变后之前的高亮已经失效，重新查找
+            if (finder.document !== browserEngine.getPageDocument()) {
+                find(lastQuery, lastOptions);
+                return;
+            }
+            uiController.updateFindStatus(direction > 0 ? finder.next() : finder.previous());
+        };
+
+        uiController.setFindHandlers({
+            onFind: find,
+            onNext: () => move(1),
+            onPrevious: () => move(-1),
+            onClose: () => finder.clear()
+        });
+    }
+
+    /**
+     * 阅读模式：切换阅读视图、调整字号和宽度、下载阅读视图的Markdown
+     */
+    setupReaderMode() {
+        const browserEngine = this.components.browserEngine;
+        const uiController = this.components.uiController;
+        const readerView = browserEngine.readerView;
+
+        const updateControls = () => {
+            uiController.updateReaderControls({ active: browserEngine.isReaderMode(), settings: readerView.getSettings() });
+        };
+
+        uiController.setReaderHandlers({
+            onToggle: () => {
+                try {
+                    const active = browserEngine.toggleReaderMode();
+                    uiController.updateStatus(active ? '已进入阅读模式' : '已退出阅读模式');
+                } catch (error) {
+                    uiController.showError(error.message);
+                }
+            },
+            onFontSize: (steps) => {
+                readerView.changeFontSize(steps);
+                browserEngine.applyReaderSettings();
+                updateControls();
+            },
+            onWidth: (width) => {
+                readerView.setWidth(width);
+                browserEngine.applyReaderSettings();
+                updateControls();
+            },
+            onDownload: async () => {
+                try {
+                    const { title, markdown } = await browserEngine.getReaderMarkdown();
+                    const filename = this.components.securityManager.generateSecureFilename(title) + '.md';
+                    const blob = new Blob([markdown], { type: 'text/markdown;charset=utf-8' });
+                    this.components.downloadManager.saveBlob(blob, filename);
+                    uiController.updateStatus('Markdown下载完成');
+                } catch (error) {
+                    console.error('Markdown下载失败:', error);
+                    uiController.showError('Markdown下载失败: ' + error.message);
+                }
+            }
+        });
+
+        updateControls();
+    }
+
+    /**
+     * 设置面板：HAR录制/回放、WARC捕获、Cookie管理、地址栏搜索引擎、最近关闭的会话
+     */
+    setupSettingsPanel() {
+        const proxyService = this.components.proxyService;
+        const modeSelect = document.getElementById('har-mode-select');
+        const sourceInput = document.getElementById('har-source-input');
+        const fileInput = document.getElementById('har-file-input');
+        const status = document.getElementById('har-status');
+        const engineSelect = document.getElementById('search-engine-select');
+        const templateInput = document.getElementById('search-template-input');
+
+        const showHarStatus = () => {
+            const stats = proxyService.getProxyStats().har;
+            const modeNames = { off: '关闭', record: '录制中', replay: '回放中' };
+            status.textContent = `当前: ${modeNames[stats.mode]}，已录制 ${stats.recordedEntries} 条，回放数据 ${stats.replayEntries} 条` +
+                (stats.replaySkipped > 0 ? `（跳过 ${stats.replaySkipped} 条无法回放的记录）` : '');
+        };
+
+        const warcArchive = proxyService.warcArchive;
+        const warcCaptureCheckbox = document.getElementById('warc-capture-checkbox');
+        const warcGzipCheckbox = document.getElementById('warc-gzip-checkbox');
+        const showWarcStatus = () => {
+            const stats = warcArchive.getStats();
+            document.getElementById('warc-status').textContent =
+                `${stats.capturing ? '捕获中' : '未捕获'}，已捕获 ${stats.exchanges} 个请求，${stats.detections} 个页面的检测结果`;
+        };
+
+        const cookieJar = proxyService.cookieJar;
+        const showCookieSites = () => {
+            this.components.uiController.renderCookieSites(cookieJar.getSites(), {
+                getCookies: (site) => cookieJar.getCookies(site),
+                onClear: (site) => cookieJar.clearSite(site)
+            });
+        };
+
+        // 面板打开时Cookie变化（例如页面登录）即时刷新列表
+        cookieJar.onChange(() => {
+            if (!document.getElementById('settings-panel').classList.contains('hidden')) {
+                showCookieSites();
+            }
+        });
+
+        document.getElementById('settings-btn').addEventListener('click', () => {
+            const settings = proxyService.getHarSettings();
+            modeSelect.value = settings.mode;
+            sourceInput.value = settings.source;
+            showHarStatus();
+            const warcSettings = warcArchive.getSettings();
+            warcCaptureCheckbox.checked = warcSettings.capturing;
+            warcGzipCheckbox.checked = warcSettings.gzip;
+            showWarcStatus();
+            showCookieSites();
+            engineSelect.value = this.omnibox.getSearchEngineName();
+            templateInput.value = this.omnibox.getSearchTemplate();
+            this.showClosedSessions();
+            this.components.uiController.showSettingsPanel();
+        });
+
+        engineSelect.addEventListener('change', () => {
+            if (SEARCH_ENGINES[engineSelect.value]) {
+                templateInput.value = SEARCH_ENGINES[engineSelect.value];
+            } else {
+                templateInput.focus();
+            }
+        });
+
+        document.getElementById('search-engine-apply-btn').addEventListener('click', () => {
+            try {
+                this.omnibox.setSearchTemplate(templateInput.value);
+                engineSelect.value = this.omnibox.getSearchEngineName();
+                this.components.uiController.updateStatus('已更新地址栏搜索引擎');
+            } catch (error) {
+                this.components.uiController.showError(error.message);
+            }
+        });
+
+        document.getElementById('cookie-clear-all-btn').addEventListener('click', () => {
+            cookieJar.clearAll();
+        });
+
+        document.getElementById('close-settings-btn').addEventListener('click', () => {
+            this.components.uiController.hideSettingsPanel();
+        });
+
+        document.getElementById('har-apply-btn').addEventListener('click', async () => {
+            try {
+                // 选择了文件时优先使用文件内容
+                const file = fileInput.files && fileInput.files[0];
+                const source = file ? await file.text() : sourceInput.value.trim();
+                await proxyService.updateHarSettings({ mode: modeSelect.value, source });
+                showHarStatus();
+                this.components.uiController.updateStatus(`HAR模式: ${modeSelect.options[modeSelect.selectedIndex].text}`);
+            } catch (error) {
+                console.error('HAR设置失败:', error);
+                this.components.uiController.showError('HAR设置失败: ' + error.message);
+            }
+        });
+
+        document.getElementById('har-export-btn').addEventListener('click', async () => {
+            const har = await proxyService.exportHar();
+            if (har.log.entries.length === 0) {
+                this.components.uiController.showError('还没有录制任何请求，请先切换到录制模式');
+                return;
+            }
+            const blob = new Blob([JSON.stringify(har, null, 2)], { type: 'application/json' });
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            this.components.downloadManager.saveBlob(blob, `recording-${timestamp}.har`);
+        });
+
+        const updateWarcSettings = () => {
+            warcArchive.updateSettings({ capturing: warcCaptureCheckbox.checked, gzip: warcGzipCheckbox.checked });
+            showWarcStatus();
+        };
+        warcCaptureCheckbox.addEventListener('change', updateWarcSettings);
+        warcGzipCheckbox.addEventListener('change', updateWarcSettings);
+
+        document.getElementById('warc-export-btn').addEventListener('click', async () => {
+            if (warcArchive.getStats().exchanges === 0) {
+                this.components.uiController.showError('还没有捕获任何请求，请先开启捕获');
+                return;
+            }
+            try {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                const filename = `archive-${timestamp}.warc${warcGzipCheckbox.checked ? '.gz' : ''}`;
+                const blob = await warcArchive.toWARC({
+                    gzip: warcGzipCheckbox.checked,
+                    software: `${APP_NAME}/${APP_VERSION}`,
+                    filename
+                });
+                this.components.downloadManager.saveBlob(blob, filename);
+            } catch (error) {
+                console.error('WARC导出失败:', error);
+                this.components.uiController.showError('WARC导出失败: ' + error.message);
+            }
+        });
+
+        document.getElementById('warc-clear-btn').addEventListener('click', () => {
+            warcArchive.clear();
+            showWarcStatus();
+        });
+    }
+
+    /**
+     * 代理诊断面板
+     */
+    setupDiagnosticsPanel() {
+        const proxyService = this.components.proxyService;
+        const uiController = this.components.uiController;
+
+        const showDiagnostics = () => {
+            uiController.renderProxyDiagnostics(proxyService.getProviderDiagnostics(), {
+                onTest: async (name) => {
+                    const result = await proxyService.testProvider(name);
+                    uiController.updateStatus(result.ok
+                        ? `${name} 连通正常 (${result.latency} ms)`
+                        : `${name} 测试失败: ${result.error}`);
+                    showDiagnostics();
+                }
+            });
+        };
+
+        document.getElementById('diagnostics-btn').addEventListener('click', () => {
+            showDiagnostics();
+            uiController.showDiagnosticsPanel();
+        });
+
+        document.getElementById('refresh-diagnostics-btn').addEventListener('click', showDiagnostics);
+
+        document.getElementById('close-diagnostics-btn').addEventListener('click', () => {
+            uiController.hideDiagnosticsPanel();
+        });
+
+        // 健康检查或探测改变状态时刷新打开的面板
+        proxyService.onStatusChange(() => {
+            if (uiController.isDiagnosticsPanelVisible()) {
+                showDiagnostics();
+            }
+        });
+    }
+
     /**
      * 设置错误处理
      */
@@ -276,17 +1010,28 @@ class WebBrowserDownloader {
             return;
         }
 
+        // 智能URL补全
+        const finalUrl = this.smartUrlCompletion(url);
+
+        // 简单的URL格式验证
         try {
-            // 智能URL补全
-            let finalUrl = this.smartUrlCompletion(url);
+            new URL(finalUrl);
+        } catch (urlError) {
+            this.components.uiController.showError('请输入有效的网址格式');
+            return;
+        }
 
-            // 简单的URL格式验证
-            try {
-                new URL(finalUrl);
-            } catch (urlError) {
-                throw new Error('请输入有效的网址格式');
-            }
+        await this.navigateTo(finalUrl);
+    }
 
+    /**
+     * 在当前标签页中打开网址，并显示加载状态和错误
+     * @param {string} finalUrl - 完整的网址
+     */
+    async navigateTo(finalUrl) {
+        const urlInput = document.getElementById('url-input');
+
+        try {
             // 更新地址栏显示完整URL
             urlInput.value = finalUrl;
 
@@ -329,6 +1074,11 @@ class WebBrowserDownloader {
             return url;
         }
         
+        // 不像网址的输入（包含空格、没有域名后缀等）作为搜索词
+        if (!this.omnibox.isLikelyURL(url)) {
+            return this.omnibox.buildSearchURL(url);
+        }
+        
         // 如果是localhost或IP地址，使用http
         if (url.startsWith('localhost') || 
             url.match(/^\d+\.\d+\.\d+\.\d+/) ||
@@ -338,11 +1088,6 @@ class WebBrowserDownloader {
             return 'http://' + url;
         }
         
-        // 如果不包含点号，可能是搜索词，添加www和.com
-        if (!url.includes('.')) {
-            url = 'www.' + url + '.com';
-        }
-        
         // 如果没有www但是常见域名，添加www
         if (!url.startsWith('www.') && 
             (url.includes('.com') || url.includes('.org') || url.includes('.net') || 
@@ -359,18 +1104,37 @@ class WebBrowserDownloader {
     }
 
     /**
-     * 处理URL输入变化
+     * 处理URL输入变化：提示输入将被搜索，并显示地址栏输入提示
      * @param {string} value - 输入值
      */
     handleUrlInputChange(value) {
-        // 可以在这里添加实时的URL验证或建议
-        if (value.length > 0 && !value.includes('.') && !value.includes('://')) {
-            // 为简单输入添加提示
-            const urlInput = document.getElementById('url-input');
-            if (urlInput) {
-                urlInput.title = `将自动补全为: https://www.${value}.com`;
-            }
+        const text = value.trim();
+        const urlInput = document.getElementById('url-input');
+        if (urlInput) {
+            urlInput.title = text && !this.omnibox.isLikelyURL(text) ? `将搜索: ${text}` : '';
         }
+
+        // 从其他标签页、书签和浏览历史中生成提示
+        const browserEngine = this.components.browserEngine;
+        const suggestions = this.omnibox.getSuggestions(text, {
+            tabs: browserEngine.getTabs().filter(tab => !tab.isActive),
+            bookmarks: this.bookmarkManager.getBookmarks(),
+            history: this.historyStore.getEntries({ limit: 500 })
+        });
+
+        this.components.uiController.renderUrlSuggestions(suggestions, {
+            onChoose: (suggestion) => {
+                if (suggestion.type === 'tab') {
+                    try {
+                        browserEngine.switchTab(suggestion.tabId);
+                    } catch (error) {
+                        this.components.uiController.showError(error.message);
+                    }
+                } else {
+                    this.navigateTo(suggestion.url);
+                }
+            }
+        });
     }
 
     /**
@@ -383,7 +1147,7 @@ class WebBrowserDownloader {
                 this.components.uiController.showLoading(true);
                 this.components.uiController.updateStatus('正在刷新...');
                 
-                await this.components.browserEngine.loadURL(currentUrl);
+                await this.components.browserEngine.loadURL(currentUrl, { fromHistory: true });
                 
                 this.components.uiController.updateStatus('刷新完成');
             } catch (error) {
@@ -447,6 +1211,47 @@ class WebBrowserDownloader {
         }
     }
 
+    /**
+     * 保存网页为单个HTML文件
+     * 同源页面使用当前文档；代理页面的资源地址已被改写，跨域页面无法读取，这两种情况通过代理获取原始页面
+     */
+    async handlePageSave() {
+        const browserEngine = this.components.browserEngine;
+        const uiController = this.components.uiController;
+        const url = browserEngine.getCurrentURL();
+        if (!/^https?:/i.test(url)) {
+            uiController.showError('当前没有可以保存的页面');
+            return;
+        }
+
+        const content = browserEngine.isProxiedPage ? null : browserEngine.getCurrentPageContent();
+        const activeTab = browserEngine.getTabs().find(tab => tab.isActive);
+        const title = (content && content.title) || (activeTab && activeTab.title) || new URL(url).hostname;
+        const filename = this.components.securityManager.generateSecureFilename(title) + '.html';
+        const state = { filename, completed: 0, total: 0, failed: [], done: false };
+        uiController.renderPageArchiveStatus(state);
+
+        try {
+            const result = await this.components.downloadManager.downloadPageArchive(url, filename, {
+                html: content && content.html ? content.html : null,
+                onProgress: ({ completed, total }) => {
+                    Object.assign(state, { completed, total });
+                    uiController.renderPageArchiveStatus(state);
+                }
+            });
+
+            Object.assign(state, { completed: result.total, total: result.total, failed: result.failed, done: true });
+            uiController.renderPageArchiveStatus(state);
+            uiController.updateStatus(result.failed.length > 0
+                ? `网页已保存，${result.failed.length} 个资源无法获取`
+                : '网页已保存');
+        } catch (error) {
+            console.error('网页保存失败:', error);
+            uiController.hideDownloadPanel();
+            uiController.showError('网页保存失败: ' + error.message);
+        }
+    }
+
     /**
      * 处理PDF下载
      */
@@ -0,0 +1,13 @@
+/**
+ * 应用信息 - 界面版本显示、HAR/WARC导出等处共用的名称和版本号
+ */
+
+/**
+ * 应用名称
+ */
+export const APP_NAME = 'WebBrowserDownloader';
+
+/**
+ * 应用版本
+ */
+export const APP_VERSION = '2.1.0';
@@ -0,0 +1,543 @@
+/**
+ * 书签管理器 - 书签、文件夹、标签和搜索，支持Netscape书签HTML格式的导入导出
+ * 书签和文件夹以扁平列表保存，通过parentId组成树，根文件夹不单独保存
+ */
+import { getDefaultStorage } from './DefaultStorage.js';
+
+const BOOKMARKS_STORAGE_KEY = 'wbd.bookmarks';
+
+/**
+ * 根文件夹ID
+ */
+export const ROOT_FOLDER_ID = 'root';
+
+/**
+ * 转义HTML文本和属性值
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 解码HTML实体
+ * @param {string} text - 含实体的文本
+ * @returns {string} 解码后的文本
+ */
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+        }
+        return named[entity.toLowerCase()] !== undefined ? named[entity.toLowerCase()] : match;
+    });
+}
+
+/**
+ * 解析标签的属性
+ * @param {string} source - 标签内的属性文本
+ * @returns {Object} 属性（名称为小写）
+ */
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : match[4]);
+        attributes[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attributes;
+}
+
+export class BookmarkManager {
+    /**
+     * @param {Storage|null} storage - 持久化存储（默认为localStorage），为null时只保存在内存中
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.items = this.load();
+        this.idCounter = 0;
+        this.changeCallback = null;
+        this.importing = false; // 导入过程中不逐条保存和通知
+    }
+
+    /**
+     * 从存储中读取书签
+     * @returns {Array} 书签和文件夹列表
+     */
+    load() {
+        if (!this.storage) {
+            return [];
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(BOOKMARKS_STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                return saved.filter(item => item && item.id && (item.type === 'folder' || item.type === 'bookmark'));
+            }
+        } catch (error) {
+            console.warn('书签读取失败:', error.message);
+        }
+
+        return [];
+    }
+
+    /**
+     * 保存书签
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(BOOKMARKS_STORAGE_KEY, JSON.stringify(this.items));
+        } catch (error) {
+            console.warn('书签保存失败:', error.message);
+        }
+    }
+
+    /**
+     * 生成唯一ID
+     * @returns {string} ID
+     */
+    generateId() {
+        this.idCounter++;
+        return `bm-${Date.now().toString(36)}-${this.idCounter.toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    /**
+     * 整理标签：去除空白和重复
+     * @param {Array<string>|string} tags - 标签数组或逗号分隔的文本
+     * @returns {Array<string>} 标签数组
+     */
+    normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,，]/);
+        const seen = new Set();
+        return list
+            .map(tag => String(tag).trim())
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) {
+                    return false;
+                }
+                seen.add(key);
+                return true;
+            });
+    }
+
+    /**
+     * 检查文件夹是否存在
+     * @param {string} folderId - 文件夹ID
+     */
+    assertFolder(folderId) {
+        if (folderId !== ROOT_FOLDER_ID && !this.items.some(item => item.id === folderId && item.type === 'folder')) {
+            throw new Error(`文件夹不存在: ${folderId}`);
+        }
+    }
+
+    /**
+     * 添加书签；同一文件夹中已有相同地址时返回已有的书签
+     * @param {Object} bookmark - 书签
+     * @param {string} bookmark.url - 地址
+     * @param {string} bookmark.title - 标题（默认为地址）
+     * @param {Array<string>|string} bookmark.tags - 标签
+     * @param {string} bookmark.parentId - 所在文件夹（默认根文件夹）
+     * @returns {Object} 书签
+     */
+    addBookmark({ url, title = '', tags = [], parentId = ROOT_FOLDER_ID }) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new Error(`无效的书签地址: ${url}`);
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error(`不支持的书签地址: ${url}`);
+        }
+        this.assertFolder(parentId);
+
+        const existing = this.items.find(item =>
+            item.type === 'bookmark' && item.parentId === parentId && item.url === parsed.href);
+        if (existing) {
+            return existing;
+        }
+
+        const bookmark = {
+            id: this.generateId(),
+            type: 'bookmark',
+            parentId,
+            url: parsed.href,
+            title: title.trim() || parsed.href,
+            tags: this.normalizeTags(tags),
+            addDate: Date.now()
+        };
+        this.items.push(bookmark);
+        this.notifyChange();
+        return bookmark;
+    }
+
+    /**
+     * 添加文件夹；同一位置已有同名文件夹时返回已有的文件夹
+     * @param {string} title - 名称
+     * @param {string} parentId - 上级文件夹（默认根文件夹）
+     * @returns {Object} 文件夹
+     */
+    addFolder(title, parentId = ROOT_FOLDER_ID) {
+        const name = String(title || '').trim();
+        if (!name) {
+            throw new Error('文件夹名称不能为空');
+        }
+        this.assertFolder(parentId);
+
+        const existing = this.items.find(item =>
+            item.type === 'folder' && item.parentId === parentId && item.title === name);
+        if (existing) {
+            return existing;
+        }
+
+        const folder = {
+            id: this.generateId(),
+            type: 'folder',
+            parentId,
+            title: name,
+            addDate: Date.now()
+        };
+        this.items.push(folder);
+        this.notifyChange();
+        return folder;
+    }
+
+    /**
+     * 修改书签或文件夹
+     * @param {string} id - ID
+     * @param {Object} changes - 要修改的字段：title、tags（仅书签）、parentId
+     * @returns {Object} 修改后的项目
+     */
+    updateItem(id, changes) {
+        const item = this.getItem(id);
+        if (!item) {
+            throw new Error(`书签不存在: ${id}`);
+        }
+
+        if (changes.parentId !== undefined && changes.parentId !== item.parentId) {
+            this.assertFolder(changes.parentId);
+            if (item.type === 'folder' &&
+                (changes.parentId === id || this.getFolderPath(changes.parentId).some(folder => folder.id === id))) {
+                throw new Error('不能把文件夹移动到它自己的子文件夹中');
+            }
+            item.parentId = changes.parentId;
+        }
+        if (changes.title !== undefined) {
+            const title = String(changes.title).trim();
+            if (item.type === 'folder' && !title) {
+                throw new Error('文件夹名称不能为空');
+            }
+            item.title = title || item.url;
+        }
+        if (changes.tags !== undefined && item.type === 'bookmark') {
+            item.tags = this.normalizeTags(changes.tags);
+        }
+
+        this.notifyChange();
+        return item;
+    }
+
+    /**
+     * 删除书签或文件夹（连同其中的内容）
+     * @param {string} id - ID
+     * @returns {number} 删除的项目数
+     */
+    removeItem(id) {
+        const removed = new Set([id]);
+        let size;
+        do {
+            size = removed.size;
+            this.items.forEach(item => {
+                if (removed.has(item.parentId)) {
+                    removed.add(item.id);
+                }
+            });
+        } while (removed.size !== size);
+
+        const before = this.items.length;
+        this.items = this.items.filter(item => !removed.has(item.id));
+        const count = before - this.items.length;
+        if (count > 0) {
+            this.notifyChange();
+        }
+        return count;
+    }
+
+    /**
+     * 获取书签或文件夹
+     * @param {string} id - ID
+     * @returns {Object|undefined} 项目
+     */
+    getItem(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    /**
+     * 获取所有书签（最近添加的在前）
+     * @returns {Array} 书签列表
+     */
+    getBookmarks() {
+        return this.items
+            .filter(item => item.type === 'bookmark')
+            .sort((a, b) => b.addDate - a.addDate);
+    }
+
+    /**
+     * 获取文件夹中的内容（文件夹在前）
+     * @param {string} folderId - 文件夹ID（默认根文件夹）
+     * @returns {Array} 项目列表
+     */
+    getChildren(folderId = ROOT_FOLDER_ID) {
+        const children = this.items.filter(item => item.parentId === folderId);
+        return [
+            ...children.filter(item => item.type === 'folder'),
+            ...children.filter(item => item.type === 'bookmark')
+        ];
+    }
+
+    /**
+     * 获取从根文件夹到指定文件夹的路径（不含根文件夹）
+     * @param {string} folderId - 文件夹ID
+     * @returns {Array} 文件夹列表
+     */
+    getFolderPath(folderId) {
+        const path = [];
+        let current = this.getItem(folderId);
+        while (current && path.length < this.items.length) {
+            path.unshift(current);
+            current = this.getItem(current.parentId);
+        }
+        return path;
+    }
+
+    /**
+     * 获取所有文件夹（按树的深度优先顺序）
+     * @returns {Array<Object>} { id, title, depth }，包含根文件夹
+     */
+    getFolders() {
+        const folders = [{ id: ROOT_FOLDER_ID, title: '书签', depth: 0 }];
+        const visit = (parentId, depth) => {
+            this.items
+                .filter(item => item.type === 'folder' && item.parentId === parentId)
+                .forEach(folder => {
+                    folders.push({ id: folder.id, title: folder.title, depth });
+                    visit(folder.id, depth + 1);
+                });
+        };
+        visit(ROOT_FOLDER_ID, 1);
+        return folders;
+    }
+
+    /**
+     * 查找指定地址的书签
+     * @param {string} url - 地址
+     * @returns {Array} 书签列表
+     */
+    findByURL(url) {
+        let href = url;
+        try {
+            href = new URL(url).href;
+        } catch (error) {
+            // 保持原样比较
+        }
+        return this.items.filter(item => item.type === 'bookmark' && item.url === href);
+    }
+
+    /**
+     * 地址是否已加入书签
+     * @param {string} url - 地址
+     * @returns {boolean} 是否已加入
+     */
+    isBookmarked(url) {
+        return this.findByURL(url).length > 0;
+    }
+
+    /**
+     * 获取所有标签及使用次数
+     * @returns {Array<{tag: string, count: number}>} 标签列表（按使用次数排序）
+     */
+    getTags() {
+        const counts = new Map();
+        this.items.forEach(item => {
+            (item.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * 搜索书签：每个关键词都要出现在标题、地址或标签中，“#标签”只匹配标签
+     * @param {string} query - 搜索词
+     * @returns {Array} 书签列表
+     */
+    search(query) {
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        return this.items.filter(item => {
+            if (item.type !== 'bookmark') {
+                return false;
+            }
+            const tags = item.tags.map(tag => tag.toLowerCase());
+            const text = `${item.title} ${item.url} ${tags.join(' ')}`.toLowerCase();
+            return terms.every(term => (term.length > 1 && term.startsWith('#')
+                ? tags.includes(term.slice(1))
+                : text.includes(term)));
+        });
+    }
+
+    /**
+     * 导出为Netscape书签HTML格式
+     * @returns {string} HTML文本
+     */
+    exportNetscapeHTML() {
+        const toSeconds = (time) => Math.floor((time || Date.now()) / 1000);
+        const lines = [
+            '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+            '<!-- This is an automatically generated file.',
+            '     It will be read and overwritten.',
+            '     DO NOT EDIT! -->',
+            '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+            '<TITLE>Bookmarks</TITLE>',
+            '<H1>Bookmarks</H1>',
+            '<DL><p>'
+        ];
+
+        const writeFolder = (folderId, indent) => {
+            this.getChildren(folderId).forEach(item => {
+                if (item.type === 'folder') {
+                    lines.push(`${indent}<DT><H3 ADD_DATE="${toSeconds(item.addDate)}">${escapeHTML(item.title)}</H3>`);
+                    lines.push(`${indent}<DL><p>`);
+                    writeFolder(item.id, indent + '    ');
+                    lines.push(`${indent}</DL><p>`);
+                } else {
+                    const tags = item.tags.length > 0 ? ` TAGS="${escapeHTML(item.tags.join(','))}"` : '';
+                    lines.push(`${indent}<DT><A HREF="${escapeHTML(item.url)}" ADD_DATE="${toSeconds(item.addDate)}"${tags}>${escapeHTML(item.title)}</A>`);
+                }
+            });
+        };
+
+        writeFolder(ROOT_FOLDER_ID, '    ');
+        lines.push('</DL><p>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * 导入Netscape书签HTML（Chrome、Firefox、Edge、Safari导出的格式）
+     * 按标签流解析，不依赖DT/P的闭合；同名文件夹合并，同一文件夹中的重复地址跳过
+     * @param {string} html - 书签HTML
+     * @param {string} parentId - 导入到的文件夹（默认根文件夹）
+     * @returns {Object} { bookmarks, folders, skipped } 导入的书签数、新建的文件夹数和跳过的条目数
+     */
+    importNetscapeHTML(html, parentId = ROOT_FOLDER_ID) {
+        if (!/<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(html) && !/<DL/i.test(html)) {
+            throw new Error('不是有效的书签文件（缺少NETSCAPE-Bookmark-file-1标记）');
+        }
+        this.assertFolder(parentId);
+
+        const result = { bookmarks: 0, folders: 0, skipped: 0 };
+        const folderStack = [];
+        let pendingFolder = null;
+        let currentFolder = parentId;
+        const tagPattern = /<(\/?)(dl|h3|a)\b([^>]*)>/gi;
+        const lowerHTML = html.toLowerCase();
+        const readText = (name, start) => {
+            // 标题内容到对应的结束标签为止，去掉其中的其他标签
+            const end = lowerHTML.indexOf(`</${name}>`, start);
+            return decodeEntities(html.slice(start, end === -1 ? start : end).replace(/<[^>]*>/g, '')).trim();
+        };
+
+        const itemCount = this.items.length;
+        this.importing = true;
+
+        try {
+            let match;
+            while ((match = tagPattern.exec(html)) !== null) {
+                const [, closing, rawName, attributeSource] = match;
+                const name = rawName.toLowerCase();
+                const contentStart = match.index + match[0].length;
+
+                if (name === 'dl' && !closing) {
+                    folderStack.push(currentFolder);
+                    if (pendingFolder) {
+                        currentFolder = pendingFolder;
+                        pendingFolder = null;
+                    }
+                } else if (name === 'dl' && closing) {
+                    currentFolder = folderStack.length > 0 ? folderStack.pop() : parentId;
+                } else if (name === 'h3' && !closing) {
+                    const title = readText('h3', contentStart) || '未命名文件夹';
+                    const before = this.items.length;
+                    pendingFolder = this.addFolder(title, currentFolder).id;
+                    result.folders += this.items.length - before;
+                } else if (name === 'a' && !closing) {
+                    const attributes = parseAttributes(attributeSource);
+                    const title = readText('a', contentStart);
+                    try {
+                        const before = this.items.length;
+                        const bookmark = this.addBookmark({
+                            url: attributes.href,
+                            title,
+                            tags: attributes.tags || [],
+                            parentId: currentFolder
+                        });
+                        if (this.items.length > before) {
+                            if (/^\d+$/.test(attributes.add_date || '')) {
+                                bookmark.addDate = Number(attributes.add_date) * 1000;
+                            }
+                            result.bookmarks++;
+                        } else {
+                            result.skipped++;
+                        }
+                    } catch (error) {
+                        // javascript:、place:等不支持的地址
+                        result.skipped++;
+                    }
+                }
+            }
+        } finally {
+            this.importing = false;
+        }
+
+        if (this.items.length !== itemCount) {
+            this.notifyChange();
+        }
+        return result;
+    }
+
+    /**
+     * 设置书签变化回调
+     * @param {Function} callback - 回调函数
+     */
+    onChange(callback) {
+        this.changeCallback = callback;
+    }
+
+    /**
+     * 保存并通知书签变化
+     */
+    notifyChange() {
+        if (this.importing) {
+            return;
+        }
+        this.save();
+        if (this.changeCallback) {
+            this.changeCallback();
+        }
+    }
+}
@@ -1,33 +1,121 @@
+import { PageRewriter } from './PageRewriter.js';
+import { ReaderView } from './ReaderView.js';
+
+/**
+ * 代理页面使用的sandbox：允许同源（以便读取内容和拦截导航）和表单事件，不允许脚本
+ */
+const PROXIED_PAGE_SANDBOX = 'allow-same-origin allow-forms';
+
+/**
+ * 最多同时打开的标签页数量
+ */
+const MAX_TABS = 20;
+
+/**
+ * 标签页变化后延迟保存会话的时间(ms)
+ */
+const SESSION_SAVE_DELAY = 500;
+
 /**
  * 浏览器引擎 - 处理网页加载和显示
+ * 每个标签页有自己的iframe、历史记录和加载状态；iframe、currentURL等属性指向当前标签页
  */
 export class BrowserEngine {
-    constructor(proxyService, securityManager) {
+    /**
+     * @param {ProxyService} proxyService - 代理服务
+     * @param {SecurityManager} securityManager - 安全管理器
+     * @param {Object} options - 选项
+     * @param {SessionStore} options.sessionStore - 会话存储，提供时自动保存标签页和历史记录
+     * @param {ReaderView} options.readerView - 阅读模式（默认新建）
+     */
+    constructor(proxyService, securityManager, options = {}) {
+        this.proxyService = proxyService;
         this.securityManager = securityManager;
-        this.currentURL = 'about:blank';
+        this.sessionStore = options.sessionStore || null;
+        this.previousSession = null; // 启动时读取的上次会话
+        this.sessionSaveTimer = null;
+        this.pageRewriter = proxyService ? new PageRewriter(proxyService) : null;
+        this.readerView = options.readerView || new ReaderView();
+        this.proxiedURLs = new Set(); // 通过代理加载过的URL，后退/刷新时沿用代理
+        this.framingRefusedOrigins = new Set(); // 拒绝被iframe嵌入的站点，之后直接走代理
+        this.framingAllowedOrigins = new Set(); // 已确认允许嵌入的站点，之后不再检查
         this.pageChangeCallbacks = [];
         this.loadingCallbacks = [];
         this.errorCallbacks = [];
+        this.tabsChangeCallbacks = [];
+        this.tabClosedCallbacks = [];
         this.isInitialized = false;
-        this.isLoading = false;
         this.loadTimeout = 30000; // 30秒超时
-        this.pageHistory = [];
-        this.currentPageIndex = -1;
+        this.nextTabId = 1;
+        this.activeTab = this.createTabState(null);
+        this.tabs = [this.activeTab];
     }
 
+    /**
+     * 创建标签页状态
+     * @param {HTMLIFrameElement|null} iframe - 标签页使用的iframe
+     * @returns {Object} 标签页状态
+     */
+    createTabState(iframe) {
+        return {
+            id: this.nextTabId++,
+            iframe,
+            currentURL: 'about:blank',
+            title: '',
+            isLoading: false,
+            isProxiedPage: false, // 页面是否通过代理加载并重写
+            errorPage: null, // 显示加载失败页面时为 { url, message }
+            pageHistory: [],
+            currentPageIndex: -1,
+            needsLoad: false, // 恢复的后台标签页在第一次切换到时才加载
+            scrollPosition: null, // 切换离开时记录的滚动位置
+            restoreScroll: null, // 页面加载完成后要恢复的滚动位置
+            readerArticle: null, // 阅读模式显示的文章，不在阅读模式时为null
+            framingCheck: null // 直接加载成功后在后台进行的嵌入策略检查
+        };
+    }
+
+    // 以下属性指向当前标签页
+    get iframe() { return this.activeTab.iframe; }
+    set iframe(value) { this.activeTab.iframe = value; }
+    get currentURL() { return this.activeTab.currentURL; }
+    set currentURL(value) { this.activeTab.currentURL = value; }
+    get isLoading() { return this.activeTab.isLoading; }
+    set isLoading(value) { this.activeTab.isLoading = value; }
+    get isProxiedPage() { return this.activeTab.isProxiedPage; }
+    set isProxiedPage(value) { this.activeTab.isProxiedPage = value; }
+    get pageHistory() { return this.activeTab.pageHistory; }
+    set pageHistory(value) { this.activeTab.pageHistory = value; }
+    get currentPageIndex() { return this.activeTab.currentPageIndex; }
+    set currentPageIndex(value) { this.activeTab.currentPageIndex = value; }
+
     /**
      * 初始化浏览器引擎
      */
     async initialize() {
         this.iframe = document.getElementById('browser-iframe');
         this.loadingOverlay = document.getElementById('loading-overlay');
+        this.readerPanel = document.getElementById('reader-view');
+        this.readerContent = document.getElementById('reader-content');
         
         if (!this.iframe) {
             throw new Error('未找到浏览器iframe元素');
         }
         
-        this.setupIframeListeners();
+        this.defaultSandbox = this.iframe.getAttribute ? this.iframe.getAttribute('sandbox') : null;
+        this.frameContainer = this.iframe.parentNode || null;
+        
+        this.setupIframeListeners(this.activeTab);
+        this.setupNavigationMonitoring();
         this.setupNavigationControls();
+        this.setupReaderLinks();
+
+        if (this.sessionStore) {
+            // 先归档上次的会话，之后的保存不会覆盖它
+            this.previousSession = this.sessionStore.archivePreviousSession();
+            window.addEventListener('pagehide', () => this.saveSession());
+        }
+
         this.isInitialized = true;
         
         console.log('浏览器引擎初始化完成');
@@ -35,26 +123,38 @@ export class BrowserEngine {
 
     /**
      * 设置iframe监听器
+     * @param {Object} tab - 标签页
      */
-    setupIframeListeners() {
+    setupIframeListeners(tab) {
         // 页面加载开始
-        this.iframe.addEventListener('loadstart', () => {
-            this.isLoading = true;
-            this.showLoadingOverlay();
-            this.notifyLoadingChange(true);
+        tab.iframe.addEventListener('loadstart', () => {
+            this.setTabLoading(tab, true);
         });
 
         // 页面加载完成
-        this.iframe.addEventListener('load', () => {
-            this.isLoading = false;
-            this.hideLoadingOverlay();
-            this.notifyLoadingChange(false);
+        tab.iframe.addEventListener('load', () => {
+            this.setTabLoading(tab, false);
+            
+            // 代理页面中的链接和表单交给loadURL处理，避免离开代理
+            if (tab.isProxiedPage && tab.iframe.contentDocument) {
+                this.attachNavigationInterceptor(tab.iframe.contentDocument, tab);
+            }
+
+            if (tab.errorPage && tab.iframe.contentDocument) {
+                this.setupErrorPage(tab.iframe.contentDocument, tab);
+            }
+
+            if (tab.restoreScroll) {
+                this.applyScrollPosition(tab, tab.restoreScroll);
+                tab.restoreScroll = null;
+            }
             
             try {
                 // 获取页面内容并通知变化
-                const content = this.getCurrentPageContent();
-                this.notifyPageChange(this.currentURL, content);
-                console.log('页面加载完成:', this.currentURL);
+                const content = this.getCurrentPageContent(tab);
+                this.updateTabTitle(tab, content);
+                this.notifyPageChange(tab.currentURL, content, tab.id);
+                console.log('页面加载完成:', tab.currentURL);
             } catch (error) {
                 console.error('获取页面内容失败:', error);
                 this.notifyError('获取页面内容失败', error);
@@ -62,78 +162,351 @@ export class BrowserEngine {
         });
 
         // 页面加载错误
-        this.iframe.addEventListener('error', (event) => {
-            this.isLoading = false;
-            this.hideLoadingOverlay();
-            this.notifyLoadingChange(false);
+        tab.iframe.addEventListener('error', (event) => {
+            this.setTabLoading(tab, false);
             
             const errorMessage = '页面加载失败';
             console.error(errorMessage, event);
             this.notifyError(errorMessage, event);
         });
-
-        // 监听iframe内的导航变化
-        this.setupNavigationMonitoring();
     }
 
     /**
      * 设置导航监控
      */
     setupNavigationMonitoring() {
-        // 定期检查iframe的URL变化
+        // 定期检查每个标签页iframe的URL变化
         this.navigationCheckInterval = setInterval(() => {
-            try {
-                if (this.iframe.contentWindow && this.iframe.contentWindow.location) {
-                    const newURL = this.iframe.contentWindow.location.href;
-                    if (newURL !== this.currentURL && newURL !== 'about:blank') {
-                        this.currentURL = newURL;
-                        this.updateAddressBar(newURL);
-                        
-                        // 添加到历史记录
-                        this.addToHistory(newURL);
-                        
-                        // 通知URL变化
-                        const content = this.getCurrentPageContent();
-                        this.notifyPageChange(newURL, content);
+            this.tabs.forEach(tab => {
+                try {
+                    if (tab.iframe.contentWindow && tab.iframe.contentWindow.location) {
+                        const newURL = tab.iframe.contentWindow.location.href;
+                        // 代理页面以srcdoc显示，地址为about:srcdoc
+                        if (newURL !== tab.currentURL && !newURL.startsWith('about:')) {
+                            tab.currentURL = newURL;
+                            if (tab === this.activeTab) {
+                                this.updateAddressBar(newURL);
+                            }
+                            
+                            // 添加到历史记录
+                            this.addToHistory(newURL, tab);
+                            
+                            // 通知URL变化
+                            const content = this.getCurrentPageContent(tab);
+                            this.updateTabTitle(tab, content);
+                            this.notifyPageChange(newURL, content, tab.id);
+                        }
                     }
+                } catch (error) {
+                    // 跨域访问限制，忽略错误
                 }
-            } catch (error) {
-                // 跨域访问限制，忽略错误
-            }
+            });
         }, 1000);
     }
 
     /**
-     * 设置导航控制
+     * 新建标签页
+     * @param {string|null} url - 要在新标签页中加载的URL
+     * @param {Object} options - 选项
+     * @param {boolean} options.activate - 是否切换到新标签页（默认是）
+     * @returns {number} 新标签页的ID
      */
-    setupNavigationControls() {
-        const goButton = document.getElementById('go-btn');
-        const refreshButton = document.getElementById('refresh-btn');
-        const urlInput = document.getElementById('url-input');
+    openTab(url = null, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('浏览器引擎未初始化');
+        }
+        if (this.tabs.length >= MAX_TABS) {
+            throw new Error(`最多只能打开 ${MAX_TABS} 个标签页`);
+        }
 
-        if (goButton) {
-            goButton.addEventListener('click', () => {
-                const url = urlInput.value.trim();
-                if (url) {
-                    this.loadURL(url);
-                }
+        const iframe = document.createElement('iframe');
+        iframe.className = 'browser-tab-frame hidden';
+        if (this.defaultSandbox !== null && this.defaultSandbox !== undefined) {
+            iframe.setAttribute('sandbox', this.defaultSandbox);
+        }
+        iframe.src = 'about:blank';
+        this.frameContainer.insertBefore(iframe, this.loadingOverlay || null);
+
+        const tab = this.createTabState(iframe);
+        this.tabs.push(tab);
+        this.setupIframeListeners(tab);
+
+        if (options.activate !== false) {
+            this.switchTab(tab.id);
+        } else {
+            this.notifyTabsChange();
+        }
+
+        if (url) {
+            this.loadURL(url, { tabId: tab.id }).catch(error => {
+                console.error('新标签页加载失败:', error);
             });
         }
 
-        if (refreshButton) {
-            refreshButton.addEventListener('click', () => {
-                this.refresh();
+        return tab.id;
+    }
+
+    /**
+     * 关闭标签页；关闭最后一个标签页时保留一个空白标签页
+     * @param {number} tabId - 标签页ID（默认当前标签页）
+     */
+    closeTab(tabId = this.activeTab.id) {
+        const index = this.tabs.findIndex(tab => tab.id === tabId);
+        if (index === -1) {
+            return;
+        }
+
+        if (this.tabs.length === 1) {
+            this.openTab();
+        }
+
+        const tab = this.tabs[index];
+        this.tabs.splice(index, 1);
+        if (tab === this.activeTab) {
+            // 优先切换到右侧的标签页
+            const next = this.tabs[Math.min(index, this.tabs.length - 1)];
+            this.switchTab(next.id);
+        } else {
+            this.notifyTabsChange();
+        }
+
+        tab.iframe.src = 'about:blank';
+        tab.iframe.remove();
+        this.notifyTabClosed(tab.id);
+    }
+
+    /**
+     * 切换到指定标签页
+     * @param {number} tabId - 标签页ID
+     */
+    switchTab(tabId) {
+        const tab = this.getTab(tabId);
+        if (!tab) {
+            throw new Error(`标签页不存在: ${tabId}`);
+        }
+
+        if (this.activeTab !== tab && this.tabs.includes(this.activeTab)) {
+            this.activeTab.scrollPosition = this.readScrollPosition(this.activeTab);
+        }
+
+        this.activeTab = tab;
+        this.updateReaderView();
+
+        this.updateAddressBar(tab.currentURL === 'about:blank' ? '' : tab.currentURL);
+        if (tab.isLoading) {
+            this.showLoadingOverlay();
+        } else {
+            this.hideLoadingOverlay();
+        }
+        this.notifyLoadingChange(tab.isLoading);
+        this.notifyTabsChange();
+
+        if (tab.needsLoad) {
+            tab.needsLoad = false;
+            this.loadURL(tab.currentURL, { tabId: tab.id, fromHistory: true }).catch(error => {
+                console.error('恢复的标签页加载失败:', error);
             });
         }
+    }
 
-        if (urlInput) {
-            urlInput.addEventListener('keypress', (event) => {
-                if (event.key === 'Enter') {
-                    const url = urlInput.value.trim();
-                    if (url) {
-                        this.loadURL(url);
-                    }
+    /**
+     * 按相对位置切换标签页（循环）
+     * @param {number} offset - 偏移量，1为下一个，-1为上一个
+     */
+    switchTabByOffset(offset) {
+        const index = this.tabs.indexOf(this.activeTab);
+        const next = this.tabs[(index + offset + this.tabs.length) % this.tabs.length];
+        this.switchTab(next.id);
+    }
+
+    /**
+     * 按位置切换标签页
+     * @param {number} index - 从0开始的位置，超出时切换到最后一个
+     */
+    switchTabByIndex(index) {
+        const tab = this.tabs[Math.min(index, this.tabs.length - 1)];
+        this.switchTab(tab.id);
+    }
+
+    /**
+     * 获取标签页
+     * @param {number} tabId - 标签页ID
+     * @returns {Object|undefined} 标签页状态
+     */
+    getTab(tabId) {
+        return this.tabs.find(tab => tab.id === tabId);
+    }
+
+    /**
+     * 获取所有标签页的概要信息
+     * @returns {Array<Object>} { id, title, url, isLoading, isActive, canGoBack, canGoForward, isReaderMode }
+     */
+    getTabs() {
+        return this.tabs.map(tab => ({
+            id: tab.id,
+            title: tab.title,
+            url: tab.currentURL,
+            isLoading: tab.isLoading,
+            isActive: tab === this.activeTab,
+            canGoBack: tab.currentPageIndex > 0,
+            canGoForward: tab.currentPageIndex < tab.pageHistory.length - 1,
+            isReaderMode: tab.readerArticle !== null
+        }));
+    }
+
+    /**
+     * 读取标签页的滚动位置
+     * @param {Object} tab - 标签页
+     * @returns {Object|null} { x, y }，跨域页面无法读取时返回null
+     */
+    readScrollPosition(tab) {
+        try {
+            const win = tab.iframe.contentWindow;
+            if (!win || (win.scrollX === 0 && win.scrollY === 0)) {
+                return null;
+            }
+            return { x: win.scrollX, y: win.scrollY };
+        } catch (error) {
+            return null; // 跨域页面
+        }
+    }
+
+    /**
+     * 恢复标签页的滚动位置
+     * @param {Object} tab - 标签页
+     * @param {Object} position - { x, y }
+     */
+    applyScrollPosition(tab, position) {
+        try {
+            tab.iframe.contentWindow.scrollTo(position.x, position.y);
+        } catch (error) {
+            // 跨域页面无法设置滚动位置
+        }
+    }
+
+    /**
+     * 获取当前会话：每个标签页的历史记录、当前位置和滚动位置
+     * @returns {Object} { tabs: [{ title, history, index, scroll }], activeIndex }
+     */
+    getSessionState() {
+        return {
+            activeIndex: this.tabs.indexOf(this.activeTab),
+            tabs: this.tabs.map(tab => {
+                let scroll = tab.scrollPosition;
+                if (tab.needsLoad) {
+                    scroll = tab.restoreScroll;
+                } else if (tab === this.activeTab) {
+                    scroll = this.readScrollPosition(tab);
                 }
+                return {
+                    title: tab.title,
+                    history: tab.pageHistory.slice(),
+                    index: tab.currentPageIndex,
+                    scroll
+                };
+            })
+        };
+    }
+
+    /**
+     * 立即保存会话
+     */
+    saveSession() {
+        if (!this.sessionStore) {
+            return;
+        }
+
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = null;
+        this.sessionStore.save(this.getSessionState());
+    }
+
+    /**
+     * 合并短时间内的多次变化后保存会话
+     */
+    scheduleSessionSave() {
+        if (!this.sessionStore || this.sessionSaveTimer) {
+            return;
+        }
+
+        this.sessionSaveTimer = setTimeout(() => this.saveSession(), SESSION_SAVE_DELAY);
+    }
+
+    /**
+     * 恢复会话：在新标签页中打开保存的页面，当前只有一个空白标签页时直接使用它
+     * 只立即加载会话中的当前标签页，其他标签页在切换到时再加载
+     * @param {Object} session - SessionStore保存的会话
+     * @returns {Array<number>} 恢复的标签页ID
+     */
+    restoreSession(session) {
+        if (!this.isInitialized) {
+            throw new Error('浏览器引擎未初始化');
+        }
+
+        const blank = this.activeTab;
+        const reuseBlank = this.tabs.length === 1 && blank.pageHistory.length === 0 && !blank.isLoading;
+        const capacity = MAX_TABS - this.tabs.length + (reuseBlank ? 1 : 0);
+        const savedTabs = session.tabs.filter(saved => saved.history && saved.history.length > 0).slice(0, capacity);
+        if (savedTabs.length === 0) {
+            throw new Error('会话中没有可以恢复的页面');
+        }
+
+        const restored = savedTabs.map((saved, index) => {
+            const tab = index === 0 && reuseBlank ? blank : this.getTab(this.openTab(null, { activate: false }));
+            tab.pageHistory = saved.history.slice();
+            tab.currentPageIndex = Math.min(Math.max(saved.index, 0), tab.pageHistory.length - 1);
+            tab.currentURL = tab.pageHistory[tab.currentPageIndex];
+            tab.title = saved.title || '';
+            tab.restoreScroll = saved.scroll || null;
+            tab.needsLoad = true;
+            return tab;
+        });
+
+        // 切换时加载该标签页（复用的空白标签页已是当前标签页，同样在这里加载）
+        const active = restored[Math.min(session.activeIndex || 0, restored.length - 1)];
+        this.switchTab(active.id);
+
+        return restored.map(tab => tab.id);
+    }
+
+    /**
+     * 设置标签页的加载状态；只有当前标签页会显示加载覆盖层
+     * @param {Object} tab - 标签页
+     * @param {boolean} isLoading - 是否正在加载
+     */
+    setTabLoading(tab, isLoading) {
+        tab.isLoading = isLoading;
+        if (tab === this.activeTab) {
+            if (isLoading) {
+                this.showLoadingOverlay();
+            } else {
+                this.hideLoadingOverlay();
+            }
+            this.notifyLoadingChange(isLoading);
+        }
+        this.notifyTabsChange();
+    }
+
+    /**
+     * 根据页面内容更新标签页标题
+     * @param {Object} tab - 标签页
+     * @param {Object|null} content - 页面内容
+     */
+    updateTabTitle(tab, content) {
+        tab.title = content && content.title ? content.title : '';
+        this.notifyTabsChange();
+    }
+
+    /**
+     * 设置导航控制
+     * 地址栏的访问按钮和回车由main.js处理（网址补全、搜索和输入提示），这里不再直接加载输入的内容
+     */
+    setupNavigationControls() {
+        const refreshButton = document.getElementById('refresh-btn');
+
+        if (refreshButton) {
+            refreshButton.addEventListener('click', () => {
+                this.refresh();
             });
         }
     }
@@ -141,12 +514,26 @@ export class BrowserEngine {
     /**
      * 加载URL
      * @param {string} url - 要加载的URL
+     * @param {Object} options - 加载选项
+     * @param {boolean} options.viaProxy - 是否通过代理获取并重写页面（默认沿用该URL上次的加载方式）
+     * @param {number} options.tabId - 在哪个标签页中加载（默认当前标签页）
+     * @param {boolean} options.fromHistory - 后退、前进、刷新或恢复会话时为true，不改动历史记录
      */
-    async loadURL(url) {
+    async loadURL(url, options = {}) {
         if (!this.isInitialized) {
             throw new Error('浏览器引擎未初始化');
         }
 
+        const tab = options.tabId !== undefined ? this.getTab(options.tabId) : this.activeTab;
+        if (!tab) {
+            throw new Error(`标签页不存在: ${options.tabId}`);
+        }
+
+        // 打开新页面时退出阅读模式
+        if (tab.readerArticle) {
+            this.exitReaderMode(tab);
+        }
+
         try {
             // 验证和清理URL
             const cleanUrl = this.validateAndCleanURL(url);
@@ -158,78 +545,302 @@ export class BrowserEngine {
             }
 
             // 更新地址栏
-            this.updateAddressBar(finalUrl);
+            if (tab === this.activeTab) {
+                this.updateAddressBar(finalUrl);
+            }
             
             // 显示加载状态
-            this.isLoading = true;
-            this.showLoadingOverlay();
-            this.notifyLoadingChange(true);
+            tab.scrollPosition = null;
+            this.setTabLoading(tab, true);
 
             // 设置加载超时
             const loadingTimeout = setTimeout(() => {
-                if (this.isLoading) {
-                    this.isLoading = false;
-                    this.hideLoadingOverlay();
-                    this.notifyLoadingChange(false);
+                if (tab.isLoading) {
+                    this.setTabLoading(tab, false);
                     this.notifyError('页面加载超时', new Error('Loading timeout'));
                 }
             }, this.loadTimeout);
 
-            // 直接加载网站（不使用代理）
-            try {
-                this.currentURL = finalUrl;
-                this.iframe.src = finalUrl;
-                console.log('直接加载URL:', finalUrl);
-                
-                // 等待一段时间检查是否加载成功
-                await new Promise((resolve, reject) => {
-                    // 监听iframe加载事件
-                    const onLoad = () => {
-                        this.iframe.removeEventListener('load', onLoad);
-                        this.iframe.removeEventListener('error', onError);
-                        clearTimeout(checkTimeout);
-                        resolve();
-                    };
-                    
-                    const onError = () => {
-                        this.iframe.removeEventListener('load', onLoad);
-                        this.iframe.removeEventListener('error', onError);
-                        clearTimeout(checkTimeout);
-                        reject(new Error('页面加载失败'));
-                    };
-                    
-                    const checkTimeout = setTimeout(() => {
-                        this.iframe.removeEventListener('load', onLoad);
-                        this.iframe.removeEventListener('error', onError);
-                        reject(new Error('加载超时'));
-                    }, 10000);
+            const viaProxy = options.viaProxy !== undefined
+                ? options.viaProxy
+                : this.proxiedURLs.has(finalUrl) || this.framingRefusedOrigins.has(new URL(finalUrl).origin);
+
+            if (viaProxy) {
+                try {
+                    await this.loadProxiedPage(finalUrl, tab);
+                } catch (proxyLoadError) {
+                    console.log('代理加载失败:', proxyLoadError.message);
+                    this.showErrorPage(finalUrl, '通过代理加载页面失败：\n' + proxyLoadError.message, tab);
+                }
+            } else {
+                // 直接加载网站（不使用代理），同时检查站点是否拒绝被嵌入（已确认允许的站点不再检查）
+                const origin = new URL(finalUrl).origin;
+                const framingCheck = this.framingAllowedOrigins.has(origin)
+                    ? Promise.resolve(true)
+                    : this.checkFramingAllowed(finalUrl);
+                let directLoadError = null;
+
+                try {
+                    this.showDirectPage(finalUrl, tab);
+                    console.log('直接加载URL:', finalUrl);
                     
-                    this.iframe.addEventListener('load', onLoad);
-                    this.iframe.addEventListener('error', onError);
-                });
-                
-            } catch (directLoadError) {
-                console.log('直接加载失败:', directLoadError.message);
-                // 显示友好的错误页面
-                this.showErrorPage(finalUrl, '无法加载此页面。可能的原因：\n1. 网站不允许在iframe中显示\n2. 网络连接问题\n3. 网站服务器无响应');
+                    // 等待一段时间检查是否加载成功
+                    await this.waitForIframeLoad(10000, tab);
+                } catch (error) {
+                    console.log('直接加载失败:', error.message);
+                    directLoadError = error;
+                }
+
+                const canUseProxy = this.proxyService && this.proxyService.isInitialized;
+
+                if (!directLoadError) {
+                    // 被拒绝嵌入的页面同样会触发load事件，所以加载成功后仍在后台检查，不阻塞导航
+                    tab.framingCheck = framingCheck.then(async (framingAllowed) => {
+                        if (framingAllowed === true) {
+                            this.framingAllowedOrigins.add(origin);
+                        }
+                        const stillShowing = tab.currentURL === finalUrl && !tab.isProxiedPage && !tab.errorPage;
+                        if (framingAllowed === false && canUseProxy && stillShowing) {
+                            this.framingRefusedOrigins.add(origin);
+                            console.log('站点拒绝iframe嵌入，改为通过代理显示:', finalUrl);
+                            await this.loadProxiedFallback(finalUrl, tab, '此网站不允许在iframe中显示');
+                        }
+                    });
+                } else if (canUseProxy) {
+                    // 直接加载失败时，改为通过代理获取并在沙箱中显示
+                    const framingAllowed = await framingCheck;
+                    if (framingAllowed === false) {
+                        this.framingRefusedOrigins.add(origin);
+                    }
+                    await this.loadProxiedFallback(finalUrl, tab, framingAllowed === false
+                        ? '此网站不允许在iframe中显示'
+                        : `直接加载失败（${directLoadError.message}）`);
+                } else {
+                    // 显示友好的错误页面
+                    this.showErrorPage(finalUrl, `无法加载此页面（${directLoadError.message}）。可能的原因：\n1. 网站不允许在iframe中显示\n2. 网络连接问题\n3. 网站服务器无响应`, tab);
+                }
             }
 
             // 添加到历史记录
-            this.addToHistory(finalUrl);
+            if (!options.fromHistory) {
+                this.addToHistory(finalUrl, tab);
+            }
 
             // 清除超时
             clearTimeout(loadingTimeout);
             
         } catch (error) {
-            this.isLoading = false;
-            this.hideLoadingOverlay();
-            this.notifyLoadingChange(false);
+            this.setTabLoading(tab, false);
             console.error('URL加载失败:', error);
             this.notifyError('URL加载失败: ' + error.message, error);
             throw error;
         }
     }
 
+    /**
+     * 等待iframe加载完成
+     * @param {number} timeout - 超时时间(ms)
+     * @param {Object} tab - 标签页（默认当前标签页）
+     * @returns {Promise<void>}
+     */
+    waitForIframeLoad(timeout = 10000, tab = this.activeTab) {
+        const iframe = tab.iframe;
+        return new Promise((resolve, reject) => {
+            // 监听iframe加载事件
+            const onLoad = () => {
+                iframe.removeEventListener('load', onLoad);
+                iframe.removeEventListener('error', onError);
+                clearTimeout(checkTimeout);
+                resolve();
+            };
+            
+            const onError = () => {
+                iframe.removeEventListener('load', onLoad);
+                iframe.removeEventListener('error', onError);
+                clearTimeout(checkTimeout);
+                reject(new Error('页面加载失败'));
+            };
+            
+            const checkTimeout = setTimeout(() => {
+                iframe.removeEventListener('load', onLoad);
+                iframe.removeEventListener('error', onError);
+                reject(new Error('加载超时'));
+            }, timeout);
+            
+            iframe.addEventListener('load', onLoad);
+            iframe.addEventListener('error', onError);
+        });
+    }
+
+    /**
+     * 在iframe中直接显示页面
+     * @param {string} url - 页面URL
+     * @param {Object} tab - 标签页（默认当前标签页）
+     */
+    showDirectPage(url, tab = this.activeTab) {
+        this.resetFrameMode(tab);
+        tab.currentURL = url;
+        tab.iframe.src = url;
+    }
+
+    /**
+     * 退出代理页面模式：移除srcdoc并恢复默认sandbox
+     * @param {Object} tab - 标签页（默认当前标签页）
+     */
+    resetFrameMode(tab = this.activeTab) {
+        tab.isProxiedPage = false;
+        tab.errorPage = null;
+        tab.iframe.removeAttribute('srcdoc');
+        if (this.defaultSandbox !== null && this.defaultSandbox !== undefined) {
+            tab.iframe.setAttribute('sandbox', this.defaultSandbox);
+        }
+    }
+
+    /**
+     * 直接显示失败后改为通过代理显示，代理也失败时显示包含两次失败原因的错误页面
+     * @param {string} url - 页面URL
+     * @param {Object} tab - 标签页
+     * @param {string} cause - 直接显示失败的原因
+     */
+    async loadProxiedFallback(url, tab, cause) {
+        try {
+            await this.loadProxiedPage(url, tab);
+        } catch (proxyLoadError) {
+            console.log('代理加载失败:', proxyLoadError.message);
+            this.showErrorPage(url, `${cause}，通过代理加载也失败了：\n${proxyLoadError.message}`, tab);
+        }
+    }
+
+    /**
+     * 通过代理读取响应头，判断站点是否允许被本应用嵌入
+     * @param {string} url - 页面URL
+     * @returns {Promise<boolean|null>} 是否允许；无法判断时返回null
+     */
+    async checkFramingAllowed(url) {
+        if (!this.proxyService || !this.proxyService.isInitialized) {
+            return null;
+        }
+
+        try {
+            const response = await this.proxyService.proxyRequest('HEAD', url);
+            return this.isFramingAllowed(response.headers);
+        } catch (error) {
+            console.log('无法检查嵌入策略:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 根据X-Frame-Options和CSP frame-ancestors判断是否允许被嵌入
+     * @param {Headers} headers - 页面响应头
+     * @returns {boolean} 是否允许
+     */
+    isFramingAllowed(headers) {
+        const appOrigin = typeof location !== 'undefined' ? location.origin : '';
+
+        const frameOptions = (headers.get('x-frame-options') || '').trim().toLowerCase();
+        if (frameOptions === 'deny' || frameOptions === 'sameorigin' || frameOptions.startsWith('allow-from')) {
+            // 目标站点与本应用不同源，SAMEORIGIN同样意味着拒绝
+            return false;
+        }
+
+        const csp = headers.get('content-security-policy') || '';
+        const directive = csp.split(';')
+            .map(part => part.trim())
+            .find(part => part.toLowerCase().startsWith('frame-ancestors'));
+        if (!directive) {
+            return true;
+        }
+
+        const sources = directive.split(/\s+/).slice(1);
+        return sources.some(source => source === '*' || (appOrigin && source === appOrigin));
+    }
+
+    /**
+     * 通过代理获取页面，重写资源地址后以srcdoc显示
+     * @param {string} url - 页面URL
+     * @param {Object} tab - 标签页（默认当前标签页）
+     */
+    async loadProxiedPage(url, tab = this.activeTab) {
+        if (!this.proxyService || !this.proxyService.isInitialized) {
+            throw new Error('代理服务不可用');
+        }
+
+        const response = await this.proxyService.proxyGet(url);
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType && !contentType.includes('html')) {
+            throw new Error(`代理模式只能显示HTML页面（内容类型: ${contentType}）`);
+        }
+
+        const html = await this.pageRewriter.rewriteHTML(await response.text(), url);
+
+        tab.isProxiedPage = true;
+        tab.currentURL = url;
+        this.proxiedURLs.add(url);
+        tab.iframe.removeAttribute('src');
+        // 文档与应用同源，getCurrentPageContent可以读取；sandbox禁止执行脚本
+        tab.iframe.setAttribute('sandbox', PROXIED_PAGE_SANDBOX);
+        tab.iframe.srcdoc = html;
+        console.log('通过代理加载URL:', url);
+
+        await this.waitForIframeLoad(10000, tab);
+    }
+
+    /**
+     * 拦截代理页面中的链接点击和表单提交，改为通过loadURL加载
+     * @param {Document} doc - 代理页面的文档对象
+     * @param {Object} tab - 页面所在的标签页（默认当前标签页）
+     */
+    attachNavigationInterceptor(doc, tab = this.activeTab) {
+        doc.addEventListener('click', (event) => {
+            const link = event.target.closest ? event.target.closest('a[href], area[href]') : null;
+            if (!link || event.defaultPrevented) {
+                return;
+            }
+
+            // 链接已按<base>解析为原始站点的绝对地址
+            const target = new URL(link.href);
+            const current = new URL(tab.currentURL);
+
+            // 页内锚点直接滚动
+            if (target.hash && target.href.split('#')[0] === current.href.split('#')[0]) {
+                event.preventDefault();
+                const anchor = doc.getElementById(decodeURIComponent(target.hash.slice(1))) ||
+                    doc.querySelector(`[name="${CSS.escape(decodeURIComponent(target.hash.slice(1)))}"]`);
+                if (anchor) {
+                    anchor.scrollIntoView();
+                }
+                return;
+            }
+
+            if (!['http:', 'https:'].includes(target.protocol)) {
+                return; // mailto:等交给浏览器处理
+            }
+
+            event.preventDefault();
+            this.loadURL(target.href, { viaProxy: true, tabId: tab.id }).catch(error => {
+                console.error('代理页面导航失败:', error);
+            });
+        });
+
+        doc.addEventListener('submit', (event) => {
+            const form = event.target;
+            event.preventDefault();
+
+            const method = (form.getAttribute('method') || 'get').toLowerCase();
+            if (method !== 'get') {
+                this.notifyError('代理模式下暂不支持提交POST表单', new Error('POST表单不支持'));
+                return;
+            }
+
+            const action = new URL(form.getAttribute('action') || tab.currentURL, tab.currentURL);
+            action.search = new URLSearchParams(new FormData(form)).toString();
+            this.loadURL(action.href, { viaProxy: true, tabId: tab.id }).catch(error => {
+                console.error('代理页面表单提交失败:', error);
+            });
+        });
+    }
+
     /**
      * 验证和清理URL
      * @param {string} url - 原始URL
@@ -268,7 +879,7 @@ export class BrowserEngine {
      */
     refresh() {
         if (this.currentURL && this.currentURL !== 'about:blank') {
-            this.loadURL(this.currentURL);
+            this.loadURL(this.currentURL, { fromHistory: true });
         }
     }
 
@@ -279,7 +890,7 @@ export class BrowserEngine {
         if (this.currentPageIndex > 0) {
             this.currentPageIndex--;
             const url = this.pageHistory[this.currentPageIndex];
-            this.loadURL(url);
+            this.loadURL(url, { fromHistory: true });
         }
     }
 
@@ -290,31 +901,34 @@ export class BrowserEngine {
         if (this.currentPageIndex < this.pageHistory.length - 1) {
             this.currentPageIndex++;
             const url = this.pageHistory[this.currentPageIndex];
-            this.loadURL(url);
+            this.loadURL(url, { fromHistory: true });
         }
     }
 
     /**
      * 添加到历史记录
      * @param {string} url - URL
+     * @param {Object} tab - 标签页（默认当前标签页）
      */
-    addToHistory(url) {
+    addToHistory(url, tab = this.activeTab) {
         // 如果当前不在历史记录末尾，删除后面的记录
-        if (this.currentPageIndex < this.pageHistory.length - 1) {
-            this.pageHistory = this.pageHistory.slice(0, this.currentPageIndex + 1);
+        if (tab.currentPageIndex < tab.pageHistory.length - 1) {
+            tab.pageHistory = tab.pageHistory.slice(0, tab.currentPageIndex + 1);
         }
         
         // 添加新URL（如果与当前URL不同）
-        if (this.pageHistory[this.pageHistory.length - 1] !== url) {
-            this.pageHistory.push(url);
-            this.currentPageIndex = this.pageHistory.length - 1;
+        if (tab.pageHistory[tab.pageHistory.length - 1] !== url) {
+            tab.pageHistory.push(url);
+            tab.currentPageIndex = tab.pageHistory.length - 1;
         }
         
         // 限制历史记录长度
-        if (this.pageHistory.length > 100) {
-            this.pageHistory = this.pageHistory.slice(-100);
-            this.currentPageIndex = this.pageHistory.length - 1;
+        if (tab.pageHistory.length > 100) {
+            tab.pageHistory = tab.pageHistory.slice(-100);
+            tab.currentPageIndex = tab.pageHistory.length - 1;
         }
+
+        this.notifyTabsChange();
     }
 
     /**
@@ -354,42 +968,204 @@ export class BrowserEngine {
         return this.currentURL;
     }
 
+    /**
+     * 获取可以访问的页面文档（同源页面或代理渲染的页面）
+     * @param {Object} tab - 标签页（默认当前标签页）
+     * @returns {Document|null} 页面文档，跨域或空白页时返回null
+     */
+    getPageDocument(tab = this.activeTab) {
+        try {
+            const doc = tab.iframe.contentDocument;
+            return doc && doc.body && tab.currentURL !== 'about:blank' && !tab.errorPage ? doc : null;
+        } catch (error) {
+            return null; // 跨域限制
+        }
+    }
+
     /**
      * 获取当前页面内容
+     * @param {Object} tab - 标签页（默认当前标签页）
      * @returns {Object|null} 页面内容信息
      */
-    getCurrentPageContent() {
+    getCurrentPageContent(tab = this.activeTab) {
         try {
-            if (!this.iframe.contentDocument) {
+            if (!tab.iframe.contentDocument) {
                 return null; // 跨域限制
             }
+            if (tab.errorPage) {
+                return null; // 加载失败页面不是网页内容
+            }
             
-            const doc = this.iframe.contentDocument;
-            const content = {
-                title: doc.title || '',
-                url: this.currentURL,
-                text: doc.body ? doc.body.innerText : '',
-                html: doc.documentElement ? doc.documentElement.outerHTML : '',
-                links: this.extractLinks(doc),
-                images: this.extractImages(doc),
-                videos: this.extractVideos(doc),
-                audios: this.extractAudios(doc),
-                timestamp: Date.now()
-            };
-            
-            return content;
+            return this.extractPageContent(tab.iframe.contentDocument, tab.currentURL);
         } catch (error) {
             console.warn('无法获取页面内容（可能是跨域限制）:', error);
             return null;
         }
     }
 
+    /**
+     * 从文档中提取页面内容（当前页面或抓取时解析的页面）
+     * @param {Document} doc - 文档对象
+     * @param {string} url - 页面URL，用于解析相对地址
+     * @returns {Object} 页面内容信息
+     */
+    extractPageContent(doc, url) {
+        return {
+            title: doc.title || '',
+            url,
+            text: doc.body ? doc.body.innerText : '',
+            html: doc.documentElement ? doc.documentElement.outerHTML : '',
+            links: this.extractLinks(doc, url),
+            images: this.extractImages(doc, url),
+            videos: this.extractVideos(doc, url),
+            audios: this.extractAudios(doc, url),
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * 阅读视图中的链接在当前标签页中打开（同时退出阅读模式）
+     */
+    setupReaderLinks() {
+        if (!this.readerContent) {
+            return;
+        }
+
+        this.readerContent.addEventListener('click', (event) => {
+            const link = event.target.closest ? event.target.closest('a[href]') : null;
+            if (!link) {
+                return;
+            }
+
+            event.preventDefault();
+            this.loadURL(link.getAttribute('href'), { tabId: this.activeTab.id }).catch(error => {
+                console.error('阅读视图链接打开失败:', error);
+            });
+        });
+    }
+
+    /**
+     * 进入阅读模式：提取页面正文，以阅读视图代替iframe显示
+     * @param {Object} tab - 标签页（默认当前标签页）
+     * @returns {Object} 文章，见ReaderView.extractArticle
+     */
+    enterReaderMode(tab = this.activeTab) {
+        if (!this.readerPanel || !this.readerContent) {
+            throw new Error('未找到阅读视图元素');
+        }
+        if (tab.isLoading) {
+            throw new Error('页面仍在加载，请稍后再进入阅读模式');
+        }
+
+        const doc = this.getPageDocument(tab);
+        if (!doc) {
+            throw new Error('无法读取此页面的内容（跨域页面可以先通过代理打开）');
+        }
+
+        const article = this.readerView.extractArticle(doc, tab.currentURL);
+        if (!article) {
+            throw new Error('此页面没有找到可以阅读的正文');
+        }
+
+        tab.readerArticle = article;
+        if (tab === this.activeTab) {
+            this.updateReaderView();
+        }
+        this.notifyTabsChange();
+        return article;
+    }
+
+    /**
+     * 退出阅读模式，重新显示iframe
+     * @param {Object} tab - 标签页（默认当前标签页）
+     */
+    exitReaderMode(tab = this.activeTab) {
+        if (!tab.readerArticle) {
+            return;
+        }
+
+        tab.readerArticle = null;
+        if (tab === this.activeTab) {
+            this.updateReaderView();
+        }
+        this.notifyTabsChange();
+    }
+
+    /**
+     * 切换当前标签页的阅读模式
+     * @returns {boolean} 切换后是否处于阅读模式
+     */
+    toggleReaderMode() {
+        if (this.activeTab.readerArticle) {
+            this.exitReaderMode();
+            return false;
+        }
+        this.enterReaderMode();
+        return true;
+    }
+
+    /**
+     * 当前标签页是否处于阅读模式
+     * @returns {boolean} 是否处于阅读模式
+     */
+    isReaderMode() {
+        return this.activeTab.readerArticle !== null;
+    }
+
+    /**
+     * 按当前标签页的状态显示iframe或阅读视图
+     */
+    updateReaderView() {
+        const reading = this.activeTab.readerArticle !== null && Boolean(this.readerPanel);
+        this.tabs.forEach(candidate => {
+            candidate.iframe.classList.toggle('hidden', candidate !== this.activeTab || reading);
+        });
+
+        if (!this.readerPanel) {
+            return;
+        }
+
+        this.readerPanel.classList.toggle('hidden', !reading);
+        if (reading) {
+            this.readerView.render(this.readerContent, this.activeTab.readerArticle);
+            this.readerPanel.scrollTop = 0;
+        } else {
+            this.readerContent.innerHTML = '';
+        }
+    }
+
+    /**
+     * 把阅读设置（字号、宽度）应用到正在显示的阅读视图
+     */
+    applyReaderSettings() {
+        if (this.readerContent) {
+            this.readerView.applySettings(this.readerContent);
+        }
+    }
+
+    /**
+     * 把当前阅读视图显示的内容转换为Markdown
+     * @returns {Promise<Object>} { title, markdown }
+     */
+    async getReaderMarkdown() {
+        const article = this.activeTab.readerArticle;
+        if (!article) {
+            throw new Error('当前标签页不在阅读模式');
+        }
+
+        return {
+            title: article.title,
+            markdown: await this.readerView.toMarkdown(article)
+        };
+    }
+
     /**
      * 提取页面链接
      * @param {Document} doc - 文档对象
+     * @param {string} baseURL - 解析相对地址的基础URL（默认当前页面URL）
      * @returns {Array} 链接数组
      */
-    extractLinks(doc) {
+    extractLinks(doc, baseURL = this.currentURL) {
         const links = [];
         const linkElements = doc.querySelectorAll('a[href]');
         
@@ -397,7 +1173,7 @@ export class BrowserEngine {
             const href = link.getAttribute('href');
             if (href) {
                 links.push({
-                    url: this.resolveURL(href, this.currentURL),
+                    url: this.resolveURL(href, baseURL),
                     text: link.textContent.trim(),
                     title: link.getAttribute('title') || ''
                 });
@@ -410,9 +1186,10 @@ export class BrowserEngine {
     /**
      * 提取页面图片
      * @param {Document} doc - 文档对象
+     * @param {string} baseURL - 解析相对地址的基础URL（默认当前页面URL）
      * @returns {Array} 图片数组
      */
-    extractImages(doc) {
+    extractImages(doc, baseURL = this.currentURL) {
         const images = [];
         const imgElements = doc.querySelectorAll('img[src]');
         
@@ -420,7 +1197,7 @@ export class BrowserEngine {
             const src = img.getAttribute('src');
             if (src) {
                 images.push({
-                    url: this.resolveURL(src, this.currentURL),
+                    url: this.resolveURL(src, baseURL),
                     alt: img.getAttribute('alt') || '',
                     title: img.getAttribute('title') || ''
                 });
@@ -433,9 +1210,10 @@ export class BrowserEngine {
     /**
      * 提取页面视频
      * @param {Document} doc - 文档对象
+     * @param {string} baseURL - 解析相对地址的基础URL（默认当前页面URL）
      * @returns {Array} 视频数组
      */
-    extractVideos(doc) {
+    extractVideos(doc, baseURL = this.currentURL) {
         const videos = [];
         
         // HTML5 video元素
@@ -444,7 +1222,7 @@ export class BrowserEngine {
             const src = video.getAttribute('src');
             if (src) {
                 videos.push({
-                    url: this.resolveURL(src, this.currentURL),
+                    url: this.resolveURL(src, baseURL),
                     type: 'html5-video',
                     title: video.getAttribute('title') || ''
                 });
@@ -457,9 +1235,10 @@ export class BrowserEngine {
     /**
      * 提取页面音频
      * @param {Document} doc - 文档对象
+     * @param {string} baseURL - 解析相对地址的基础URL（默认当前页面URL）
      * @returns {Array} 音频数组
      */
-    extractAudios(doc) {
+    extractAudios(doc, baseURL = this.currentURL) {
         const audios = [];
         
         // HTML5 audio元素
@@ -468,7 +1247,7 @@ export class BrowserEngine {
             const src = audio.getAttribute('src');
             if (src) {
                 audios.push({
-                    url: this.resolveURL(src, this.currentURL),
+                    url: this.resolveURL(src, baseURL),
                     type: 'html5-audio',
                     title: audio.getAttribute('title') || ''
                 });
@@ -516,15 +1295,62 @@ export class BrowserEngine {
         this.errorCallbacks.push(callback);
     }
 
+    /**
+     * 注册标签页变化监听器（新建、切换、标题或加载状态变化）
+     * @param {Function} callback - 回调函数 (tabs, activeTabId)
+     */
+    onTabsChange(callback) {
+        this.tabsChangeCallbacks.push(callback);
+    }
+
+    /**
+     * 注册标签页关闭监听器
+     * @param {Function} callback - 回调函数 (tabId)
+     */
+    onTabClosed(callback) {
+        this.tabClosedCallbacks.push(callback);
+    }
+
+    /**
+     * 通知标签页变化
+     */
+    notifyTabsChange() {
+        this.scheduleSessionSave();
+
+        const tabs = this.getTabs();
+        this.tabsChangeCallbacks.forEach(callback => {
+            try {
+                callback(tabs, this.activeTab.id);
+            } catch (error) {
+                console.error('标签页变化回调错误:', error);
+            }
+        });
+    }
+
+    /**
+     * 通知标签页已关闭
+     * @param {number} tabId - 标签页ID
+     */
+    notifyTabClosed(tabId) {
+        this.tabClosedCallbacks.forEach(callback => {
+            try {
+                callback(tabId);
+            } catch (error) {
+                console.error('标签页关闭回调错误:', error);
+            }
+        });
+    }
+
     /**
      * 通知页面变化
      * @param {string} url - 页面URL
      * @param {Object} content - 页面内容
+     * @param {number} tabId - 页面所在的标签页ID（默认当前标签页）
      */
-    notifyPageChange(url, content) {
+    notifyPageChange(url, content, tabId = this.activeTab.id) {
         this.pageChangeCallbacks.forEach(callback => {
             try {
-                callback(url, content);
+                callback(url, content, tabId);
             } catch (error) {
                 console.error('页面变化回调错误:', error);
             }
@@ -564,8 +1390,18 @@ export class BrowserEngine {
      * 显示错误页面
      * @param {string} url - 尝试加载的URL
      * @param {string} message - 错误消息
+     * @param {Object} tab - 标签页（默认当前标签页）
      */
-    showErrorPage(url, message) {
+    showErrorPage(url, message, tab = this.activeTab) {
+        // 代理服务可用时提供通过代理重新加载的入口
+        const proxyButton = this.proxyService && this.proxyService.isInitialized
+            ? `<button class="retry-button" data-action="proxy">
+                        通过代理加载
+                    </button>`
+            : '';
+        const proxyHint = proxyButton
+            ? '<li>网站不允许在iframe中显示时，可以点击“通过代理加载”</li>'
+            : '';
         const errorHTML = `
             <!DOCTYPE html>
             <html lang="zh-CN">
@@ -651,15 +1487,16 @@ export class BrowserEngine {
                 <div class="error-container">
                     <div class="error-icon">🚫</div>
                     <div class="error-title">无法加载页面</div>
-                    <div class="error-message">${message}</div>
-                    <div class="error-url">${url}</div>
+                    <div class="error-message"></div>
+                    <div class="error-url"></div>
                     
-                    <button class="retry-button" onclick="parent.location.reload()">
+                    <button class="retry-button" data-action="retry">
                         重新尝试
                     </button>
-                    <button class="retry-button" onclick="parent.webBrowserDownloader.components.browserEngine.loadURL('https://www.example.com')">
+                    <button class="retry-button" data-action="example">
                         访问示例网站
                     </button>
+                    ${proxyButton}
                     
                     <div class="suggestions">
                         <h4>💡 建议尝试：</h4>
@@ -673,7 +1510,7 @@ export class BrowserEngine {
                             </li>
                             <li>许多网站不允许在iframe中显示（这是正常的安全措施）</li>
                             <li>如果是HTTP网站，请尝试HTTPS版本</li>
-                            <li>本应用使用直通模式，无需代理服务</li>
+                            ${proxyHint}
                         </ul>
                     </div>
                 </div>
@@ -681,11 +1518,45 @@ export class BrowserEngine {
             </html>
         `;
         
-        // 将错误页面内容设置为iframe的src
-        this.iframe.src = 'data:text/html;charset=utf-8,' + encodeURIComponent(errorHTML);
-        this.isLoading = false;
-        this.hideLoadingOverlay();
-        this.notifyLoadingChange(false);
+        // 以srcdoc显示（与应用同源、不执行脚本），加载后由setupErrorPage填入内容并绑定按钮；
+        // data: URL的文档是不透明源，其中的按钮无法调用应用
+        this.resetFrameMode(tab);
+        tab.errorPage = { url, message };
+        tab.iframe.removeAttribute('src');
+        tab.iframe.setAttribute('sandbox', PROXIED_PAGE_SANDBOX);
+        tab.iframe.srcdoc = errorHTML;
+        this.setTabLoading(tab, false);
+    }
+
+    /**
+     * 填入加载失败页面的消息和地址，并绑定按钮
+     * @param {Document} doc - 加载失败页面的文档对象
+     * @param {Object} tab - 页面所在的标签页
+     */
+    setupErrorPage(doc, tab) {
+        const { url, message } = tab.errorPage;
+        const messageElement = doc.querySelector('.error-message');
+        const urlElement = doc.querySelector('.error-url');
+        if (messageElement) {
+            messageElement.textContent = message;
+        }
+        if (urlElement) {
+            urlElement.textContent = url;
+        }
+
+        const actions = {
+            retry: () => this.loadURL(url, { tabId: tab.id }),
+            example: () => this.loadURL('https://www.example.com', { tabId: tab.id }),
+            proxy: () => this.loadURL(url, { viaProxy: true, tabId: tab.id })
+        };
+        doc.querySelectorAll('[data-action]').forEach(button => {
+            const action = actions[button.dataset.action];
+            if (action) {
+                button.addEventListener('click', () => {
+                    action().catch(error => this.notifyError('URL加载失败: ' + error.message, error));
+                });
+            }
+        });
     }
 
     /**
@@ -695,9 +1566,12 @@ export class BrowserEngine {
         if (this.navigationCheckInterval) {
             clearInterval(this.navigationCheckInterval);
         }
+        clearTimeout(this.sessionSaveTimer);
         
         this.pageChangeCallbacks = [];
         this.loadingCallbacks = [];
         this.errorCallbacks = [];
+        this.tabsChangeCallbacks = [];
+        this.tabClosedCallbacks = [];
     }
 }
\ No newline at end of file
@@ -10,6 +10,8 @@ export class ContentDetector {
             text: null,
             pdfs: []
         };
+        this.tabResults = new Map(); // 标签页ID -> 检测结果
+        this.activeTabId = null;
         this.contentCallbacks = [];
         this.errorCallbacks = [];
         this.isInitialized = false;
@@ -39,43 +41,52 @@ export class ContentDetector {
      * 分析页面内容
      * @param {Object} pageContent - 页面内容对象
      * @param {string} url - 页面URL
+     * @param {number|null} tabId - 页面所在的标签页ID（默认当前标签页）；只有当前标签页的结果会通知界面
      */
-    analyzeContent(pageContent, url) {
-        if (!this.isInitialized || !pageContent) {
-            console.warn('内容检测器未初始化或页面内容为空');
+    analyzeContent(pageContent, url, tabId = this.activeTabId) {
+        if (!this.isInitialized) {
+            console.warn('内容检测器未初始化');
+            return;
+        }
+
+        if (!pageContent) {
+            // 无法读取内容的页面（跨域直接显示的页面、加载失败页面）没有检测结果，清除该标签页上一个页面的结果
+            console.warn('页面内容为空，清除检测结果:', url);
+            if (tabId !== null) {
+                this.tabResults.delete(tabId);
+            }
+            if (tabId === this.activeTabId) {
+                this.detectedContent = { media: [], text: null, pdfs: [] };
+                this.notifyContentDetected(this.summarizeDetectedContent(this.detectedContent));
+            }
             return;
         }
 
         console.log('开始分析页面内容:', url);
         
-        // 重置检测结果
-        this.detectedContent = {
+        // 每次分析生成新的检测结果，其他标签页的结果不受影响
+        const detectedContent = {
             media: [],
             text: null,
             pdfs: []
         };
+        const isActiveTab = tabId === this.activeTabId;
+        if (isActiveTab) {
+            this.detectedContent = detectedContent;
+        }
+        if (tabId !== null) {
+            this.tabResults.set(tabId, detectedContent);
+        }
 
         try {
-            // 检测媒体文件
-            this.detectedContent.media = this.detectMediaFiles(pageContent);
-            
-            // 检测PDF文件
-            this.detectedContent.pdfs = this.detectPDFFiles(pageContent);
-            
-            // 提取文本内容
-            this.detectedContent.text = this.extractTextContent(pageContent, url);
+            Object.assign(detectedContent, this.detectPageContent(pageContent, url));
 
             // 通知内容检测完成
-            this.notifyContentDetected({
-                hasMedia: this.detectedContent.media.length > 0,
-                hasText: this.detectedContent.text !== null,
-                hasPDF: this.detectedContent.pdfs.length > 0,
-                mediaCount: this.detectedContent.media.length,
-                textLength: this.detectedContent.text ? this.detectedContent.text.content.length : 0,
-                pdfCount: this.detectedContent.pdfs.length
-            });
+            if (isActiveTab) {
+                this.notifyContentDetected(this.summarizeDetectedContent(detectedContent));
+            }
 
-            console.log(`内容检测完成: 媒体=${this.detectedContent.media.length}, PDF=${this.detectedContent.pdfs.length}, 文本=${this.detectedContent.text ? '是' : '否'}`);
+            console.log(`内容检测完成: 媒体=${detectedContent.media.length}, PDF=${detectedContent.pdfs.length}, 文本=${detectedContent.text ? '是' : '否'}`);
 
         } catch (error) {
             console.error('内容分析失败:', error);
@@ -83,12 +94,91 @@ export class ContentDetector {
         }
     }
 
+    /**
+     * 检测单个页面的媒体、PDF和文本，不保存结果也不通知界面
+     * @param {Object} pageContent - 页面内容对象
+     * @param {string} url - 页面URL
+     * @param {Object} options - 选项
+     * @param {boolean} options.includeNetworkRequests - 是否包含网络监听到的请求（抓取其他页面时应关闭）
+     * @returns {Object} 检测结果 { media, pdfs, text }
+     */
+    detectPageContent(pageContent, url, { includeNetworkRequests = true } = {}) {
+        return {
+            media: this.detectMediaFiles(pageContent, { includeNetworkRequests }),
+            pdfs: this.detectPDFFiles(pageContent, { includeNetworkRequests }),
+            text: this.extractTextContent(pageContent, url)
+        };
+    }
+
+    /**
+     * 生成检测结果摘要（用于更新下载按钮）
+     * @param {Object} detectedContent - 检测结果
+     * @returns {Object} 摘要
+     */
+    summarizeDetectedContent(detectedContent) {
+        return {
+            hasMedia: detectedContent.media.length > 0,
+            hasText: detectedContent.text !== null,
+            hasPDF: detectedContent.pdfs.length > 0,
+            mediaCount: detectedContent.media.length,
+            textLength: detectedContent.text ? detectedContent.text.content.length : 0,
+            pdfCount: detectedContent.pdfs.length
+        };
+    }
+
+    /**
+     * 获取标签页检测结果的摘要
+     * @param {number} tabId - 标签页ID
+     * @returns {Object|null} 摘要，该标签页还没有检测结果时返回null
+     */
+    getTabSummary(tabId) {
+        const detectedContent = this.tabResults.get(tabId);
+        return detectedContent ? this.summarizeDetectedContent(detectedContent) : null;
+    }
+
+    /**
+     * 获取标签页的完整检测结果
+     * @param {number} tabId - 标签页ID
+     * @returns {Object|null} 检测结果 { media, text, pdfs }，该标签页还没有检测结果时返回null
+     */
+    getTabResults(tabId) {
+        return this.tabResults.get(tabId) || null;
+    }
+
+    /**
+     * 切换当前标签页，getDetected*返回该标签页的检测结果并通知界面
+     * @param {number} tabId - 标签页ID
+     */
+    setActiveTab(tabId) {
+        if (tabId === this.activeTabId) {
+            return;
+        }
+
+        this.activeTabId = tabId;
+        this.detectedContent = this.tabResults.get(tabId) || {
+            media: [],
+            text: null,
+            pdfs: []
+        };
+        this.notifyContentDetected(this.summarizeDetectedContent(this.detectedContent));
+    }
+
+    /**
+     * 移除已关闭标签页的检测结果
+     * @param {number} tabId - 标签页ID
+     */
+    removeTab(tabId) {
+        this.tabResults.delete(tabId);
+    }
+
     /**
      * 检测媒体文件
      * @param {Object} pageContent - 页面内容对象
+     * @param {Object} options - 选项
+     * @param {boolean} options.includeNetworkRequests - 是否包含网络监听到的请求
      * @returns {Array} 检测到的媒体文件
      */
-    detectMediaFiles(pageContent) {
+    detectMediaFiles(pageContent, { includeNetworkRequests = true } = {}) {
         const mediaFiles = [];
         
         try {
@@ -153,19 +243,21 @@ export class ContentDetector {
             }
 
             // 从网络请求中检测媒体文件
-            this.networkRequests.forEach((request, url) => {
-                const mediaInfo = this.analyzeMediaURL(url);
-                if (mediaInfo && request.contentType) {
-                    mediaFiles.push({
-                        ...mediaInfo,
-                        source: 'network',
-                        title: mediaInfo.filename,
-                        originalUrl: url,
-                        contentType: request.contentType,
-                        size: request.contentLength || '未知大小'
-                    });
-                }
-            });
+            if (includeNetworkRequests) {
+                this.networkRequests.forEach((request, url) => {
+                    const mediaInfo = this.analyzeMediaURL(url);
+                    if (mediaInfo && request.contentType) {
+                        mediaFiles.push({
+                            ...mediaInfo,
+                            source: 'network',
+                            title: mediaInfo.filename,
+                            originalUrl: url,
+                            contentType: request.contentType,
+                            size: request.contentLength || '未知大小'
+                        });
+                    }
+                });
+            }
 
             // 去重和排序
             return this.deduplicateAndSortMedia(mediaFiles);
@@ -252,9 +344,11 @@ export class ContentDetector {
     /**
      * 检测PDF文件
      * @param {Object} pageContent - 页面内容对象
+     * @param {Object} options - 选项
+     * @param {boolean} options.includeNetworkRequests - 是否包含网络监听到的请求
      * @returns {Array} 检测到的PDF文件
      */
-    detectPDFFiles(pageContent) {
+    detectPDFFiles(pageContent, { includeNetworkRequests = true } = {}) {
         const pdfFiles = [];
         
         try {
@@ -275,19 +369,21 @@ export class ContentDetector {
             }
 
             // 从网络请求中检测PDF文件
-            this.networkRequests.forEach((request, url) => {
-                if (this.isPDFURL(url) || (request.contentType && request.contentType.includes('application/pdf'))) {
-                    pdfFiles.push({
-                        url: url,
-                        filename: this.extractFilename(url),
-                        title: this.extractFilename(url),
-                        source: 'network',
-                        type: 'pdf',
-                        size: request.contentLength || '未知大小',
-                        contentType: request.contentType
-                    });
-                }
-            });
+            if (includeNetworkRequests) {
+                this.networkRequests.forEach((request, url) => {
+                    if (this.isPDFURL(url) || (request.contentType && request.contentType.includes('application/pdf'))) {
+                        pdfFiles.push({
+                            url: url,
+                            filename: this.extractFilename(url),
+                            title: this.extractFilename(url),
+                            source: 'network',
+                            type: 'pdf',
+                            size: request.contentLength || '未知大小',
+                            contentType: request.contentType
+                        });
+                    }
+                });
+            }
 
             // 去重
             return this.deduplicatePDFs(pdfFiles);
@@ -836,6 +932,7 @@ export class ContentDetector {
      */
     destroy() {
         this.networkRequests.clear();
+        this.tabResults.clear();
         this.contentCallbacks = [];
         this.errorCallbacks = [];
         this.clearDetectedContent();
@@ -0,0 +1,397 @@
+/**
+ * Cookie罐 - 保存代理请求返回的Set-Cookie，并在之后的代理请求中发回
+ * 按RFC 6265处理Domain/Path/Expires/Max-Age/Secure；会话Cookie只保存在内存中，持久Cookie写入存储
+ */
+
+const COOKIE_JAR_STORAGE_KEY = 'wbd.cookieJar';
+
+const DEFAULT_COOKIE_JAR_OPTIONS = {
+    maxCookiesPerDomain: 50,
+    maxCookies: 3000
+};
+
+/**
+ * 判断主机名是否为IP地址
+ * @param {string} host - 主机名
+ * @returns {boolean} 是否为IP地址
+ */
+function isIPAddress(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+}
+
+/**
+ * 域名匹配（RFC 6265 5.1.3）
+ * @param {string} host - 请求主机名
+ * @param {string} domain - Cookie域
+ * @returns {boolean} 是否匹配
+ */
+function domainMatches(host, domain) {
+    if (host === domain) {
+        return true;
+    }
+    return !isIPAddress(host) && host.endsWith('.' + domain);
+}
+
+/**
+ * 路径匹配（RFC 6265 5.1.4）
+ * @param {string} requestPath - 请求路径
+ * @param {string} cookiePath - Cookie路径
+ * @returns {boolean} 是否匹配
+ */
+function pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) {
+        return true;
+    }
+    if (!requestPath.startsWith(cookiePath)) {
+        return false;
+    }
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+/**
+ * 计算默认路径（RFC 6265 5.1.4）
+ * @param {string} requestPath - 请求路径
+ * @returns {string} 默认路径
+ */
+function defaultPath(requestPath) {
+    if (!requestPath.startsWith('/')) {
+        return '/';
+    }
+    const lastSlash = requestPath.lastIndexOf('/');
+    return lastSlash === 0 ? '/' : requestPath.slice(0, lastSlash);
+}
+
+export class CookieJar {
+    /**
+     * @param {Storage|null} storage - 持久化存储，为null时只保存在内存中
+     * @param {Object} options - 选项，见DEFAULT_COOKIE_JAR_OPTIONS
+     */
+    constructor(storage = null, options = {}) {
+        this.storage = storage;
+        this.options = { ...DEFAULT_COOKIE_JAR_OPTIONS, ...options };
+        this.cookies = this.load();
+        this.changeCallback = null;
+    }
+
+    /**
+     * 从存储中读取持久Cookie
+     * @returns {Array} Cookie列表
+     */
+    load() {
+        if (!this.storage) {
+            return [];
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(COOKIE_JAR_STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                const now = Date.now();
+                return saved.filter(cookie => cookie && cookie.name !== undefined && cookie.expires > now);
+            }
+        } catch (error) {
+            console.warn('Cookie读取失败:', error.message);
+        }
+
+        return [];
+    }
+
+    /**
+     * 保存持久Cookie（会话Cookie不写入存储）
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            const persistent = this.cookies.filter(cookie => cookie.expires !== null);
+            this.storage.setItem(COOKIE_JAR_STORAGE_KEY, JSON.stringify(persistent));
+        } catch (error) {
+            console.warn('Cookie保存失败:', error.message);
+        }
+    }
+
+    /**
+     * 解析Set-Cookie头
+     * @param {string} setCookie - Set-Cookie头的值
+     * @returns {Object|null} { name, value, attributes }，格式无效时返回null
+     */
+    parseSetCookie(setCookie) {
+        const [pair, ...attributeParts] = String(setCookie).split(';');
+        const separator = pair.indexOf('=');
+        if (separator === -1) {
+            return null;
+        }
+
+        const name = pair.slice(0, separator).trim();
+        const value = pair.slice(separator + 1).trim();
+        if (!name) {
+            return null;
+        }
+
+        const attributes = {};
+        for (const part of attributeParts) {
+            const index = part.indexOf('=');
+            const key = (index === -1 ? part : part.slice(0, index)).trim().toLowerCase();
+            const attributeValue = index === -1 ? '' : part.slice(index + 1).trim();
+            if (key) {
+                attributes[key] = attributeValue;
+            }
+        }
+
+        return { name, value, attributes };
+    }
+
+    /**
+     * 保存响应中的Set-Cookie
+     * @param {string} setCookie - Set-Cookie头的值
+     * @param {string} requestURL - 返回该Cookie的请求URL
+     * @returns {boolean} 是否被接受
+     */
+    setCookie(setCookie, requestURL) {
+        const parsed = this.parseSetCookie(setCookie);
+        let url;
+        try {
+            url = new URL(requestURL);
+        } catch (error) {
+            return false;
+        }
+        if (!parsed || !/^https?:$/.test(url.protocol)) {
+            return false;
+        }
+
+        const host = url.hostname.toLowerCase();
+        const { name, value, attributes } = parsed;
+
+        // Domain属性：必须覆盖请求主机，且不能是顶级域
+        let domain = host;
+        let hostOnly = true;
+        if (attributes.domain) {
+            const cookieDomain = attributes.domain.replace(/^\./, '').toLowerCase();
+            if (!domainMatches(host, cookieDomain)) {
+                return false;
+            }
+            if (!cookieDomain.includes('.') && cookieDomain !== host) {
+                return false;
+            }
+            domain = cookieDomain;
+            hostOnly = false;
+        }
+
+        const path = attributes.path && attributes.path.startsWith('/') ? attributes.path : defaultPath(url.pathname);
+        const secure = 'secure' in attributes;
+        if (secure && url.protocol !== 'https:') {
+            return false;
+        }
+
+        // Max-Age优先于Expires；都没有时为会话Cookie
+        let expires = null;
+        if ('max-age' in attributes && /^-?\d+$/.test(attributes['max-age'])) {
+            expires = Date.now() + Number(attributes['max-age']) * 1000;
+        } else if (attributes.expires) {
+            const parsedExpires = Date.parse(attributes.expires);
+            if (!Number.isNaN(parsedExpires)) {
+                expires = parsedExpires;
+            }
+        }
+
+        const index = this.cookies.findIndex(cookie =>
+            cookie.name === name && cookie.domain === domain && cookie.path === path);
+        const existing = index === -1 ? null : this.cookies[index];
+
+        // 已过期的Cookie表示删除
+        if (expires !== null && expires <= Date.now()) {
+            if (existing) {
+                this.cookies.splice(index, 1);
+                this.notifyChange();
+            }
+            return true;
+        }
+
+        // 替换时保留原位置和创建时间（RFC 6265 5.3 第11.3步），同一时刻创建的Cookie顺序不变
+        const now = Date.now();
+        const cookie = {
+            name,
+            value,
+            domain,
+            path,
+            hostOnly,
+            secure,
+            httpOnly: 'httponly' in attributes,
+            sameSite: attributes.samesite || '',
+            expires,
+            creationTime: existing ? existing.creationTime : now,
+            lastAccessTime: now
+        };
+        if (existing) {
+            this.cookies[index] = cookie;
+        } else {
+            this.cookies.push(cookie);
+        }
+
+        this.enforceLimits(domain);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * 超出数量限制时淘汰最久未使用的Cookie
+     * @param {string} domain - 刚写入Cookie的域
+     */
+    enforceLimits(domain) {
+        const byLastAccess = (a, b) => a.lastAccessTime - b.lastAccessTime;
+
+        const sameDomain = this.cookies.filter(cookie => cookie.domain === domain);
+        if (sameDomain.length > this.options.maxCookiesPerDomain) {
+            const evicted = new Set(sameDomain.sort(byLastAccess)
+                .slice(0, sameDomain.length - this.options.maxCookiesPerDomain));
+            this.cookies = this.cookies.filter(cookie => !evicted.has(cookie));
+        }
+
+        if (this.cookies.length > this.options.maxCookies) {
+            const evicted = new Set(this.cookies.slice().sort(byLastAccess)
+                .slice(0, this.cookies.length - this.options.maxCookies));
+            this.cookies = this.cookies.filter(cookie => !evicted.has(cookie));
+        }
+    }
+
+    /**
+     * 获取发往指定URL的Cookie
+     * @param {string} requestURL - 请求URL
+     * @returns {Array} Cookie列表（路径长的在前，同长度按创建时间）
+     */
+    getCookiesForURL(requestURL) {
+        let url;
+        try {
+            url = new URL(requestURL);
+        } catch (error) {
+            return [];
+        }
+
+        this.removeExpired();
+        const host = url.hostname.toLowerCase();
+        const now = Date.now();
+
+        const matched = this.cookies.filter(cookie =>
+            (cookie.hostOnly ? host === cookie.domain : domainMatches(host, cookie.domain)) &&
+            pathMatches(url.pathname || '/', cookie.path) &&
+            (!cookie.secure || url.protocol === 'https:'));
+
+        matched.forEach(cookie => { cookie.lastAccessTime = now; });
+
+        return matched.sort((a, b) => b.path.length - a.path.length || a.creationTime - b.creationTime);
+    }
+
+    /**
+     * 生成Cookie请求头
+     * @param {string} requestURL - 请求URL
+     * @returns {string} Cookie头的值，没有Cookie时为空字符串
+     */
+    getCookieHeader(requestURL) {
+        return this.getCookiesForURL(requestURL)
+            .map(cookie => `${cookie.name}=${cookie.value}`)
+            .join('; ');
+    }
+
+    /**
+     * 获取Cookie所属的站点（按可注册域名近似归组，如 www.example.com -> example.com）
+     * @param {string} domain - Cookie域
+     * @returns {string} 站点
+     */
+    getSiteKey(domain) {
+        if (isIPAddress(domain)) {
+            return domain;
+        }
+
+        const labels = domain.split('.');
+        if (labels.length <= 2) {
+            return domain;
+        }
+
+        // com.cn、co.uk 这类二级后缀保留三段
+        const secondLevel = labels[labels.length - 2];
+        const topLevel = labels[labels.length - 1];
+        const keep = topLevel.length === 2 && secondLevel.length <= 3 ? 3 : 2;
+        return labels.slice(-keep).join('.');
+    }
+
+    /**
+     * 获取保存了Cookie的站点列表
+     * @returns {Array<{site: string, count: number}>} 站点列表
+     */
+    getSites() {
+        this.removeExpired();
+        const counts = new Map();
+        for (const cookie of this.cookies) {
+            const site = this.getSiteKey(cookie.domain);
+            counts.set(site, (counts.get(site) || 0) + 1);
+        }
+        return Array.from(counts, ([site, count]) => ({ site, count }))
+            .sort((a, b) => a.site.localeCompare(b.site));
+    }
+
+    /**
+     * 获取站点的所有Cookie
+     * @param {string} site - 站点
+     * @returns {Array} Cookie副本列表
+     */
+    getCookies(site) {
+        this.removeExpired();
+        return this.cookies
+            .filter(cookie => this.getSiteKey(cookie.domain) === site)
+            .map(cookie => ({ ...cookie }));
+    }
+
+    /**
+     * 清除站点的所有Cookie
+     * @param {string} site - 站点
+     * @returns {number} 清除的数量
+     */
+    clearSite(site) {
+        const before = this.cookies.length;
+        this.cookies = this.cookies.filter(cookie => this.getSiteKey(cookie.domain) !== site);
+        const removed = before - this.cookies.length;
+        if (removed > 0) {
+            this.notifyChange();
+        }
+        return removed;
+    }
+
+    /**
+     * 清除全部Cookie
+     */
+    clearAll() {
+        this.cookies = [];
+        this.notifyChange();
+    }
+
+    /**
+     * 移除已过期的Cookie
+     */
+    removeExpired() {
+        const now = Date.now();
+        const before = this.cookies.length;
+        this.cookies = this.cookies.filter(cookie => cookie.expires === null || cookie.expires > now);
+        if (this.cookies.length !== before) {
+            this.save();
+        }
+    }
+
+    /**
+     * 设置Cookie变化回调
+     * @param {Function} callback - 回调函数
+     */
+    onChange(callback) {
+        this.changeCallback = callback;
+    }
+
+    /**
+     * 保存并通知Cookie变化
+     */
+    notifyChange() {
+        this.save();
+        if (this.changeCallback) {
+            this.changeCallback(this.getSites());
+        }
+    }
+}
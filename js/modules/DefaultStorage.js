@@ -0,0 +1,15 @@
+/**
+ * 默认存储 - 各模块在没有传入存储时使用的localStorage
+ */
+
+/**
+ * 获取默认存储
+ * @returns {Storage|null} localStorage，不可用时返回null
+ */
+export function getDefaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+        return null; // 隐私模式等情况下访问localStorage会抛出异常
+    }
+}
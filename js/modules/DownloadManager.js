@@ -2,11 +2,19 @@
  * 下载管理器 - 处理文件下载和进度管理
  */
 import { ErrorHandler } from './ErrorHandler.js';
+import { PageArchiver } from './PageArchiver.js';
 
 export class DownloadManager {
-    constructor(mobileManager) {
+    /**
+     * @param {MobileAdaptationManager} mobileManager - 移动设备适配管理器
+     * @param {ProxyService} proxyService - 代理服务（可选，用于跨域文件下载）
+     */
+    constructor(mobileManager, proxyService = null) {
         this.mobileManager = mobileManager;
+        this.proxyService = proxyService;
         this.errorHandler = new ErrorHandler();
+        this.pageArchiver = new PageArchiver(proxyService);
+        this.warcArchive = (proxyService && proxyService.warcArchive) || null; // 直接下载的文件也写入WARC捕获
         this.downloads = new Map(); // 存储下载任务
         this.progressCallbacks = [];
         this.errorCallbacks = [];
@@ -48,6 +56,7 @@ export class DownloadManager {
      * @param {string} url - 文件URL
      * @param {string} filename - 文件名
      * @param {Object} options - 下载选项
+     * @param {boolean} options.viaProxy - 通过代理服务下载（显示进度，不受跨域限制）
      * @returns {Promise<string>} 下载ID
      */
     async downloadMediaFile(url, filename, options = {}) {
@@ -84,6 +93,7 @@ export class DownloadManager {
      * @param {string} url - 文件URL
      * @param {string} filename - 文件名
      * @param {Object} options - 下载选项
+     * @param {boolean} options.viaProxy - 通过代理服务下载（显示进度，不受跨域限制）
      * @returns {Promise<string>} 下载ID
      */
     async downloadPDFFile(url, filename, options = {}) {
@@ -151,6 +161,79 @@ export class DownloadManager {
         }
     }
 
+    /**
+     * 保存网页为单个HTML文件（样式表、图片和字体内联，脚本移除）
+     * @param {string} url - 页面地址
+     * @param {string} filename - 文件名
+     * @param {Object} options - 下载选项
+     * @param {string} options.html - 页面HTML（如当前文档），未提供时通过代理获取原始页面
+     * @param {Function} options.onProgress - ({ completed, total, url }) => void，资源获取进度
+     * @returns {Promise<Object>} { downloadId, total, failed: [{ url, error }] }
+     */
+    async downloadPageArchive(url, filename, options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('下载管理器未初始化');
+        }
+
+        const downloadId = this.generateDownloadId();
+        const downloadTask = {
+            id: downloadId,
+            type: 'page',
+            url: url,
+            filename: this.ensureFileExtension(filename, '.html'),
+            status: 'pending',
+            progress: 0,
+            startTime: Date.now(),
+            retryCount: 0,
+            options: options
+        };
+
+        this.downloads.set(downloadId, downloadTask);
+
+        try {
+            const result = await this.executePageArchive(downloadTask);
+            return { downloadId, total: result.total, failed: result.failed };
+        } catch (error) {
+            this.updateDownloadStatus(downloadId, 'failed', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * 执行网页保存
+     * @param {Object} downloadTask - 下载任务
+     * @returns {Promise<Object>} PageArchiver.archive()的结果
+     */
+    async executePageArchive(downloadTask) {
+        this.updateDownloadStatus(downloadTask.id, 'downloading');
+
+        const html = downloadTask.options.html || await this.pageArchiver.fetchPage(downloadTask.url);
+        const result = await this.pageArchiver.archive(html, downloadTask.url, {
+            onProgress: (progress) => {
+                downloadTask.progress = Math.round((progress.completed / progress.total) * 100);
+                this.notifyProgressUpdate(downloadTask.id, {
+                    filename: downloadTask.filename,
+                    percentage: downloadTask.progress,
+                    progress: downloadTask.progress,
+                    loaded: progress.completed,
+                    total: progress.total,
+                    status: 'downloading'
+                });
+                if (downloadTask.options.onProgress) {
+                    downloadTask.options.onProgress(progress);
+                }
+            }
+        });
+
+        this.saveBlob(new Blob([result.html], { type: 'text/html;charset=utf-8' }), downloadTask.filename);
+
+        downloadTask.failedAssets = result.failed;
+        downloadTask.progress = 100;
+        this.updateDownloadStatus(downloadTask.id, 'completed');
+        this.notifyCompletion(downloadTask.id, downloadTask);
+        return result;
+    }
+
     /**
      * 队列下载任务
      * @param {Object} downloadTask - 下载任务
@@ -229,7 +312,14 @@ export class DownloadManager {
                 });
             };
 
-            if (deviceInfo.isIOS || deviceInfo.isAndroid) {
+            if (downloadTask.options.viaProxy && this.canUseProxy()) {
+                // 通过代理下载（例如页面本身是经代理加载的）
+                return await this.downloadFileViaProxy(
+                    downloadTask.url,
+                    downloadTask.filename,
+                    progressTracker
+                );
+            } else if (deviceInfo.isIOS || deviceInfo.isAndroid) {
                 // 移动设备下载
                 return await this.mobileManager.adaptDownloadForMobile(
                     downloadTask.url, 
@@ -238,21 +328,38 @@ export class DownloadManager {
                     progressTracker
                 );
             } else {
-                // 桌面设备下载
-                return await this.downloadFileWithProgress(
-                    downloadTask.url, 
-                    downloadTask.filename, 
-                    progressTracker
-                );
+                // 桌面设备下载，跨域被拒绝时改用代理
+                try {
+                    return await this.downloadFileWithProgress(
+                        downloadTask.url, 
+                        downloadTask.filename, 
+                        progressTracker
+                    );
+                } catch (error) {
+                    if (error.message !== '网络错误' || !this.canUseProxy()) {
+                        throw error;
+                    }
+                    console.warn('直接下载失败（可能被跨域限制），改用代理下载:', downloadTask.url);
+                    return await this.downloadFileViaProxy(
+                        downloadTask.url,
+                        downloadTask.filename,
+                        progressTracker
+                    );
+                }
             }
         };
 
         try {
-            return await this.errorHandler.handleNetworkError(
-                new Error('Download preparation'),
-                operationId,
-                downloadFunction
-            );
+            try {
+                return await downloadFunction();
+            } catch (downloadError) {
+                // 交给错误处理器判断是否可重试
+                return await this.errorHandler.handleNetworkError(
+                    downloadError,
+                    operationId,
+                    downloadFunction
+                );
+            }
         } catch (error) {
             // 处理移动设备特殊错误
             const deviceInfo = this.mobileManager.detectDeviceAndBrowser();
@@ -272,6 +379,7 @@ export class DownloadManager {
      * @param {Function} progressCallback - 进度回调
      */
     async downloadFileWithProgress(url, filename, progressCallback) {
+        const startTime = Date.now();
         return new Promise((resolve, reject) => {
             const xhr = new XMLHttpRequest();
             
@@ -288,6 +396,7 @@ export class DownloadManager {
             };
             
             xhr.onload = () => {
+                this.captureXHRResponse(url, xhr, startTime);
                 if (xhr.status === 200) {
                     const blob = xhr.response;
                     const url = URL.createObjectURL(blob);
@@ -313,6 +422,60 @@ export class DownloadManager {
         });
     }
 
+    /**
+     * 开启WARC捕获时，记录直接下载的请求和响应（代理下载由代理服务记录）
+     * @param {string} url - 文件URL
+     * @param {XMLHttpRequest} xhr - 已完成的请求
+     * @param {number} startTime - 开始时间戳
+     */
+    captureXHRResponse(url, xhr, startTime) {
+        if (!this.warcArchive || !this.warcArchive.isCapturing() || xhr.status < 200 || xhr.status > 599) {
+            return;
+        }
+
+        try {
+            const headers = new Headers();
+            xhr.getAllResponseHeaders().trim().split(/[\r\n]+/).forEach(line => {
+                const index = line.indexOf(':');
+                if (index > 0) {
+                    headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+                }
+            });
+            const body = [204, 205, 304].includes(xhr.status) ? null : xhr.response;
+            this.warcArchive.capture({
+                method: 'GET',
+                url,
+                response: new Response(body, { status: xhr.status, statusText: xhr.statusText, headers }),
+                startTime
+            });
+        } catch (error) {
+            console.warn('WARC捕获下载失败:', error.message);
+        }
+    }
+
+    /**
+     * 是否可以通过代理下载
+     * @returns {boolean} 代理服务是否可用
+     */
+    canUseProxy() {
+        return Boolean(this.proxyService && this.proxyService.isInitialized);
+    }
+
+    /**
+     * 通过代理服务以流的方式下载文件，边接收边报告进度
+     * @param {string} url - 文件URL
+     * @param {string} filename - 文件名
+     * @param {Function} progressCallback - 进度回调 (loaded, total)
+     */
+    async downloadFileViaProxy(url, filename, progressCallback) {
+        const response = await this.proxyService.proxyStream(url, {
+            onProgress: (loaded, total) => progressCallback(loaded, total || 0)
+        });
+
+        const blob = await response.blob();
+        this.saveBlob(blob, filename);
+    }
+
     /**
      * 执行文本下载
      * @param {Object} downloadTask - 下载任务
@@ -361,6 +524,31 @@ export class DownloadManager {
         }
     }
 
+    /**
+     * 将生成的文件（HAR、归档等）保存到本地
+     * @param {Blob} blob - 文件内容
+     * @param {string} filename - 文件名
+     */
+    saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const deviceInfo = this.mobileManager.detectDeviceAndBrowser();
+
+        if (deviceInfo.isIOS) {
+            // iOS不支持download属性，在新标签页中打开
+            window.open(url, '_blank');
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+            return;
+        }
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * 在新标签页显示内容（用于iOS设备）
      * @param {string} content - 内容
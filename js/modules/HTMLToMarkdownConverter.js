@@ -200,7 +200,8 @@ export class HTMLToMarkdownConverter {
                 return this.convertInlineCode(content);
                 
             case 'pre':
-                return this.convertCodeBlock(content);
+                // 代码块保留原始的换行和缩进
+                return this.convertCodeBlock(element.textContent);
                 
             case 'a':
                 return this.convertLink(element, content);
@@ -294,7 +295,8 @@ export class HTMLToMarkdownConverter {
      * @returns {string} Markdown代码块
      */
     convertCodeBlock(content) {
-        return `\n\`\`\`\n${content.trim()}\n\`\`\`\n\n`;
+        // 只去掉首尾的空行，保留第一行的缩进
+        return `\n\`\`\`\n${content.replace(/^\s*\n|\s+$/g, '')}\n\`\`\`\n\n`;
     }
 
     /**
@@ -438,14 +440,18 @@ export class HTMLToMarkdownConverter {
      * @returns {string} 清理后的Markdown
      */
     postProcessMarkdown(markdown) {
+        // 代码块（```包围的部分）原样保留
         return markdown
-            // 移除多余的空行
-            .replace(/\n{3,}/g, '\n\n')
-            // 清理行首行尾空白
-            .replace(/^[ \t]+|[ \t]+$/gm, '')
-            // 修复列表项间距
-            .replace(/(\n- .+)\n\n(\n- )/g, '$1\n$2')
-            .replace(/(\n\d+\. .+)\n\n(\n\d+\. )/g, '$1\n$2')
+            .split(/(\n```\n[\s\S]*?\n```\n)/)
+            .map((part, index) => index % 2 === 1 ? part : part
+                // 移除多余的空行
+                .replace(/\n{3,}/g, '\n\n')
+                // 清理行首行尾空白
+                .replace(/^[ \t]+|[ \t]+$/gm, '')
+                // 修复列表项间距
+                .replace(/(\n- .+)\n\n(\n- )/g, '$1\n$2')
+                .replace(/(\n\d+\. .+)\n\n(\n\d+\. )/g, '$1\n$2'))
+            .join('')
             // 清理首尾空白
             .trim();
     }
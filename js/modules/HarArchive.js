@@ -0,0 +1,361 @@
+/**
+ * HAR归档 - 录制代理请求/响应，或从HAR文件回放响应
+ * 格式遵循HAR 1.2，回放时按“方法 + URL”匹配，同一地址的多条记录按录制顺序依次返回
+ */
+
+import { APP_NAME, APP_VERSION } from './AppInfo.js';
+
+const DEFAULT_HAR_OPTIONS = {
+    maxBodySize: 10 * 1024 * 1024,   // 超过此大小的响应体不录制内容
+    maxEntries: 2000                 // 录制条目上限，超出时丢弃最早的条目
+};
+
+/**
+ * 可以作为文本保存的内容类型
+ */
+const TEXT_MIME_PATTERN = /^(text\/|application\/(json|javascript|xml|xhtml\+xml|ld\+json|x-www-form-urlencoded)|image\/svg\+xml)/i;
+
+/**
+ * 回放时不还原的响应头（响应体已解码，长度由Response重新计算）
+ */
+const REPLAY_SKIPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/**
+ * 合法的HTTP头名称（RFC 9110 token）；浏览器导出的HTTP/2记录中有 :status 这类伪头，Headers不接受
+ */
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * 把ArrayBuffer编码为base64
+ * @param {ArrayBuffer} buffer - 二进制数据
+ * @returns {string} base64字符串
+ */
+function encodeBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * 读取响应体，超过上限时立即停止读取（没有Content-Length的响应也不会整个缓冲）
+ * @param {Response} response - 响应
+ * @param {number} limit - 大小上限（字节）
+ * @returns {Promise<Uint8Array|null>} 响应体，超过上限时返回null
+ */
+async function readBodyWithLimit(response, limit) {
+    if (!response.body) {
+        return new Uint8Array(0);
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        size += value.byteLength;
+        if (size > limit) {
+            reader.cancel().catch(() => {});
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const body = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        body.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return body;
+}
+
+/**
+ * 把base64解码为Uint8Array
+ * @param {string} text - base64字符串
+ * @returns {Uint8Array} 二进制数据
+ */
+function decodeBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+export class HarArchive {
+    /**
+     * @param {Object} options - 选项，见DEFAULT_HAR_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_HAR_OPTIONS, ...options };
+        this.recordedEntries = [];
+        this.pendingRecords = new Set(); // 还在读取响应体的录制
+        this.replayIndex = new Map(); // "方法 URL" -> { entries, next }
+        this.replayEntryCount = 0;
+        this.replaySkippedCount = 0; // 无法回放的条目数，见load
+        this.stats = { replayHits: 0, replayMisses: 0 };
+    }
+
+    /**
+     * 生成匹配键（忽略URL片段）
+     * @param {string} method - 请求方法
+     * @param {string} url - 请求URL
+     * @returns {string} 匹配键
+     */
+    buildKey(method, url) {
+        return `${(method || 'GET').toUpperCase()} ${url.split('#')[0]}`;
+    }
+
+    /**
+     * 录制一次请求：条目立即按请求顺序加入，响应体在后台读取，流式读取照常进行
+     * @param {Object} exchange - 请求和响应
+     * @param {string} exchange.method - 请求方法
+     * @param {string} exchange.url - 目标URL
+     * @param {Object} exchange.requestHeaders - 实际发送的请求头
+     * @param {*} exchange.requestBody - 请求体
+     * @param {Response} exchange.response - 响应（会读取其克隆，不影响调用方）
+     * @param {number} exchange.startTime - 开始时间戳
+     * @param {string} exchange.serviceName - 使用的代理服务
+     * @returns {Promise<Object>} 读取完响应体的HAR条目
+     */
+    record({ method, url, requestHeaders = {}, requestBody, response, startTime, serviceName }) {
+        const time = Date.now() - startTime;
+        const mimeType = response.headers.get('content-type') || '';
+        const content = { size: 0, mimeType };
+
+        const entry = {
+            startedDateTime: new Date(startTime).toISOString(),
+            time,
+            request: {
+                method: (method || 'GET').toUpperCase(),
+                url,
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: Object.entries(requestHeaders).map(([name, value]) => ({ name, value: String(value) })),
+                queryString: this.parseQueryString(url),
+                headersSize: -1,
+                bodySize: typeof requestBody === 'string' ? requestBody.length : (requestBody ? -1 : 0)
+            },
+            response: {
+                status: response.status,
+                statusText: response.statusText || '',
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: Array.from(response.headers.entries()).map(([name, value]) => ({ name, value })),
+                content,
+                redirectURL: response.headers.get('location') || '',
+                headersSize: -1,
+                bodySize: 0
+            },
+            cache: {},
+            timings: { send: 0, wait: time, receive: 0 },
+            _proxyService: serviceName
+        };
+
+        if (typeof requestBody === 'string') {
+            entry.request.postData = {
+                mimeType: requestHeaders['Content-Type'] || requestHeaders['content-type'] || '',
+                text: requestBody
+            };
+        }
+
+        this.recordedEntries.push(entry);
+        if (this.recordedEntries.length > this.options.maxEntries) {
+            this.recordedEntries.shift();
+        }
+
+        if (response.status === 204 || response.status === 304) {
+            return Promise.resolve(entry);
+        }
+
+        // 声明的长度已超过上限时不读取响应体
+        const declaredLength = Number(response.headers.get('content-length'));
+        if (declaredLength > this.options.maxBodySize) {
+            content.size = declaredLength;
+            content.comment = '响应体过大，未录制';
+            entry.response.bodySize = declaredLength;
+            return Promise.resolve(entry);
+        }
+
+        // 先同步克隆，调用方随后读取原响应不受影响；超过上限时停止读取克隆
+        const pending = readBodyWithLimit(response.clone(), this.options.maxBodySize)
+            .then(body => {
+                if (!body) {
+                    // 没有声明长度，读到上限就停止，实际大小未知
+                    content.size = -1;
+                    content.comment = '响应体过大，未录制';
+                    entry.response.bodySize = -1;
+                    return;
+                }
+
+                content.size = body.byteLength;
+                entry.response.bodySize = body.byteLength;
+
+                if (TEXT_MIME_PATTERN.test(mimeType)) {
+                    content.text = new TextDecoder().decode(body);
+                } else {
+                    content.text = encodeBase64(body);
+                    content.encoding = 'base64';
+                }
+            })
+            .catch(error => {
+                content.comment = '响应体读取失败，未录制';
+                console.warn('HAR录制响应体失败:', url, error.message);
+            })
+            .then(() => {
+                this.pendingRecords.delete(pending);
+                return entry;
+            });
+        this.pendingRecords.add(pending);
+        return pending;
+    }
+
+    /**
+     * 解析URL查询参数为HAR格式
+     * @param {string} url - 请求URL
+     * @returns {Array} 查询参数列表
+     */
+    parseQueryString(url) {
+        try {
+            return Array.from(new URL(url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * 导出录制内容（等待还在读取的响应体）
+     * @param {string} version - 应用版本
+     * @returns {Promise<Object>} HAR对象
+     */
+    async toHAR(version = APP_VERSION) {
+        await Promise.all(Array.from(this.pendingRecords));
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: APP_NAME, version },
+                pages: [],
+                entries: this.recordedEntries.slice()
+            }
+        };
+    }
+
+    /**
+     * 加载用于回放的HAR
+     * 状态码不在200-599之间的条目（浏览器导出的被拦截或取消的请求状态为0）无法还原为Response，跳过并计数
+     * @param {Object|string} har - HAR对象或JSON文本
+     * @returns {number} 加载的条目数
+     */
+    load(har) {
+        const data = typeof har === 'string' ? JSON.parse(har) : har;
+        if (!data || !data.log || !Array.isArray(data.log.entries)) {
+            throw new Error('无效的HAR文件：缺少log.entries');
+        }
+
+        this.replayIndex.clear();
+        this.replayEntryCount = 0;
+        this.replaySkippedCount = 0;
+
+        for (const entry of data.log.entries) {
+            if (!entry.request || !entry.response || !entry.request.url) {
+                continue;
+            }
+            const status = entry.response.status;
+            if (!Number.isInteger(status) || status < 200 || status > 599) {
+                this.replaySkippedCount++;
+                continue;
+            }
+            const key = this.buildKey(entry.request.method, entry.request.url);
+            if (!this.replayIndex.has(key)) {
+                this.replayIndex.set(key, { entries: [], next: 0 });
+            }
+            this.replayIndex.get(key).entries.push(entry);
+            this.replayEntryCount++;
+        }
+
+        return this.replayEntryCount;
+    }
+
+    /**
+     * 是否已加载回放数据
+     * @returns {boolean} 是否已加载
+     */
+    hasReplay() {
+        return this.replayEntryCount > 0;
+    }
+
+    /**
+     * 查找录制的响应
+     * @param {string} method - 请求方法
+     * @param {string} url - 目标URL
+     * @returns {Response|null} 响应，没有录制时返回null
+     */
+    findResponse(method, url) {
+        const slot = this.replayIndex.get(this.buildKey(method, url));
+        if (!slot) {
+            this.stats.replayMisses++;
+            return null;
+        }
+
+        // 依次返回同一地址的记录，用完后重复最后一条
+        const entry = slot.entries[Math.min(slot.next, slot.entries.length - 1)];
+        slot.next++;
+        this.stats.replayHits++;
+
+        return this.toResponse(entry, method);
+    }
+
+    /**
+     * 将HAR条目还原为Response
+     * @param {Object} entry - HAR条目
+     * @param {string} method - 请求方法
+     * @returns {Response} 响应对象
+     */
+    toResponse(entry, method) {
+        const { status, statusText, headers = [], content = {} } = entry.response;
+        const responseHeaders = new Headers();
+        for (const { name, value } of headers) {
+            if (HEADER_NAME_PATTERN.test(name) && !REPLAY_SKIPPED_HEADERS.includes(name.toLowerCase())) {
+                responseHeaders.append(name, String(value));
+            }
+        }
+        responseHeaders.set('x-har-replay', 'HIT');
+
+        const hasBody = method.toUpperCase() !== 'HEAD' && ![101, 204, 205, 304].includes(status);
+        let body = null;
+        if (hasBody && typeof content.text === 'string') {
+            body = content.encoding === 'base64' ? decodeBase64(content.text) : content.text;
+        }
+
+        return new Response(body, { status, statusText, headers: responseHeaders });
+    }
+
+    /**
+     * 清空录制内容
+     */
+    clearRecording() {
+        this.recordedEntries = [];
+        this.pendingRecords.clear();
+    }
+
+    /**
+     * 获取统计信息
+     * @returns {Object} 统计信息
+     */
+    getStats() {
+        return {
+            recordedEntries: this.recordedEntries.length,
+            replayEntries: this.replayEntryCount,
+            replaySkipped: this.replaySkippedCount,
+            ...this.stats
+        };
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * 全局浏览历史 - 按网址记录标题、访问时间、访问次数和检测到的内容类型
+ * 与标签页的前进/后退记录（BrowserEngine.addToHistory）分开保存，关闭应用后仍然保留
+ */
+import { getDefaultStorage } from './DefaultStorage.js';
+
+const HISTORY_STORAGE_KEY = 'wbd.history';
+
+const DEFAULT_HISTORY_OPTIONS = {
+    maxEntries: 2000,
+    maxVisitsPerEntry: 50 // 每个网址保存的访问时间条数，用于按时间范围删除
+};
+
+/**
+ * 内容类型及其显示名称（与下载按钮对应）
+ */
+export const HISTORY_CONTENT_TYPES = {
+    media: '音视频',
+    pdf: 'PDF',
+    text: '文本'
+};
+
+/**
+ * 解码网址中的百分号编码，便于搜索中文路径
+ * @param {string} url - 网址
+ * @returns {string} 解码后的网址，无法解码时返回原值
+ */
+function safeDecodeURI(url) {
+    try {
+        return decodeURI(url);
+    } catch (error) {
+        return url;
+    }
+}
+
+export class HistoryStore {
+    /**
+     * @param {Storage|null} storage - 持久化存储（默认为localStorage），为null时只保存在内存中
+     * @param {Object} options - 选项，见DEFAULT_HISTORY_OPTIONS
+     */
+    constructor(storage = getDefaultStorage(), options = {}) {
+        this.storage = storage;
+        this.options = { ...DEFAULT_HISTORY_OPTIONS, ...options };
+        this.entries = this.load();
+        this.changeCallback = null;
+    }
+
+    /**
+     * 从存储中读取历史记录
+     * @returns {Array} 历史记录列表
+     */
+    load() {
+        if (!this.storage) {
+            return [];
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(HISTORY_STORAGE_KEY));
+            if (Array.isArray(saved)) {
+                return saved.filter(entry => entry && entry.url && Array.isArray(entry.visits) && entry.visits.length > 0);
+            }
+        } catch (error) {
+            console.warn('历史记录读取失败:', error.message);
+        }
+
+        return [];
+    }
+
+    /**
+     * 保存历史记录
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('历史记录保存失败:', error.message);
+        }
+    }
+
+    /**
+     * 记录一次访问；只记录http(s)页面
+     * @param {string} url - 页面地址
+     * @param {Object} details - 页面信息
+     * @param {string} details.title - 页面标题
+     * @param {Object|null} details.detected - ContentDetector.summarizeDetectedContent()的结果
+     * @param {number} details.time - 访问时间（默认当前时间）
+     * @returns {Object|null} 历史记录，不记录时返回null
+     */
+    recordVisit(url, { title = '', detected = null, time = Date.now() } = {}) {
+        if (!/^https?:/i.test(url)) {
+            return null;
+        }
+
+        let entry = this.entries.find(candidate => candidate.url === url);
+        if (!entry) {
+            entry = { url, title: '', visitCount: 0, visits: [], contentTypes: [] };
+            this.entries.push(entry);
+        }
+
+        entry.visitCount++;
+        entry.visits.push(time);
+        entry.visits = entry.visits.slice(-this.options.maxVisitsPerEntry);
+        entry.lastVisit = time;
+        if (title) {
+            entry.title = title;
+        }
+        if (detected) {
+            entry.contentTypes = this.getContentTypes(detected);
+        }
+
+        // 超出上限时移除最久未访问的记录
+        if (this.entries.length > this.options.maxEntries) {
+            this.entries.sort((a, b) => b.lastVisit - a.lastVisit);
+            this.entries.length = this.options.maxEntries;
+        }
+
+        this.notifyChange();
+        return entry;
+    }
+
+    /**
+     * 根据检测结果摘要得到内容类型列表
+     * @param {Object} detected - ContentDetector.summarizeDetectedContent()的结果
+     * @returns {Array<string>} 内容类型（media、pdf、text）
+     */
+    getContentTypes(detected) {
+        return [
+            detected.hasMedia ? 'media' : null,
+            detected.hasPDF ? 'pdf' : null,
+            detected.hasText ? 'text' : null
+        ].filter(Boolean);
+    }
+
+    /**
+     * 获取历史记录（最近访问的在前）
+     * @param {Object} options - 选项
+     * @param {string} options.query - 搜索词，每个关键词都要出现在标题、地址或内容类型中
+     * @param {number} options.limit - 最多返回的条数
+     * @returns {Array<Object>} 历史记录副本列表
+     */
+    getEntries({ query = '', limit = Infinity } = {}) {
+        const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+
+        return this.entries
+            .filter(entry => {
+                if (terms.length === 0) {
+                    return true;
+                }
+                const typeNames = entry.contentTypes.map(type => `${type} ${HISTORY_CONTENT_TYPES[type]}`);
+                const text = `${entry.title} ${safeDecodeURI(entry.url)} ${typeNames.join(' ')}`.toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .sort((a, b) => b.lastVisit - a.lastVisit)
+            .slice(0, limit)
+            .map(entry => ({ ...entry, visits: entry.visits.slice(), contentTypes: entry.contentTypes.slice() }));
+    }
+
+    /**
+     * 删除时间范围内的访问；没有剩余访问的网址从历史中移除
+     * @param {number} from - 开始时间（含）
+     * @param {number} to - 结束时间（含，默认当前时间）
+     * @returns {number} 删除的访问次数
+     */
+    deleteRange(from, to = Date.now()) {
+        let removed = 0;
+
+        this.entries = this.entries.filter(entry => {
+            const kept = entry.visits.filter(time => time < from || time > to);
+            const count = entry.visits.length - kept.length;
+            if (count === 0) {
+                return true;
+            }
+
+            removed += count;
+            entry.visits = kept;
+            entry.visitCount = Math.max(kept.length, entry.visitCount - count);
+            entry.lastVisit = kept.length > 0 ? kept[kept.length - 1] : 0;
+            return kept.length > 0;
+        });
+
+        if (removed > 0) {
+            this.notifyChange();
+        }
+        return removed;
+    }
+
+    /**
+     * 删除一个网址的全部历史
+     * @param {string} url - 页面地址
+     * @returns {boolean} 是否删除
+     */
+    removeEntry(url) {
+        const before = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.url !== url);
+        if (this.entries.length === before) {
+            return false;
+        }
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * 清除全部历史
+     */
+    clear() {
+        this.entries = [];
+        this.notifyChange();
+    }
+
+    /**
+     * 设置历史变化回调
+     * @param {Function} callback - 回调函数
+     */
+    onChange(callback) {
+        this.changeCallback = callback;
+    }
+
+    /**
+     * 保存并通知历史变化
+     */
+    notifyChange() {
+        this.save();
+        if (this.changeCallback) {
+            this.changeCallback();
+        }
+    }
+}
+
@@ -0,0 +1,221 @@
+/**
+ * 地址栏 - 判断输入是网址还是搜索词，按搜索引擎模板生成搜索网址，
+ * 并从打开的标签页、书签和浏览历史中生成输入提示
+ */
+import { getDefaultStorage } from './DefaultStorage.js';
+
+const SEARCH_ENGINE_STORAGE_KEY = 'wbd.searchEngine';
+
+/**
+ * 预置的搜索引擎模板，%s会被替换为编码后的搜索词
+ */
+export const SEARCH_ENGINES = {
+    bing: 'https://www.bing.com/search?q=%s',
+    google: 'https://www.google.com/search?q=%s',
+    duckduckgo: 'https://duckduckgo.com/?q=%s',
+    baidu: 'https://www.baidu.com/s?wd=%s'
+};
+
+const DEFAULT_SEARCH_TEMPLATE = SEARCH_ENGINES.bing;
+
+// 同一网址出现在多个来源时保留优先级高的来源
+const SOURCE_PRIORITY = { tab: 3, bookmark: 2, history: 1 };
+
+/**
+ * 去掉网址的协议和www前缀，用于前缀匹配
+ * @param {string} url - 网址
+ * @returns {string} 简化的网址
+ */
+function stripScheme(url) {
+    return url.toLowerCase().replace(/^[a-z][a-z\d+.-]*:\/\//, '').replace(/^www\./, '');
+}
+
+export class Omnibox {
+    /**
+     * @param {Storage|null} storage - 持久化存储（默认为localStorage），为null时只保存在内存中
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+        this.searchTemplate = this.load();
+    }
+
+    /**
+     * 读取保存的搜索引擎模板
+     * @returns {string} 搜索引擎模板
+     */
+    load() {
+        if (!this.storage) {
+            return DEFAULT_SEARCH_TEMPLATE;
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(SEARCH_ENGINE_STORAGE_KEY));
+            if (saved && this.isValidTemplate(saved.template)) {
+                return saved.template;
+            }
+        } catch (error) {
+            console.warn('搜索引擎设置读取失败:', error.message);
+        }
+
+        return DEFAULT_SEARCH_TEMPLATE;
+    }
+
+    /**
+     * 保存搜索引擎模板
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(SEARCH_ENGINE_STORAGE_KEY, JSON.stringify({ template: this.searchTemplate }));
+        } catch (error) {
+            console.warn('搜索引擎设置保存失败:', error.message);
+        }
+    }
+
+    /**
+     * 检查搜索引擎模板：必须是http(s)网址并包含%s
+     * @param {string} template - 模板
+     * @returns {boolean} 是否有效
+     */
+    isValidTemplate(template) {
+        if (typeof template !== 'string' || !template.includes('%s')) {
+            return false;
+        }
+        try {
+            return ['http:', 'https:'].includes(new URL(template.replace('%s', 'test')).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * 获取当前的搜索引擎模板
+     * @returns {string} 模板
+     */
+    getSearchTemplate() {
+        return this.searchTemplate;
+    }
+
+    /**
+     * 获取当前模板对应的预置搜索引擎
+     * @returns {string} SEARCH_ENGINES中的名称，自定义模板时为'custom'
+     */
+    getSearchEngineName() {
+        const name = Object.keys(SEARCH_ENGINES).find(key => SEARCH_ENGINES[key] === this.searchTemplate);
+        return name || 'custom';
+    }
+
+    /**
+     * 设置搜索引擎模板
+     * @param {string} template - 模板，%s会被替换为搜索词
+     */
+    setSearchTemplate(template) {
+        const value = String(template || '').trim();
+        if (!this.isValidTemplate(value)) {
+            throw new Error('搜索网址模板必须是http(s)网址并包含%s');
+        }
+        this.searchTemplate = value;
+        this.save();
+    }
+
+    /**
+     * 生成搜索网址
+     * @param {string} query - 搜索词
+     * @returns {string} 搜索网址
+     */
+    buildSearchURL(query) {
+        return this.searchTemplate.replace('%s', encodeURIComponent(query.trim()));
+    }
+
+    /**
+     * 判断输入是否像网址（其余的输入作为搜索词）
+     * 带协议、localhost、IP地址，或主机名有字母后缀（如 example.com、例子.中国）时视为网址
+     * @param {string} input - 地址栏输入
+     * @returns {boolean} 是否像网址
+     */
+    isLikelyURL(input) {
+        const text = String(input).trim();
+        if (!text || /\s/.test(text)) {
+            return false;
+        }
+        if (/^[a-z][a-z\d+.-]*:\/\//i.test(text)) {
+            return true;
+        }
+
+        const host = text.split(/[/?#]/)[0].replace(/^[^@]*@/, '');
+        const hostname = host.replace(/:\d+$/, '');
+        if (/^localhost$/i.test(hostname) || /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || /^\[[\da-f:.]+\]$/i.test(hostname)) {
+            return true;
+        }
+
+        const labels = hostname.split('.');
+        const topLevel = labels[labels.length - 1];
+        return labels.length >= 2 &&
+            labels.every(label => /^[a-z\d\u00a1-\uffff-]+$/i.test(label)) &&
+            /^([a-z]{2,63}|xn--[a-z\d-]+|[\u00a1-\uffff]{2,})$/i.test(topLevel);
+    }
+
+    /**
+     * 生成地址栏输入提示
+     * 每个关键词都要出现在标题或网址中；网址前缀匹配、打开的标签页、书签和访问多的页面排在前面，
+     * 并附带一条搜索提示（输入不像网址时排在最前）
+     * @param {string} input - 地址栏输入
+     * @param {Object} sources - 提示来源
+     * @param {Array<Object>} sources.tabs - 打开的标签页 { id, title, url }
+     * @param {Array<Object>} sources.bookmarks - 书签 { title, url }
+     * @param {Array<Object>} sources.history - 浏览历史 { title, url, visitCount }
+     * @param {number} limit - 最多返回的条数
+     * @returns {Array<Object>} 提示 { type: 'tab'|'bookmark'|'history'|'search', title, url, tabId }
+     */
+    getSuggestions(input, { tabs = [], bookmarks = [], history = [] } = {}, limit = 8) {
+        const text = String(input).trim();
+        if (!text) {
+            return [];
+        }
+
+        const query = text.toLowerCase();
+        const terms = query.split(/\s+/);
+        const candidates = [
+            ...tabs.map(tab => ({ type: 'tab', title: tab.title, url: tab.url, tabId: tab.id })),
+            ...bookmarks.map(bookmark => ({ type: 'bookmark', title: bookmark.title, url: bookmark.url })),
+            ...history.map(entry => ({ type: 'history', title: entry.title, url: entry.url, visitCount: entry.visitCount }))
+        ];
+
+        const best = new Map();
+        candidates.forEach(candidate => {
+            if (!/^https?:/i.test(candidate.url || '')) {
+                return;
+            }
+            const title = (candidate.title || '').toLowerCase();
+            const haystack = `${title} ${candidate.url.toLowerCase()}`;
+            if (!terms.every(term => haystack.includes(term))) {
+                return;
+            }
+
+            let score = SOURCE_PRIORITY[candidate.type] * 10 + Math.min(candidate.visitCount || 0, 20);
+            if (stripScheme(candidate.url).startsWith(stripScheme(query))) {
+                score += 100;
+            } else if (title.startsWith(query)) {
+                score += 50;
+            }
+
+            const existing = best.get(candidate.url);
+            if (!existing || SOURCE_PRIORITY[candidate.type] > SOURCE_PRIORITY[existing.type]) {
+                best.set(candidate.url, { ...candidate, title: candidate.title || candidate.url, score });
+            } else {
+                existing.score = Math.max(existing.score, score);
+            }
+        });
+
+        const matches = Array.from(best.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit - 1)
+            .map(({ score, visitCount, ...suggestion }) => suggestion);
+
+        const search = { type: 'search', title: `搜索“${text}”`, url: this.buildSearchURL(text) };
+        return this.isLikelyURL(text) ? [...matches, search] : [search, ...matches];
+    }
+}
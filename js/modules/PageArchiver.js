@@ -0,0 +1,514 @@
+import { PageRewriter } from './PageRewriter.js';
+
+/**
+ * 网页存档 - 把页面保存为单个离线HTML文件
+ * 移除脚本，外链样式表内联为<style>，图片、图标和字体（CSS中的url()）内联为data URI；
+ * 无法获取的资源改为绝对地址并记录下来
+ */
+
+const DEFAULT_ARCHIVE_OPTIONS = {
+    maxConcurrent: 6, // 同时获取的资源数
+    maxAssetSize: 10 * 1024 * 1024, // 单个资源的大小上限，超过时不内联
+    maxImportDepth: 3 // @import嵌套的最大层数
+};
+
+// 响应没有给出类型时按扩展名判断
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    svg: 'image/svg+xml',
+    ico: 'image/x-icon',
+    bmp: 'image/bmp',
+    woff: 'font/woff',
+    woff2: 'font/woff2',
+    ttf: 'font/ttf',
+    otf: 'font/otf',
+    eot: 'application/vnd.ms-fontobject'
+};
+
+// 离线文件中没有意义的预加载类链接
+const REMOVED_LINK_RELS = ['preload', 'prefetch', 'modulepreload', 'preconnect', 'dns-prefetch', 'prerender'];
+
+// 保留为绝对地址、不内联的媒体资源（通常很大）
+const LINKED_MEDIA_SELECTOR = 'video[src], audio[src], video source[src], audio source[src], track[src], iframe[src], embed[src], object[data]';
+
+/**
+ * 把二进制数据编码为base64
+ * @param {ArrayBuffer} buffer - 数据
+ * @returns {string} base64文本
+ */
+function toBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    const chunkSize = 0x8000; // 分段转换，避免参数过多
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * 读取响应体，超过上限时立即停止读取（没有Content-Length的响应也不会整个缓冲）
+ * @param {Response} response - 响应
+ * @param {number} limit - 大小上限（字节）
+ * @returns {Promise<Uint8Array|null>} 响应体，超过上限时返回null
+ */
+async function readBodyWithLimit(response, limit) {
+    if (!response.body) {
+        return new Uint8Array(0);
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        size += value.byteLength;
+        if (size > limit) {
+            reader.cancel().catch(() => {});
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const body = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        body.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return body;
+}
+
+/**
+ * 对文本中所有匹配异步求替换值后替换
+ * @param {string} text - 原始文本
+ * @param {RegExp} pattern - 带g标志的正则表达式
+ * @param {Function} replacer - (match, ...groups) => Promise<string>
+ * @returns {Promise<string>} 替换后的文本
+ */
+async function replaceAsync(text, pattern, replacer) {
+    const matches = Array.from(text.matchAll(pattern));
+    const replacements = await Promise.all(matches.map(match => replacer(...match)));
+
+    let result = '';
+    let position = 0;
+    matches.forEach((match, index) => {
+        result += text.slice(position, match.index) + replacements[index];
+        position = match.index + match[0].length;
+    });
+    return result + text.slice(position);
+}
+
+export class PageArchiver {
+    /**
+     * @param {ProxyService|null} proxyService - 代理服务，可用时通过代理获取页面和资源（不受跨域限制）
+     * @param {Object} options - 选项，见DEFAULT_ARCHIVE_OPTIONS
+     */
+    constructor(proxyService = null, options = {}) {
+        this.proxyService = proxyService;
+        this.options = { ...DEFAULT_ARCHIVE_OPTIONS, ...options };
+        this.pageRewriter = new PageRewriter(proxyService);
+        this.warcArchive = (proxyService && proxyService.warcArchive) || null; // 不经过代理的资源请求也写入WARC捕获
+        this.activeRequests = 0;
+        this.waitingRequests = [];
+    }
+
+    /**
+     * 是否可以通过代理获取
+     * @returns {boolean} 代理服务是否可用
+     */
+    canUseProxy() {
+        return Boolean(this.proxyService && this.proxyService.isInitialized);
+    }
+
+    /**
+     * 通过代理获取页面的原始HTML
+     * @param {string} url - 页面地址
+     * @returns {Promise<string>} HTML
+     */
+    async fetchPage(url) {
+        if (!this.canUseProxy()) {
+            throw new Error('代理服务不可用，无法获取页面内容');
+        }
+
+        const response = await this.proxyService.proxyGet(url);
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType && !contentType.includes('html')) {
+            throw new Error(`只能保存HTML页面（内容类型: ${contentType}）`);
+        }
+        return response.text();
+    }
+
+    /**
+     * 生成单文件HTML存档
+     * @param {string} html - 页面HTML
+     * @param {string} pageURL - 页面地址，用于解析相对地址
+     * @param {Object} options - 选项
+     * @param {Function} options.onProgress - ({ completed, total, url }) => void，每个资源获取完成（或失败）时调用
+     * @returns {Promise<Object>} { html, total, failed: [{ url, error }] }
+     */
+    async archive(html, pageURL, { onProgress = null } = {}) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const context = { cache: new Map(), failed: [], completed: 0, total: 0, onProgress };
+
+        // 页面自带的<base>决定相对地址的解析基准，存档中不再需要
+        const existingBase = doc.querySelector('base[href]');
+        const baseURL = existingBase ? this.pageRewriter.resolve(existingBase.getAttribute('href'), pageURL) : pageURL;
+        doc.querySelectorAll('base').forEach(element => element.remove());
+
+        this.pageRewriter.removeActiveContent(doc);
+        this.resolveLinks(doc, baseURL);
+
+        const tasks = [];
+
+        doc.querySelectorAll('link[href]').forEach(link => {
+            const rel = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+            const url = this.pageRewriter.resolve(link.getAttribute('href'), baseURL);
+            if (rel.includes('stylesheet')) {
+                tasks.push(this.inlineStylesheet(doc, link, url, context));
+            } else if (rel.some(value => REMOVED_LINK_RELS.includes(value))) {
+                link.remove();
+            } else if (rel.includes('icon') || rel.includes('apple-touch-icon')) {
+                tasks.push(this.inlineAttribute(link, 'href', url, context));
+            } else {
+                link.setAttribute('href', url);
+            }
+        });
+
+        doc.querySelectorAll('style').forEach(style => {
+            tasks.push(this.inlineCSS(style.textContent, baseURL, context).then(css => {
+                style.textContent = css;
+            }));
+        });
+
+        doc.querySelectorAll('[style]').forEach(element => {
+            tasks.push(this.inlineCSS(element.getAttribute('style'), baseURL, context, { allowImport: false }).then(css => {
+                element.setAttribute('style', css);
+            }));
+        });
+
+        // <picture>中的<source>会绕过内联的<img>，离线时让<img>生效
+        doc.querySelectorAll('picture source').forEach(source => source.remove());
+
+        doc.querySelectorAll('img').forEach(img => {
+            const src = this.chooseImageSource(img);
+            img.removeAttribute('srcset');
+            img.removeAttribute('sizes');
+            img.removeAttribute('loading');
+            if (src) {
+                tasks.push(this.inlineAttribute(img, 'src', this.pageRewriter.resolve(src, baseURL), context));
+            }
+        });
+
+        doc.querySelectorAll('input[type="image"][src]').forEach(input => {
+            tasks.push(this.inlineAttribute(input, 'src', this.pageRewriter.resolve(input.getAttribute('src'), baseURL), context));
+        });
+
+        doc.querySelectorAll('video[poster]').forEach(video => {
+            tasks.push(this.inlineAttribute(video, 'poster', this.pageRewriter.resolve(video.getAttribute('poster'), baseURL), context));
+        });
+
+        await Promise.all(tasks);
+
+        this.setCharset(doc);
+        const savedAt = new Date().toISOString();
+        const comment = `<!-- 保存自 ${pageURL.replace(/--/g, '%2D%2D')}，时间 ${savedAt} -->`;
+
+        return {
+            html: `<!DOCTYPE html>\n${comment}\n${doc.documentElement.outerHTML}`,
+            total: context.total,
+            failed: context.failed
+        };
+    }
+
+    /**
+     * 把链接、表单和媒体地址解析为绝对地址（媒体不内联，离线打开时仍从原站加载）
+     * @param {Document} doc - 文档对象
+     * @param {string} baseURL - 基础URL
+     */
+    resolveLinks(doc, baseURL) {
+        const selectors = [
+            { selector: 'a[href], area[href]', attribute: 'href' },
+            { selector: 'form[action]', attribute: 'action' }
+        ];
+
+        for (const { selector, attribute } of selectors) {
+            doc.querySelectorAll(selector).forEach(element => {
+                const value = element.getAttribute(attribute);
+                if (value && !value.startsWith('#')) {
+                    element.setAttribute(attribute, this.pageRewriter.resolve(value, baseURL));
+                }
+            });
+        }
+
+        doc.querySelectorAll(LINKED_MEDIA_SELECTOR).forEach(element => {
+            const attribute = element.hasAttribute('src') ? 'src' : 'data';
+            element.setAttribute(attribute, this.pageRewriter.resolve(element.getAttribute(attribute), baseURL));
+        });
+    }
+
+    /**
+     * 选择图片地址：懒加载图片使用data-src，只有srcset时使用最后（通常是最大）的候选
+     * @param {HTMLImageElement} img - 图片元素
+     * @returns {string} 图片地址，没有时返回空字符串
+     */
+    chooseImageSource(img) {
+        const src = img.getAttribute('src') || '';
+        const lazySrc = img.getAttribute('data-src') || img.getAttribute('data-original') || '';
+        if (lazySrc && (!src || src.startsWith('data:'))) {
+            return lazySrc;
+        }
+        if (src) {
+            return src;
+        }
+
+        const candidates = (img.getAttribute('srcset') || '').split(',')
+            .map(candidate => candidate.trim().split(/\s+/)[0])
+            .filter(Boolean);
+        return candidates.length > 0 ? candidates[candidates.length - 1] : '';
+    }
+
+    /**
+     * 确保存档声明UTF-8编码（内容已经是解码后的文本）
+     * @param {Document} doc - 文档对象
+     */
+    setCharset(doc) {
+        doc.querySelectorAll('meta[charset], meta[http-equiv]').forEach(meta => {
+            if (meta.hasAttribute('charset') || (meta.getAttribute('http-equiv') || '').toLowerCase() === 'content-type') {
+                meta.remove();
+            }
+        });
+
+        const meta = doc.createElement('meta');
+        meta.setAttribute('charset', 'utf-8');
+        doc.head.insertBefore(meta, doc.head.firstChild);
+    }
+
+    /**
+     * 取回外链样式表，内联其中的资源后替换为<style>
+     * @param {Document} doc - 文档对象
+     * @param {HTMLLinkElement} link - 样式表链接
+     * @param {string} url - 样式表地址
+     * @param {Object} context - 存档上下文
+     */
+    async inlineStylesheet(doc, link, url, context) {
+        const css = await this.fetchStylesheet(url, context);
+        if (css === null) {
+            link.setAttribute('href', url);
+            return;
+        }
+
+        const style = doc.createElement('style');
+        style.setAttribute('data-original-href', url);
+        if (link.getAttribute('media')) {
+            style.setAttribute('media', link.getAttribute('media'));
+        }
+        style.textContent = await this.inlineCSS(css, url, context);
+        link.replaceWith(style);
+    }
+
+    /**
+     * 把元素属性中的资源地址替换为data URI，失败时改为绝对地址
+     * @param {Element} element - 元素
+     * @param {string} attribute - 属性名
+     * @param {string} url - 资源地址
+     * @param {Object} context - 存档上下文
+     */
+    async inlineAttribute(element, attribute, url, context) {
+        const dataURI = await this.fetchDataURI(url, context);
+        element.setAttribute(attribute, dataURI || url);
+    }
+
+    /**
+     * 内联CSS中的@import和url()
+     * @param {string} css - CSS文本
+     * @param {string} baseURL - 样式表自身的地址
+     * @param {Object} context - 存档上下文
+     * @param {Object} options - 选项
+     * @param {boolean} options.allowImport - 是否处理@import（style属性中没有@import）
+     * @param {number} options.depth - 当前@import嵌套层数
+     * @returns {Promise<string>} 内联后的CSS
+     */
+    async inlineCSS(css, baseURL, context, { allowImport = true, depth = 0 } = {}) {
+        if (!css) {
+            return css;
+        }
+
+        let result = css;
+        if (allowImport) {
+            result = await replaceAsync(result, /@import\s+(?:url\(\s*(['"]?)([^'")]+)\1\s*\)|(['"])([^'"]+)\3)\s*([^;]*);/gi,
+                async (match, quote, urlValue, quote2, stringValue, media) => {
+                    const url = this.pageRewriter.resolve((urlValue || stringValue).trim(), baseURL);
+                    const imported = depth < this.options.maxImportDepth ? await this.fetchStylesheet(url, context) : null;
+                    if (imported === null) {
+                        return `@import url("${url}")${media ? ' ' + media : ''};`;
+                    }
+                    const inlined = await this.inlineCSS(imported, url, context, { depth: depth + 1 });
+                    return media.trim() ? `@media ${media.trim()} {\n${inlined}\n}` : inlined;
+                });
+        }
+
+        return replaceAsync(result, /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, async (match, quote, value) => {
+            const trimmed = value.trim();
+            // data URI和SVG内部引用（#id）保持不变
+            if (/^(data:|#)/i.test(trimmed)) {
+                return match;
+            }
+            const url = this.pageRewriter.resolve(trimmed, baseURL);
+            const dataURI = await this.fetchDataURI(url, context);
+            return `url("${dataURI || url}")`;
+        });
+    }
+
+    /**
+     * 获取样式表文本，失败时记录并返回null
+     * @param {string} url - 样式表地址
+     * @param {Object} context - 存档上下文
+     * @returns {Promise<string|null>} CSS文本
+     */
+    async fetchStylesheet(url, context) {
+        const key = `css ${url}`;
+        if (!context.cache.has(key)) {
+            context.cache.set(key, this.trackAsset(url, context, async () => {
+                const response = await this.fetchAsset(url);
+                // 内联后@charset不再有效
+                return (await response.text()).replace(/^\ufeff?@charset\s+[^;]+;/i, '');
+            }));
+        }
+        return context.cache.get(key);
+    }
+
+    /**
+     * 获取资源并编码为data URI，失败时记录并返回null
+     * @param {string} url - 资源地址
+     * @param {Object} context - 存档上下文
+     * @returns {Promise<string|null>} data URI
+     */
+    async fetchDataURI(url, context) {
+        if (/^data:/i.test(url)) {
+            return url;
+        }
+
+        const key = `data ${url}`;
+        if (!context.cache.has(key)) {
+            context.cache.set(key, this.trackAsset(url, context, async () => {
+                const response = await this.fetchAsset(url, { binary: true });
+                const limit = this.options.maxAssetSize;
+
+                // 声明的长度已超过上限时不读取响应体
+                const declaredLength = parseInt(response.headers.get('content-length'), 10);
+                if (declaredLength > limit) {
+                    if (response.body) {
+                        response.body.cancel().catch(() => {});
+                    }
+                    throw new Error(`文件过大（${Math.round(declaredLength / 1024 / 1024)}MB）`);
+                }
+
+                const body = await readBodyWithLimit(response, limit);
+                if (!body) {
+                    throw new Error(`文件过大（超过${Math.round(limit / 1024 / 1024)}MB）`);
+                }
+                return `data:${this.getMimeType(response, url)};base64,${toBase64(body)}`;
+            }));
+        }
+        return context.cache.get(key);
+    }
+
+    /**
+     * 统计资源获取进度，失败时记录到存档上下文
+     * @param {string} url - 资源地址
+     * @param {Object} context - 存档上下文
+     * @param {Function} task - 获取资源的函数
+     * @returns {Promise<*>} 获取结果，失败时为null
+     */
+    async trackAsset(url, context, task) {
+        context.total++;
+        let result = null;
+
+        try {
+            if (!/^https?:/i.test(url)) {
+                throw new Error('不支持的地址');
+            }
+            result = await this.runLimited(task);
+        } catch (error) {
+            context.failed.push({ url, error: error.message });
+        }
+
+        context.completed++;
+        if (context.onProgress) {
+            context.onProgress({ completed: context.completed, total: context.total, url });
+        }
+        return result;
+    }
+
+    /**
+     * 限制同时进行的请求数
+     * @param {Function} task - 异步任务
+     * @returns {Promise<*>} 任务结果
+     */
+    async runLimited(task) {
+        while (this.activeRequests >= this.options.maxConcurrent) {
+            await new Promise(resolve => this.waitingRequests.push(resolve));
+        }
+
+        this.activeRequests++;
+        try {
+            return await task();
+        } finally {
+            this.activeRequests--;
+            const next = this.waitingRequests.shift();
+            if (next) {
+                next();
+            }
+        }
+    }
+
+    /**
+     * 获取资源：代理可用时通过代理（二进制资源使用原样转发的代理服务），否则直接请求
+     * @param {string} url - 资源地址
+     * @param {Object} options - 选项
+     * @param {boolean} options.binary - 是否为二进制资源
+     * @returns {Promise<Response>} 响应
+     */
+    async fetchAsset(url, { binary = false } = {}) {
+        let response;
+        if (this.canUseProxy()) {
+            response = binary ? await this.proxyService.proxyStream(url) : await this.proxyService.proxyGet(url);
+        } else {
+            const startTime = Date.now();
+            response = await fetch(url);
+            if (this.warcArchive) {
+                this.warcArchive.capture({ url, response, startTime });
+            }
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response;
+    }
+
+    /**
+     * 判断资源的MIME类型
+     * @param {Response} response - 响应
+     * @param {string} url - 资源地址
+     * @returns {string} MIME类型
+     */
+    getMimeType(response, url) {
+        const contentType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+        if (contentType && contentType !== 'application/octet-stream' && contentType !== 'text/plain') {
+            return contentType;
+        }
+
+        const extension = (new URL(url).pathname.split('.').pop() || '').toLowerCase();
+        return MIME_TYPES[extension] || contentType || 'application/octet-stream';
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * 页内查找 - 在可访问的页面文档（同源页面或代理渲染的页面）中高亮所有匹配并在匹配之间跳转
+ * 匹配以<mark>包裹文本实现，不跨越元素边界；清除时还原原来的文本节点
+ */
+
+const MATCH_CLASS = 'wbd-find-match';
+const CURRENT_CLASS = 'wbd-find-current';
+const STYLE_ID = 'wbd-find-style';
+const MAX_MATCHES = 1000; // 匹配过多时只高亮前面的部分，避免页面卡顿
+
+// 不搜索这些元素中的文本
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'IFRAME', 'SVG']);
+
+/**
+ * 转义正则表达式中的特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class PageFinder {
+    constructor() {
+        this.document = null;
+        this.matches = [];
+        this.currentIndex = -1;
+        this.truncated = false;
+    }
+
+    /**
+     * 生成查找用的正则表达式
+     * @param {string} query - 查找内容
+     * @param {Object} options - 选项
+     * @param {boolean} options.caseSensitive - 区分大小写
+     * @param {boolean} options.regex - 把查找内容当作正则表达式
+     * @returns {RegExp} 正则表达式
+     */
+    buildPattern(query, { caseSensitive = false, regex = false } = {}) {
+        const flags = caseSensitive ? 'g' : 'gi';
+        try {
+            return new RegExp(regex ? query : escapeRegExp(query), flags);
+        } catch (error) {
+            throw new Error(`正则表达式无效: ${error.message}`);
+        }
+    }
+
+    /**
+     * 在文档中查找并高亮所有匹配，然后选中第一个
+     * @param {Document} doc - 页面文档
+     * @param {string} query - 查找内容
+     * @param {Object} options - 选项，见buildPattern
+     * @returns {Object} { current, total, truncated } current从0开始，没有匹配时为-1
+     */
+    find(doc, query, options = {}) {
+        this.clear();
+        if (!doc || !doc.body || !query) {
+            return this.getStatus();
+        }
+
+        const pattern = this.buildPattern(query, options);
+        this.document = doc;
+
+        // 先收集文本节点，再逐个包裹，避免边遍历边修改
+        const textNodes = [];
+        const collect = (node) => {
+            Array.from(node.childNodes).forEach(child => {
+                if (child.nodeType === 3) {
+                    if (child.data.trim()) {
+                        textNodes.push(child);
+                    }
+                } else if (child.nodeType === 1 && !SKIPPED_TAGS.has(child.tagName.toUpperCase())) {
+                    collect(child);
+                }
+            });
+        };
+        collect(doc.body);
+
+        for (const textNode of textNodes) {
+            const ranges = [];
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(textNode.data)) !== null) {
+                if (match[0].length === 0) {
+                    // 空匹配（如 a* ）不高亮，继续向后查找
+                    pattern.lastIndex++;
+                    continue;
+                }
+                ranges.push([match.index, match.index + match[0].length]);
+            }
+
+            const remaining = MAX_MATCHES - this.matches.length;
+            if (ranges.length > remaining) {
+                ranges.length = remaining;
+                this.truncated = true;
+            }
+            this.matches.push(...this.wrapRanges(textNode, ranges));
+            if (this.truncated) {
+                break;
+            }
+        }
+
+        if (this.matches.length > 0) {
+            this.injectStyle(doc);
+            this.select(0);
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * 用<mark>包裹文本节点中的匹配：把文本节点替换为普通文本和<mark>交替的片段
+     * @param {Text} textNode - 文本节点
+     * @param {Array<Array<number>>} ranges - 匹配的 [开始, 结束] 位置（按顺序）
+     * @returns {Array<HTMLElement>} 按文档顺序的<mark>元素
+     */
+    wrapRanges(textNode, ranges) {
+        if (ranges.length === 0) {
+            return [];
+        }
+
+        const doc = textNode.ownerDocument;
+        const text = textNode.data;
+        const fragment = doc.createDocumentFragment();
+        const marks = [];
+        let position = 0;
+
+        ranges.forEach(([start, end]) => {
+            if (start > position) {
+                fragment.appendChild(doc.createTextNode(text.slice(position, start)));
+            }
+            const mark = doc.createElement('mark');
+            mark.className = MATCH_CLASS;
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            marks.push(mark);
+            position = end;
+        });
+        if (position < text.length) {
+            fragment.appendChild(doc.createTextNode(text.slice(position)));
+        }
+
+        textNode.parentNode.replaceChild(fragment, textNode);
+        return marks;
+    }
+
+    /**
+     * 在页面中加入高亮样式
+     * @param {Document} doc - 页面文档
+     */
+    injectStyle(doc) {
+        if (doc.getElementById(STYLE_ID)) {
+            return;
+        }
+        const style = doc.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = `mark.${MATCH_CLASS} { background: #ffeb3b; color: inherit; padding: 0; }` +
+            `mark.${CURRENT_CLASS} { background: #ff9632; outline: 2px solid #ff9632; }`;
+        (doc.head || doc.body).appendChild(style);
+    }
+
+    /**
+     * 选中一个匹配并滚动到该位置
+     * @param {number} index - 匹配序号
+     */
+    select(index) {
+        if (this.matches.length === 0) {
+            return;
+        }
+
+        const previous = this.matches[this.currentIndex];
+        if (previous) {
+            previous.classList.remove(CURRENT_CLASS);
+        }
+
+        this.currentIndex = (index + this.matches.length) % this.matches.length;
+        const current = this.matches[this.currentIndex];
+        current.classList.add(CURRENT_CLASS);
+        if (typeof current.scrollIntoView === 'function') {
+            current.scrollIntoView({ block: 'center', inline: 'nearest' });
+        }
+    }
+
+    /**
+     * 跳到下一个匹配（到末尾后回到第一个）
+     * @returns {Object} 查找状态，见getStatus
+     */
+    next() {
+        this.select(this.currentIndex + 1);
+        return this.getStatus();
+    }
+
+    /**
+     * 跳到上一个匹配（到开头后回到最后一个）
+     * @returns {Object} 查找状态，见getStatus
+     */
+    previous() {
+        this.select(this.currentIndex - 1);
+        return this.getStatus();
+    }
+
+    /**
+     * 获取查找状态
+     * @returns {Object} { current, total, truncated }
+     */
+    getStatus() {
+        return {
+            current: this.currentIndex,
+            total: this.matches.length,
+            truncated: this.truncated
+        };
+    }
+
+    /**
+     * 清除高亮，还原页面文本
+     */
+    clear() {
+        const parents = new Set();
+        this.matches.forEach(mark => {
+            const parent = mark.parentNode;
+            if (!parent) {
+                return; // 页面已经改变
+            }
+            while (mark.firstChild) {
+                parent.insertBefore(mark.firstChild, mark);
+            }
+            parent.removeChild(mark);
+            parents.add(parent);
+        });
+        parents.forEach(parent => parent.normalize());
+
+        if (this.document) {
+            const style = this.document.getElementById(STYLE_ID);
+            if (style) {
+                style.remove();
+            }
+        }
+
+        this.document = null;
+        this.matches = [];
+        this.currentIndex = -1;
+        this.truncated = false;
+    }
+}
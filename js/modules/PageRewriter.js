@@ -0,0 +1,249 @@
+/**
+ * 页面重写器 - 让通过代理加载的页面继续经过代理获取资源
+ * 注入<base>，把href/src/srcset/url()改写为代理地址，外链样式表取回后内联
+ */
+
+/**
+ * 需要经过代理加载的资源属性
+ */
+const RESOURCE_ATTRIBUTES = [
+    { selector: 'img[src], source[src], video[src], audio[src], track[src], embed[src], input[type="image"][src]', attribute: 'src' },
+    { selector: 'video[poster]', attribute: 'poster' },
+    { selector: 'object[data]', attribute: 'data' },
+    { selector: 'link[href]:not([rel~="stylesheet"])', attribute: 'href' }
+];
+
+/**
+ * 只需要解析为绝对地址的导航属性（点击时由BrowserEngine拦截）
+ */
+const NAVIGATION_ATTRIBUTES = [
+    { selector: 'a[href], area[href]', attribute: 'href' },
+    { selector: 'form[action]', attribute: 'action' },
+    { selector: 'iframe[src], frame[src]', attribute: 'src' }
+];
+
+export class PageRewriter {
+    /**
+     * @param {ProxyService} proxyService - 代理服务
+     * @param {Object} options - 选项
+     * @param {number} options.maxStylesheets - 最多内联的外链样式表数量
+     */
+    constructor(proxyService, options = {}) {
+        this.proxyService = proxyService;
+        this.maxStylesheets = options.maxStylesheets || 20;
+    }
+
+    /**
+     * 重写通过代理获取的HTML文档
+     * @param {string} html - 原始HTML
+     * @param {string} pageURL - 页面的原始URL
+     * @returns {Promise<string>} 重写后的HTML
+     */
+    async rewriteHTML(html, pageURL) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+
+        // 页面自带的<base>决定相对地址的解析基准
+        const existingBase = doc.querySelector('base[href]');
+        const baseURL = existingBase ? this.resolve(existingBase.getAttribute('href'), pageURL) : pageURL;
+        doc.querySelectorAll('base').forEach(element => element.remove());
+
+        this.removeActiveContent(doc);
+        this.injectBase(doc, baseURL);
+
+        for (const { selector, attribute } of RESOURCE_ATTRIBUTES) {
+            doc.querySelectorAll(selector).forEach(element => {
+                element.setAttribute(attribute, this.toProxyURL(element.getAttribute(attribute), baseURL));
+            });
+        }
+
+        doc.querySelectorAll('img[srcset], source[srcset]').forEach(element => {
+            element.setAttribute('srcset', this.rewriteSrcset(element.getAttribute('srcset'), baseURL));
+        });
+
+        for (const { selector, attribute } of NAVIGATION_ATTRIBUTES) {
+            doc.querySelectorAll(selector).forEach(element => {
+                const value = element.getAttribute(attribute);
+                if (value && !value.startsWith('#')) {
+                    element.setAttribute(attribute, this.resolve(value, baseURL));
+                }
+            });
+        }
+
+        doc.querySelectorAll('style').forEach(style => {
+            style.textContent = this.rewriteCSS(style.textContent, baseURL);
+        });
+
+        doc.querySelectorAll('[style]').forEach(element => {
+            element.setAttribute('style', this.rewriteCSS(element.getAttribute('style'), baseURL));
+        });
+
+        await this.inlineStylesheets(doc, baseURL);
+
+        return '<!DOCTYPE html>\n' + doc.documentElement.outerHTML;
+    }
+
+    /**
+     * 移除脚本、事件处理器、刷新跳转等会离开应用或执行代码的内容
+     * @param {Document} doc - 文档对象
+     */
+    removeActiveContent(doc) {
+        doc.querySelectorAll('script, meta[http-equiv]').forEach(element => {
+            const httpEquiv = (element.getAttribute('http-equiv') || '').toLowerCase();
+            if (element.tagName === 'SCRIPT' || httpEquiv === 'refresh' || httpEquiv === 'content-security-policy') {
+                element.remove();
+            }
+        });
+
+        // 脚本被移除后，<noscript>中的内容才是页面的实际表现
+        doc.querySelectorAll('noscript').forEach(element => {
+            element.replaceWith(...Array.from(element.childNodes));
+        });
+
+        doc.querySelectorAll('*').forEach(element => {
+            for (const attribute of Array.from(element.attributes)) {
+                const name = attribute.name.toLowerCase();
+                const value = attribute.value.trim().toLowerCase();
+                if (name.startsWith('on') || value.startsWith('javascript:')) {
+                    element.removeAttribute(attribute.name);
+                }
+            }
+        });
+    }
+
+    /**
+     * 在<head>开头注入<base>
+     * @param {Document} doc - 文档对象
+     * @param {string} baseURL - 基础URL
+     */
+    injectBase(doc, baseURL) {
+        const base = doc.createElement('base');
+        base.setAttribute('href', baseURL);
+        doc.head.insertBefore(base, doc.head.firstChild);
+    }
+
+    /**
+     * 取回外链样式表，重写其中的url()后内联为<style>
+     * @param {Document} doc - 文档对象
+     * @param {string} baseURL - 基础URL
+     */
+    async inlineStylesheets(doc, baseURL) {
+        const links = Array.from(doc.querySelectorAll('link[rel~="stylesheet"][href]'));
+
+        await Promise.all(links.map(async (link, index) => {
+            const cssURL = this.resolve(link.getAttribute('href'), baseURL);
+
+            if (index >= this.maxStylesheets) {
+                link.setAttribute('href', this.toProxyURL(cssURL, baseURL));
+                return;
+            }
+
+            try {
+                const response = await this.proxyService.proxyGet(cssURL);
+                const style = doc.createElement('style');
+                style.setAttribute('data-original-href', cssURL);
+                if (link.getAttribute('media')) {
+                    style.setAttribute('media', link.getAttribute('media'));
+                }
+                style.textContent = this.rewriteCSS(await response.text(), cssURL);
+                link.replaceWith(style);
+            } catch (error) {
+                console.warn('样式表内联失败，改为直接经代理加载:', cssURL, error.message);
+                link.setAttribute('href', this.toProxyURL(cssURL, baseURL));
+            }
+        }));
+    }
+
+    /**
+     * 重写CSS中的url()和@import
+     * @param {string} css - CSS文本
+     * @param {string} baseURL - 样式表自身的URL
+     * @returns {string} 重写后的CSS
+     */
+    rewriteCSS(css, baseURL) {
+        if (!css) {
+            return css;
+        }
+
+        return css
+            .replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, url) =>
+                `url("${this.toProxyURL(url.trim(), baseURL)}")`)
+            .replace(/@import\s+(['"])([^'"]+)\1/gi, (match, quote, url) =>
+                `@import url("${this.toProxyURL(url, baseURL)}")`);
+    }
+
+    /**
+     * 重写srcset属性中的每个候选地址
+     * @param {string} srcset - srcset属性值
+     * @param {string} baseURL - 基础URL
+     * @returns {string} 重写后的srcset
+     */
+    rewriteSrcset(srcset, baseURL) {
+        const candidates = [];
+        let position = 0;
+
+        while (position < srcset.length) {
+            // 跳过分隔的空白和逗号
+            while (position < srcset.length && /[\s,]/.test(srcset[position])) {
+                position++;
+            }
+            if (position >= srcset.length) {
+                break;
+            }
+
+            let end = position;
+            while (end < srcset.length && !/\s/.test(srcset[end])) {
+                end++;
+            }
+            let url = srcset.slice(position, end);
+            let descriptor = '';
+            position = end;
+
+            // URL以逗号结尾表示没有描述符
+            if (url.endsWith(',')) {
+                url = url.replace(/,+$/, '');
+            } else {
+                const nextComma = srcset.indexOf(',', position);
+                const descriptorEnd = nextComma === -1 ? srcset.length : nextComma;
+                descriptor = srcset.slice(position, descriptorEnd).trim();
+                position = descriptorEnd + 1;
+            }
+
+            candidates.push(descriptor ? `${this.toProxyURL(url, baseURL)} ${descriptor}` : this.toProxyURL(url, baseURL));
+        }
+
+        return candidates.join(', ');
+    }
+
+    /**
+     * 把资源地址改写为代理地址
+     * @param {string} url - 原始地址（可以是相对地址）
+     * @param {string} baseURL - 基础URL
+     * @returns {string} 代理地址；data:/blob:等地址或没有可用代理时返回原地址
+     */
+    toProxyURL(url, baseURL) {
+        if (!url) {
+            return url;
+        }
+
+        const absolute = this.resolve(url, baseURL);
+        if (!/^https?:/i.test(absolute)) {
+            return url;
+        }
+
+        return this.proxyService.buildResourceProxyURL(absolute) || absolute;
+    }
+
+    /**
+     * 解析相对URL为绝对URL
+     * @param {string} url - 相对或绝对URL
+     * @param {string} baseURL - 基础URL
+     * @returns {string} 绝对URL
+     */
+    resolve(url, baseURL) {
+        try {
+            return new URL(url, baseURL).href;
+        } catch (error) {
+            return url; // 如果解析失败，返回原URL
+        }
+    }
+}
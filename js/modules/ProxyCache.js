@@ -0,0 +1,570 @@
+/**
+ * 代理响应缓存 - 内存 + IndexedDB 两级HTTP缓存
+ * 遵循Cache-Control/Expires，过期后使用ETag/Last-Modified条件请求重新验证
+ */
+
+const DB_NAME = 'wbd-proxy-cache';
+const DB_VERSION = 2;
+const STORE_NAME = 'responses';
+const LRU_INDEX = 'lru'; // [accessedAt, size]，淘汰时只读取索引，不加载响应体
+
+const DEFAULT_CACHE_OPTIONS = {
+    defaultTTL: 5 * 60 * 1000,          // 没有缓存头时的默认有效期
+    maxTTL: 24 * 60 * 60 * 1000,        // 最长有效期
+    maxMemoryEntries: 100,
+    maxMemoryBytes: 20 * 1024 * 1024,
+    maxEntrySize: 5 * 1024 * 1024,      // 超过此大小的响应不缓存
+    maxPersistentEntries: 1000,
+    maxPersistentBytes: 100 * 1024 * 1024,
+    persistent: true                    // 是否使用IndexedDB持久化
+};
+
+/**
+ * 解析Cache-Control头
+ * @param {string|null} header - Cache-Control头的值
+ * @returns {Object} 指令表，如 { 'max-age': 60, 'no-cache': true }
+ */
+export function parseCacheControl(header) {
+    const directives = {};
+    if (!header) {
+        return directives;
+    }
+
+    for (const part of header.split(',')) {
+        const [rawName, rawValue] = part.split('=');
+        const name = rawName.trim().toLowerCase();
+        if (!name) {
+            continue;
+        }
+        if (rawValue === undefined) {
+            directives[name] = true;
+        } else {
+            const value = rawValue.trim().replace(/^"|"$/g, '');
+            directives[name] = /^\d+$/.test(value) ? Number(value) : value;
+        }
+    }
+
+    return directives;
+}
+
+/**
+ * 解析Vary头
+ * @param {string|null} header - Vary头的值
+ * @returns {Array<string>} 小写的请求头名称
+ */
+function parseVary(header) {
+    return (header || '').split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * 按名称（不区分大小写）读取请求头的值
+ * @param {Object} headers - 请求头
+ * @param {string} name - 小写的请求头名称
+ * @returns {string|null} 请求头的值，没有时返回null
+ */
+function getRequestHeader(headers, name) {
+    for (const [key, value] of Object.entries(headers || {})) {
+        if (key.toLowerCase() === name) {
+            return String(value).trim();
+        }
+    }
+    return null;
+}
+
+export class ProxyCache {
+    /**
+     * @param {Object} options - 缓存选项，见DEFAULT_CACHE_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_CACHE_OPTIONS, ...options };
+        this.memory = new Map(); // 按最近使用排序（Map保持插入顺序）
+        this.memoryBytes = 0;
+        this.dbPromise = null;
+        this.pendingPuts = new Map(); // 缓存键 -> 正在读取响应体的put
+        this.pruning = null; // 进行中的IndexedDB淘汰
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            revalidations: 0,
+            stores: 0,
+            evictions: 0,
+            persistentHits: 0,
+            persistentEvictions: 0
+        };
+    }
+
+    /**
+     * 打开IndexedDB数据库
+     * @returns {Promise<IDBDatabase|null>} 数据库，不可用时返回null
+     */
+    openDatabase() {
+        if (!this.options.persistent || typeof indexedDB === 'undefined') {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                try {
+                    const request = indexedDB.open(DB_NAME, DB_VERSION);
+                    request.onupgradeneeded = (event) => {
+                        const store = event.oldVersion < 1
+                            ? request.result.createObjectStore(STORE_NAME, { keyPath: 'key' })
+                            : request.transaction.objectStore(STORE_NAME);
+                        // 版本1的条目没有访问时间，无法按LRU淘汰，直接清空
+                        if (event.oldVersion === 1) {
+                            store.clear();
+                        }
+                        store.createIndex(LRU_INDEX, ['accessedAt', 'size']);
+                    };
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = () => {
+                        console.warn('代理缓存数据库打开失败，仅使用内存缓存:', request.error);
+                        resolve(null);
+                    };
+                } catch (error) {
+                    console.warn('IndexedDB不可用，仅使用内存缓存:', error.message);
+                    resolve(null);
+                }
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * 在对象仓库上执行操作
+     * @param {string} mode - 事务模式
+     * @param {Function} operation - 接收store并返回IDBRequest的函数
+     * @returns {Promise<any>} 操作结果，数据库不可用时返回null
+     */
+    async runStoreOperation(mode, operation) {
+        const db = await this.openDatabase();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve) => {
+            try {
+                const transaction = db.transaction(STORE_NAME, mode);
+                const request = operation(transaction.objectStore(STORE_NAME));
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('代理缓存数据库操作失败:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('代理缓存数据库操作失败:', error.message);
+                resolve(null);
+            }
+        });
+    }
+
+    /**
+     * 读取缓存条目（先查内存，再查IndexedDB）
+     * 条目记录了响应Vary头列出的请求头的值，与本次请求不同时视为未命中
+     * @param {string} key - 缓存键
+     * @param {Object} requestHeaders - 本次请求会发送的请求头
+     * @returns {Promise<Object|null>} 缓存条目
+     */
+    async get(key, requestHeaders = {}) {
+        // 同一响应正在写入缓存时等待写入完成，避免重复请求
+        if (this.pendingPuts.has(key)) {
+            await this.pendingPuts.get(key);
+        }
+
+        const memoryEntry = this.memory.get(key);
+        if (memoryEntry) {
+            if (!this.matchesVary(memoryEntry, requestHeaders)) {
+                return null;
+            }
+            // 移到末尾，标记为最近使用
+            this.memory.delete(key);
+            this.memory.set(key, memoryEntry);
+            return memoryEntry;
+        }
+
+        const storedEntry = await this.runStoreOperation('readonly', store => store.get(key));
+        if (storedEntry) {
+            if (!this.matchesVary(storedEntry, requestHeaders)) {
+                return null;
+            }
+            this.stats.persistentHits++;
+            this.putInMemory(storedEntry);
+            // 更新访问时间（不等待），之后的命中由内存缓存处理
+            this.runStoreOperation('readwrite', store => store.put({ ...storedEntry, accessedAt: Date.now() }));
+            return storedEntry;
+        }
+
+        return null;
+    }
+
+    /**
+     * 本次请求的请求头是否与条目保存时Vary列出的请求头一致
+     * @param {Object} entry - 缓存条目
+     * @param {Object} requestHeaders - 本次请求会发送的请求头
+     * @returns {boolean} 是否可以使用该条目
+     */
+    matchesVary(entry, requestHeaders) {
+        if (!entry.vary) {
+            // 没有记录请求头的值（旧版本保存的条目）时，只有不区分请求头的响应可以使用
+            return parseVary(new Headers(entry.headers).get('vary')).length === 0;
+        }
+        return Object.entries(entry.vary)
+            .every(([name, value]) => getRequestHeader(requestHeaders, name) === value);
+    }
+
+    /**
+     * 判断条目是否仍然新鲜
+     * @param {Object} entry - 缓存条目
+     * @returns {boolean} 是否新鲜
+     */
+    isFresh(entry) {
+        return !entry.mustRevalidate && Date.now() < entry.expiresAt;
+    }
+
+    /**
+     * 条目是否可以进行条件请求
+     * @param {Object} entry - 缓存条目
+     * @returns {boolean} 是否有验证器
+     */
+    canRevalidate(entry) {
+        return Boolean(entry.etag || entry.lastModified);
+    }
+
+    /**
+     * 构建条件请求头
+     * @param {Object} entry - 缓存条目
+     * @returns {Object} 请求头
+     */
+    buildConditionalHeaders(entry) {
+        const headers = {};
+        if (entry.etag) {
+            headers['If-None-Match'] = entry.etag;
+        }
+        if (entry.lastModified) {
+            headers['If-Modified-Since'] = entry.lastModified;
+        }
+        return headers;
+    }
+
+    /**
+     * 根据响应头计算缓存策略
+     * @param {Headers} headers - 响应头
+     * @returns {Object|null} { expiresAt, mustRevalidate }，不可缓存时返回null
+     */
+    computeFreshness(headers) {
+        const directives = parseCacheControl(headers.get('cache-control'));
+
+        if (directives['no-store'] || headers.get('vary') === '*') {
+            return null;
+        }
+
+        const now = Date.now();
+        let ttl = this.options.defaultTTL;
+
+        if (typeof directives['max-age'] === 'number') {
+            ttl = directives['max-age'] * 1000;
+        } else if (headers.get('expires')) {
+            const expires = Date.parse(headers.get('expires'));
+            ttl = Number.isNaN(expires) ? 0 : expires - now;
+        }
+
+        return {
+            expiresAt: now + Math.max(0, Math.min(ttl, this.options.maxTTL)),
+            mustRevalidate: Boolean(directives['no-cache'])
+        };
+    }
+
+    /**
+     * 缓存响应
+     * 同步克隆响应后在后台读取，调用方不需要等待；同一键的get会等待写入完成
+     * @param {string} key - 缓存键
+     * @param {string} url - 目标URL
+     * @param {Response} response - 响应（会读取其克隆，不影响调用方）
+     * @param {Object} requestHeaders - 请求时发送的请求头，保存其中Vary列出的值
+     * @returns {Promise<Object|null>} 缓存条目，不可缓存时返回null
+     */
+    put(key, url, response, requestHeaders = {}) {
+        if (response.status !== 200) {
+            return Promise.resolve(null);
+        }
+
+        const freshness = this.computeFreshness(response.headers);
+        if (!freshness) {
+            return Promise.resolve(null);
+        }
+
+        const contentLength = parseInt(response.headers.get('content-length'), 10);
+        if (contentLength > this.options.maxEntrySize) {
+            return Promise.resolve(null);
+        }
+
+        const pending = this.storeResponse(key, url, response.clone(), freshness, requestHeaders)
+            .catch(error => {
+                console.warn('代理响应缓存失败:', error.message);
+                return null;
+            })
+            .then(entry => {
+                if (this.pendingPuts.get(key) === pending) {
+                    this.pendingPuts.delete(key);
+                }
+                return entry;
+            });
+        this.pendingPuts.set(key, pending);
+        return pending;
+    }
+
+    /**
+     * 读取响应体并写入两级缓存
+     * @param {string} key - 缓存键
+     * @param {string} url - 目标URL
+     * @param {Response} response - 响应的克隆
+     * @param {Object} freshness - computeFreshness()的结果
+     * @param {Object} requestHeaders - 请求时发送的请求头
+     * @returns {Promise<Object|null>} 缓存条目，响应体超过大小上限时返回null
+     */
+    async storeResponse(key, url, response, freshness, requestHeaders = {}) {
+        const body = await this.readBody(response);
+        if (!body) {
+            return null;
+        }
+
+        const vary = {};
+        for (const name of parseVary(response.headers.get('vary'))) {
+            vary[name] = getRequestHeader(requestHeaders, name);
+        }
+
+        const now = Date.now();
+        const entry = {
+            key,
+            url,
+            status: response.status,
+            headers: Array.from(response.headers.entries()),
+            body,
+            vary,
+            size: body.byteLength,
+            storedAt: now,
+            accessedAt: now,
+            expiresAt: freshness.expiresAt,
+            mustRevalidate: freshness.mustRevalidate,
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified')
+        };
+
+        this.putInMemory(entry);
+        await this.runStoreOperation('readwrite', store => store.put(entry));
+        this.stats.stores++;
+        this.prunePersistent();
+
+        return entry;
+    }
+
+    /**
+     * 读取响应体，超过maxEntrySize时立即停止读取（没有Content-Length的响应也不会整个缓冲）
+     * @param {Response} response - 响应
+     * @returns {Promise<ArrayBuffer|null>} 响应体，超过大小上限时返回null
+     */
+    async readBody(response) {
+        if (!response.body) {
+            return new ArrayBuffer(0);
+        }
+
+        const reader = response.body.getReader();
+        const chunks = [];
+        let size = 0;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) {
+                break;
+            }
+            size += value.byteLength;
+            if (size > this.options.maxEntrySize) {
+                reader.cancel().catch(() => {});
+                return null;
+            }
+            chunks.push(value);
+        }
+
+        const body = new Uint8Array(size);
+        let offset = 0;
+        for (const chunk of chunks) {
+            body.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+        return body.buffer;
+    }
+
+    /**
+     * 按最近访问时间淘汰IndexedDB中的条目，直到条目数和总大小都在上限内
+     * 同一时间只进行一次；只遍历索引，不加载响应体
+     * @returns {Promise<void>}
+     */
+    prunePersistent() {
+        if (!this.pruning) {
+            this.pruning = this.openDatabase()
+                .then(db => db && new Promise((resolve) => {
+                    try {
+                        const transaction = db.transaction(STORE_NAME, 'readwrite');
+                        const store = transaction.objectStore(STORE_NAME);
+                        const items = [];
+                        const request = store.index(LRU_INDEX).openKeyCursor();
+
+                        request.onsuccess = () => {
+                            const cursor = request.result;
+                            if (cursor) {
+                                items.push({ key: cursor.primaryKey, size: cursor.key[1] });
+                                cursor.continue();
+                                return;
+                            }
+
+                            // 索引按访问时间升序，从最久未使用的开始删除
+                            let count = items.length;
+                            let bytes = items.reduce((sum, item) => sum + item.size, 0);
+                            for (const item of items) {
+                                if (count <= this.options.maxPersistentEntries && bytes <= this.options.maxPersistentBytes) {
+                                    break;
+                                }
+                                store.delete(item.key);
+                                count--;
+                                bytes -= item.size;
+                                this.stats.persistentEvictions++;
+                            }
+                        };
+                        transaction.oncomplete = () => resolve();
+                        transaction.onerror = transaction.onabort = () => {
+                            console.warn('代理缓存淘汰失败:', transaction.error);
+                            resolve();
+                        };
+                    } catch (error) {
+                        console.warn('代理缓存淘汰失败:', error.message);
+                        resolve();
+                    }
+                }))
+                .then(() => {
+                    this.pruning = null;
+                });
+        }
+        return this.pruning;
+    }
+
+    /**
+     * 用304响应刷新条目的有效期
+     * @param {Object} entry - 缓存条目
+     * @param {Response} notModified - 304响应
+     * @returns {Promise<Object>} 更新后的条目
+     */
+    async refresh(entry, notModified) {
+        const headers = new Headers(entry.headers);
+        for (const name of ['cache-control', 'expires', 'etag', 'last-modified', 'date']) {
+            const value = notModified.headers.get(name);
+            if (value) {
+                headers.set(name, value);
+            }
+        }
+
+        const freshness = this.computeFreshness(headers) || { expiresAt: Date.now(), mustRevalidate: true };
+        const updated = {
+            ...entry,
+            accessedAt: Date.now(),
+            headers: Array.from(headers.entries()),
+            expiresAt: freshness.expiresAt,
+            mustRevalidate: freshness.mustRevalidate,
+            etag: headers.get('etag'),
+            lastModified: headers.get('last-modified')
+        };
+
+        this.putInMemory(updated);
+        await this.runStoreOperation('readwrite', store => store.put(updated));
+        this.stats.revalidations++;
+
+        return updated;
+    }
+
+    /**
+     * 放入内存缓存并按LRU淘汰
+     * @param {Object} entry - 缓存条目
+     */
+    putInMemory(entry) {
+        const existing = this.memory.get(entry.key);
+        if (existing) {
+            this.memoryBytes -= existing.size;
+            this.memory.delete(entry.key);
+        }
+
+        this.memory.set(entry.key, entry);
+        this.memoryBytes += entry.size;
+
+        while (this.memory.size > this.options.maxMemoryEntries ||
+               this.memoryBytes > this.options.maxMemoryBytes) {
+            const [oldestKey, oldest] = this.memory.entries().next().value;
+            this.memory.delete(oldestKey);
+            this.memoryBytes -= oldest.size;
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * 将缓存条目还原为Response
+     * @param {Object} entry - 缓存条目
+     * @param {string} cacheStatus - 写入x-proxy-cache头的状态（HIT/REVALIDATED）
+     * @returns {Response} 响应对象
+     */
+    toResponse(entry, cacheStatus = 'HIT') {
+        const headers = new Headers(entry.headers);
+        headers.set('x-proxy-cache', cacheStatus);
+        return new Response(entry.body.slice(0), { status: entry.status, headers });
+    }
+
+    /**
+     * 删除指定条目
+     * @param {string} key - 缓存键
+     */
+    async delete(key) {
+        const existing = this.memory.get(key);
+        if (existing) {
+            this.memoryBytes -= existing.size;
+            this.memory.delete(key);
+        }
+        await this.runStoreOperation('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * 清空全部缓存
+     */
+    async clear() {
+        this.memory.clear();
+        this.memoryBytes = 0;
+        await this.runStoreOperation('readwrite', store => store.clear());
+    }
+
+    /**
+     * 记录缓存命中
+     */
+    recordHit() {
+        this.stats.hits++;
+    }
+
+    /**
+     * 记录缓存未命中
+     */
+    recordMiss() {
+        this.stats.misses++;
+    }
+
+    /**
+     * 获取缓存统计信息
+     * @returns {Object} 统计信息
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+            memoryEntries: this.memory.size,
+            memoryBytes: this.memoryBytes,
+            persistent: Boolean(this.options.persistent && typeof indexedDB !== 'undefined')
+        };
+    }
+}
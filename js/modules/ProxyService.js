@@ -2,44 +2,462 @@
  * CORS代理服务 - 处理跨域请求和传输安全
  */
 import { ErrorHandler } from './ErrorHandler.js';
+import { ProxyCache } from './ProxyCache.js';
+import { HarArchive } from './HarArchive.js';
+import { WarcArchive } from './WarcArchive.js';
+import { CookieJar } from './CookieJar.js';
+import { getDefaultStorage } from './DefaultStorage.js';
+import { APP_VERSION } from './AppInfo.js';
+
+/**
+ * 代理服务提供者配置的本地存储键
+ */
+const PROXY_PROVIDERS_STORAGE_KEY = 'wbd.proxyProviders';
+const HAR_SETTINGS_STORAGE_KEY = 'wbd.harSettings';
+const HEALTH_STATE_STORAGE_KEY = 'wbd.proxyHealth';
+
+/**
+ * 速率限制的计数窗口
+ */
+const RATE_LIMIT_WINDOW = 60 * 1000;
+
+/**
+ * HAR模式：关闭 / 录制所有代理请求 / 只从HAR回放
+ */
+export const HAR_MODES = ['off', 'record', 'replay'];
+
+/**
+ * 回放模式下使用的虚拟代理服务（不访问网络）
+ */
+const HAR_REPLAY_SERVICE = {
+    name: 'HAR回放',
+    url: '',
+    type: 'har-replay',
+    unwrap: 'raw',
+    methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'],
+    timeout: 1000,
+    rateLimit: Infinity,
+    lastUsed: 0,
+    requestCount: 0
+};
+
+/**
+ * 默认代理服务提供者
+ * url 为URL模板：{url} 替换为原始目标URL，{encodedUrl} 替换为编码后的目标URL，
+ * 模板中没有占位符时在末尾追加编码后的目标URL。
+ * unwrap 为响应解包方式：'raw' 直接返回响应，'json' 从JSON响应的 unwrapField 字段中取出内容。
+ * cookies 表示能否通过 x-relay-cookie / x-relay-set-cookie 头传递Cookie（目前只有自托管中继支持）。
+ */
+export const DEFAULT_PROXY_PROVIDERS = [
+    {
+        name: 'AllOrigins',
+        url: 'https://api.allorigins.win/get?url={encodedUrl}',
+        type: 'allorigins',
+        unwrap: 'json',
+        unwrapField: 'contents',
+        methods: ['GET'], // JSON包装接口只能转发GET
+        timeout: 10000,
+        rateLimit: 100, // 每分钟请求限制
+        enabled: true
+    },
+    {
+        name: 'CORS.SH',
+        url: 'https://cors.sh/{url}',
+        type: 'cors-sh',
+        unwrap: 'raw',
+        methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE'],
+        timeout: 8000,
+        rateLimit: 50,
+        enabled: true
+    },
+    {
+        name: 'CORSProxy.io',
+        url: 'https://corsproxy.io/?{encodedUrl}',
+        type: 'corsproxy',
+        unwrap: 'raw',
+        methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE'],
+        timeout: 12000,
+        rateLimit: 80,
+        enabled: true
+    },
+    {
+        // 自托管中继（server/cors-relay.js），默认禁用
+        name: 'LocalRelay',
+        url: 'http://localhost:8787/proxy?url={encodedUrl}',
+        type: 'local',
+        unwrap: 'raw',
+        methods: ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'],
+        cookies: true,
+        timeout: 15000,
+        rateLimit: 600,
+        enabled: false
+    }
+];
+
+/**
+ * proxyRequest支持的请求方法
+ */
+export const PROXY_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH'];
+
+/**
+ * 自适应代理选择参数
+ */
+const DEFAULT_SELECTION_OPTIONS = {
+    ewmaAlpha: 0.3,          // EWMA平滑系数，越大越看重最近的样本
+    explorationRate: 0.1,    // 分给非最优代理的探索流量比例
+    initialLatency: 1000,    // 没有样本时假定的延迟(ms)
+    latencyWindow: 50        // 每个代理服务保留的延迟样本数（用于计算百分位）
+};
+
+/**
+ * 断路器参数
+ */
+const DEFAULT_BREAKER_OPTIONS = {
+    failureThreshold: 3,              // 窗口内失败达到该次数时开启断路器
+    failureWindow: 10 * 60 * 1000,    // 失败计数的滑动窗口
+    openTimeout: 5 * 60 * 1000,       // 开启后多久进行半开探测
+    maxOpenTimeout: 60 * 60 * 1000,   // 探测连续失败时开启时间翻倍的上限
+    probeInterval: 30 * 1000,         // 检查是否有到期探测的间隔
+    stateTTL: 24 * 60 * 60 * 1000     // 保存的状态超过该时间后丢弃
+};
+
+/**
+ * 对冲请求参数
+ */
+const DEFAULT_HEDGING_OPTIONS = {
+    enabled: false,
+    percentile: 0.95,        // 主请求超过该百分位延迟仍未返回时发出对冲请求
+    minSamples: 5,           // 样本不足时使用defaultDelay
+    defaultDelay: 1500,
+    minDelay: 200,
+    maxDelay: 5000
+};
 
 export class ProxyService {
-    constructor(securityManager) {
+    /**
+     * @param {SecurityManager} securityManager - 安全管理器
+     * @param {Object} options - 选项
+     * @param {Storage} options.storage - 持久化存储（默认为localStorage）
+     * @param {Object} options.cache - 响应缓存选项，见ProxyCache
+     * @param {Object} options.har - HAR录制选项，见HarArchive
+     * @param {Object} options.warc - WARC捕获选项，见WarcArchive
+     * @param {Object} options.breaker - 断路器选项，见DEFAULT_BREAKER_OPTIONS
+     */
+    constructor(securityManager, options = {}) {
         this.securityManager = securityManager;
         this.errorHandler = new ErrorHandler();
-        this.proxyServices = [
-            {
-                name: 'AllOrigins',
-                url: 'https://api.allorigins.win/get?url=',
-                type: 'allorigins',
-                timeout: 10000,
-                rateLimit: 100, // 每分钟请求限制
-                lastUsed: 0,
-                requestCount: 0
-            },
-            {
-                name: 'CORS.SH',
-                url: 'https://cors.sh/',
-                type: 'cors-sh',
-                timeout: 8000,
-                rateLimit: 50,
-                lastUsed: 0,
-                requestCount: 0
-            },
-            {
-                name: 'CORSProxy.io',
-                url: 'https://corsproxy.io/?',
-                type: 'corsproxy',
-                timeout: 12000,
-                rateLimit: 80,
-                lastUsed: 0,
-                requestCount: 0
-            }
-        ];
+        this.storage = options.storage !== undefined ? options.storage : getDefaultStorage();
+        this.providerRegistry = this.loadProviderRegistry(); // 用户可配置的代理服务提供者（有序）
+        this.proxyServices = []; // 当前启用的代理服务运行时状态
+        this.applyProviderRegistry();
         this.currentProxyIndex = 0;
         this.isInitialized = false;
-        this.failureCount = new Map(); // 跟踪代理服务失败次数
+        this.failureCount = new Map(); // 跟踪代理服务失败次数（滑动窗口内）
+        this.failureWindows = new Map(); // 每个代理服务窗口内的失败时间
         this.circuitBreaker = new Map(); // 断路器状态
+        this.breakerOptions = { ...DEFAULT_BREAKER_OPTIONS, ...options.breaker };
+        this.providerDiagnostics = new Map(); // 每个代理服务的错误分类计数、最近失败和最近一次连通性测试
+        this.responseCache = new ProxyCache(options.cache); // 代理响应缓存
+        this.inflightRequests = new Map(); // 进行中的请求，用于合并相同请求
+        this.coalescedRequestCount = 0;
+        this.providerMetrics = new Map(); // 每个代理服务的延迟/成功率/吞吐量统计
+        this.selectionOptions = { ...DEFAULT_SELECTION_OPTIONS, ...options.selection };
+        this.lastSelection = null; // 最近一次选择的结果和原因
+        this.random = Math.random; // 探索流量使用的随机数来源
+        this.hedgingOptions = { ...DEFAULT_HEDGING_OPTIONS, ...options.hedging };
+        this.hedgingStats = { hedgedRequests: 0, hedgeWins: 0, abortedRequests: 0 };
+        this.harArchive = new HarArchive(options.har); // HAR录制/回放
+        this.harSettings = this.loadHarSettings();
+        this.warcArchive = new WarcArchive(this.storage, options.warc); // WARC捕获（代理请求和下载共用）
+        this.cookieJar = new CookieJar(this.storage); // 代理浏览的Cookie
+        this.interceptors = []; // 请求/响应拦截器，按注册顺序执行
+        this.restoreHealthState();
+    }
+
+    /**
+     * 加载代理服务提供者配置
+     * @returns {Array} 提供者配置列表
+     */
+    loadProviderRegistry() {
+        if (this.storage) {
+            try {
+                const saved = JSON.parse(this.storage.getItem(PROXY_PROVIDERS_STORAGE_KEY));
+                if (Array.isArray(saved) && saved.length > 0) {
+                    return saved.map(config => this.normalizeProviderConfig(config));
+                }
+            } catch (error) {
+                console.warn('代理服务配置读取失败，使用默认配置:', error.message);
+            }
+        }
+
+        return DEFAULT_PROXY_PROVIDERS.map(config => ({ ...config }));
+    }
+
+    /**
+     * 保存代理服务提供者配置
+     */
+    saveProviderRegistry() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(PROXY_PROVIDERS_STORAGE_KEY, JSON.stringify(this.providerRegistry));
+        } catch (error) {
+            console.warn('代理服务配置保存失败:', error.message);
+        }
+    }
+
+    /**
+     * 规范化并校验提供者配置
+     * @param {Object} config - 提供者配置
+     * @returns {Object} 规范化后的配置
+     */
+    normalizeProviderConfig(config) {
+        if (!config || typeof config !== 'object') {
+            throw new Error('代理服务配置无效');
+        }
+
+        const name = typeof config.name === 'string' ? config.name.trim() : '';
+        if (!name) {
+            throw new Error('代理服务名称不能为空');
+        }
+
+        if (typeof config.url !== 'string' || !config.url.trim()) {
+            throw new Error(`代理服务 ${name} 的URL模板不能为空`);
+        }
+
+        const unwrap = config.unwrap || 'raw';
+        if (!['raw', 'json'].includes(unwrap)) {
+            throw new Error(`代理服务 ${name} 的响应解包方式无效: ${unwrap}`);
+        }
+
+        const timeout = Number(config.timeout);
+        const rateLimit = Number(config.rateLimit);
+        if (!Number.isFinite(timeout) || timeout <= 0) {
+            throw new Error(`代理服务 ${name} 的超时时间无效`);
+        }
+        if (!Number.isFinite(rateLimit) || rateLimit <= 0) {
+            throw new Error(`代理服务 ${name} 的速率限制无效`);
+        }
+
+        // 未声明时按解包方式推断：JSON包装只支持GET，原样转发至少支持GET/HEAD
+        const methods = Array.isArray(config.methods) && config.methods.length > 0
+            ? config.methods.map(method => String(method).toUpperCase())
+            : (unwrap === 'json' ? ['GET'] : ['GET', 'HEAD']);
+        const unknownMethod = methods.find(method => !PROXY_METHODS.includes(method));
+        if (unknownMethod) {
+            throw new Error(`代理服务 ${name} 的请求方法无效: ${unknownMethod}`);
+        }
+
+        const normalized = {
+            name,
+            url: config.url.trim(),
+            type: config.type || 'custom',
+            unwrap,
+            methods,
+            cookies: config.cookies !== undefined ? Boolean(config.cookies) : config.type === 'local',
+            timeout,
+            rateLimit,
+            enabled: config.enabled !== false
+        };
+
+        if (unwrap === 'json') {
+            normalized.unwrapField = config.unwrapField || 'contents';
+        }
+
+        return normalized;
+    }
+
+    /**
+     * 根据提供者配置重建运行时代理服务列表（保留已有的使用计数）
+     */
+    applyProviderRegistry() {
+        const previous = new Map(this.proxyServices.map(service => [service.name, service]));
+
+        this.proxyServices = this.providerRegistry
+            .filter(config => config.enabled)
+            .map(config => {
+                const existing = previous.get(config.name);
+                return {
+                    ...config,
+                    lastUsed: existing ? existing.lastUsed : 0,
+                    requestCount: existing ? existing.requestCount : 0,
+                    rateWindowStart: existing ? existing.rateWindowStart : 0
+                };
+            });
+    }
+
+    /**
+     * 获取代理服务提供者配置
+     * @returns {Array} 提供者配置副本
+     */
+    getProviders() {
+        return this.providerRegistry.map(config => ({ ...config }));
+    }
+
+    /**
+     * 查找提供者在配置中的位置
+     * @param {string} name - 提供者名称
+     * @returns {number} 索引
+     */
+    findProviderIndex(name) {
+        const index = this.providerRegistry.findIndex(config => config.name === name);
+        if (index === -1) {
+            throw new Error(`代理服务不存在: ${name}`);
+        }
+        return index;
+    }
+
+    /**
+     * 检查提供者URL模板的安全性
+     * @param {Object} config - 提供者配置
+     */
+    async checkProviderSecurity(config) {
+        const baseURL = config.url.replace(/\{(encodedUrl|url)\}/g, '');
+        const validation = await this.securityManager.validateProxyService(baseURL);
+
+        if (!validation || !validation.isValid) {
+            const reason = validation && validation.error ? validation.error.message : '安全验证失败';
+            throw new Error(`代理服务 ${config.name} 未通过安全验证: ${reason}`);
+        }
+    }
+
+    /**
+     * 添加代理服务提供者
+     * @param {Object} config - 提供者配置
+     * @param {number} index - 插入位置（默认追加到末尾）
+     * @returns {Promise<Object>} 添加后的配置
+     */
+    async addProvider(config, index = this.providerRegistry.length) {
+        const normalized = this.normalizeProviderConfig(config);
+
+        if (this.providerRegistry.some(existing => existing.name === normalized.name)) {
+            throw new Error(`代理服务已存在: ${normalized.name}`);
+        }
+
+        await this.checkProviderSecurity(normalized);
+
+        const position = Math.max(0, Math.min(index, this.providerRegistry.length));
+        this.providerRegistry.splice(position, 0, normalized);
+        this.saveProviderRegistry();
+        this.applyProviderRegistry();
+
+        return { ...normalized };
+    }
+
+    /**
+     * 更新代理服务提供者
+     * @param {string} name - 提供者名称
+     * @param {Object} changes - 要修改的字段
+     * @returns {Promise<Object>} 更新后的配置
+     */
+    async updateProvider(name, changes) {
+        const index = this.findProviderIndex(name);
+        const current = this.providerRegistry[index];
+        const normalized = this.normalizeProviderConfig({ ...current, ...changes });
+
+        if (normalized.name !== name &&
+            this.providerRegistry.some(existing => existing.name === normalized.name)) {
+            throw new Error(`代理服务已存在: ${normalized.name}`);
+        }
+
+        if (normalized.url !== current.url) {
+            await this.checkProviderSecurity(normalized);
+        }
+
+        if (normalized.name !== name) {
+            this.renameProviderState(name, normalized.name);
+        }
+
+        this.providerRegistry[index] = normalized;
+        this.saveProviderRegistry();
+        this.applyProviderRegistry();
+        if (normalized.name !== name) {
+            this.saveHealthState();
+        }
+
+        return { ...normalized };
+    }
+
+    /**
+     * 把按名称保存的断路器、失败窗口、诊断、延迟统计和速率计数移到新名称下
+     * @param {string} oldName - 原名称
+     * @param {string} newName - 新名称
+     */
+    renameProviderState(oldName, newName) {
+        const stateMaps = [this.failureCount, this.failureWindows, this.circuitBreaker,
+            this.providerDiagnostics, this.providerMetrics];
+        for (const map of stateMaps) {
+            if (map.has(oldName)) {
+                map.set(newName, map.get(oldName));
+                map.delete(oldName);
+            }
+        }
+
+        // applyProviderRegistry按名称沿用运行时状态（最近使用时间和速率计数）
+        const service = this.proxyServices.find(candidate => candidate.name === oldName);
+        if (service) {
+            service.name = newName;
+        }
+    }
+
+    /**
+     * 移除代理服务提供者
+     * @param {string} name - 提供者名称
+     */
+    removeProvider(name) {
+        const index = this.findProviderIndex(name);
+        this.providerRegistry.splice(index, 1);
+        this.failureCount.delete(name);
+        this.failureWindows.delete(name);
+        this.circuitBreaker.delete(name);
+        this.providerDiagnostics.delete(name);
+        this.providerMetrics.delete(name);
+        this.saveProviderRegistry();
+        this.applyProviderRegistry();
+        this.saveHealthState();
+    }
+
+    /**
+     * 调整代理服务提供者顺序
+     * @param {string} name - 提供者名称
+     * @param {number} toIndex - 目标位置
+     */
+    moveProvider(name, toIndex) {
+        const index = this.findProviderIndex(name);
+        const [config] = this.providerRegistry.splice(index, 1);
+        const position = Math.max(0, Math.min(toIndex, this.providerRegistry.length));
+        this.providerRegistry.splice(position, 0, config);
+        this.saveProviderRegistry();
+        this.applyProviderRegistry();
+    }
+
+    /**
+     * 启用或禁用代理服务提供者
+     * @param {string} name - 提供者名称
+     * @param {boolean} enabled - 是否启用
+     */
+    setProviderEnabled(name, enabled) {
+        const index = this.findProviderIndex(name);
+        this.providerRegistry[index] = { ...this.providerRegistry[index], enabled: Boolean(enabled) };
+        this.saveProviderRegistry();
+        this.applyProviderRegistry();
+    }
+
+    /**
+     * 恢复默认代理服务提供者
+     */
+    resetProviders() {
+        this.providerRegistry = DEFAULT_PROXY_PROVIDERS.map(config => ({ ...config }));
+        if (this.storage) {
+            try {
+                this.storage.removeItem(PROXY_PROVIDERS_STORAGE_KEY);
+            } catch (error) {
+                console.warn('代理服务配置清除失败:', error.message);
+            }
+        }
+        this.applyProviderRegistry();
     }
 
     /**
@@ -48,11 +466,28 @@ export class ProxyService {
     async initialize() {
         console.log('正在初始化代理服务...');
         
+        // URL参数优先于保存的设置
+        const harSettings = this.resolveHarSettings();
+        if (harSettings.mode === 'replay') {
+            // 回放模式不访问网络，跳过代理服务验证
+            await this.loadHarReplay(harSettings.source);
+            this.harSettings = harSettings;
+            this.isInitialized = true;
+            console.log(`代理服务初始化完成（HAR回放模式，${this.harArchive.replayEntryCount} 条记录）`);
+            return;
+        }
+        this.harSettings = harSettings;
+        
         // 验证可用的代理服务
         await this.validateProxyServices();
         
         // 设置健康检查定时器
         this.setupHealthCheck();
+
+        if (this.storage) {
+            // 速率限制计数不在每次请求时保存，离开页面时一并保存
+            window.addEventListener('pagehide', () => this.saveHealthState());
+        }
         
         this.isInitialized = true;
         console.log('代理服务初始化完成');
@@ -67,19 +502,25 @@ export class ProxyService {
         for (const service of this.proxyServices) {
             try {
                 console.log(`验证代理服务: ${service.name}`);
-                const isValid = await this.securityManager.validateProxyService(service.url);
+                await this.checkProviderSecurity(service);
                 
-                if (isValid) {
-                    // 进行连通性测试
-                    const isReachable = await this.testProxyConnectivity(service);
-                    if (isReachable) {
-                        validServices.push(service);
-                        console.log(`✅ ${service.name} 验证通过`);
-                    } else {
-                        console.warn(`⚠️ ${service.name} 连通性测试失败`);
+                // 上次运行时开启的断路器未到探测时间，保留服务，等待后台探测
+                if (this.getCircuitState(service) === 'open' && !this.isProbeDue(service)) {
+                    validServices.push(service);
+                    console.warn(`🔴 ${service.name} 断路器开启中，稍后在后台探测`);
+                    continue;
+                }
+                
+                // 进行连通性测试（断路器到期时即为半开探测）
+                const isReachable = await this.testProxyConnectivity(service);
+                if (isReachable) {
+                    validServices.push(service);
+                    if (this.circuitBreaker.has(service.name)) {
+                        this.recordSuccess(service);
                     }
+                    console.log(`✅ ${service.name} 验证通过`);
                 } else {
-                    console.warn(`⚠️ ${service.name} 安全验证失败`);
+                    console.warn(`⚠️ ${service.name} 连通性测试失败`);
                 }
             } catch (error) {
                 console.warn(`❌ ${service.name} 验证失败:`, error.message);
@@ -101,9 +542,12 @@ export class ProxyService {
      * @returns {Promise<boolean>} 是否可达
      */
     async testProxyConnectivity(service) {
+        const startTime = Date.now();
         try {
-            const testUrl = 'https://httpbin.org/get';
-            const proxyUrl = this.buildProxyURL(testUrl, service);
+            // 本地中继提供健康检查接口，无需访问外网
+            const proxyUrl = service.type === 'local'
+                ? this.getLocalRelayHealthURL(service)
+                : this.buildProxyURL('https://httpbin.org/get', service);
             
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 5000);
@@ -117,12 +561,49 @@ export class ProxyService {
             });
 
             clearTimeout(timeoutId);
+            this.recordProbe(service, response.ok, Date.now() - startTime,
+                response.ok ? null : `HTTP ${response.status}: ${response.statusText}`);
             return response.ok;
         } catch (error) {
+            this.recordProbe(service, false, Date.now() - startTime,
+                error.name === 'AbortError' ? '连通性测试超时 (5000ms)' : error.message);
             return false;
         }
     }
 
+    /**
+     * 获取代理服务的诊断记录
+     * @param {string} name - 代理服务名称
+     * @returns {Object} { errorCounts, lastFailure, lastProbe }
+     */
+    getDiagnosticsEntry(name) {
+        if (!this.providerDiagnostics.has(name)) {
+            this.providerDiagnostics.set(name, { errorCounts: {}, lastFailure: null, lastProbe: null });
+        }
+        return this.providerDiagnostics.get(name);
+    }
+
+    /**
+     * 记录连通性测试结果
+     * @param {Object} service - 代理服务配置
+     * @param {boolean} ok - 是否成功
+     * @param {number} latency - 耗时(ms)
+     * @param {string|null} error - 失败原因
+     */
+    recordProbe(service, ok, latency, error) {
+        this.getDiagnosticsEntry(service.name).lastProbe = { ok, latency, error, time: Date.now() };
+    }
+
+    /**
+     * 获取本地中继的健康检查地址
+     * @param {Object} service - 代理服务配置
+     * @returns {string} 健康检查URL
+     */
+    getLocalRelayHealthURL(service) {
+        const relayURL = new URL(service.url.replace(/\{(encodedUrl|url)\}/g, ''));
+        return `${relayURL.origin}/health`;
+    }
+
     /**
      * 设置健康检查
      */
@@ -132,6 +613,11 @@ export class ProxyService {
             this.performHealthCheck();
         }, 5 * 60 * 1000);
 
+        // 断路器到期后尽快在后台探测，而不是等用户请求失败
+        setInterval(() => {
+            this.performHealthCheck({ probesOnly: true });
+        }, this.breakerOptions.probeInterval);
+
         // 每分钟重置请求计数
         setInterval(() => {
             this.resetRateLimits();
@@ -162,25 +648,45 @@ export class ProxyService {
 
     /**
      * 执行健康检查
+     * 断路器开启的服务只在到期后做半开探测：成功则关闭断路器，失败则延长开启时间
+     * @param {Object} options - 选项
+     * @param {boolean} options.probesOnly - 只探测到期的断路器，不检查其他服务
      */
-    async performHealthCheck() {
-        console.log('执行代理服务健康检查...');
+    async performHealthCheck({ probesOnly = false } = {}) {
+        if (this.harSettings.mode === 'replay') {
+            return; // 回放模式不访问网络
+        }
         
-        let availableCount = 0;
+        const services = this.proxyServices.filter(service => this.circuitBreaker.has(service.name)
+            ? this.isProbeDue(service)
+            : !probesOnly);
+        if (services.length === 0) {
+            return;
+        }
         
-        for (const service of this.proxyServices) {
+        console.log(probesOnly ? '探测断路器开启的代理服务...' : '执行代理服务健康检查...');
+        
+        for (const service of services) {
+            if (this.circuitBreaker.has(service.name)) {
+                this.circuitBreaker.get(service.name).state = 'half-open';
+                console.log(`🟡 代理服务 ${service.name} 断路器半开，正在探测`);
+            }
+            
             const isHealthy = await this.testProxyConnectivity(service);
             
             if (!isHealthy) {
-                this.recordFailure(service);
+                const probe = this.getDiagnosticsEntry(service.name).lastProbe;
+                this.recordFailure(service, new Error(probe && probe.error ? probe.error : '健康检查失败'));
             } else {
+                if (this.circuitBreaker.has(service.name)) {
+                    console.log(`🟢 代理服务 ${service.name} 已恢复，断路器关闭`);
+                }
                 this.recordSuccess(service);
-                availableCount++;
             }
         }
 
         // 通知状态变化
-        if (availableCount > 0) {
+        if (this.proxyServices.some(service => this.isServiceAvailable(service))) {
             this.notifyStatusChange('available');
         } else {
             this.notifyStatusChange('unavailable', '所有代理服务不可用');
@@ -189,52 +695,89 @@ export class ProxyService {
 
     /**
      * 记录代理服务失败
+     * 窗口内失败次数达到阈值时开启断路器；半开探测失败时重新开启并加倍等待时间
      * @param {Object} service - 代理服务配置
+     * @param {Error} error - 失败原因（可选，用于诊断面板按类型统计）
      */
-    recordFailure(service) {
-        const failures = this.failureCount.get(service.name) || 0;
-        this.failureCount.set(service.name, failures + 1);
+    recordFailure(service, error = null) {
+        const now = Date.now();
+        if (error) {
+            const diagnostics = this.getDiagnosticsEntry(service.name);
+            const { type } = this.errorHandler.analyzeError(error);
+            diagnostics.errorCounts[type] = (diagnostics.errorCounts[type] || 0) + 1;
+            diagnostics.lastFailure = { message: error.message, type, time: now };
+        }
+
+        const failures = (this.failureWindows.get(service.name) || [])
+            .filter(time => now - time < this.breakerOptions.failureWindow);
+        failures.push(now);
+        this.failureWindows.set(service.name, failures);
+        this.failureCount.set(service.name, failures.length);
         
-        // 如果失败次数超过阈值，启用断路器
-        if (failures >= 3) {
+        const breaker = this.circuitBreaker.get(service.name);
+        if (breaker && breaker.state === 'half-open') {
             this.circuitBreaker.set(service.name, {
-                isOpen: true,
-                openedAt: Date.now(),
-                timeout: 5 * 60 * 1000 // 5分钟后重试
+                state: 'open',
+                openedAt: now,
+                timeout: Math.min(breaker.timeout * 2, this.breakerOptions.maxOpenTimeout)
+            });
+            console.warn(`🔴 代理服务 ${service.name} 探测失败，断路器重新开启`);
+        } else if (!breaker && failures.length >= this.breakerOptions.failureThreshold) {
+            this.circuitBreaker.set(service.name, {
+                state: 'open',
+                openedAt: now,
+                timeout: this.breakerOptions.openTimeout
             });
             console.warn(`🔴 代理服务 ${service.name} 断路器已开启`);
         }
+        
+        this.saveHealthState();
     }
 
     /**
      * 记录代理服务成功
+     * 只有清空了失败记录或关闭了断路器时才保存状态，正常请求不写存储
      * @param {Object} service - 代理服务配置
      */
     recordSuccess(service) {
+        const changed = this.failureWindows.has(service.name) || this.circuitBreaker.has(service.name);
         this.failureCount.set(service.name, 0);
+        this.failureWindows.delete(service.name);
         this.circuitBreaker.delete(service.name);
+        if (changed) {
+            this.saveHealthState();
+        }
     }
 
     /**
      * 检查断路器状态
+     * 开启和半开的服务都不接收用户请求，恢复由performHealthCheck的探测决定
      * @param {Object} service - 代理服务配置
      * @returns {boolean} 是否可用
      */
     isServiceAvailable(service) {
+        return !this.circuitBreaker.has(service.name);
+    }
+
+    /**
+     * 获取断路器状态
+     * @param {Object} service - 代理服务配置
+     * @returns {string} 'closed' | 'open' | 'half-open'
+     */
+    getCircuitState(service) {
         const breaker = this.circuitBreaker.get(service.name);
-        
-        if (!breaker) {
-            return true;
-        }
-        
-        // 检查是否超过超时时间
-        if (Date.now() - breaker.openedAt > breaker.timeout) {
-            this.circuitBreaker.delete(service.name);
-            console.log(`🟡 代理服务 ${service.name} 断路器已重置`);
-            return true;
-        }
-        
-        return false;
+        return breaker ? (breaker.state || 'open') : 'closed';
+    }
+
+    /**
+     * 开启的断路器是否到了探测时间
+     * @param {Object} service - 代理服务配置
+     * @returns {boolean} 是否需要探测
+     */
+    isProbeDue(service) {
+        const breaker = this.circuitBreaker.get(service.name);
+        return Boolean(breaker) && breaker.state !== 'half-open' &&
+            Date.now() - breaker.openedAt >= breaker.timeout;
     }
 
     /**
@@ -243,7 +786,9 @@ export class ProxyService {
     resetRateLimits() {
         for (const service of this.proxyServices) {
             service.requestCount = 0;
+            service.rateWindowStart = 0;
         }
+        this.saveHealthState();
     }
 
     /**
@@ -252,82 +797,722 @@ export class ProxyService {
      * @returns {boolean} 是否在限制内
      */
     checkRateLimit(service) {
+        // 计数窗口已过（例如页面重新加载后恢复的计数）时重新计数
+        if (service.rateWindowStart && Date.now() - service.rateWindowStart >= RATE_LIMIT_WINDOW) {
+            service.requestCount = 0;
+            service.rateWindowStart = 0;
+        }
         return service.requestCount < service.rateLimit;
     }
 
+    /**
+     * 记录一次使用代理服务的请求
+     * @param {Object} service - 代理服务配置
+     */
+    countRequest(service) {
+        if (!service.rateWindowStart) {
+            service.rateWindowStart = Date.now();
+        }
+        service.requestCount++;
+    }
+
+    /**
+     * 从存储中恢复断路器、失败窗口和速率限制计数（过期的部分丢弃）
+     */
+    restoreHealthState() {
+        if (!this.storage) {
+            return;
+        }
+
+        let saved;
+        try {
+            saved = JSON.parse(this.storage.getItem(HEALTH_STATE_STORAGE_KEY));
+        } catch (error) {
+            console.warn('代理服务状态读取失败:', error.message);
+            return;
+        }
+
+        const now = Date.now();
+        if (!saved || !saved.services || now - saved.savedAt > this.breakerOptions.stateTTL) {
+            return;
+        }
+
+        for (const [name, state] of Object.entries(saved.services)) {
+            const failures = (state.failures || [])
+                .filter(time => now - time < this.breakerOptions.failureWindow);
+            if (failures.length > 0) {
+                this.failureWindows.set(name, failures);
+                this.failureCount.set(name, failures.length);
+            }
+
+            // 保存时正在探测的断路器恢复为开启，到期后重新探测
+            if (state.breaker) {
+                this.circuitBreaker.set(name, { ...state.breaker, state: 'open' });
+            }
+
+            const service = this.proxyServices.find(candidate => candidate.name === name);
+            if (service && state.rateWindowStart && now - state.rateWindowStart < RATE_LIMIT_WINDOW) {
+                service.requestCount = state.requestCount || 0;
+                service.rateWindowStart = state.rateWindowStart;
+            }
+        }
+
+        if (this.circuitBreaker.size > 0) {
+            console.log(`已恢复 ${this.circuitBreaker.size} 个开启的断路器`);
+        }
+    }
+
+    /**
+     * 保存断路器、失败窗口和速率限制计数
+     */
+    saveHealthState() {
+        if (!this.storage) {
+            return;
+        }
+
+        const names = new Set([
+            ...this.failureWindows.keys(),
+            ...this.circuitBreaker.keys(),
+            ...this.proxyServices.filter(service => service.rateWindowStart).map(service => service.name)
+        ]);
+
+        const services = {};
+        for (const name of names) {
+            const service = this.proxyServices.find(candidate => candidate.name === name);
+            services[name] = {
+                failures: this.failureWindows.get(name) || [],
+                breaker: this.circuitBreaker.get(name) || null,
+                requestCount: service ? service.requestCount : 0,
+                rateWindowStart: service ? service.rateWindowStart || 0 : 0
+            };
+        }
+
+        try {
+            this.storage.setItem(HEALTH_STATE_STORAGE_KEY, JSON.stringify({ savedAt: Date.now(), services }));
+        } catch (error) {
+            console.warn('代理服务状态保存失败:', error.message);
+        }
+    }
+
+    /**
+     * 记录代理服务的一次请求结果，更新EWMA统计
+     * @param {Object} service - 代理服务配置
+     * @param {Object} outcome - 请求结果
+     * @param {boolean} outcome.success - 是否成功
+     * @param {number} outcome.latency - 耗时(ms)
+     * @param {number} outcome.bytes - 响应大小（未知时为0）
+     */
+    recordProviderOutcome(service, { success, latency, bytes = 0 }) {
+        const alpha = this.selectionOptions.ewmaAlpha;
+        const ewma = (previous, sample) => previous === null ? sample : alpha * sample + (1 - alpha) * previous;
+        const metrics = this.providerMetrics.get(service.name) || {
+            latencyEwma: null,
+            successRate: null,
+            throughputEwma: null,
+            samples: 0,
+            lastLatency: null,
+            recentLatencies: []
+        };
+
+        metrics.samples++;
+        metrics.successRate = ewma(metrics.successRate, success ? 1 : 0);
+
+        // 失败请求的耗时多为超时，不计入延迟
+        if (success) {
+            metrics.latencyEwma = ewma(metrics.latencyEwma, latency);
+            metrics.lastLatency = latency;
+            metrics.recentLatencies.push(latency);
+            if (metrics.recentLatencies.length > this.selectionOptions.latencyWindow) {
+                metrics.recentLatencies.shift();
+            }
+            if (bytes > 0 && latency > 0) {
+                metrics.throughputEwma = ewma(metrics.throughputEwma, bytes / (latency / 1000));
+            }
+        }
+
+        this.providerMetrics.set(service.name, metrics);
+    }
+
+    /**
+     * 计算代理服务的预期耗时（越小越好）
+     * 预期耗时 = 平均延迟 + 失败概率 × 超时时间
+     * @param {Object} service - 代理服务配置
+     * @returns {number} 预期耗时(ms)
+     */
+    scoreProvider(service) {
+        const metrics = this.providerMetrics.get(service.name);
+        const latency = metrics && metrics.latencyEwma !== null
+            ? metrics.latencyEwma
+            : this.selectionOptions.initialLatency;
+        const successRate = metrics && metrics.successRate !== null ? metrics.successRate : 1;
+
+        return latency + (1 - successRate) * service.timeout;
+    }
+
+    /**
+     * 获取代理服务评分明细
+     * @returns {Array} 每个代理服务的统计和预期耗时
+     */
+    getProviderScores() {
+        return this.proxyServices.map(service => {
+            const metrics = this.providerMetrics.get(service.name);
+            return {
+                name: service.name,
+                samples: metrics ? metrics.samples : 0,
+                latencyEwma: metrics ? metrics.latencyEwma : null,
+                successRate: metrics ? metrics.successRate : null,
+                bytesPerSecond: metrics ? metrics.throughputEwma : null,
+                expectedCost: Math.round(this.scoreProvider(service)),
+                available: this.isServiceAvailable(service) && this.checkRateLimit(service)
+            };
+        });
+    }
+
     /**
      * 选择最佳代理服务
+     * 没有样本的服务优先（按最近最少使用），之后按预期耗时选择，并保留少量探索流量
+     * @param {Set<string>} excluded - 本次请求中已经尝试过的服务名称
      * @returns {Object|null} 最佳代理服务
      */
-    selectBestProxy() {
+    selectBestProxy(excluded = new Set()) {
         // 过滤可用的代理服务
         const availableServices = this.proxyServices.filter(service => 
+            !excluded.has(service.name) &&
             this.isServiceAvailable(service) && this.checkRateLimit(service)
         );
         
         if (availableServices.length === 0) {
             return null;
         }
-        
-        // 选择最近最少使用的服务
-        return availableServices.reduce((best, current) => 
-            current.lastUsed < best.lastUsed ? current : best
-        );
+
+        const leastRecentlyUsed = (services) => services.reduce((best, current) =>
+            current.lastUsed < best.lastUsed ? current : best
+        );
+
+        // 冷启动：先让每个服务都有样本
+        const unsampled = availableServices.filter(service => !this.providerMetrics.has(service.name));
+        if (unsampled.length > 0) {
+            return this.rememberSelection(leastRecentlyUsed(unsampled), 'cold-start');
+        }
+
+        const ranked = [...availableServices].sort((a, b) =>
+            this.scoreProvider(a) - this.scoreProvider(b) || a.lastUsed - b.lastUsed
+        );
+
+        // 探索：小部分流量分给其他服务，以便发现恢复或变快的服务
+        if (ranked.length > 1 && this.random() < this.selectionOptions.explorationRate) {
+            const others = ranked.slice(1);
+            const explored = others[Math.floor(this.random() * others.length)];
+            return this.rememberSelection(explored, 'exploration');
+        }
+
+        return this.rememberSelection(ranked[0], 'best-score');
+    }
+
+    /**
+     * 记录选择结果
+     * @param {Object} service - 被选中的代理服务
+     * @param {string} reason - 选择原因（cold-start/best-score/exploration）
+     * @returns {Object} 被选中的代理服务
+     */
+    rememberSelection(service, reason) {
+        this.lastSelection = {
+            name: service.name,
+            reason,
+            expectedCost: Math.round(this.scoreProvider(service)),
+            timestamp: Date.now()
+        };
+        return service;
+    }
+
+    /**
+     * 代理GET请求
+     * @param {string} url - 目标URL
+     * @param {Object} options - 请求选项
+     * @param {string} options.cache - 缓存模式，同fetch: 'default' | 'no-cache' | 'reload' | 'no-store'
+     * @param {boolean} options.hedge - 是否使用对冲请求，默认取hedgingOptions.enabled
+     * @returns {Promise<Response>} 响应对象
+     */
+    async proxyGet(url, options = {}) {
+        url = this.prepareTargetURL(url);
+
+        // 带Cookie的响应因人而异，不读写共享缓存
+        const cacheMode = this.hasCookiesFor(url) ? 'no-store' : (options.cache || 'default');
+        const cacheKey = `GET ${url}`;
+        let cachedEntry = null;
+
+        // 查找缓存，新鲜的条目直接返回，不消耗速率限制；Vary列出的请求头按实际会发送的值比较
+        if (cacheMode !== 'no-store' && cacheMode !== 'reload') {
+            cachedEntry = await this.responseCache.get(cacheKey, this.securityManager.sanitizeHeaders(options.headers || {}));
+            if (cachedEntry && cacheMode === 'default' && this.responseCache.isFresh(cachedEntry)) {
+                this.responseCache.recordHit();
+                return this.responseCache.toResponse(cachedEntry, 'HIT');
+            }
+        }
+
+        // 过期条目使用条件请求重新验证
+        let requestOptions = options;
+        if (cachedEntry && this.responseCache.canRevalidate(cachedEntry)) {
+            requestOptions = {
+                ...options,
+                headers: {
+                    ...(options.headers || {}),
+                    ...this.responseCache.buildConditionalHeaders(cachedEntry)
+                }
+            };
+        }
+
+        // 带取消信号的请求不合并，避免一个调用方取消影响其他调用方
+        if (options.signal) {
+            return this.executeGet(url, requestOptions, cacheKey, cachedEntry, cacheMode);
+        }
+
+        return this.coalesceRequest(
+            this.buildRequestKey('GET', url, requestOptions.headers),
+            url,
+            () => this.executeGet(url, requestOptions, cacheKey, cachedEntry, cacheMode)
+        );
+    }
+
+    /**
+     * 通用代理请求
+     * GET走缓存和请求合并，HEAD合并但不缓存，其余方法只发往声明支持该方法的代理服务
+     * @param {string} method - 请求方法（GET/HEAD/POST/PUT/DELETE/PATCH）
+     * @param {string} url - 目标URL
+     * @param {Object} options - 请求选项
+     * @param {Object} options.headers - 请求头（经SecurityManager.sanitizeHeaders过滤）
+     * @param {*} options.body - 请求体，GET/HEAD不允许
+     * @param {AbortSignal} options.signal - 取消信号
+     * @returns {Promise<Response>} 响应对象
+     */
+    async proxyRequest(method, url, options = {}) {
+        method = String(method || 'GET').toUpperCase();
+        if (!PROXY_METHODS.includes(method)) {
+            throw new Error(`不支持的请求方法: ${method}`);
+        }
+
+        if ((method === 'GET' || method === 'HEAD') && options.body !== undefined && options.body !== null) {
+            throw new Error(`${method} 请求不能包含请求体`);
+        }
+
+        if (method === 'GET') {
+            return this.proxyGet(url, options);
+        }
+
+        url = this.prepareTargetURL(url);
+
+        // 不支持该方法的代理服务不参与选择
+        const unsupported = this.proxyServices.filter(service => !this.supportsMethod(service, method));
+        if (unsupported.length === this.proxyServices.length) {
+            const details = unsupported
+                .map(service => `${service.name}: ${this.getServiceMethods(service).join('/')}`)
+                .join('；');
+            throw new Error(`没有支持 ${method} 请求的代理服务（${details}）`);
+        }
+
+        const requestOptions = {
+            ...options,
+            method,
+            excludedServices: unsupported.map(service => service.name)
+        };
+
+        if (method === 'HEAD' && !options.signal) {
+            return this.coalesceRequest(
+                this.buildRequestKey(method, url, options.headers),
+                url,
+                () => this.fetchThroughProxies(url, requestOptions)
+            );
+        }
+
+        return this.fetchThroughProxies(url, requestOptions);
+    }
+
+    /**
+     * 以流的方式代理GET请求（用于大文件下载）
+     * 优先使用原样转发的代理服务，响应体边到达边交给调用方；原样转发的服务都不可用时才退回JSON包装的服务（整体读取）。
+     * 不使用响应缓存，也不合并请求。
+     * @param {string} url - 目标URL
+     * @param {Object} options - 请求选项
+     * @param {Function} options.onProgress - 进度回调 (loaded, total)，总大小未知时total为null
+     * @param {Object} options.headers - 请求头
+     * @param {AbortSignal} options.signal - 取消信号，读取响应体期间同样有效
+     * @returns {Promise<Response>} 响应，body为带进度通知的ReadableStream
+     */
+    async proxyStream(url, options = {}) {
+        url = this.prepareTargetURL(url);
+
+        const { onProgress, ...requestOptions } = options;
+        const wrappedServices = this.proxyServices
+            .filter(service => service.unwrap === 'json')
+            .map(service => service.name);
+        const rawServices = this.proxyServices
+            .filter(service => service.unwrap !== 'json')
+            .map(service => service.name);
+
+        let response;
+        try {
+            response = await this.fetchThroughProxies(url, {
+                ...requestOptions,
+                method: 'GET',
+                excludedServices: rawServices.length > 0 ? wrappedServices : []
+            });
+        } catch (error) {
+            if ((options.signal && options.signal.aborted) || rawServices.length === 0 || wrappedServices.length === 0) {
+                throw error;
+            }
+            console.warn('原样转发的代理服务不可用，改用JSON包装的代理服务（无法流式读取）:', error.message);
+            response = await this.fetchThroughProxies(url, {
+                ...requestOptions,
+                method: 'GET',
+                excludedServices: rawServices
+            });
+        }
+
+        return this.trackResponseProgress(response, onProgress, options.signal);
+    }
+
+    /**
+     * 包装响应体，读取时通知进度
+     * @param {Response} response - 响应
+     * @param {Function} onProgress - 进度回调 (loaded, total)
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Response} 新的响应（状态和响应头不变）
+     */
+    trackResponseProgress(response, onProgress, signal) {
+        if (!response.body) {
+            return response;
+        }
+
+        // 压缩传输时Content-Length是压缩后的大小，与读取到的字节数不一致
+        const contentLength = parseInt(response.headers.get('content-length'), 10);
+        const total = !response.headers.get('content-encoding') && contentLength > 0 ? contentLength : null;
+        const reader = response.body.getReader();
+        let loaded = 0;
+
+        const stream = new ReadableStream({
+            async pull(controller) {
+                if (signal && signal.aborted) {
+                    const abortError = new Error('请求已取消');
+                    abortError.name = 'AbortError';
+                    controller.error(abortError);
+                    reader.cancel(abortError).catch(() => {});
+                    return;
+                }
+
+                const { done, value } = await reader.read();
+                if (done) {
+                    controller.close();
+                    return;
+                }
+
+                loaded += value.byteLength;
+                if (onProgress) {
+                    onProgress(loaded, total);
+                }
+                controller.enqueue(value);
+            },
+            cancel(reason) {
+                return reader.cancel(reason);
+            }
+        });
+
+        return new Response(stream, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        });
+    }
+
+    /**
+     * 校验目标URL，必要时升级为HTTPS
+     * @param {string} url - 目标URL
+     * @returns {string} 可以请求的URL
+     */
+    prepareTargetURL(url) {
+        if (!this.isInitialized) {
+            throw new Error('代理服务未初始化');
+        }
+
+        // 验证目标URL安全性
+        const urlCheck = this.securityManager.validateURLSafety(url);
+        if (!urlCheck || !urlCheck.isValid) {
+            throw new Error(`目标URL不安全: ${urlCheck && urlCheck.error ? urlCheck.error.message : url}`);
+        }
+
+        // 强制使用HTTPS
+        if (!this.securityManager.validateHTTPS(url)) {
+            // 尝试升级到HTTPS
+            const httpsUrl = url.replace(/^http:/, 'https:');
+            if (this.securityManager.validateHTTPS(httpsUrl)) {
+                console.log('已将HTTP升级为HTTPS:', httpsUrl);
+                return httpsUrl;
+            }
+            throw new Error('目标URL必须使用HTTPS协议');
+        }
+
+        return url;
+    }
+
+    /**
+     * 获取代理服务支持的请求方法
+     * @param {Object} service - 代理服务配置
+     * @returns {Array<string>} 请求方法列表
+     */
+    getServiceMethods(service) {
+        return Array.isArray(service.methods) && service.methods.length > 0 ? service.methods : ['GET'];
+    }
+
+    /**
+     * 代理服务是否支持指定请求方法
+     * @param {Object} service - 代理服务配置
+     * @param {string} method - 请求方法
+     * @returns {boolean} 是否支持
+     */
+    supportsMethod(service, method) {
+        return this.getServiceMethods(service).includes(method.toUpperCase());
+    }
+
+    /**
+     * 合并同时发出的相同请求
+     * 第一个调用方拿到原始响应，其余调用方拿到克隆；克隆在请求完成时一次性创建，
+     * 此时还没有调用方读取过响应体，也不会留下无人读取的响应体。
+     * @param {string} requestKey - 合并键
+     * @param {string} url - 目标URL（用于日志）
+     * @param {Function} execute - 发出请求的函数
+     * @returns {Promise<Response>} 响应对象
+     */
+    async coalesceRequest(requestKey, url, execute) {
+        let shared = this.inflightRequests.get(requestKey);
+
+        if (shared) {
+            this.coalescedRequestCount++;
+            shared.callers++;
+            console.log('合并进行中的相同请求:', url);
+        } else {
+            shared = { callers: 1, responses: null, promise: null };
+            const entry = shared;
+            entry.promise = execute().then(response => {
+                // 请求完成后不再接受新的调用方，调用方数量就此确定
+                this.inflightRequests.delete(requestKey);
+                entry.responses = [response];
+                for (let i = 1; i < entry.callers; i++) {
+                    entry.responses.push(response.clone());
+                }
+            }, error => {
+                this.inflightRequests.delete(requestKey);
+                throw error;
+            });
+            this.inflightRequests.set(requestKey, entry);
+        }
+
+        await shared.promise;
+        return shared.responses.shift();
+    }
+
+    /**
+     * 发出GET请求并更新缓存
+     * @param {string} url - 目标URL
+     * @param {Object} requestOptions - 请求选项（可能包含条件请求头）
+     * @param {string} cacheKey - 缓存键
+     * @param {Object|null} cachedEntry - 已有的缓存条目
+     * @param {string} cacheMode - 缓存模式
+     * @returns {Promise<Response>} 响应对象
+     */
+    async executeGet(url, requestOptions, cacheKey, cachedEntry, cacheMode) {
+        const response = await this.fetchThroughProxies(url, requestOptions);
+
+        if (response.status === 304 && cachedEntry) {
+            const refreshed = await this.responseCache.refresh(cachedEntry, response);
+            this.responseCache.recordHit();
+            return this.responseCache.toResponse(refreshed, 'REVALIDATED');
+        }
+
+        if (cacheMode !== 'no-store' && !response.headers.has('x-relay-set-cookie')) {
+            this.responseCache.recordMiss();
+            // 在后台读取响应体写入缓存，不等待，流式读取照常进行
+            this.responseCache.put(cacheKey, url, response, this.securityManager.sanitizeHeaders(requestOptions.headers || {}));
+        }
+
+        return response;
+    }
+
+    /**
+     * 生成请求合并键（方法 + URL + 会被实际发送的请求头）
+     * @param {string} method - 请求方法
+     * @param {string} url - 目标URL
+     * @param {Object} headers - 请求头
+     * @returns {string} 合并键
+     */
+    buildRequestKey(method, url, headers = {}) {
+        const relevantHeaders = Object.entries(this.securityManager.sanitizeHeaders(headers || {}))
+            .map(([name, value]) => `${name.toLowerCase()}:${value}`)
+            .sort()
+            .join('|');
+        return `${method.toUpperCase()} ${url} ${relevantHeaders}`;
+    }
+
+    /**
+     * 注册请求/响应拦截器
+     * 请求拦截器在选择代理服务之前执行，可以修改 context.url/headers/body，或返回Response直接结束请求（不访问网络）；
+     * 响应拦截器在validateResponse之后执行，返回Response时替换原响应。两者都按注册顺序执行，可以是异步函数。
+     * 拦截器添加或修改的请求头视为可信，不经过SecurityManager.sanitizeHeaders过滤；缓存命中的请求不经过拦截器。
+     * @param {Object} interceptor - 拦截器
+     * @param {string} interceptor.name - 名称（用于日志）
+     * @param {Function} interceptor.request - async (context) => Response|void
+     * @param {Function} interceptor.response - async (response, context) => Response|void
+     * @returns {Function} 移除该拦截器的函数
+     */
+    use(interceptor) {
+        if (!interceptor || (typeof interceptor.request !== 'function' && typeof interceptor.response !== 'function')) {
+            throw new Error('拦截器至少需要提供request或response函数');
+        }
+
+        const entry = { ...interceptor, name: interceptor.name || `interceptor-${this.interceptors.length + 1}` };
+        this.interceptors.push(entry);
+
+        return () => {
+            this.interceptors = this.interceptors.filter(existing => existing !== entry);
+        };
+    }
+
+    /**
+     * 经过拦截器发出请求
+     * @param {string} url - 目标URL
+     * @param {Object} options - 请求选项
+     * @param {boolean} options.hedge - 是否使用对冲请求，默认取hedgingOptions.enabled
+     * @returns {Promise<Response>} 响应对象
+     */
+    async fetchThroughProxies(url, options) {
+        if (this.interceptors.length === 0) {
+            return this.sendThroughProxies(url, options);
+        }
+
+        const context = {
+            method: options.method || 'GET',
+            url,
+            headers: { ...(options.headers || {}) },
+            body: options.body,
+            startTime: Date.now(),
+            shortCircuitedBy: null
+        };
+        const originalHeaders = { ...context.headers };
+
+        let response = await this.runRequestInterceptors(context);
+        if (!response) {
+            // 拦截器改写的地址同样需要通过安全检查
+            if (context.url !== url) {
+                context.url = this.prepareTargetURL(context.url);
+            }
+
+            const trustedHeaders = {};
+            for (const [name, value] of Object.entries(context.headers)) {
+                if (originalHeaders[name] !== value) {
+                    trustedHeaders[name] = value;
+                }
+            }
+
+            response = await this.sendThroughProxies(context.url, {
+                ...options,
+                headers: context.headers,
+                trustedHeaders,
+                body: context.body
+            });
+        }
+
+        return this.runResponseInterceptors(response, context);
+    }
+
+    /**
+     * 按顺序执行请求拦截器
+     * @param {Object} context - 请求上下文 { method, url, headers, body, startTime, shortCircuitedBy }
+     * @returns {Promise<Response|null>} 拦截器返回的合成响应，没有时返回null
+     */
+    async runRequestInterceptors(context) {
+        for (const interceptor of this.interceptors) {
+            if (typeof interceptor.request !== 'function') {
+                continue;
+            }
+
+            try {
+                const result = await interceptor.request(context);
+                if (result instanceof Response) {
+                    context.shortCircuitedBy = interceptor.name;
+                    return result;
+                }
+            } catch (error) {
+                console.error(`请求拦截器 ${interceptor.name} 执行失败:`, error);
+                throw error;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 按顺序执行响应拦截器
+     * @param {Response} response - 响应
+     * @param {Object} context - 请求上下文
+     * @returns {Promise<Response>} 最终响应
+     */
+    async runResponseInterceptors(response, context) {
+        for (const interceptor of this.interceptors) {
+            if (typeof interceptor.response !== 'function') {
+                continue;
+            }
+
+            try {
+                const result = await interceptor.response(response, context);
+                if (result instanceof Response) {
+                    response = result;
+                }
+            } catch (error) {
+                console.error(`响应拦截器 ${interceptor.name} 执行失败:`, error);
+                throw error;
+            }
+        }
+
+        return response;
     }
 
     /**
-     * 代理GET请求
+     * 依次尝试可用的代理服务，直到请求成功
      * @param {string} url - 目标URL
      * @param {Object} options - 请求选项
+     * @param {boolean} options.hedge - 是否使用对冲请求，默认取hedgingOptions.enabled
      * @returns {Promise<Response>} 响应对象
      */
-    async proxyGet(url, options = {}) {
-        if (!this.isInitialized) {
-            throw new Error('代理服务未初始化');
-        }
-
-        // 验证目标URL安全性
-        if (!this.securityManager.validateURLSafety(url)) {
-            throw new Error('目标URL不安全');
-        }
-
-        // 强制使用HTTPS
-        if (!this.securityManager.validateHTTPS(url)) {
-            // 尝试升级到HTTPS
-            const httpsUrl = url.replace(/^http:/, 'https:');
-            if (this.securityManager.validateHTTPS(httpsUrl)) {
-                url = httpsUrl;
-                console.log('已将HTTP升级为HTTPS:', url);
-            } else {
-                throw new Error('目标URL必须使用HTTPS协议');
-            }
-        }
-
+    async sendThroughProxies(url, options) {
         let lastError;
         let attempts = 0;
         const maxAttempts = this.proxyServices.length;
+        const triedServices = new Set(options.excludedServices || []);
+        const hedge = options.hedge !== undefined ? options.hedge : this.hedgingOptions.enabled;
+        
+        // 回放模式不需要真实的代理服务
+        if (this.harSettings.mode === 'replay') {
+            return this.makeProxyRequest(HAR_REPLAY_SERVICE, url, options);
+        }
         
         // 尝试所有可用的代理服务
         while (attempts < maxAttempts) {
-            const service = this.selectBestProxy();
+            const service = this.selectBestProxy(triedServices);
             
             if (!service) {
+                if (lastError) {
+                    break;
+                }
                 throw new Error('没有可用的代理服务（速率限制或断路器开启）');
             }
             
             try {
-                const response = await this.makeProxyRequest(service, url, options);
-                
-                // 记录成功使用
-                service.lastUsed = Date.now();
-                service.requestCount++;
-                this.recordSuccess(service);
-                
-                return response;
-                
+                return hedge
+                    ? await this.fetchWithHedging(service, url, options, triedServices)
+                    : await this.attemptProvider(service, url, options, triedServices);
             } catch (error) {
-                console.warn(`代理服务 ${service.name} 请求失败:`, error.message);
-                this.recordFailure(service);
+                // 调用方取消时不再尝试其他服务
+                if (options.signal && options.signal.aborted) {
+                    throw error;
+                }
                 lastError = error;
                 attempts++;
             }
@@ -336,6 +1521,161 @@ export class ProxyService {
         throw new Error(`所有代理服务都失败了。最后错误: ${lastError.message}`);
     }
 
+    /**
+     * 通过单个代理服务发出请求并记录结果
+     * @param {Object} service - 代理服务配置
+     * @param {string} url - 目标URL
+     * @param {Object} options - 请求选项
+     * @param {Set<string>} triedServices - 本次请求中已经尝试过的服务名称
+     * @returns {Promise<Response>} 响应对象
+     */
+    async attemptProvider(service, url, options, triedServices) {
+        triedServices.add(service.name);
+        const startTime = Date.now();
+        
+        try {
+            const response = await this.makeProxyRequest(service, url, options);
+            
+            // 记录成功使用
+            service.lastUsed = Date.now();
+            this.countRequest(service);
+            this.recordSuccess(service);
+            this.recordProviderOutcome(service, {
+                success: true,
+                latency: Date.now() - startTime,
+                bytes: parseInt(response.headers.get('content-length'), 10) || 0
+            });
+            
+            return response;
+            
+        } catch (error) {
+            // 被主动取消的请求不算代理服务的失败
+            if (options.signal && options.signal.aborted) {
+                throw error;
+            }
+            console.warn(`代理服务 ${service.name} 请求失败:`, error.message);
+            // 错误处理器会把错误改写为用户提示，诊断时使用原始错误
+            this.recordFailure(service, error.cause || error);
+            this.recordProviderOutcome(service, { success: false, latency: Date.now() - startTime });
+            throw error;
+        }
+    }
+
+    /**
+     * 计算对冲延迟：主服务近期延迟的百分位
+     * @param {Object} service - 主代理服务
+     * @returns {number} 延迟(ms)
+     */
+    getHedgeDelay(service) {
+        const { percentile, minSamples, defaultDelay, minDelay, maxDelay } = this.hedgingOptions;
+        const metrics = this.providerMetrics.get(service.name);
+        const samples = metrics ? metrics.recentLatencies : [];
+
+        if (samples.length < minSamples) {
+            return defaultDelay;
+        }
+
+        const sorted = [...samples].sort((a, b) => a - b);
+        const index = Math.min(sorted.length - 1, Math.ceil(percentile * sorted.length) - 1);
+        return Math.min(maxDelay, Math.max(minDelay, sorted[index]));
+    }
+
+    /**
+     * 对冲请求：主请求超过百分位延迟仍未返回时，向次优服务再发一个请求
+     * 先成功的响应胜出，另一个请求通过AbortController取消
+     * @param {Object} primary - 主代理服务
+     * @param {string} url - 目标URL
+     * @param {Object} options - 请求选项
+     * @param {Set<string>} triedServices - 本次请求中已经尝试过的服务名称
+     * @returns {Promise<Response>} 响应对象
+     */
+    fetchWithHedging(primary, url, options, triedServices) {
+        return new Promise((resolve, reject) => {
+            const inflight = [];
+            let settled = false;
+            let hedgeTimer = null;
+            let lastError = null;
+
+            const abortOthers = (winner) => {
+                for (const attempt of inflight) {
+                    if (attempt !== winner && !attempt.done) {
+                        attempt.controller.abort();
+                        this.hedgingStats.abortedRequests++;
+                    }
+                }
+            };
+
+            const finishIfExhausted = () => {
+                if (!settled && hedgeTimer === null && inflight.every(attempt => attempt.done)) {
+                    settled = true;
+                    reject(lastError);
+                }
+            };
+
+            const launch = (service, isHedge) => {
+                const attempt = { service, controller: new AbortController(), done: false };
+                inflight.push(attempt);
+
+                // 调用方取消时同时取消所有请求，请求结束后移除监听，避免长期存在的signal累积监听器
+                const abortFromCaller = () => attempt.controller.abort();
+                if (options.signal) {
+                    if (options.signal.aborted) {
+                        attempt.controller.abort();
+                    } else {
+                        options.signal.addEventListener('abort', abortFromCaller, { once: true });
+                    }
+                }
+
+                this.attemptProvider(service, url, { ...options, signal: attempt.controller.signal }, triedServices)
+                    .finally(() => {
+                        if (options.signal) {
+                            options.signal.removeEventListener('abort', abortFromCaller);
+                        }
+                    })
+                    .then(response => {
+                        attempt.done = true;
+                        if (settled) {
+                            return;
+                        }
+                        settled = true;
+                        clearTimeout(hedgeTimer);
+                        if (isHedge) {
+                            this.hedgingStats.hedgeWins++;
+                            console.log(`对冲请求胜出: ${service.name}`);
+                        }
+                        abortOthers(attempt);
+                        resolve(response);
+                    }, error => {
+                        attempt.done = true;
+                        lastError = error;
+                        // 主请求在对冲前就失败时，交给外层故障转移
+                        if (!isHedge && hedgeTimer !== null && inflight.length === 1) {
+                            clearTimeout(hedgeTimer);
+                            hedgeTimer = null;
+                        }
+                        finishIfExhausted();
+                    });
+            };
+
+            launch(primary, false);
+
+            hedgeTimer = setTimeout(() => {
+                hedgeTimer = null;
+                if (settled) {
+                    return;
+                }
+                const backup = this.selectBestProxy(triedServices);
+                if (backup) {
+                    this.hedgingStats.hedgedRequests++;
+                    console.log(`${primary.name} 未在预期时间内响应，向 ${backup.name} 发出对冲请求`);
+                    launch(backup, true);
+                } else {
+                    finishIfExhausted();
+                }
+            }, this.getHedgeDelay(primary));
+        });
+    }
+
     /**
      * 执行代理请求
      * @param {Object} service - 代理服务配置
@@ -345,13 +1685,33 @@ export class ProxyService {
      */
     async makeProxyRequest(service, url, options) {
         const operationId = `proxy-${service.name}-${Date.now()}`;
+        const method = options.method || 'GET';
+        
+        // 回放模式：只从HAR返回响应，不访问网络
+        if (this.harSettings.mode === 'replay') {
+            const replayed = this.harArchive.findResponse(method, url);
+            if (!replayed) {
+                throw new Error(`HAR回放中没有该请求的记录: ${method} ${url}`);
+            }
+            return replayed;
+        }
+        
+        const startTime = Date.now();
+        let sentHeaders = {};
         
         const requestFunction = async () => {
             const proxyUrl = this.buildProxyURL(url, service);
             
-            // 设置请求超时
+            // 设置请求超时，并关联调用方的取消信号
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), service.timeout);
+            const abortFromCaller = () => controller.abort();
+            if (options.signal) {
+                if (options.signal.aborted) {
+                    controller.abort();
+                }
+                options.signal.addEventListener('abort', abortFromCaller, { once: true });
+            }
             
             try {
                 // 清理请求头
@@ -363,12 +1723,21 @@ export class ProxyService {
                     'User-Agent': 'WebBrowserDownloader/1.0',
                     'Accept': 'application/json, text/html, */*',
                     'Cache-Control': 'no-cache',
-                    'Pragma': 'no-cache'
+                    'Pragma': 'no-cache',
+                    ...(options.trustedHeaders || {}) // 拦截器添加的请求头
                 };
                 
+                // 支持Cookie的代理服务通过自定义头携带Cookie
+                const cookieHeader = service.cookies ? this.cookieJar.getCookieHeader(url) : '';
+                if (cookieHeader) {
+                    secureHeaders['X-Relay-Cookie'] = cookieHeader;
+                }
+                
+                sentHeaders = secureHeaders;
                 const response = await fetch(proxyUrl, {
-                    method: 'GET',
+                    method,
                     headers: secureHeaders,
+                    body: options.body,
                     signal: controller.signal,
                     mode: 'cors',
                     credentials: 'omit', // 不发送凭据
@@ -377,15 +1746,32 @@ export class ProxyService {
                 });
                 
                 clearTimeout(timeoutId);
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', abortFromCaller);
+                }
+                
+                if (service.cookies) {
+                    this.storeRelayedCookies(response, url);
+                }
                 
-                if (!response.ok) {
+                // 304为条件请求的正常结果
+                if (!response.ok && response.status !== 304) {
                     throw new Error(`HTTP ${response.status}: ${response.statusText}`);
                 }
                 
-                return response;
+                return await this.unwrapProxyResponse(response, service);
                 
             } catch (error) {
                 clearTimeout(timeoutId);
+                if (options.signal) {
+                    options.signal.removeEventListener('abort', abortFromCaller);
+                }
+                
+                if (options.signal && options.signal.aborted) {
+                    const abortError = new Error('请求已取消');
+                    abortError.name = 'AbortError';
+                    throw abortError;
+                }
                 
                 if (error.name === 'AbortError') {
                     throw new Error(`请求超时 (${service.timeout}ms)`);
@@ -396,19 +1782,58 @@ export class ProxyService {
         };
 
         try {
-            const response = await this.errorHandler.handleNetworkError(
-                new Error('Network request preparation'),
-                operationId,
-                requestFunction
-            );
+            let response;
+            try {
+                response = await requestFunction();
+            } catch (requestError) {
+                if (options.signal && options.signal.aborted) {
+                    throw requestError;
+                }
+                // 交给错误处理器判断是否可重试
+                try {
+                    response = await this.errorHandler.handleNetworkError(
+                        requestError,
+                        operationId,
+                        requestFunction
+                    );
+                } catch (handledError) {
+                    handledError.cause = handledError.cause || requestError;
+                    throw handledError;
+                }
+            }
             
             // 验证响应安全性
             await this.validateResponse(response, service);
+            
+            // HAR录制和WARC捕获都在后台读取响应体，不等待，流式读取照常进行
+            if (this.harSettings.mode === 'record') {
+                this.recordHarEntry({
+                    method,
+                    url,
+                    requestHeaders: sentHeaders,
+                    requestBody: options.body,
+                    response,
+                    startTime,
+                    serviceName: service.name
+                });
+            }
+            this.warcArchive.capture({
+                method,
+                url,
+                requestHeaders: sentHeaders,
+                requestBody: options.body,
+                response,
+                startTime
+            });
             return response;
             
         } catch (error) {
-            // 记录代理服务失败
-            this.recordFailure(service);
+            // 被取消的请求直接抛出，不记录失败
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            
+            // 失败由attemptProvider记录，这里不重复计数
             
             // 处理安全错误
             if (error.message.includes('certificate') || error.message.includes('SSL')) {
@@ -421,19 +1846,237 @@ export class ProxyService {
             throw error;
         }
     }
-            await this.validateResponse(response, service);
-            
-            return response;
-            
+
+    /**
+     * 保存中继通过x-relay-set-cookie返回的Cookie
+     * @param {Response} response - 代理服务返回的响应
+     * @param {string} url - 目标URL
+     */
+    storeRelayedCookies(response, url) {
+        const header = response.headers.get('x-relay-set-cookie');
+        if (!header) {
+            return;
+        }
+
+        try {
+            for (const hop of JSON.parse(header)) {
+                for (const setCookie of hop.cookies || []) {
+                    this.cookieJar.setCookie(setCookie, hop.url || url);
+                }
+            }
         } catch (error) {
-            clearTimeout(timeoutId);
-            
-            if (error.name === 'AbortError') {
-                throw new Error(`请求超时 (${service.timeout}ms)`);
+            console.warn('中继返回的Cookie格式无效:', error.message);
+        }
+    }
+
+    /**
+     * 是否有可用的代理服务会向该URL发送Cookie
+     * @param {string} url - 目标URL
+     * @returns {boolean} 是否会发送Cookie
+     */
+    hasCookiesFor(url) {
+        return this.proxyServices.some(service => service.cookies) && this.cookieJar.getCookieHeader(url) !== '';
+    }
+
+    /**
+     * 录制HAR条目（不等待响应体读取完成），录制失败不影响请求
+     * @param {Object} exchange - 请求和响应，见HarArchive.record
+     */
+    recordHarEntry(exchange) {
+        try {
+            this.harArchive.record(exchange);
+        } catch (error) {
+            console.warn('HAR录制失败:', error.message);
+        }
+    }
+
+    /**
+     * 读取保存的HAR设置
+     * @returns {Object} { mode, source }
+     */
+    loadHarSettings() {
+        if (this.storage) {
+            try {
+                const saved = JSON.parse(this.storage.getItem(HAR_SETTINGS_STORAGE_KEY));
+                if (saved && saved.mode === 'replay' && !this.isAllowedHarSource(saved.source)) {
+                    console.warn('忽略保存的HAR回放来源（只能回放与应用同源的HAR文件）:', saved.source);
+                } else if (saved && HAR_MODES.includes(saved.mode)) {
+                    return { mode: saved.mode, source: saved.source || '' };
+                }
+            } catch (error) {
+                console.warn('HAR设置读取失败:', error.message);
             }
-            
-            throw error;
         }
+        return { mode: 'off', source: '' };
+    }
+
+    /**
+     * 合并URL参数和保存的HAR设置
+     * ?har=record 开启录制，?har=<HAR文件地址> 从该文件回放，?har=off 临时关闭
+     * @returns {Object} { mode, source }
+     */
+    resolveHarSettings() {
+        const param = typeof location !== 'undefined' && location.search
+            ? new URLSearchParams(location.search).get('har')
+            : null;
+
+        if (!param) {
+            return { ...this.harSettings };
+        }
+        if (param === 'record' || param === 'off') {
+            return { mode: param, source: '' };
+        }
+        if (!this.isAllowedHarSource(param)) {
+            console.warn('忽略har参数（只能回放与应用同源的HAR文件）:', param);
+            return { mode: 'off', source: '' };
+        }
+        return { mode: 'replay', source: param };
+    }
+
+    /**
+     * 解析HAR文件地址，只接受与应用同源的地址
+     * 回放的内容会作为任意网站的真实响应显示，其他来源的HAR可以伪造地址栏中网站的内容
+     * @param {string} source - HAR文件地址（可以是相对地址）
+     * @returns {string|null} 解析后的地址，不同源或无效时返回null
+     */
+    resolveHarSourceURL(source) {
+        if (typeof location === 'undefined' || !location.href) {
+            return null;
+        }
+        try {
+            const appOrigin = new URL(location.href).origin;
+            const resolved = new URL(source, location.href);
+            return resolved.origin === appOrigin ? resolved.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 检查回放来源是否可以使用：JSON文本和HAR对象由用户直接提供，地址必须与应用同源
+     * @param {string|Object} source - 回放来源
+     * @returns {boolean} 是否可以使用
+     */
+    isAllowedHarSource(source) {
+        if (typeof source !== 'string' || source.trim().startsWith('{')) {
+            return Boolean(source);
+        }
+        return this.resolveHarSourceURL(source) !== null;
+    }
+
+    /**
+     * 获取当前HAR设置
+     * @returns {Object} { mode, source }
+     */
+    getHarSettings() {
+        return { ...this.harSettings };
+    }
+
+    /**
+     * 更新并保存HAR设置
+     * @param {Object} settings - 设置
+     * @param {string} settings.mode - 'off' | 'record' | 'replay'
+     * @param {string|Object} settings.source - 回放来源：HAR文件地址、JSON文本或HAR对象
+     */
+    async updateHarSettings({ mode, source = '' }) {
+        if (!HAR_MODES.includes(mode)) {
+            throw new Error(`无效的HAR模式: ${mode}`);
+        }
+
+        if (mode === 'replay') {
+            await this.loadHarReplay(source);
+            // 回放不依赖网络，即使代理服务验证失败也可以使用
+            this.isInitialized = true;
+        }
+
+        this.harSettings = { mode, source: typeof source === 'string' ? source : '' };
+
+        // 从文件内容加载的回放只在本次会话有效，只保存可以重新读取的HAR地址
+        const isPersistable = mode !== 'replay' || (typeof source === 'string' && !source.trim().startsWith('{'));
+        if (this.storage && isPersistable) {
+            try {
+                this.storage.setItem(HAR_SETTINGS_STORAGE_KEY, JSON.stringify(this.harSettings));
+            } catch (error) {
+                console.warn('HAR设置保存失败:', error.message);
+            }
+        }
+        console.log('HAR模式已切换为:', mode);
+    }
+
+    /**
+     * 加载回放用的HAR
+     * @param {string|Object} source - HAR文件地址、JSON文本或HAR对象
+     * @returns {Promise<number>} 加载的条目数
+     */
+    async loadHarReplay(source) {
+        if (!source) {
+            throw new Error('回放模式需要指定HAR文件');
+        }
+
+        let har = source;
+        if (typeof source === 'string' && !source.trim().startsWith('{')) {
+            // HAR文件地址，只读取与应用同源的文件
+            const sourceURL = this.resolveHarSourceURL(source);
+            if (!sourceURL) {
+                throw new Error(`只能回放与应用同源的HAR文件: ${source}`);
+            }
+            const response = await fetch(sourceURL);
+            if (!response.ok) {
+                throw new Error(`HAR文件读取失败: HTTP ${response.status}`);
+            }
+            har = await response.text();
+        }
+
+        const count = this.harArchive.load(har);
+        const skipped = this.harArchive.getStats().replaySkipped;
+        console.log(`已加载HAR回放数据: ${count} 条记录` + (skipped > 0 ? `，跳过 ${skipped} 条无法回放的记录` : ''));
+        return count;
+    }
+
+    /**
+     * 导出录制的HAR
+     * @returns {Promise<Object>} HAR对象
+     */
+    async exportHar() {
+        return this.harArchive.toHAR(APP_VERSION);
+    }
+
+    /**
+     * 按提供者配置解包代理响应
+     * @param {Response} response - 代理服务返回的响应
+     * @param {Object} service - 代理服务配置
+     * @returns {Promise<Response>} 目标资源的响应
+     */
+    async unwrapProxyResponse(response, service) {
+        if (service.unwrap !== 'json') {
+            return response;
+        }
+
+        const payload = await response.json();
+        const field = service.unwrapField || 'contents';
+        
+        if (!payload || typeof payload !== 'object' || !(field in payload)) {
+            throw new Error(`代理服务 ${service.name} 响应格式无效`);
+        }
+
+        // AllOrigins风格的元数据: { status: { http_code, content_type } }
+        const meta = payload.status && typeof payload.status === 'object' ? payload.status : {};
+        const status = Number(meta.http_code) || 200;
+        if (status >= 400) {
+            throw new Error(`HTTP ${status}`);
+        }
+
+        const headers = new Headers();
+        if (meta.content_type) {
+            headers.set('content-type', meta.content_type);
+        }
+
+        if (status === 304) {
+            return new Response(null, { status, headers });
+        }
+
+        const body = typeof payload[field] === 'string' ? payload[field] : JSON.stringify(payload[field]);
+        return new Response(body, { status, headers });
     }
 
     /**
@@ -469,8 +2112,7 @@ export class ProxyService {
      * @returns {Promise<Response>} 响应对象
      */
     async proxyPost(url, data, options = {}) {
-        // 目前不支持POST请求，因为大多数CORS代理不支持
-        throw new Error('POST请求暂不支持，出于安全考虑');
+        return this.proxyRequest('POST', url, { ...options, body: data });
     }
 
     /**
@@ -485,20 +2127,31 @@ export class ProxyService {
         }
         
         const encodedURL = encodeURIComponent(targetURL);
+        const template = service.url;
         
-        switch (service.type) {
-            case 'allorigins':
-                return `${service.url}${encodedURL}`;
-            
-            case 'cors-sh':
-                return `${service.url}${targetURL}`;
-            
-            case 'corsproxy':
-                return `${service.url}${encodedURL}`;
-            
-            default:
-                return `${service.url}${encodedURL}`;
+        // 模板中没有占位符时，沿用在末尾追加编码URL的方式
+        if (!/\{(encodedUrl|url)\}/.test(template)) {
+            return `${template}${encodedURL}`;
         }
+        
+        return template
+            .replace(/\{encodedUrl\}/g, () => encodedURL)
+            .replace(/\{url\}/g, () => targetURL);
+    }
+
+    /**
+     * 构建页面子资源（图片、样式、字体等）的代理URL
+     * 子资源由iframe直接加载，只能使用原样返回内容的代理服务
+     * @param {string} targetURL - 资源URL
+     * @returns {string|null} 代理URL，没有可用的代理服务时返回null
+     */
+    buildResourceProxyURL(targetURL) {
+        const wrappedServices = this.proxyServices
+            .filter(service => service.unwrap === 'json')
+            .map(service => service.name);
+        const service = this.selectBestProxy(new Set(wrappedServices));
+
+        return service ? this.buildProxyURL(targetURL, service) : null;
     }
 
     /**
@@ -513,8 +2166,9 @@ export class ProxyService {
         }
         
         // 验证URL安全性
-        if (!this.securityManager.validateURLSafety(targetURL)) {
-            throw new Error('目标URL不安全');
+        const urlCheck = this.securityManager.validateURLSafety(targetURL);
+        if (!urlCheck || !urlCheck.isValid) {
+            throw new Error(`目标URL不安全: ${urlCheck && urlCheck.error ? urlCheck.error.message : targetURL}`);
         }
         
         const bestService = this.selectBestProxy();
@@ -532,11 +2186,7 @@ export class ProxyService {
     async validateProxySSL() {
         try {
             for (const service of this.proxyServices) {
-                const isValid = await this.securityManager.validateProxyService(service.url);
-                if (!isValid) {
-                    console.error(`SSL证书验证失败: ${service.name}`);
-                    return false;
-                }
+                await this.checkProviderSecurity(service);
             }
             return true;
         } catch (error) {
@@ -545,6 +2195,68 @@ export class ProxyService {
         }
     }
 
+    /**
+     * 获取每个代理服务的诊断信息（用于诊断面板）
+     * @returns {Array<Object>} 断路器状态、延迟历史、按类型的错误计数、剩余速率额度和最近失败原因
+     */
+    getProviderDiagnostics() {
+        const now = Date.now();
+        return this.proxyServices.map(service => {
+            const metrics = this.providerMetrics.get(service.name);
+            const diagnostics = this.getDiagnosticsEntry(service.name);
+            const breaker = this.circuitBreaker.get(service.name);
+            this.checkRateLimit(service); // 计数窗口已过时先重置
+
+            return {
+                name: service.name,
+                type: service.type,
+                state: this.getCircuitState(service),
+                retryAt: breaker ? breaker.openedAt + breaker.timeout : null,
+                failures: this.failureCount.get(service.name) || 0,
+                latencyHistory: metrics ? metrics.recentLatencies.slice() : [],
+                latencyEwma: metrics ? metrics.latencyEwma : null,
+                successRate: metrics ? metrics.successRate : null,
+                errorCounts: { ...diagnostics.errorCounts },
+                lastFailure: diagnostics.lastFailure ? { ...diagnostics.lastFailure } : null,
+                lastProbe: diagnostics.lastProbe ? { ...diagnostics.lastProbe } : null,
+                rateLimit: {
+                    limit: service.rateLimit,
+                    used: service.requestCount,
+                    remaining: Math.max(0, service.rateLimit - service.requestCount),
+                    resetsAt: service.rateWindowStart ? service.rateWindowStart + RATE_LIMIT_WINDOW : now
+                }
+            };
+        });
+    }
+
+    /**
+     * 立即测试代理服务的连通性
+     * 成功时关闭断路器，失败时按健康检查失败记录
+     * @param {string} name - 代理服务名称
+     * @returns {Promise<Object>} 测试结果 { ok, latency, error, time }
+     */
+    async testProvider(name) {
+        const service = this.proxyServices.find(candidate => candidate.name === name);
+        if (!service) {
+            throw new Error(`代理服务不存在: ${name}`);
+        }
+
+        const ok = await this.testProxyConnectivity(service);
+        const probe = this.getDiagnosticsEntry(name).lastProbe;
+
+        if (ok) {
+            this.recordSuccess(service);
+        } else {
+            this.recordFailure(service, new Error(probe && probe.error ? probe.error : '连通性测试失败'));
+        }
+
+        this.notifyStatusChange(
+            this.proxyServices.some(candidate => this.isServiceAvailable(candidate)) ? 'available' : 'unavailable'
+        );
+
+        return probe ? { ...probe } : { ok, latency: null, error: ok ? null : '连通性测试失败', time: Date.now() };
+    }
+
     /**
      * 获取代理服务统计信息
      * @returns {Object} 统计信息
@@ -554,14 +2266,48 @@ export class ProxyService {
             totalServices: this.proxyServices.length,
             availableServices: this.proxyServices.filter(s => this.isServiceAvailable(s)).length,
             circuitBreakers: Array.from(this.circuitBreaker.keys()),
+            circuitStates: this.proxyServices.map(s => ({
+                name: s.name,
+                state: this.getCircuitState(s),
+                failures: this.failureCount.get(s.name) || 0
+            })),
             requestCounts: this.proxyServices.map(s => ({
                 name: s.name,
                 requests: s.requestCount,
                 limit: s.rateLimit
-            }))
+            })),
+            cache: this.getCacheStats(),
+            inflightRequests: this.inflightRequests.size,
+            coalescedRequests: this.coalescedRequestCount,
+            providerScores: this.getProviderScores(),
+            lastSelection: this.lastSelection,
+            hedging: { enabled: this.hedgingOptions.enabled, ...this.hedgingStats },
+            har: { mode: this.harSettings.mode, ...this.harArchive.getStats() },
+            warc: this.warcArchive.getStats()
         };
     }
 
+    /**
+     * 获取响应缓存统计信息
+     * @returns {Object} 缓存统计
+     */
+    getCacheStats() {
+        return this.responseCache.getStats();
+    }
+
+    /**
+     * 清除响应缓存
+     * @param {string} url - 只清除指定URL的缓存，省略时清空全部
+     */
+    async purgeCache(url = null) {
+        if (url) {
+            await this.responseCache.delete(`GET ${url}`);
+        } else {
+            await this.responseCache.clear();
+        }
+        console.log(url ? `已清除缓存: ${url}` : '代理响应缓存已清空');
+    }
+
     /**
      * 错误处理回调
      * @param {Function} callback - 错误处理回调函数
@@ -0,0 +1,533 @@
+import { HTMLToMarkdownConverter } from './HTMLToMarkdownConverter.js';
+import { getDefaultStorage } from './DefaultStorage.js';
+
+/**
+ * 阅读模式 - 从页面中找出正文，整理为只含基本排版标签的文章（标题、作者、阅读时间、正文和图片）
+ * 阅读视图显示的HTML和下载的Markdown由同一份文章HTML生成，两者内容一致
+ */
+
+const READER_STORAGE_KEY = 'wbd.reader';
+
+export const READER_FONT_SIZE = { min: 14, max: 28, step: 2, default: 18 };
+
+/**
+ * 正文宽度（px）
+ */
+export const READER_WIDTHS = {
+    narrow: 560,
+    medium: 720,
+    wide: 960
+};
+
+const DEFAULT_READER_SETTINGS = { fontSize: READER_FONT_SIZE.default, width: 'medium' };
+
+// 每分钟阅读的汉字数和英文单词数
+const CJK_CHARS_PER_MINUTE = 400;
+const WORDS_PER_MINUTE = 200;
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/g; // 假名、汉字和韩文按字计数
+
+// 正文至少要有的文字数
+const MIN_ARTICLE_LENGTH = 200;
+
+// 连同内容一起移除的元素
+const REMOVED_TAGS = new Set([
+    'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'CANVAS', 'SVG',
+    'FORM', 'INPUT', 'BUTTON', 'SELECT', 'TEXTAREA', 'NAV', 'ASIDE', 'FOOTER', 'HEADER',
+    'VIDEO', 'AUDIO', 'MAP', 'DIALOG', 'LINK', 'META'
+]);
+
+// 多半不是正文的区域（按class/id判断）
+const NON_CONTENT_PATTERN = /(^|[\s_-])(comments?|share|social|sidebar|related|recommend|advert|ads?|promo|sponsor|newsletter|subscribe|cookie|banner|breadcrumbs?|pagination|menu|popup|modal)($|[\s_-])/i;
+
+// 保留的标签；h1降为h2（标题单独显示）
+const KEPT_TAGS = {
+    P: 'p', H1: 'h2', H2: 'h2', H3: 'h3', H4: 'h4', H5: 'h5', H6: 'h6',
+    UL: 'ul', OL: 'ol', LI: 'li', BLOCKQUOTE: 'blockquote', PRE: 'pre', CODE: 'code',
+    EM: 'em', I: 'em', STRONG: 'strong', B: 'strong', A: 'a', IMG: 'img', BR: 'br', HR: 'hr',
+    TABLE: 'table', THEAD: 'thead', TBODY: 'tbody', TR: 'tr', TH: 'th', TD: 'td',
+    FIGCAPTION: 'p'
+};
+
+// 转为div的块级容器，其余标签只保留内容
+const BLOCK_TAGS = new Set(['DIV', 'SECTION', 'ARTICLE', 'MAIN', 'FIGURE', 'DL', 'DT', 'DD', 'ADDRESS', 'DETAILS']);
+
+const VOID_TAGS = new Set(['img', 'br', 'hr']);
+
+// 没有内容时丢弃的标签
+const DROPPED_WHEN_EMPTY = new Set(['p', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote', 'div', 'ul', 'ol', 'a', 'em', 'strong', 'code']);
+
+/**
+ * 转义HTML特殊字符
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * 合并空白后的元素文本
+ * @param {Node} node - 节点
+ * @returns {string} 文本
+ */
+function normalizedText(node) {
+    return (node.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+export class ReaderView {
+    /**
+     * @param {Storage|null} storage - 保存字号和宽度设置的存储（默认为localStorage），为null时只保存在内存中
+     * @param {Object} options - 选项
+     * @param {HTMLToMarkdownConverter} options.markdownConverter - Markdown转换器（默认新建）
+     */
+    constructor(storage = getDefaultStorage(), options = {}) {
+        this.storage = storage;
+        this.markdownConverter = options.markdownConverter || new HTMLToMarkdownConverter();
+        this.settings = this.load();
+    }
+
+    /**
+     * 读取保存的阅读设置
+     * @returns {Object} { fontSize, width }
+     */
+    load() {
+        if (!this.storage) {
+            return { ...DEFAULT_READER_SETTINGS };
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(READER_STORAGE_KEY));
+            if (saved) {
+                return {
+                    fontSize: this.clampFontSize(saved.fontSize),
+                    width: READER_WIDTHS[saved.width] ? saved.width : DEFAULT_READER_SETTINGS.width
+                };
+            }
+        } catch (error) {
+            console.warn('阅读设置读取失败:', error.message);
+        }
+
+        return { ...DEFAULT_READER_SETTINGS };
+    }
+
+    /**
+     * 保存阅读设置
+     */
+    save() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(READER_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('阅读设置保存失败:', error.message);
+        }
+    }
+
+    /**
+     * 把字号限制在允许的范围内
+     * @param {number} size - 字号(px)
+     * @returns {number} 字号
+     */
+    clampFontSize(size) {
+        const value = Number(size);
+        if (!Number.isFinite(value)) {
+            return READER_FONT_SIZE.default;
+        }
+        return Math.min(READER_FONT_SIZE.max, Math.max(READER_FONT_SIZE.min, Math.round(value)));
+    }
+
+    /**
+     * 获取阅读设置
+     * @returns {Object} { fontSize, width }
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * 按步长调整字号
+     * @param {number} steps - 步数，正数放大、负数缩小
+     * @returns {number} 调整后的字号
+     */
+    changeFontSize(steps) {
+        this.settings.fontSize = this.clampFontSize(this.settings.fontSize + steps * READER_FONT_SIZE.step);
+        this.save();
+        return this.settings.fontSize;
+    }
+
+    /**
+     * 设置正文宽度
+     * @param {string} width - READER_WIDTHS中的名称
+     */
+    setWidth(width) {
+        if (!READER_WIDTHS[width]) {
+            throw new Error(`未知的正文宽度: ${width}`);
+        }
+        this.settings.width = width;
+        this.save();
+    }
+
+    /**
+     * 从页面中提取文章；不修改页面本身
+     * @param {Document} doc - 页面文档
+     * @param {string} url - 页面地址，用于解析相对地址
+     * @returns {Object|null} { title, byline, siteName, url, html, images, wordCount, readingMinutes }，找不到正文时返回null
+     */
+    extractArticle(doc, url) {
+        if (!doc || !doc.body) {
+            return null;
+        }
+
+        const root = this.findContentRoot(doc);
+        if (!root) {
+            return null;
+        }
+
+        const title = this.extractTitle(doc, root);
+        const images = [];
+        let html = this.serializeChildren(root, url, images);
+
+        // 正文开头重复的标题不再显示
+        const leadingHeading = html.match(/^\s*<h2>([\s\S]*?)<\/h2>/);
+        if (leadingHeading && leadingHeading[1].replace(/<[^>]+>/g, '').trim() === escapeHTML(title).trim()) {
+            html = html.slice(leadingHeading[0].length);
+        }
+
+        const text = this.getContentText(root);
+        const cjkCount = (text.match(CJK_PATTERN) || []).length;
+        const wordCount = (text.replace(CJK_PATTERN, ' ').match(/[A-Za-z\d\u00c0-\u024f]+/g) || []).length;
+
+        return {
+            title,
+            byline: this.extractByline(doc),
+            siteName: this.extractSiteName(doc, url),
+            url,
+            html,
+            images,
+            wordCount: wordCount + cjkCount,
+            readingMinutes: Math.max(1, Math.round(cjkCount / CJK_CHARS_PER_MINUTE + wordCount / WORDS_PER_MINUTE))
+        };
+    }
+
+    /**
+     * 找到正文所在的元素
+     * 优先使用语义化的正文容器；没有时按段落文字量给父元素打分
+     * @param {Document} doc - 页面文档
+     * @returns {Element|null} 正文元素
+     */
+    findContentRoot(doc) {
+        const semantic = ['[itemprop="articleBody"]', 'article', 'main', '[role="main"]'];
+        for (const selector of semantic) {
+            const candidates = Array.from(doc.body.querySelectorAll(selector));
+            // 列表页往往有多个article，只在唯一时直接使用
+            if (candidates.length === 1 && this.getContentText(candidates[0]).length >= MIN_ARTICLE_LENGTH) {
+                return candidates[0];
+            }
+        }
+
+        const scores = new Map();
+        doc.body.querySelectorAll('p, pre, blockquote').forEach(paragraph => {
+            if (this.isRemoved(paragraph)) {
+                return;
+            }
+            const length = normalizedText(paragraph).length;
+            if (length < 25) {
+                return;
+            }
+            const score = 1 + Math.min(Math.floor(length / 100), 3) + (normalizedText(paragraph).match(/[,，。]/g) || []).length;
+            const parent = paragraph.parentElement;
+            if (parent) {
+                scores.set(parent, (scores.get(parent) || 0) + score);
+                if (parent.parentElement) {
+                    scores.set(parent.parentElement, (scores.get(parent.parentElement) || 0) + score / 2);
+                }
+            }
+        });
+
+        let best = null;
+        let bestScore = 0;
+        scores.forEach((score, element) => {
+            // 链接占比高的多半是导航或推荐列表
+            const adjusted = score * (1 - this.getLinkDensity(element));
+            if (adjusted > bestScore) {
+                best = element;
+                bestScore = adjusted;
+            }
+        });
+
+        return best && this.getContentText(best).length >= MIN_ARTICLE_LENGTH ? best : null;
+    }
+
+    /**
+     * 判断元素是否位于会被移除的区域中
+     * @param {Element} element - 元素
+     * @returns {boolean} 是否移除
+     */
+    isRemoved(element) {
+        for (let node = element; node && node.tagName; node = node.parentElement) {
+            if (node.tagName.toUpperCase() === 'BODY') {
+                return false;
+            }
+            if (this.shouldRemove(node)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 判断元素本身是否应该连同内容一起移除
+     * @param {Element} element - 元素
+     * @returns {boolean} 是否移除
+     */
+    shouldRemove(element) {
+        if (REMOVED_TAGS.has(element.tagName.toUpperCase())) {
+            return true;
+        }
+        if (element.hasAttribute('hidden') || element.getAttribute('aria-hidden') === 'true') {
+            return true;
+        }
+        const role = element.getAttribute('role');
+        if (role === 'navigation' || role === 'complementary' || role === 'banner') {
+            return true;
+        }
+        const marker = `${element.getAttribute('class') || ''} ${element.getAttribute('id') || ''}`;
+        return NON_CONTENT_PATTERN.test(marker);
+    }
+
+    /**
+     * 获取元素中正文部分的文字（不含会被移除的区域）
+     * @param {Element} element - 元素
+     * @returns {string} 文字
+     */
+    getContentText(element) {
+        let text = '';
+        const collect = (node) => {
+            Array.from(node.childNodes).forEach(child => {
+                if (child.nodeType === 3) {
+                    text += child.data;
+                } else if (child.nodeType === 1 && !this.shouldRemove(child)) {
+                    collect(child);
+                }
+            });
+        };
+        collect(element);
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * 计算链接文字占全部文字的比例
+     * @param {Element} element - 元素
+     * @returns {number} 0到1之间的比例
+     */
+    getLinkDensity(element) {
+        const length = normalizedText(element).length;
+        if (length === 0) {
+            return 0;
+        }
+        const linkLength = Array.from(element.querySelectorAll('a'))
+            .reduce((total, link) => total + normalizedText(link).length, 0);
+        return Math.min(1, linkLength / length);
+    }
+
+    /**
+     * 提取文章标题：优先使用Open Graph标题，其次正文中的h1，最后是页面标题
+     * @param {Document} doc - 页面文档
+     * @param {Element} root - 正文元素
+     * @returns {string} 标题
+     */
+    extractTitle(doc, root) {
+        const meta = doc.querySelector('meta[property="og:title"], meta[name="twitter:title"]');
+        const metaTitle = meta ? (meta.getAttribute('content') || '').trim() : '';
+        const heading = root.querySelector('h1') || doc.body.querySelector('h1');
+        const headingTitle = heading ? normalizedText(heading) : '';
+        return metaTitle || headingTitle || (doc.title || '').trim() || '无标题';
+    }
+
+    /**
+     * 提取作者
+     * @param {Document} doc - 页面文档
+     * @returns {string} 作者，找不到时为空字符串
+     */
+    extractByline(doc) {
+        const meta = doc.querySelector('meta[name="author"], meta[property="article:author"]');
+        const metaAuthor = meta ? (meta.getAttribute('content') || '').trim() : '';
+        // article:author常常是作者主页地址
+        if (metaAuthor && !/^https?:\/\//i.test(metaAuthor)) {
+            return metaAuthor.slice(0, 100);
+        }
+
+        const element = doc.querySelector('[rel="author"], [itemprop="author"], .byline, .author');
+        const text = element ? normalizedText(element) : '';
+        return text.length > 0 && text.length <= 100 ? text : '';
+    }
+
+    /**
+     * 提取站点名称
+     * @param {Document} doc - 页面文档
+     * @param {string} url - 页面地址
+     * @returns {string} 站点名称
+     */
+    extractSiteName(doc, url) {
+        const meta = doc.querySelector('meta[property="og:site_name"]');
+        const siteName = meta ? (meta.getAttribute('content') || '').trim() : '';
+        if (siteName) {
+            return siteName;
+        }
+        try {
+            return new URL(url).hostname;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * 把元素的子节点整理为只含保留标签的HTML
+     * @param {Element} element - 元素
+     * @param {string} baseURL - 解析相对地址的基础URL
+     * @param {Array<Object>} images - 收集到的图片 { url, alt }
+     * @returns {string} HTML
+     */
+    serializeChildren(element, baseURL, images) {
+        return Array.from(element.childNodes)
+            .map(child => this.serializeNode(child, baseURL, images))
+            .join('');
+    }
+
+    /**
+     * 整理单个节点
+     * @param {Node} node - 节点
+     * @param {string} baseURL - 解析相对地址的基础URL
+     * @param {Array<Object>} images - 收集到的图片
+     * @returns {string} HTML
+     */
+    serializeNode(node, baseURL, images) {
+        if (node.nodeType === 3) {
+            return escapeHTML(node.data);
+        }
+        if (node.nodeType !== 1 || this.shouldRemove(node)) {
+            return '';
+        }
+
+        const tagName = node.tagName.toUpperCase();
+        if (tagName === 'IMG') {
+            return this.serializeImage(node, baseURL, images);
+        }
+        if (tagName === 'PICTURE') {
+            const img = node.querySelector('img');
+            return img ? this.serializeImage(img, baseURL, images) : '';
+        }
+
+        const content = tagName === 'PRE'
+            ? escapeHTML(node.textContent)
+            : this.serializeChildren(node, baseURL, images);
+
+        const tag = KEPT_TAGS[tagName] || (BLOCK_TAGS.has(tagName) ? 'div' : null);
+        if (!tag) {
+            return content;
+        }
+        if (VOID_TAGS.has(tag)) {
+            return `<${tag}>`;
+        }
+        if (DROPPED_WHEN_EMPTY.has(tag) && !content.replace(/<br>/g, '').trim()) {
+            return '';
+        }
+
+        if (tag === 'a') {
+            const href = this.resolveURL(node.getAttribute('href'), baseURL);
+            return /^https?:/i.test(href) ? `<a href="${escapeHTML(href)}">${content}</a>` : content;
+        }
+        return `<${tag}>${content}</${tag}>`;
+    }
+
+    /**
+     * 整理图片：懒加载图片使用data-src，只保留http(s)和data:image地址
+     * @param {Element} img - 图片元素
+     * @param {string} baseURL - 解析相对地址的基础URL
+     * @param {Array<Object>} images - 收集到的图片
+     * @returns {string} HTML
+     */
+    serializeImage(img, baseURL, images) {
+        const src = img.getAttribute('src') || '';
+        const lazySrc = img.getAttribute('data-src') || img.getAttribute('data-original') || '';
+        const chosen = lazySrc && (!src || src.startsWith('data:')) ? lazySrc : src;
+        const url = chosen.startsWith('data:image/') ? chosen : this.resolveURL(chosen, baseURL);
+        if (!/^(https?:|data:image\/)/i.test(url)) {
+            return '';
+        }
+
+        const alt = (img.getAttribute('alt') || '').trim();
+        images.push({ url, alt });
+        return `<img src="${escapeHTML(url)}" alt="${escapeHTML(alt)}">`;
+    }
+
+    /**
+     * 解析相对地址
+     * @param {string|null} url - 地址
+     * @param {string} baseURL - 基础URL
+     * @returns {string} 绝对地址，无法解析时返回空字符串
+     */
+    resolveURL(url, baseURL) {
+        if (!url) {
+            return '';
+        }
+        try {
+            return new URL(url.trim(), baseURL).href;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * 生成阅读视图的文章HTML：标题、作者和阅读时间、正文
+     * @param {Object} article - extractArticle()的结果
+     * @returns {string} HTML
+     */
+    buildArticleHTML(article) {
+        const meta = [article.byline, article.siteName, `约 ${article.readingMinutes} 分钟读完`]
+            .filter(Boolean)
+            .map(escapeHTML)
+            .join(' · ');
+        return `<h1>${escapeHTML(article.title)}</h1><p>${meta}</p><hr>${article.html}`;
+    }
+
+    /**
+     * 在容器中显示文章并应用字号和宽度设置
+     * @param {HTMLElement} container - 阅读视图容器
+     * @param {Object} article - extractArticle()的结果
+     */
+    render(container, article) {
+        container.innerHTML = `<article class="reader-article">${this.buildArticleHTML(article)}</article>`;
+        this.applySettings(container);
+    }
+
+    /**
+     * 把字号和宽度设置应用到已显示的文章
+     * @param {HTMLElement} container - 阅读视图容器
+     */
+    applySettings(container) {
+        const articleElement = container.querySelector('.reader-article');
+        if (articleElement) {
+            articleElement.style.fontSize = `${this.settings.fontSize}px`;
+            articleElement.style.maxWidth = `${READER_WIDTHS[this.settings.width]}px`;
+        }
+    }
+
+    /**
+     * 把阅读视图显示的内容转换为Markdown
+     * @param {Object} article - extractArticle()的结果
+     * @returns {Promise<string>} Markdown文本
+     */
+    async toMarkdown(article) {
+        if (!this.markdownConverter.isInitialized) {
+            await this.markdownConverter.initialize();
+        }
+        return this.markdownConverter.convertToMarkdown(this.buildArticleHTML(article));
+    }
+}
@@ -293,23 +293,6 @@ export class SecurityManager {
         }
     }
 
-            // 检查响应头中的安全信息
-            const securityHeaders = this.checkSecurityHeaders(response);
-            if (!securityHeaders.secure) {
-                console.warn('代理服务缺少安全头:', securityHeaders.missing);
-            }
-
-            return true;
-        } catch (error) {
-            if (error.name === 'AbortError') {
-                console.error('代理服务响应超时:', proxyURL);
-            } else {
-                console.error('代理服务验证失败:', error);
-            }
-            return false;
-        }
-    }
-
     /**
      * 检查安全响应头
      * @param {Response} response - HTTP响应对象
@@ -528,7 +511,9 @@ export class SecurityManager {
             'accept-language',
             'content-type',
             'user-agent',
-            'referer'
+            'referer',
+            'if-none-match',
+            'if-modified-since'
         ];
 
         for (const [key, value] of Object.entries(headers)) {
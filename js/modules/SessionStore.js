@@ -0,0 +1,162 @@
+/**
+ * 会话存储 - 保存打开的标签页、前进/后退记录和滚动位置，启动时可恢复上次会话
+ * 启动时上次的会话被归档到“最近关闭的会话”，只保留最近的若干个
+ */
+import { getDefaultStorage } from './DefaultStorage.js';
+
+const SESSION_STORAGE_KEY = 'wbd.session';
+const CLOSED_SESSIONS_STORAGE_KEY = 'wbd.closedSessions';
+
+const DEFAULT_SESSION_OPTIONS = {
+    maxClosedSessions: 5,
+    maxHistoryPerTab: 50 // 每个标签页保存的历史记录条数
+};
+
+/**
+ * 判断会话中是否有可以恢复的页面
+ * @param {Object|null} session - 会话
+ * @returns {boolean} 是否有页面
+ */
+function hasPages(session) {
+    return Boolean(session && Array.isArray(session.tabs) &&
+        session.tabs.some(tab => Array.isArray(tab.history) && tab.history.length > 0));
+}
+
+export class SessionStore {
+    /**
+     * @param {Storage|null} storage - 持久化存储（默认为localStorage），为null时不保存
+     * @param {Object} options - 选项，见DEFAULT_SESSION_OPTIONS
+     */
+    constructor(storage = getDefaultStorage(), options = {}) {
+        this.storage = storage;
+        this.options = { ...DEFAULT_SESSION_OPTIONS, ...options };
+    }
+
+    /**
+     * 读取JSON数据
+     * @param {string} key - 存储键
+     * @returns {*} 数据，不存在或损坏时返回null
+     */
+    read(key) {
+        if (!this.storage) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(this.storage.getItem(key));
+        } catch (error) {
+            console.warn('会话读取失败:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 写入JSON数据
+     * @param {string} key - 存储键
+     * @param {*} value - 数据
+     */
+    write(key, value) {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn('会话保存失败:', error.message);
+        }
+    }
+
+    /**
+     * 保存当前会话；没有打开任何页面时清除保存的会话
+     * @param {Object} session - 会话 { tabs: [{ title, history, index, scroll }], activeIndex }
+     */
+    save(session) {
+        if (!this.storage) {
+            return;
+        }
+
+        if (!hasPages(session)) {
+            this.storage.removeItem(SESSION_STORAGE_KEY);
+            return;
+        }
+
+        const limit = this.options.maxHistoryPerTab;
+        const tabs = session.tabs
+            .filter(tab => tab.history.length > 0)
+            .map(tab => {
+                // 历史记录过长时保留当前页附近的记录
+                const start = Math.max(0, Math.min(tab.index - Math.floor(limit / 2), tab.history.length - limit));
+                return {
+                    title: tab.title || '',
+                    history: tab.history.slice(start, start + limit),
+                    index: tab.index - start,
+                    scroll: tab.scroll || null
+                };
+            });
+
+        // 空白标签页不保存，当前标签页的位置按它之前保存的标签页数重新计算；
+        // 当前标签页本身是空白页时选中它后面（没有时是前面）的标签页
+        const activeIndex = Math.max(session.activeIndex || 0, 0);
+        const keptBefore = session.tabs
+            .slice(0, activeIndex)
+            .filter(tab => tab.history.length > 0)
+            .length;
+
+        this.write(SESSION_STORAGE_KEY, {
+            savedAt: Date.now(),
+            activeIndex: Math.min(keptBefore, tabs.length - 1),
+            tabs
+        });
+    }
+
+    /**
+     * 启动时把上次的会话归档到最近关闭的会话
+     * @returns {Object|null} 上次的会话，没有时返回null
+     */
+    archivePreviousSession() {
+        const previous = this.read(SESSION_STORAGE_KEY);
+        if (!hasPages(previous)) {
+            return null;
+        }
+
+        const session = { ...previous, id: `${previous.savedAt}-${Math.random().toString(36).slice(2, 8)}` };
+        const closed = [session, ...this.getClosedSessions()].slice(0, this.options.maxClosedSessions);
+        this.write(CLOSED_SESSIONS_STORAGE_KEY, closed);
+        this.storage.removeItem(SESSION_STORAGE_KEY);
+
+        return session;
+    }
+
+    /**
+     * 获取最近关闭的会话
+     * @returns {Array<Object>} 会话列表（最新的在前）
+     */
+    getClosedSessions() {
+        const closed = this.read(CLOSED_SESSIONS_STORAGE_KEY);
+        return Array.isArray(closed) ? closed.filter(hasPages) : [];
+    }
+
+    /**
+     * 取出一个关闭的会话用于恢复（从列表中移除）
+     * @param {string} id - 会话ID
+     * @returns {Object|null} 会话，不存在时返回null
+     */
+    takeClosedSession(id) {
+        const closed = this.getClosedSessions();
+        const session = closed.find(candidate => candidate.id === id) || null;
+        if (session) {
+            this.write(CLOSED_SESSIONS_STORAGE_KEY, closed.filter(candidate => candidate !== session));
+        }
+        return session;
+    }
+
+    /**
+     * 清除所有关闭的会话
+     */
+    clearClosedSessions() {
+        if (this.storage) {
+            this.storage.removeItem(CLOSED_SESSIONS_STORAGE_KEY);
+        }
+    }
+}
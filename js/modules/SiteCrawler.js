@@ -0,0 +1,334 @@
+/**
+ * 站点抓取 - 从起始页面开始按链接逐层抓取，对每个页面运行内容检测，汇总成一份可批量下载的媒体/PDF/文本列表
+ * 页面通过代理服务获取（代理不可用时直接请求），只解析HTML，不执行脚本
+ */
+
+export const CRAWL_SCOPES = ['host', 'domain', 'path', 'any'];
+
+export const CRAWL_LIMITS = {
+    maxDepth: 5,
+    maxPages: 500
+};
+
+const DEFAULT_CRAWL_OPTIONS = {
+    maxDepth: 2, // 从起始页面算起最多跟随几层链接
+    maxPages: 50, // 最多抓取的页面数（包括起始页面）
+    scope: 'host', // 'host' 同一主机 | 'domain' 同一域名及子域名 | 'path' 起始目录之下 | 'any' 不限制
+    include: [], // 网址必须匹配其中之一（为空时不限制）
+    exclude: [], // 匹配其中任意一个的网址不抓取
+    maxConcurrent: 2 // 同时抓取的页面数
+};
+
+// 这些扩展名的链接不是页面，不抓取（其中的媒体和PDF已由内容检测收集）
+const NON_PAGE_EXTENSIONS = /\.(jpe?g|png|gif|webp|avif|svg|ico|bmp|mp4|webm|mkv|avi|mov|flv|m4v|m3u8|mp3|wav|ogg|flac|aac|m4a|pdf|zip|rar|7z|gz|tar|exe|dmg|apk|css|js|json|xml|rss|woff2?|ttf|otf)$/i;
+
+/**
+ * 把网址规则编译为正则表达式
+ * /.../ 形式按正则表达式处理，其他按通配符处理（* 匹配任意字符），都不区分大小写、匹配网址的任意部分
+ * @param {string} pattern - 网址规则
+ * @returns {RegExp} 正则表达式
+ */
+function compilePattern(pattern) {
+    const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+    try {
+        if (regexMatch) {
+            return new RegExp(regexMatch[1], regexMatch[2].includes('i') ? regexMatch[2] : regexMatch[2] + 'i');
+        }
+        return new RegExp(pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*'), 'i');
+    } catch (error) {
+        throw new Error(`网址规则无效: ${pattern}（${error.message}）`);
+    }
+}
+
+export class SiteCrawler {
+    /**
+     * @param {BrowserEngine} browserEngine - 浏览器引擎，用于提取页面链接和内容，页面通过其代理服务获取
+     * @param {ContentDetector} contentDetector - 内容检测器
+     */
+    constructor(browserEngine, contentDetector) {
+        this.browserEngine = browserEngine;
+        this.contentDetector = contentDetector;
+        this.abortController = null;
+    }
+
+    /**
+     * 检查并补全抓取选项
+     * @param {Object} options - 选项，见DEFAULT_CRAWL_OPTIONS；include/exclude可以是数组或每行一个规则的文本
+     * @returns {Object} 完整的选项，include/exclude编译为正则表达式
+     */
+    normalizeOptions(options = {}) {
+        const merged = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+        const toInteger = (value, min, max, name) => {
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < min || number > max) {
+                throw new Error(`${name}应该是 ${min} 到 ${max} 之间的整数`);
+            }
+            return number;
+        };
+        const toPatterns = (value) => (Array.isArray(value) ? value : String(value || '').split('\n'))
+            .map(pattern => pattern.trim())
+            .filter(Boolean)
+            .map(compilePattern);
+
+        if (!CRAWL_SCOPES.includes(merged.scope)) {
+            throw new Error(`未知的抓取范围: ${merged.scope}`);
+        }
+
+        return {
+            maxDepth: toInteger(merged.maxDepth, 0, CRAWL_LIMITS.maxDepth, '链接深度'),
+            maxPages: toInteger(merged.maxPages, 1, CRAWL_LIMITS.maxPages, '最多页面数'),
+            scope: merged.scope,
+            include: toPatterns(merged.include),
+            exclude: toPatterns(merged.exclude),
+            maxConcurrent: Math.max(1, merged.maxConcurrent)
+        };
+    }
+
+    /**
+     * 去掉网址中的片段，同一页面的不同锚点只抓取一次
+     * @param {string} url - 网址
+     * @returns {string|null} 规范化的网址，无效时返回null
+     */
+    normalizeURL(url) {
+        try {
+            const parsed = new URL(url);
+            parsed.hash = '';
+            return parsed.href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 网址是否在抓取范围内
+     * @param {string} url - 网址
+     * @param {string} startURL - 起始网址
+     * @param {string} scope - 抓取范围
+     * @returns {boolean} 是否在范围内
+     */
+    isInScope(url, startURL, scope) {
+        const target = new URL(url);
+        const start = new URL(startURL);
+
+        switch (scope) {
+            case 'any':
+                return true;
+            case 'domain': {
+                const domain = start.hostname.replace(/^www\./, '');
+                return target.hostname === domain || target.hostname.endsWith('.' + domain);
+            }
+            case 'path': {
+                const directory = start.pathname.slice(0, start.pathname.lastIndexOf('/') + 1);
+                return target.host === start.host && target.pathname.startsWith(directory);
+            }
+            default:
+                return target.host === start.host;
+        }
+    }
+
+    /**
+     * 是否应该抓取该网址
+     * @param {string} url - 规范化的网址
+     * @param {string} startURL - 起始网址
+     * @param {Object} options - normalizeOptions()的结果
+     * @returns {boolean} 是否抓取
+     */
+    shouldVisit(url, startURL, options) {
+        if (!/^https?:/i.test(url) || NON_PAGE_EXTENSIONS.test(new URL(url).pathname)) {
+            return false;
+        }
+        if (!this.isInScope(url, startURL, options.scope)) {
+            return false;
+        }
+        if (options.include.length > 0 && !options.include.some(pattern => pattern.test(url))) {
+            return false;
+        }
+        return !options.exclude.some(pattern => pattern.test(url));
+    }
+
+    /**
+     * 是否正在抓取
+     * @returns {boolean} 是否正在抓取
+     */
+    isRunning() {
+        return this.abortController !== null;
+    }
+
+    /**
+     * 停止抓取：进行中的请求被取消，已抓取页面的结果保留
+     */
+    stop() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * 从起始页面开始抓取（按层次顺序）
+     * @param {string} startURL - 起始网址
+     * @param {Object} options - 抓取选项，见normalizeOptions
+     * @param {Function} options.onProgress - (progress) => void，每个页面抓取完成（或失败）时调用，见getProgress
+     * @returns {Promise<Object>} 抓取结果，见buildResult
+     */
+    async crawl(startURL, { onProgress = null, ...options } = {}) {
+        if (this.isRunning()) {
+            throw new Error('已经有抓取任务在进行中');
+        }
+
+        const start = /^https?:/i.test(startURL) ? this.normalizeURL(startURL) : null;
+        if (!start) {
+            throw new Error('只能从http(s)页面开始抓取');
+        }
+
+        const crawlOptions = this.normalizeOptions(options);
+        const state = {
+            startURL: start,
+            options: crawlOptions,
+            queue: [{ url: start, depth: 0 }],
+            seen: new Set([start]),
+            pages: [],
+            media: [],
+            pdfs: [],
+            texts: [],
+            completed: 0
+        };
+        this.abortController = new AbortController();
+        const signal = this.abortController.signal;
+
+        try {
+            await new Promise(resolve => {
+                let active = 0;
+                const next = () => {
+                    while (!signal.aborted && active < crawlOptions.maxConcurrent &&
+                        state.queue.length > 0 && state.pages.length < crawlOptions.maxPages) {
+                        active++;
+                        // 无论页面抓取或进度回调是否出错都继续调度，否则抓取永远不会结束
+                        this.crawlPage(state.queue.shift(), state, signal)
+                            .catch(error => console.error('抓取页面出错:', error))
+                            .then(() => {
+                                active--;
+                                state.completed++;
+                                if (onProgress) {
+                                    try {
+                                        onProgress(this.getProgress(state));
+                                    } catch (error) {
+                                        console.error('抓取进度回调错误:', error);
+                                    }
+                                }
+                                next();
+                            });
+                    }
+                    if (active === 0) {
+                        resolve();
+                    }
+                };
+                next();
+            });
+
+            return this.buildResult(state, signal.aborted);
+        } finally {
+            this.abortController = null;
+        }
+    }
+
+    /**
+     * 抓取单个页面：检测内容并把范围内的链接加入队列，失败时记录原因
+     * @param {Object} item - { url, depth }
+     * @param {Object} state - 抓取状态
+     * @param {AbortSignal} signal - 取消信号
+     */
+    async crawlPage({ url, depth }, state, signal) {
+        const page = { url, depth, title: '', mediaCount: 0, pdfCount: 0, hasText: false, error: null };
+        state.pages.push(page);
+
+        try {
+            const doc = new DOMParser().parseFromString(await this.fetchPage(url, signal), 'text/html');
+            const base = doc.querySelector('base[href]');
+            const baseURL = base ? this.browserEngine.resolveURL(base.getAttribute('href'), url) : url;
+            // 解析得到的文档不执行脚本，脚本和样式的文本不属于正文
+            doc.querySelectorAll('script, style, noscript, template').forEach(element => element.remove());
+
+            const content = this.browserEngine.extractPageContent(doc, baseURL);
+            const detected = this.contentDetector.detectPageContent(content, url, { includeNetworkRequests: false });
+
+            page.title = content.title;
+            page.mediaCount = detected.media.length;
+            page.pdfCount = detected.pdfs.length;
+            page.hasText = detected.text !== null;
+            state.media.push(...detected.media.map(item => ({ ...item, pageURL: url })));
+            state.pdfs.push(...detected.pdfs.map(item => ({ ...item, pageURL: url })));
+            if (detected.text) {
+                state.texts.push(detected.text);
+            }
+
+            if (depth < state.options.maxDepth) {
+                content.links.forEach(link => {
+                    const linkURL = this.normalizeURL(link.url);
+                    if (linkURL && !state.seen.has(linkURL) && this.shouldVisit(linkURL, state.startURL, state.options)) {
+                        state.seen.add(linkURL);
+                        state.queue.push({ url: linkURL, depth: depth + 1 });
+                    }
+                });
+            }
+        } catch (error) {
+            page.error = error.message;
+        }
+    }
+
+    /**
+     * 获取页面HTML
+     * @param {string} url - 页面网址
+     * @param {AbortSignal} signal - 取消信号
+     * @returns {Promise<string>} HTML
+     */
+    async fetchPage(url, signal) {
+        const proxyService = this.browserEngine.proxyService;
+        const response = proxyService && proxyService.isInitialized
+            ? await proxyService.proxyGet(url, { signal })
+            : await fetch(url, { signal });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType && !contentType.includes('html')) {
+            throw new Error(`不是HTML页面（内容类型: ${contentType}）`);
+        }
+        return response.text();
+    }
+
+    /**
+     * 生成进度信息
+     * @param {Object} state - 抓取状态
+     * @returns {Object} { completed, queued, maxPages, failed, mediaCount, pdfCount, textCount }
+     */
+    getProgress(state) {
+        return {
+            completed: state.completed,
+            queued: state.queue.length,
+            maxPages: state.options.maxPages,
+            failed: state.pages.filter(page => page.error).length,
+            mediaCount: state.media.length,
+            pdfCount: state.pdfs.length,
+            textCount: state.texts.length
+        };
+    }
+
+    /**
+     * 汇总抓取结果，媒体和PDF按地址去重
+     * @param {Object} state - 抓取状态
+     * @param {boolean} stopped - 是否被手动停止
+     * @returns {Object} { startURL, pages, media, pdfs, texts, stopped, limitReached }
+     */
+    buildResult(state, stopped) {
+        return {
+            startURL: state.startURL,
+            pages: state.pages,
+            media: this.contentDetector.deduplicateAndSortMedia(state.media),
+            pdfs: this.contentDetector.deduplicatePDFs(state.pdfs),
+            texts: state.texts,
+            stopped,
+            limitReached: !stopped && state.queue.length > 0
+        };
+    }
+}
@@ -9,6 +9,11 @@ export class UIController {
         this.isInitialized = false;
         this.isMobile = false;
         this.downloadItems = new Map(); // 跟踪下载项目
+        this.tabHandlers = null; // 标签页操作回调，见setTabHandlers
+        this.urlSuggestions = null; // 地址栏输入提示的状态，见renderUrlSuggestions
+        this.findHandlers = null; // 页内查找回调，见setFindHandlers
+        this.readerHandlers = null; // 阅读模式回调，见setReaderHandlers
+        this.crawlItems = []; // 抓取结果列表中的条目 { kind, item }，见renderCrawlResults
         this.errorCallbacks = [];
         this.errorHandler = new ErrorHandler();
         
@@ -89,6 +94,8 @@ export class UIController {
             mediaBtn: document.getElementById('media-download-btn'),
             textBtn: document.getElementById('text-download-btn'),
             pdfBtn: document.getElementById('pdf-download-btn'),
+            pageSaveBtn: document.getElementById('page-save-btn'),
+            crawlBtn: document.getElementById('crawl-btn'),
             goBtn: document.getElementById('go-btn'),
             refreshBtn: document.getElementById('refresh-btn'),
             
@@ -103,11 +110,64 @@ export class UIController {
             downloadList: document.getElementById('download-list'),
             closePanelBtn: document.getElementById('close-panel-btn'),
             
+            // 设置面板
+            settingsPanel: document.getElementById('settings-panel'),
+            settingsBtn: document.getElementById('settings-btn'),
+            cookieSiteList: document.getElementById('cookie-site-list'),
+            closedSessionList: document.getElementById('closed-session-list'),
+            
+            // 页内查找
+            findBar: document.getElementById('find-bar'),
+            findInput: document.getElementById('find-input'),
+            findCount: document.getElementById('find-count'),
+            findCaseCheckbox: document.getElementById('find-case-checkbox'),
+            findRegexCheckbox: document.getElementById('find-regex-checkbox'),
+            
+            // 阅读模式
+            readerModeBtn: document.getElementById('reader-mode-btn'),
+            readerFontSize: document.getElementById('reader-font-size'),
+            readerWidthSelect: document.getElementById('reader-width-select'),
+            
+            // 会话恢复提示
+            sessionRestoreBar: document.getElementById('session-restore-bar'),
+            sessionRestoreText: document.getElementById('session-restore-text'),
+            
+            // 书签
+            bookmarksPanel: document.getElementById('bookmarks-panel'),
+            bookmarkList: document.getElementById('bookmark-list'),
+            bookmarkTags: document.getElementById('bookmark-tags'),
+            bookmarkBreadcrumb: document.getElementById('bookmark-breadcrumb'),
+            bookmarkStarBtn: document.getElementById('bookmark-star-btn'),
+            urlSuggestionList: document.getElementById('url-suggestion-list'),
+            
+            // 浏览历史面板
+            historyPanel: document.getElementById('history-panel'),
+            historyList: document.getElementById('history-list'),
+            historyBtn: document.getElementById('history-btn'),
+            
+            // 代理诊断面板
+            diagnosticsPanel: document.getElementById('diagnostics-panel'),
+            diagnosticsList: document.getElementById('diagnostics-list'),
+            
+            // 站点抓取面板
+            crawlPanel: document.getElementById('crawl-panel'),
+            crawlStartURL: document.getElementById('crawl-start-url'),
+            crawlStatus: document.getElementById('crawl-status'),
+            crawlProgress: document.getElementById('crawl-progress'),
+            crawlResults: document.getElementById('crawl-results'),
+            crawlStartBtn: document.getElementById('crawl-start-btn'),
+            crawlStopBtn: document.getElementById('crawl-stop-btn'),
+            crawlDownloadBtn: document.getElementById('crawl-download-btn'),
+            
             // 错误提示
             errorToast: document.getElementById('error-toast'),
             errorMessage: document.getElementById('error-message'),
             closeToastBtn: document.getElementById('close-toast-btn'),
             
+            // 标签栏
+            tabList: document.getElementById('tab-list'),
+            newTabBtn: document.getElementById('new-tab-btn'),
+            
             // 浏览器相关
             urlInput: document.getElementById('url-input'),
             browserIframe: document.getElementById('browser-iframe'),
@@ -145,9 +205,16 @@ export class UIController {
             hasText: false,
             hasPDF: false
         });
+        this.updatePageSaveButton(false);
+        this.updateCrawlButton(false);
         
         // 隐藏所有面板
         this.hideDownloadPanel();
+        this.hideSettingsPanel();
+        this.hideBookmarksPanel();
+        this.hideHistoryPanel();
+        this.hideDiagnosticsPanel();
+        this.hideCrawlPanel();
         this.hideError();
         this.showLoading(false);
 
@@ -248,13 +315,16 @@ export class UIController {
         // 重新计算布局
         this.handleResize();
         
-        // 调整iframe高度
-        if (this.elements.browserIframe) {
+        // 调整所有标签页iframe的高度
+        const iframes = document.querySelectorAll('.browser-frame iframe');
+        if (iframes.length > 0) {
             const availableHeight = window.innerHeight - 
                 (this.elements.toolbar ? this.elements.toolbar.offsetHeight : 0) -
                 (this.elements.addressBar ? this.elements.addressBar.offsetHeight : 0) - 20;
             
-            this.elements.browserIframe.style.height = `${availableHeight}px`;
+            iframes.forEach(iframe => {
+                iframe.style.height = `${availableHeight}px`;
+            });
         }
     }
 
@@ -280,14 +350,311 @@ export class UIController {
                 }
             }
 
+            // Ctrl/Cmd + D: 添加书签
+            if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'd') {
+                event.preventDefault();
+                if (this.elements.bookmarkStarBtn) {
+                    this.elements.bookmarkStarBtn.click();
+                }
+            }
+
+            // Ctrl/Cmd + F: 页内查找
+            if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'f' && this.findHandlers) {
+                event.preventDefault();
+                this.showFindBar();
+            }
+
+            // Alt + R: 阅读模式
+            if (event.altKey && !event.ctrlKey && !event.metaKey && event.key.toLowerCase() === 'r' && this.readerHandlers) {
+                event.preventDefault();
+                this.readerHandlers.onToggle();
+            }
+
+            // Ctrl/Cmd + H: 浏览历史
+            if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'h') {
+                event.preventDefault();
+                if (this.elements.historyBtn) {
+                    this.elements.historyBtn.click();
+                }
+            }
+
+            this.handleTabShortcut(event);
+
             // Escape: 关闭面板
             if (event.key === 'Escape') {
                 this.hideDownloadPanel();
+                this.hideSettingsPanel();
+                this.hideBookmarksPanel();
+                this.hideHistoryPanel();
+                this.hideDiagnosticsPanel();
+                this.hideCrawlPanel();
+                this.hideFindBar();
                 this.hideError();
             }
         });
     }
 
+    /**
+     * 标签页快捷键：
+     * Ctrl/Cmd+T 或 Alt+T 新建，Ctrl/Cmd+W 或 Alt+W 关闭（部分浏览器保留Ctrl+T/W，此时使用Alt组合），
+     * Ctrl+Tab / Ctrl+PageDown 下一个，Ctrl+Shift+Tab / Ctrl+PageUp 上一个，Ctrl/Cmd+1~9 跳转（9为最后一个）
+     * @param {KeyboardEvent} event - 键盘事件
+     */
+    handleTabShortcut(event) {
+        if (!this.tabHandlers) return;
+
+        const modifier = event.ctrlKey || event.metaKey;
+        const key = event.key.toLowerCase();
+
+        if ((modifier || event.altKey) && key === 't') {
+            event.preventDefault();
+            this.tabHandlers.onNew();
+        } else if ((modifier || event.altKey) && key === 'w') {
+            event.preventDefault();
+            this.tabHandlers.onClose();
+        } else if (event.ctrlKey && (event.key === 'Tab' || event.key === 'PageDown' || event.key === 'PageUp')) {
+            event.preventDefault();
+            this.tabHandlers.onCycle(event.key === 'PageUp' || (event.key === 'Tab' && event.shiftKey) ? -1 : 1);
+        } else if (modifier && /^[1-9]$/.test(event.key)) {
+            event.preventDefault();
+            // 与常见浏览器一致：9总是跳到最后一个标签页
+            this.tabHandlers.onSelectIndex(event.key === '9' ? Infinity : Number(event.key) - 1);
+        }
+    }
+
+    /**
+     * 设置标签页操作回调
+     * @param {Object} handlers - 回调
+     * @param {Function} handlers.onNew - 新建标签页
+     * @param {Function} handlers.onClose - (tabId?) 关闭标签页，省略时关闭当前标签页
+     * @param {Function} handlers.onSelect - (tabId) 切换到标签页
+     * @param {Function} handlers.onSelectIndex - (index) 按位置切换
+     * @param {Function} handlers.onCycle - (offset) 切换到相邻标签页
+     */
+    setTabHandlers(handlers) {
+        this.tabHandlers = handlers;
+
+        if (this.elements.newTabBtn) {
+            this.elements.newTabBtn.addEventListener('click', () => this.tabHandlers.onNew());
+        }
+    }
+
+    /**
+     * 设置页内查找回调并绑定查找栏的操作
+     * @param {Object} handlers - 回调
+     * @param {Function} handlers.onFind - (query, { caseSensitive, regex }) => void，查找内容或选项改变
+     * @param {Function} handlers.onNext - () => void，下一个匹配
+     * @param {Function} handlers.onPrevious - () => void，上一个匹配
+     * @param {Function} handlers.onClose - () => void，关闭查找栏（清除高亮）
+     */
+    setFindHandlers(handlers) {
+        this.findHandlers = handlers;
+
+        const { findInput, findCaseCheckbox, findRegexCheckbox } = this.elements;
+        if (!findInput) return;
+
+        const runFind = () => this.findHandlers.onFind(findInput.value, this.getFindOptions());
+
+        findInput.addEventListener('input', runFind);
+        findCaseCheckbox.addEventListener('change', runFind);
+        findRegexCheckbox.addEventListener('change', runFind);
+
+        // 回车下一个，Shift+回车上一个，Escape关闭
+        findInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                if (event.shiftKey) {
+                    this.findHandlers.onPrevious();
+                } else {
+                    this.findHandlers.onNext();
+                }
+            } else if (event.key === 'Escape') {
+                event.stopPropagation();
+                this.hideFindBar();
+            }
+        });
+
+        document.getElementById('find-next-btn').addEventListener('click', () => this.findHandlers.onNext());
+        document.getElementById('find-prev-btn').addEventListener('click', () => this.findHandlers.onPrevious());
+        document.getElementById('find-close-btn').addEventListener('click', () => this.hideFindBar());
+    }
+
+    /**
+     * 获取查找选项
+     * @returns {Object} { caseSensitive, regex }
+     */
+    getFindOptions() {
+        return {
+            caseSensitive: Boolean(this.elements.findCaseCheckbox && this.elements.findCaseCheckbox.checked),
+            regex: Boolean(this.elements.findRegexCheckbox && this.elements.findRegexCheckbox.checked)
+        };
+    }
+
+    /**
+     * 显示查找栏；已有查找内容时重新查找（页面可能已经改变）
+     */
+    showFindBar() {
+        const { findBar, findInput } = this.elements;
+        if (!this.isInitialized || !findBar) return;
+
+        findBar.classList.remove('hidden');
+        findInput.focus();
+        findInput.select();
+        if (findInput.value) {
+            this.findHandlers.onFind(findInput.value, this.getFindOptions());
+        }
+    }
+
+    /**
+     * 隐藏查找栏并清除高亮
+     */
+    hideFindBar() {
+        const { findBar } = this.elements;
+        if (!this.isInitialized || !findBar || findBar.classList.contains('hidden')) return;
+
+        findBar.classList.add('hidden');
+        if (this.findHandlers) {
+            this.findHandlers.onClose();
+        }
+    }
+
+    /**
+     * 查找栏是否打开
+     * @returns {boolean} 是否打开
+     */
+    isFindBarVisible() {
+        return Boolean(this.elements.findBar) && !this.elements.findBar.classList.contains('hidden');
+    }
+
+    /**
+     * 显示查找结果
+     * @param {Object} status - PageFinder.getStatus()的结果，或 { error } 表示无法查找
+     */
+    updateFindStatus(status) {
+        const { findCount, findInput } = this.elements;
+        if (!this.isInitialized || !findCount) return;
+
+        if (status.error) {
+            findCount.textContent = status.error;
+            findInput.classList.add('no-match');
+            return;
+        }
+
+        const hasQuery = findInput.value.length > 0;
+        findInput.classList.toggle('no-match', hasQuery && status.total === 0);
+        if (!hasQuery) {
+            findCount.textContent = '';
+        } else if (status.total === 0) {
+            findCount.textContent = '无匹配';
+        } else {
+            findCount.textContent = `${status.current + 1}/${status.total}${status.truncated ? '+' : ''}`;
+        }
+    }
+
+    /**
+     * 设置阅读模式回调并绑定阅读模式按钮和阅读视图工具栏
+     * @param {Object} handlers - 回调
+     * @param {Function} handlers.onToggle - () => void，进入或退出阅读模式
+     * @param {Function} handlers.onFontSize - (steps) => void，调整字号，正数放大
+     * @param {Function} handlers.onWidth - (width) => void，选择正文宽度
+     * @param {Function} handlers.onDownload - () => void，下载阅读视图的Markdown
+     */
+    setReaderHandlers(handlers) {
+        this.readerHandlers = handlers;
+
+        const { readerModeBtn, readerWidthSelect } = this.elements;
+        if (!readerModeBtn) return;
+
+        readerModeBtn.addEventListener('click', () => this.readerHandlers.onToggle());
+        readerWidthSelect.addEventListener('change', () => this.readerHandlers.onWidth(readerWidthSelect.value));
+        document.getElementById('reader-font-decrease-btn').addEventListener('click', () => this.readerHandlers.onFontSize(-1));
+        document.getElementById('reader-font-increase-btn').addEventListener('click', () => this.readerHandlers.onFontSize(1));
+        document.getElementById('reader-markdown-btn').addEventListener('click', () => this.readerHandlers.onDownload());
+        document.getElementById('reader-exit-btn').addEventListener('click', () => this.readerHandlers.onToggle());
+    }
+
+    /**
+     * 更新阅读模式按钮和阅读视图工具栏
+     * @param {Object} state - 状态
+     * @param {boolean} state.active - 当前标签页是否处于阅读模式
+     * @param {Object} state.settings - ReaderView.getSettings()的结果 { fontSize, width }
+     */
+    updateReaderControls({ active, settings }) {
+        const { readerModeBtn, readerFontSize, readerWidthSelect } = this.elements;
+        if (!this.isInitialized || !readerModeBtn) return;
+
+        readerModeBtn.classList.toggle('active', active);
+        readerModeBtn.setAttribute('aria-pressed', String(active));
+        readerModeBtn.title = active ? '退出阅读模式 (Alt+R)' : '阅读模式 (Alt+R)';
+
+        readerFontSize.textContent = `${settings.fontSize}px`;
+        Array.from(readerWidthSelect.options).forEach(option => {
+            option.selected = option.value === settings.width;
+        });
+    }
+
+    /**
+     * 显示标签栏
+     * @param {Array<Object>} tabs - BrowserEngine.getTabs()的结果
+     * @param {number} activeTabId - 当前标签页ID
+     */
+    renderTabs(tabs, activeTabId) {
+        const list = this.elements.tabList;
+        if (!this.isInitialized || !list || !this.tabHandlers) return;
+
+        list.innerHTML = '';
+
+        tabs.forEach(tab => {
+            const isActive = tab.id === activeTabId;
+            const title = tab.title || (tab.url === 'about:blank' ? '新标签页' : this.getTabHostname(tab.url));
+
+            const item = document.createElement('div');
+            item.className = `browser-tab${isActive ? ' active' : ''}${tab.isLoading ? ' loading' : ''}`;
+            item.setAttribute('role', 'tab');
+            item.setAttribute('aria-selected', String(isActive));
+            item.tabIndex = isActive ? 0 : -1;
+            item.title = tab.url === 'about:blank' ? title : `${title}\n${tab.url}`;
+            item.addEventListener('click', () => this.tabHandlers.onSelect(tab.id));
+            // 中键关闭
+            item.addEventListener('auxclick', (event) => {
+                if (event.button === 1) {
+                    event.preventDefault();
+                    this.tabHandlers.onClose(tab.id);
+                }
+            });
+
+            const label = document.createElement('span');
+            label.className = 'browser-tab-title';
+            label.textContent = tab.isLoading ? `⏳ ${title}` : title;
+
+            const closeBtn = document.createElement('button');
+            closeBtn.className = 'browser-tab-close';
+            closeBtn.textContent = '×';
+            closeBtn.setAttribute('aria-label', `关闭 ${title}`);
+            closeBtn.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.tabHandlers.onClose(tab.id);
+            });
+
+            item.appendChild(label);
+            item.appendChild(closeBtn);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 获取标签页显示用的主机名
+     * @param {string} url - 页面URL
+     * @returns {string} 主机名，无法解析时返回原URL
+     */
+    getTabHostname(url) {
+        try {
+            return new URL(url).hostname || url;
+        } catch (error) {
+            return url;
+        }
+    }
+
     /**
      * 更新按钮状态
      * @param {Object} detectedContent - 检测到的内容
@@ -365,6 +732,30 @@ export class UIController {
         this.updateButtonVisualFeedback(button, hasContent, count);
     }
 
+    /**
+     * 更新保存网页按钮
+     * @param {boolean} enabled - 当前标签页是否有可以保存的页面
+     */
+    updatePageSaveButton(enabled) {
+        if (!this.isInitialized) return;
+
+        this.updateButton(this.elements.pageSaveBtn, enabled, {
+            tooltip: enabled ? '保存为单个HTML文件（内联样式、图片和字体）' : '没有可以保存的页面'
+        });
+    }
+
+    /**
+     * 更新抓取站点按钮
+     * @param {boolean} enabled - 当前标签页是否有可以作为起点的页面
+     */
+    updateCrawlButton(enabled) {
+        if (!this.isInitialized) return;
+
+        this.updateButton(this.elements.crawlBtn, enabled, {
+            tooltip: enabled ? '从当前页面开始按链接抓取，汇总所有页面的可下载内容' : '没有可以抓取的页面'
+        });
+    }
+
     /**
      * 更新按钮徽章
      * @param {HTMLElement} button - 按钮元素
@@ -871,6 +1262,70 @@ export class UIController {
         });
     }
 
+    /**
+     * 在下载面板中显示保存网页的进度；完成后列出无法获取的资源
+     * @param {Object} state - 状态
+     * @param {string} state.filename - 文件名
+     * @param {number} state.completed - 已处理的资源数
+     * @param {number} state.total - 已发现的资源数
+     * @param {Array<Object>} state.failed - 无法获取的资源 { url, error }
+     * @param {boolean} state.done - 是否已保存
+     */
+    renderPageArchiveStatus({ filename, completed, total, failed, done }) {
+        const { downloadPanel, downloadList } = this.elements;
+        if (!this.isInitialized || !downloadPanel || !downloadList) return;
+
+        let entry = downloadList.querySelector('.page-archive-status');
+        if (!entry) {
+            downloadList.innerHTML = '';
+            entry = document.createElement('div');
+            entry.className = 'page-archive-status';
+            downloadList.appendChild(entry);
+            downloadPanel.classList.remove('hidden');
+            downloadPanel.setAttribute('aria-hidden', 'false');
+        }
+        entry.innerHTML = '';
+
+        const name = document.createElement('div');
+        name.className = 'cookie-site-header';
+        name.textContent = filename;
+        name.title = filename;
+
+        const summary = document.createElement('div');
+        summary.className = 'list-meta';
+        if (done) {
+            summary.textContent = `已保存，内联了 ${total - failed.length}/${total} 个资源`;
+        } else {
+            summary.textContent = total > 0 ? `正在获取资源 ${completed}/${total}` : '正在读取页面...';
+        }
+
+        const bar = document.createElement('progress');
+        bar.max = Math.max(total, 1);
+        bar.value = done ? bar.max : completed;
+
+        entry.appendChild(name);
+        entry.appendChild(summary);
+        entry.appendChild(bar);
+
+        if (done && failed.length > 0) {
+            const hint = document.createElement('p');
+            hint.className = 'settings-hint';
+            hint.textContent = `以下 ${failed.length} 个资源无法获取，存档中保留了原地址：`;
+
+            const list = document.createElement('ul');
+            list.className = 'page-archive-failed';
+            failed.forEach(asset => {
+                const item = document.createElement('li');
+                item.textContent = `${asset.url}（${asset.error}）`;
+                item.title = asset.url;
+                list.appendChild(item);
+            });
+
+            entry.appendChild(hint);
+            entry.appendChild(list);
+        }
+    }
+
     /**
      * 隐藏下载面板
      */
@@ -881,6 +1336,984 @@ export class UIController {
         this.elements.downloadPanel.setAttribute('aria-hidden', 'true');
     }
 
+    /**
+     * 显示设置面板
+     */
+    showSettingsPanel() {
+        if (!this.isInitialized || !this.elements.settingsPanel) return;
+
+        this.elements.settingsPanel.classList.remove('hidden');
+        this.elements.settingsPanel.setAttribute('aria-hidden', 'false');
+    }
+
+    /**
+     * 隐藏设置面板
+     */
+    hideSettingsPanel() {
+        if (!this.isInitialized || !this.elements.settingsPanel) return;
+
+        this.elements.settingsPanel.classList.add('hidden');
+        this.elements.settingsPanel.setAttribute('aria-hidden', 'true');
+    }
+
+    /**
+     * 显示书签面板
+     */
+    showBookmarksPanel() {
+        if (!this.isInitialized || !this.elements.bookmarksPanel) return;
+
+        this.elements.bookmarksPanel.classList.remove('hidden');
+        this.elements.bookmarksPanel.setAttribute('aria-hidden', 'false');
+    }
+
+    /**
+     * 隐藏书签面板
+     */
+    hideBookmarksPanel() {
+        if (!this.isInitialized || !this.elements.bookmarksPanel) return;
+
+        this.elements.bookmarksPanel.classList.add('hidden');
+        this.elements.bookmarksPanel.setAttribute('aria-hidden', 'true');
+    }
+
+    /**
+     * 书签面板是否打开
+     * @returns {boolean} 是否打开
+     */
+    isBookmarksPanelVisible() {
+        return Boolean(this.elements.bookmarksPanel) && !this.elements.bookmarksPanel.classList.contains('hidden');
+    }
+
+    /**
+     * 更新地址栏中的书签星标
+     * @param {boolean} bookmarked - 当前页面是否已加入书签
+     */
+    updateBookmarkStar(bookmarked) {
+        const button = this.elements.bookmarkStarBtn;
+        if (!this.isInitialized || !button) return;
+
+        button.textContent = bookmarked ? '★' : '☆';
+        button.classList.toggle('active', bookmarked);
+        button.setAttribute('aria-pressed', String(bookmarked));
+        button.title = bookmarked ? '编辑书签' : '添加书签 (Ctrl+D)';
+    }
+
+    /**
+     * 显示地址栏输入提示
+     * @param {Array<Object>} suggestions - Omnibox.getSuggestions()的结果
+     * @param {Object} handlers - 操作回调
+     * @param {Function} handlers.onChoose - (suggestion) => void，选择提示
+     */
+    renderUrlSuggestions(suggestions, { onChoose }) {
+        const list = this.elements.urlSuggestionList;
+        if (!this.isInitialized || !list) return;
+
+        this.urlSuggestions = { items: suggestions, selectedIndex: -1, onChoose };
+        list.innerHTML = '';
+
+        if (suggestions.length === 0) {
+            this.hideUrlSuggestions();
+            return;
+        }
+
+        const icons = { tab: '🗂️', bookmark: '★', history: '🕘', search: '🔍' };
+        suggestions.forEach((suggestion, index) => {
+            const item = document.createElement('li');
+            item.id = `url-suggestion-${index}`;
+            item.className = 'url-suggestion';
+            item.setAttribute('role', 'option');
+            item.setAttribute('aria-selected', 'false');
+
+            const icon = document.createElement('span');
+            icon.className = 'url-suggestion-icon';
+            icon.textContent = icons[suggestion.type];
+
+            const title = document.createElement('span');
+            title.className = 'url-suggestion-title';
+            title.textContent = suggestion.type === 'tab' ? `切换到标签页: ${suggestion.title}` : suggestion.title;
+
+            item.appendChild(icon);
+            item.appendChild(title);
+
+            if (suggestion.type !== 'search') {
+                const url = document.createElement('span');
+                url.className = 'url-suggestion-url';
+                url.textContent = suggestion.url;
+                item.appendChild(url);
+            }
+
+            // 使用mousedown，避免地址栏先失去焦点导致列表被隐藏
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                this.hideUrlSuggestions();
+                onChoose(suggestion);
+            });
+            list.appendChild(item);
+        });
+
+        list.classList.remove('hidden');
+        this.elements.urlInput.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * 隐藏地址栏输入提示
+     */
+    hideUrlSuggestions() {
+        const list = this.elements.urlSuggestionList;
+        if (!this.isInitialized || !list) return;
+
+        list.classList.add('hidden');
+        this.elements.urlInput.setAttribute('aria-expanded', 'false');
+        this.elements.urlInput.removeAttribute('aria-activedescendant');
+        if (this.urlSuggestions) {
+            this.urlSuggestions.selectedIndex = -1;
+        }
+    }
+
+    /**
+     * 地址栏输入提示的键盘操作：上下键选择（地址栏显示所选网址），回车打开所选提示，Escape关闭
+     * @param {KeyboardEvent} event - 地址栏的键盘事件
+     * @returns {boolean} 是否已处理该按键
+     */
+    handleUrlSuggestionKey(event) {
+        const list = this.elements.urlSuggestionList;
+        const state = this.urlSuggestions;
+        if (!list || !state || list.classList.contains('hidden') || state.items.length === 0) {
+            return false;
+        }
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const count = state.items.length;
+            const offset = event.key === 'ArrowDown' ? 1 : -1;
+            // -1表示没有选择，此时地址栏恢复为用户输入的内容
+            if (state.selectedIndex === -1) {
+                state.typedValue = this.elements.urlInput.value;
+            }
+            state.selectedIndex = ((state.selectedIndex + 1 + offset + count + 1) % (count + 1)) - 1;
+
+            Array.from(list.children).forEach((item, index) => {
+                const selected = index === state.selectedIndex;
+                item.classList.toggle('selected', selected);
+                item.setAttribute('aria-selected', String(selected));
+            });
+
+            const selected = state.items[state.selectedIndex];
+            if (selected) {
+                this.elements.urlInput.value = selected.type === 'search' ? state.typedValue : selected.url;
+                this.elements.urlInput.setAttribute('aria-activedescendant', `url-suggestion-${state.selectedIndex}`);
+            } else {
+                this.elements.urlInput.value = state.typedValue;
+                this.elements.urlInput.removeAttribute('aria-activedescendant');
+            }
+            return true;
+        }
+
+        if (event.key === 'Enter' && state.selectedIndex !== -1) {
+            event.preventDefault();
+            const selected = state.items[state.selectedIndex];
+            this.hideUrlSuggestions();
+            state.onChoose(selected);
+            return true;
+        }
+
+        if (event.key === 'Escape') {
+            this.hideUrlSuggestions();
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * 显示书签面板的内容
+     * @param {Object} view - 显示内容
+     * @param {Array<Object>} view.path - 从根文件夹到当前文件夹的路径 { id, title }
+     * @param {Array<Object>} view.items - 当前文件夹的内容或搜索结果（搜索结果带location）
+     * @param {Array<Object>} view.folders - 所有文件夹 { id, title, depth }，用于移动
+     * @param {Array<Object>} view.tags - 所有标签 { tag, count }
+     * @param {boolean} view.isSearch - 是否为搜索结果
+     * @param {Object} handlers - 操作回调
+     * @param {Function} handlers.onOpenFolder - (id) => void，打开文件夹
+     * @param {Function} handlers.onOpen - (url) => void，打开书签
+     * @param {Function} handlers.onFilterTag - (tag) => void，按标签筛选
+     * @param {Function} handlers.onSave - (id, { title, tags, parentId }) => void，保存修改
+     * @param {Function} handlers.onRemove - (id) => void，删除书签或文件夹
+     */
+    renderBookmarks({ path, items, folders, tags, isSearch }, handlers) {
+        const list = this.elements.bookmarkList;
+        if (!list) return;
+
+        // 标签
+        const tagBar = this.elements.bookmarkTags;
+        tagBar.innerHTML = '';
+        tags.forEach(({ tag, count }) => {
+            const chip = document.createElement('button');
+            chip.className = 'bookmark-tag';
+            chip.textContent = `#${tag} (${count})`;
+            chip.addEventListener('click', () => handlers.onFilterTag(tag));
+            tagBar.appendChild(chip);
+        });
+
+        // 文件夹路径
+        const breadcrumb = this.elements.bookmarkBreadcrumb;
+        breadcrumb.innerHTML = '';
+        breadcrumb.classList.toggle('hidden', isSearch);
+        path.forEach((folder, index) => {
+            if (index > 0) {
+                breadcrumb.appendChild(document.createTextNode(' / '));
+            }
+            const link = document.createElement('button');
+            link.className = 'bookmark-crumb';
+            link.textContent = folder.title;
+            link.addEventListener('click', () => handlers.onOpenFolder(folder.id));
+            breadcrumb.appendChild(link);
+        });
+
+        list.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'settings-hint';
+            empty.textContent = isSearch ? '没有找到匹配的书签' : '这个文件夹是空的，点击地址栏中的☆添加当前页面';
+            list.appendChild(empty);
+            return;
+        }
+
+        items.forEach(item => {
+            const entry = document.createElement('div');
+            entry.className = 'cookie-site bookmark-item';
+            entry.setAttribute('role', 'listitem');
+
+            const header = document.createElement('div');
+            header.className = 'cookie-site-header';
+
+            const name = document.createElement('button');
+            name.className = 'cookie-site-name list-link';
+            if (item.type === 'folder') {
+                name.textContent = `📁 ${item.title}`;
+                name.addEventListener('click', () => handlers.onOpenFolder(item.id));
+            } else {
+                name.textContent = item.title;
+                name.title = item.url;
+                name.addEventListener('click', () => handlers.onOpen(item.url));
+            }
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'settings-action';
+            editBtn.textContent = '编辑';
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'settings-action';
+            removeBtn.textContent = '删除';
+            removeBtn.setAttribute('aria-label', `删除 ${item.title}`);
+            removeBtn.addEventListener('click', () => handlers.onRemove(item.id));
+
+            header.appendChild(name);
+            header.appendChild(editBtn);
+            header.appendChild(removeBtn);
+            entry.appendChild(header);
+
+            if (item.type === 'bookmark') {
+                const meta = document.createElement('div');
+                meta.className = 'settings-hint list-meta';
+                const tagText = item.tags.length > 0 ? ' • ' + item.tags.map(tag => `#${tag}`).join(' ') : '';
+                meta.textContent = `${item.location ? item.location + ' • ' : ''}${item.url}${tagText}`;
+                entry.appendChild(meta);
+            }
+
+            editBtn.addEventListener('click', () => {
+                const existing = entry.querySelector('.bookmark-editor');
+                if (existing) {
+                    existing.remove();
+                } else {
+                    entry.appendChild(this.createBookmarkEditor(item, folders, handlers.onSave));
+                }
+            });
+
+            list.appendChild(entry);
+        });
+    }
+
+    /**
+     * 创建书签或文件夹的编辑表单
+     * @param {Object} item - 书签或文件夹
+     * @param {Array<Object>} folders - 所有文件夹 { id, title, depth }
+     * @param {Function} onSave - (id, changes) => void
+     * @returns {HTMLElement} 表单
+     */
+    createBookmarkEditor(item, folders, onSave) {
+        const form = document.createElement('form');
+        form.className = 'bookmark-editor';
+
+        const addField = (label, control) => {
+            const row = document.createElement('label');
+            row.className = 'settings-row';
+            const text = document.createElement('span');
+            text.textContent = label;
+            row.appendChild(text);
+            row.appendChild(control);
+            form.appendChild(row);
+            return control;
+        };
+
+        const titleInput = document.createElement('input');
+        titleInput.type = 'text';
+        titleInput.value = item.title;
+        addField('名称', titleInput);
+
+        let tagsInput = null;
+        if (item.type === 'bookmark') {
+            tagsInput = document.createElement('input');
+            tagsInput.type = 'text';
+            tagsInput.value = item.tags.join(', ');
+            tagsInput.placeholder = '用逗号分隔';
+            addField('标签', tagsInput);
+        }
+
+        const folderSelect = document.createElement('select');
+        folders
+            .filter(folder => folder.id !== item.id)
+            .forEach(folder => {
+                const option = document.createElement('option');
+                option.value = folder.id;
+                option.textContent = `${'　'.repeat(folder.depth)}${folder.title}`;
+                option.selected = folder.id === item.parentId;
+                folderSelect.appendChild(option);
+            });
+        addField('文件夹', folderSelect);
+
+        const actions = document.createElement('div');
+        actions.className = 'settings-actions';
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'submit';
+        saveBtn.className = 'settings-action';
+        saveBtn.textContent = '保存';
+        actions.appendChild(saveBtn);
+        form.appendChild(actions);
+
+        form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const changes = { title: titleInput.value, parentId: folderSelect.value };
+            if (tagsInput) {
+                changes.tags = tagsInput.value;
+            }
+            onSave(item.id, changes);
+        });
+
+        return form;
+    }
+
+    /**
+     * 显示浏览历史面板
+     */
+    showHistoryPanel() {
+        if (!this.isInitialized || !this.elements.historyPanel) return;
+
+        this.elements.historyPanel.classList.remove('hidden');
+        this.elements.historyPanel.setAttribute('aria-hidden', 'false');
+    }
+
+    /**
+     * 隐藏浏览历史面板
+     */
+    hideHistoryPanel() {
+        if (!this.isInitialized || !this.elements.historyPanel) return;
+
+        this.elements.historyPanel.classList.add('hidden');
+        this.elements.historyPanel.setAttribute('aria-hidden', 'true');
+    }
+
+    /**
+     * 浏览历史面板是否打开
+     * @returns {boolean} 是否打开
+     */
+    isHistoryPanelVisible() {
+        return Boolean(this.elements.historyPanel) && !this.elements.historyPanel.classList.contains('hidden');
+    }
+
+    /**
+     * 显示浏览历史（按日期分组）
+     * @param {Array<Object>} entries - HistoryStore.getEntries()的结果
+     * @param {Object} handlers - 操作回调
+     * @param {Object} handlers.typeNames - 内容类型的显示名称
+     * @param {Function} handlers.onOpen - (url) => void，打开页面
+     * @param {Function} handlers.onRemove - (url) => void，删除该网址的历史
+     */
+    renderHistory(entries, { typeNames, onOpen, onRemove }) {
+        const list = this.elements.historyList;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'settings-hint';
+            empty.textContent = '没有找到浏览历史';
+            list.appendChild(empty);
+            return;
+        }
+
+        let currentDay = '';
+        entries.forEach(entry => {
+            const visitedAt = new Date(entry.lastVisit);
+            const day = visitedAt.toLocaleDateString();
+            if (day !== currentDay) {
+                currentDay = day;
+                const heading = document.createElement('div');
+                heading.className = 'history-day';
+                heading.textContent = day;
+                list.appendChild(heading);
+            }
+
+            const item = document.createElement('div');
+            item.className = 'cookie-site';
+            item.setAttribute('role', 'listitem');
+
+            const header = document.createElement('div');
+            header.className = 'cookie-site-header';
+
+            const name = document.createElement('button');
+            name.className = 'cookie-site-name list-link';
+            name.textContent = entry.title || entry.url;
+            name.title = entry.url;
+            name.addEventListener('click', () => onOpen(entry.url));
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'settings-action';
+            removeBtn.textContent = '删除';
+            removeBtn.setAttribute('aria-label', `删除 ${entry.title || entry.url} 的历史`);
+            removeBtn.addEventListener('click', () => onRemove(entry.url));
+
+            header.appendChild(name);
+            header.appendChild(removeBtn);
+
+            const meta = document.createElement('div');
+            meta.className = 'settings-hint list-meta';
+            const types = entry.contentTypes.map(type => typeNames[type]).join('、');
+            meta.textContent = `${visitedAt.toLocaleTimeString()} • 访问 ${entry.visitCount} 次` +
+                `${types ? ' • 检测到' + types : ''} • ${entry.url}`;
+
+            item.appendChild(header);
+            item.appendChild(meta);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 显示代理诊断面板
+     */
+    showDiagnosticsPanel() {
+        if (!this.isInitialized || !this.elements.diagnosticsPanel) return;
+
+        this.elements.diagnosticsPanel.classList.remove('hidden');
+        this.elements.diagnosticsPanel.setAttribute('aria-hidden', 'false');
+    }
+
+    /**
+     * 隐藏代理诊断面板
+     */
+    hideDiagnosticsPanel() {
+        if (!this.isInitialized || !this.elements.diagnosticsPanel) return;
+
+        this.elements.diagnosticsPanel.classList.add('hidden');
+        this.elements.diagnosticsPanel.setAttribute('aria-hidden', 'true');
+    }
+
+    /**
+     * 代理诊断面板是否打开
+     * @returns {boolean} 是否打开
+     */
+    isDiagnosticsPanelVisible() {
+        return Boolean(this.elements.diagnosticsPanel) && !this.elements.diagnosticsPanel.classList.contains('hidden');
+    }
+
+    /**
+     * 显示每个代理服务的诊断信息
+     * @param {Array<Object>} providers - ProxyService.getProviderDiagnostics()的结果
+     * @param {Object} handlers - 操作回调
+     * @param {Function} handlers.onTest - (name) => Promise，立即测试代理服务
+     */
+    renderProxyDiagnostics(providers, { onTest }) {
+        const list = this.elements.diagnosticsList;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (providers.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'settings-hint';
+            empty.textContent = '没有可用的代理服务（当前为直通模式）';
+            list.appendChild(empty);
+            return;
+        }
+
+        const stateLabels = {
+            closed: '🟢 正常',
+            open: '🔴 断路器开启',
+            'half-open': '🟡 半开探测中'
+        };
+
+        providers.forEach(provider => {
+            const card = document.createElement('section');
+            card.className = 'settings-section diagnostics-provider';
+            card.setAttribute('role', 'listitem');
+
+            const header = document.createElement('div');
+            header.className = 'cookie-site-header';
+
+            const name = document.createElement('h4');
+            name.className = 'cookie-site-name';
+            name.textContent = provider.name;
+
+            const state = document.createElement('span');
+            state.className = `diagnostics-state ${provider.state}`;
+            state.textContent = stateLabels[provider.state] || provider.state;
+
+            const testBtn = document.createElement('button');
+            testBtn.className = 'settings-action';
+            testBtn.textContent = '立即测试';
+            testBtn.setAttribute('aria-label', `立即测试 ${provider.name}`);
+            testBtn.addEventListener('click', async () => {
+                testBtn.disabled = true;
+                testBtn.textContent = '测试中...';
+                try {
+                    await onTest(provider.name);
+                } finally {
+                    testBtn.disabled = false;
+                    testBtn.textContent = '立即测试';
+                }
+            });
+
+            header.appendChild(name);
+            header.appendChild(state);
+            header.appendChild(testBtn);
+            card.appendChild(header);
+
+            card.appendChild(this.createLatencyChart(provider.latencyHistory));
+
+            const rows = [
+                ['平均延迟', provider.latencyEwma === null ? '暂无数据' : `${Math.round(provider.latencyEwma)} ms`],
+                ['成功率', provider.successRate === null ? '暂无数据' : `${Math.round(provider.successRate * 100)}%`],
+                ['速率额度', `剩余 ${provider.rateLimit.remaining} / ${provider.rateLimit.limit}（每分钟）`],
+                ['窗口内失败', `${provider.failures} 次`],
+                ['错误类型', Object.entries(provider.errorCounts).map(([type, count]) => `${type} × ${count}`).join('，') || '无'],
+                ['最近失败', provider.lastFailure
+                    ? `${provider.lastFailure.message}（${new Date(provider.lastFailure.time).toLocaleTimeString()}）`
+                    : '无']
+            ];
+
+            if (provider.retryAt) {
+                rows.push(['下次探测', new Date(provider.retryAt).toLocaleTimeString()]);
+            }
+            if (provider.lastProbe) {
+                const probe = provider.lastProbe;
+                rows.push(['最近测试', probe.ok
+                    ? `成功，${probe.latency} ms（${new Date(probe.time).toLocaleTimeString()}）`
+                    : `失败：${probe.error}（${new Date(probe.time).toLocaleTimeString()}）`]);
+            }
+
+            const details = document.createElement('dl');
+            details.className = 'diagnostics-details';
+            rows.forEach(([label, value]) => {
+                const term = document.createElement('dt');
+                term.textContent = label;
+                const description = document.createElement('dd');
+                description.textContent = value;
+                details.appendChild(term);
+                details.appendChild(description);
+            });
+            card.appendChild(details);
+
+            list.appendChild(card);
+        });
+    }
+
+    /**
+     * 创建延迟历史柱状图
+     * @param {Array<number>} latencies - 最近成功请求的延迟(ms)
+     * @returns {HTMLElement} 图表元素
+     */
+    createLatencyChart(latencies) {
+        const chart = document.createElement('div');
+        chart.className = 'latency-chart';
+
+        if (latencies.length === 0) {
+            chart.classList.add('empty');
+            chart.textContent = '还没有成功请求的延迟记录';
+            return chart;
+        }
+
+        const max = Math.max(...latencies);
+        chart.setAttribute('aria-label', `最近 ${latencies.length} 次请求延迟，最高 ${max} ms`);
+        latencies.forEach(latency => {
+            const bar = document.createElement('span');
+            bar.className = 'latency-bar';
+            bar.style.height = `${Math.max(4, Math.round((latency / max) * 100))}%`;
+            bar.title = `${latency} ms`;
+            chart.appendChild(bar);
+        });
+
+        return chart;
+    }
+
+    /**
+     * 显示站点抓取面板
+     * @param {string} startURL - 起始网址
+     */
+    showCrawlPanel(startURL) {
+        if (!this.isInitialized || !this.elements.crawlPanel) return;
+
+        if (this.elements.crawlStartURL) {
+            this.elements.crawlStartURL.textContent = `起始页面: ${startURL}`;
+            this.elements.crawlStartURL.title = startURL;
+        }
+        this.elements.crawlPanel.classList.remove('hidden');
+        this.elements.crawlPanel.setAttribute('aria-hidden', 'false');
+    }
+
+    /**
+     * 隐藏站点抓取面板（不影响进行中的抓取）
+     */
+    hideCrawlPanel() {
+        if (!this.isInitialized || !this.elements.crawlPanel) return;
+
+        this.elements.crawlPanel.classList.add('hidden');
+        this.elements.crawlPanel.setAttribute('aria-hidden', 'true');
+    }
+
+    /**
+     * 站点抓取面板是否打开
+     * @returns {boolean} 是否打开
+     */
+    isCrawlPanelVisible() {
+        return Boolean(this.elements.crawlPanel) && !this.elements.crawlPanel.classList.contains('hidden');
+    }
+
+    /**
+     * 切换抓取中/空闲状态：抓取时不能修改选项或再次开始
+     * @param {boolean} running - 是否正在抓取
+     */
+    setCrawlRunning(running) {
+        const { crawlPanel, crawlStartBtn, crawlStopBtn, crawlProgress } = this.elements;
+        if (!crawlPanel) return;
+
+        crawlPanel.querySelectorAll('.settings-row input, .settings-row select, .settings-row textarea')
+            .forEach(input => {
+                input.disabled = running;
+            });
+        crawlStartBtn.disabled = running;
+        crawlStopBtn.disabled = !running;
+        crawlProgress.classList.toggle('hidden', !running);
+
+        if (running) {
+            this.crawlItems = [];
+            this.elements.crawlResults.innerHTML = '';
+            this.elements.crawlDownloadBtn.disabled = true;
+            this.elements.crawlStatus.textContent = '正在抓取起始页面...';
+            crawlProgress.removeAttribute('value');
+        }
+    }
+
+    /**
+     * 显示抓取进度
+     * @param {Object} progress - SiteCrawler.getProgress()的结果
+     */
+    renderCrawlProgress({ completed, queued, maxPages, failed, mediaCount, pdfCount, textCount }) {
+        const { crawlStatus, crawlProgress } = this.elements;
+        if (!crawlStatus) return;
+
+        crawlStatus.textContent = `已抓取 ${completed} 个页面` +
+            (failed > 0 ? `（${failed} 个失败）` : '') +
+            `，队列中 ${queued} 个 · 媒体 ${mediaCount} · PDF ${pdfCount} · 文本 ${textCount}`;
+        crawlProgress.max = Math.max(1, Math.min(maxPages, completed + queued));
+        crawlProgress.value = completed;
+    }
+
+    /**
+     * 显示抓取结果：按媒体、PDF、文本分组的可勾选列表，以及无法抓取的页面
+     * @param {Object} result - SiteCrawler.crawl()的结果
+     */
+    renderCrawlResults({ pages, media, pdfs, texts, stopped, limitReached }) {
+        const { crawlResults, crawlStatus, crawlDownloadBtn } = this.elements;
+        if (!crawlResults) return;
+
+        const failedPages = pages.filter(page => page.error);
+        let summary = `抓取了 ${pages.length} 个页面，找到 ${media.length} 个媒体文件、${pdfs.length} 个PDF、${texts.length} 篇文本`;
+        if (stopped) {
+            summary += '（已停止）';
+        } else if (limitReached) {
+            summary += '（已达到页面数上限，还有链接没有抓取）';
+        }
+        crawlStatus.textContent = summary;
+
+        crawlResults.innerHTML = '';
+        this.crawlItems = [];
+
+        const updateDownloadButton = () => {
+            crawlDownloadBtn.disabled = this.getSelectedCrawlItems().length === 0;
+        };
+
+        const groups = [
+            { kind: 'media', label: '媒体文件', items: media, meta: item => `来自 ${item.pageURL}` },
+            { kind: 'pdf', label: 'PDF文件', items: pdfs, meta: item => `来自 ${item.pageURL}` },
+            { kind: 'text', label: '文本', items: texts, meta: item => `${item.wordCount} 字 · ${item.url}` }
+        ];
+
+        groups.filter(group => group.items.length > 0).forEach(group => {
+            const heading = document.createElement('label');
+            heading.className = 'history-day cookie-site-header';
+            const groupToggle = document.createElement('input');
+            groupToggle.type = 'checkbox';
+            groupToggle.checked = true;
+            heading.appendChild(groupToggle);
+            heading.appendChild(document.createTextNode(`${group.label} (${group.items.length})`));
+            crawlResults.appendChild(heading);
+
+            const checkboxes = group.items.map(item => {
+                const entry = document.createElement('div');
+                entry.className = 'crawl-item';
+                entry.setAttribute('role', 'listitem');
+
+                const row = document.createElement('label');
+                row.className = 'cookie-site-header';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = true;
+                checkbox.dataset.index = String(this.crawlItems.length);
+                checkbox.addEventListener('change', () => {
+                    groupToggle.checked = checkboxes.every(box => box.checked);
+                    updateDownloadButton();
+                });
+                const name = document.createElement('span');
+                name.className = 'cookie-site-name';
+                name.textContent = item.title || item.filename || item.url;
+                name.title = item.url;
+                row.appendChild(checkbox);
+                row.appendChild(name);
+
+                const meta = document.createElement('div');
+                meta.className = 'list-meta';
+                meta.textContent = group.meta(item);
+                meta.title = meta.textContent;
+
+                entry.appendChild(row);
+                entry.appendChild(meta);
+                crawlResults.appendChild(entry);
+                this.crawlItems.push({ kind: group.kind, item });
+                return checkbox;
+            });
+
+            groupToggle.addEventListener('change', () => {
+                checkboxes.forEach(box => {
+                    box.checked = groupToggle.checked;
+                });
+                updateDownloadButton();
+            });
+        });
+
+        if (this.crawlItems.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'settings-hint';
+            empty.textContent = '没有找到可下载的内容';
+            crawlResults.appendChild(empty);
+        }
+
+        if (failedPages.length > 0) {
+            const hint = document.createElement('p');
+            hint.className = 'settings-hint';
+            hint.textContent = `以下 ${failedPages.length} 个页面无法抓取：`;
+
+            const list = document.createElement('ul');
+            list.className = 'page-archive-failed';
+            failedPages.forEach(page => {
+                const item = document.createElement('li');
+                item.textContent = `${page.url}（${page.error}）`;
+                item.title = page.url;
+                list.appendChild(item);
+            });
+
+            crawlResults.appendChild(hint);
+            crawlResults.appendChild(list);
+        }
+
+        updateDownloadButton();
+    }
+
+    /**
+     * 获取抓取结果中勾选的条目
+     * @returns {Array<Object>} { kind: 'media'|'pdf'|'text', item }
+     */
+    getSelectedCrawlItems() {
+        if (!this.elements.crawlResults) return [];
+
+        return Array.from(this.elements.crawlResults.querySelectorAll('.crawl-item input[type="checkbox"]'))
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => this.crawlItems[Number(checkbox.dataset.index)]);
+    }
+
+    /**
+     * 描述会话：标签页数量和页面标题
+     * @param {Object} session - SessionStore保存的会话
+     * @returns {string} 描述文字
+     */
+    describeSession(session) {
+        const titles = session.tabs.map(tab => tab.title || this.getTabHostname(tab.history[tab.index] || ''));
+        const preview = titles.slice(0, 3).join('、') + (titles.length > 3 ? ' 等' : '');
+        return `${session.tabs.length} 个标签页：${preview}`;
+    }
+
+    /**
+     * 显示恢复上次会话的提示
+     * @param {Object} session - 上次的会话
+     */
+    showSessionRestorePrompt(session) {
+        if (!this.isInitialized || !this.elements.sessionRestoreBar) return;
+
+        this.elements.sessionRestoreText.textContent = `恢复上次会话？${this.describeSession(session)}`;
+        this.elements.sessionRestoreBar.classList.remove('hidden');
+    }
+
+    /**
+     * 隐藏恢复会话的提示
+     */
+    hideSessionRestorePrompt() {
+        if (!this.isInitialized || !this.elements.sessionRestoreBar) return;
+
+        this.elements.sessionRestoreBar.classList.add('hidden');
+    }
+
+    /**
+     * 显示最近关闭的会话
+     * @param {Array<Object>} sessions - SessionStore.getClosedSessions()的结果
+     * @param {Object} handlers - 操作回调
+     * @param {Function} handlers.onRestore - (id) => void，恢复会话
+     */
+    renderClosedSessions(sessions, { onRestore }) {
+        const list = this.elements.closedSessionList;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'settings-hint';
+            empty.textContent = '没有关闭的会话';
+            list.appendChild(empty);
+            return;
+        }
+
+        sessions.forEach(session => {
+            const item = document.createElement('div');
+            item.className = 'cookie-site-header closed-session';
+            item.setAttribute('role', 'listitem');
+
+            const description = document.createElement('span');
+            description.className = 'cookie-site-name';
+            description.textContent = `${new Date(session.savedAt).toLocaleString()} · ${this.describeSession(session)}`;
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'settings-action';
+            restoreBtn.textContent = '恢复';
+            restoreBtn.addEventListener('click', () => onRestore(session.id));
+
+            item.appendChild(description);
+            item.appendChild(restoreBtn);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 显示保存了Cookie的站点列表
+     * @param {Array<{site: string, count: number}>} sites - 站点列表
+     * @param {Object} handlers - 操作回调
+     * @param {Function} handlers.getCookies - (site) => Cookie列表
+     * @param {Function} handlers.onClear - (site) => void，清除站点Cookie
+     */
+    renderCookieSites(sites, { getCookies, onClear }) {
+        const list = this.elements.cookieSiteList;
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (sites.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'settings-hint';
+            empty.textContent = '还没有保存任何Cookie';
+            list.appendChild(empty);
+            return;
+        }
+
+        sites.forEach(({ site, count }) => {
+            const item = document.createElement('div');
+            item.className = 'cookie-site';
+            item.setAttribute('role', 'listitem');
+
+            const header = document.createElement('div');
+            header.className = 'cookie-site-header';
+
+            const name = document.createElement('span');
+            name.className = 'cookie-site-name';
+            name.textContent = `${site} (${count})`;
+
+            const viewBtn = document.createElement('button');
+            viewBtn.className = 'settings-action';
+            viewBtn.textContent = '查看';
+            viewBtn.setAttribute('aria-label', `查看 ${site} 的Cookie`);
+
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'settings-action';
+            clearBtn.textContent = '清除';
+            clearBtn.setAttribute('aria-label', `清除 ${site} 的Cookie`);
+
+            const details = document.createElement('ul');
+            details.className = 'cookie-details hidden';
+
+            viewBtn.addEventListener('click', () => {
+                const expanded = details.classList.toggle('hidden') === false;
+                viewBtn.textContent = expanded ? '收起' : '查看';
+                if (expanded) {
+                    details.innerHTML = '';
+                    getCookies(site).forEach(cookie => {
+                        details.appendChild(this.createCookieDetail(cookie));
+                    });
+                }
+            });
+            clearBtn.addEventListener('click', () => onClear(site));
+
+            header.appendChild(name);
+            header.appendChild(viewBtn);
+            header.appendChild(clearBtn);
+            item.appendChild(header);
+            item.appendChild(details);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * 创建单个Cookie的显示元素
+     * @param {Object} cookie - Cookie
+     * @returns {HTMLElement} 列表项
+     */
+    createCookieDetail(cookie) {
+        const entry = document.createElement('li');
+
+        const pair = document.createElement('div');
+        pair.className = 'cookie-pair';
+        pair.textContent = `${cookie.name}=${cookie.value}`;
+        pair.title = pair.textContent;
+
+        const meta = document.createElement('div');
+        meta.className = 'settings-hint';
+        const expires = cookie.expires === null ? '会话结束时' : new Date(cookie.expires).toLocaleString();
+        const flags = [cookie.secure ? 'Secure' : '', cookie.httpOnly ? 'HttpOnly' : ''].filter(Boolean).join(' ');
+        meta.textContent = `${cookie.hostOnly ? '' : '.'}${cookie.domain}${cookie.path} • 过期: ${expires}${flags ? ' • ' + flags : ''}`;
+
+        entry.appendChild(pair);
+        entry.appendChild(meta);
+        return entry;
+    }
+
     /**
      * 显示下载进度
      * @param {string} downloadId - 下载ID
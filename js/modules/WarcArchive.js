@@ -0,0 +1,494 @@
+/**
+ * WARC存档 - 捕获代理请求和下载的请求/响应，导出为WARC 1.1文件
+ * 每次请求生成response和request两条记录，页面的内容检测结果写入metadata记录；
+ * 可以按记录分别gzip压缩（.warc.gz），常见的存档工具可以逐条读取
+ */
+
+const WARC_SETTINGS_STORAGE_KEY = 'wbd.warc';
+
+const DEFAULT_WARC_OPTIONS = {
+    maxBodySize: 10 * 1024 * 1024, // 超过此大小的响应体不保存内容，记录标记为WARC-Truncated
+    maxExchanges: 2000, // 捕获的请求上限，超出时丢弃最早的请求
+    maxTotalBytes: 200 * 1024 * 1024 // 保存的响应体总大小上限，超出时丢弃最早的请求
+};
+
+const WARC_VERSION = 'WARC/1.1';
+const CRLF = '\r\n';
+
+// 响应体已由浏览器解码，这些头描述的是传输时的编码，写入存档时去掉并按实际长度重新计算
+const DECODED_BODY_HEADERS = ['content-encoding', 'transfer-encoding', 'content-length'];
+
+// 没有响应体的状态码
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * 拼接多段二进制数据
+ * @param {Array<Uint8Array>} parts - 数据片段
+ * @returns {Uint8Array} 拼接结果
+ */
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+/**
+ * base32编码（RFC 4648，WARC摘要的惯用格式）
+ * @param {Uint8Array} bytes - 数据
+ * @returns {string} base32文本
+ */
+function encodeBase32(bytes) {
+    let result = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            result += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        result += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+    return result.padEnd(Math.ceil(result.length / 8) * 8, '=');
+}
+
+/**
+ * 计算SHA-1摘要，格式为 sha1:<base32>
+ * @param {Uint8Array} bytes - 数据
+ * @returns {Promise<string>} 带算法前缀的摘要
+ */
+async function sha1Digest(bytes) {
+    const digest = await crypto.subtle.digest('SHA-1', bytes);
+    return `sha1:${encodeBase32(new Uint8Array(digest))}`;
+}
+
+/**
+ * gzip压缩一条记录（每条记录是独立的gzip成员，拼接后仍是合法的gzip文件）
+ * @param {Uint8Array} bytes - 记录数据
+ * @returns {Promise<Uint8Array>} 压缩后的数据
+ */
+async function gzipBytes(bytes) {
+    if (typeof CompressionStream === 'undefined') {
+        throw new Error('当前浏览器不支持gzip压缩，请取消压缩后再导出');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 读取响应体，超过上限时立即停止读取（没有Content-Length的响应也不会整个缓冲）
+ * @param {Response} response - 响应
+ * @param {number} limit - 大小上限（字节）
+ * @returns {Promise<Uint8Array|null>} 响应体，超过上限时返回null
+ */
+async function readBodyWithLimit(response, limit) {
+    if (!response.body) {
+        return new Uint8Array(0);
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let size = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+            break;
+        }
+        size += value.byteLength;
+        if (size > limit) {
+            reader.cancel().catch(() => {});
+            return null;
+        }
+        chunks.push(value);
+    }
+
+    const body = new Uint8Array(size);
+    let offset = 0;
+    for (const chunk of chunks) {
+        body.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return body;
+}
+
+/**
+ * 生成记录ID（随机UUID的URN）
+ * @returns {string} 形如 <urn:uuid:...> 的记录ID
+ */
+function generateRecordId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40; // 版本4
+    bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122变体
+    const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    return `<urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}>`;
+}
+
+/**
+ * 格式化WARC-Date（UTC，精确到秒）
+ * @param {number} timestamp - 时间戳
+ * @returns {string} 日期
+ */
+function formatWarcDate(timestamp) {
+    return new Date(timestamp).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * 生成头部字段文本，字段值中的换行替换为空格
+ * @param {Array<Array>} fields - [名称, 值] 列表
+ * @returns {string} 每行一个字段的文本
+ */
+function formatFields(fields) {
+    return fields.map(([name, value]) => `${name}: ${String(value).replace(/[\r\n]+/g, ' ')}${CRLF}`).join('');
+}
+
+export class WarcArchive {
+    /**
+     * @param {Storage|null} storage - 保存捕获设置的存储，为null时设置只在本次会话有效
+     * @param {Object} options - 选项，见DEFAULT_WARC_OPTIONS
+     */
+    constructor(storage = null, options = {}) {
+        this.storage = storage;
+        this.options = { ...DEFAULT_WARC_OPTIONS, ...options };
+        this.settings = this.loadSettings();
+        this.exchanges = []; // 按开始顺序保存的请求和响应
+        this.totalBytes = 0; // 保存的响应体总大小
+        this.detections = new Map(); // 页面URL -> { date, fields }
+        this.pendingCaptures = new Set(); // 还在读取响应体的捕获
+    }
+
+    /**
+     * 读取保存的捕获设置
+     * @returns {Object} { capturing, gzip }
+     */
+    loadSettings() {
+        const settings = { capturing: false, gzip: true };
+        if (!this.storage) {
+            return settings;
+        }
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(WARC_SETTINGS_STORAGE_KEY));
+            if (saved) {
+                settings.capturing = saved.capturing === true;
+                settings.gzip = saved.gzip !== false;
+            }
+        } catch (error) {
+            console.warn('WARC设置读取失败:', error.message);
+        }
+        return settings;
+    }
+
+    /**
+     * 保存捕获设置
+     */
+    saveSettings() {
+        if (!this.storage) {
+            return;
+        }
+
+        try {
+            this.storage.setItem(WARC_SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('WARC设置保存失败:', error.message);
+        }
+    }
+
+    /**
+     * 获取捕获设置
+     * @returns {Object} { capturing, gzip }
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * 更新并保存捕获设置
+     * @param {Object} settings - 设置
+     * @param {boolean} settings.capturing - 是否捕获请求
+     * @param {boolean} settings.gzip - 导出时是否按记录gzip压缩
+     */
+    updateSettings({ capturing = this.settings.capturing, gzip = this.settings.gzip } = {}) {
+        this.settings = { capturing: Boolean(capturing), gzip: Boolean(gzip) };
+        this.saveSettings();
+    }
+
+    /**
+     * 是否正在捕获
+     * @returns {boolean} 是否捕获
+     */
+    isCapturing() {
+        return this.settings.capturing;
+    }
+
+    /**
+     * 捕获一次请求和响应
+     * 响应会被克隆后在后台读取，不影响调用方（包括流式读取）；没有开启捕获时不做任何事
+     * @param {Object} exchange - 请求和响应
+     * @param {string} exchange.method - 请求方法
+     * @param {string} exchange.url - 目标URL
+     * @param {Object} exchange.requestHeaders - 请求头
+     * @param {*} exchange.requestBody - 请求体（只保存文本）
+     * @param {Response} exchange.response - 响应
+     * @param {number} exchange.startTime - 开始时间戳
+     * @returns {Promise<Object|null>} 捕获的内容，响应体读取完成后返回；没有捕获时为null
+     */
+    capture({ method = 'GET', url, requestHeaders = {}, requestBody, response, startTime = Date.now() }) {
+        if (!this.isCapturing() || !/^https?:/i.test(url)) {
+            return Promise.resolve(null);
+        }
+
+        const exchange = {
+            date: startTime,
+            method: method.toUpperCase(),
+            url,
+            requestHeaders: Object.entries(requestHeaders).map(([name, value]) => [name, String(value)]),
+            requestBody: typeof requestBody === 'string' ? requestBody : null,
+            status: response.status,
+            statusText: response.statusText || '',
+            responseHeaders: Array.from(response.headers.entries()),
+            body: new Uint8Array(0),
+            truncated: false
+        };
+
+        this.exchanges.push(exchange);
+        this.trimExchanges();
+
+        if (exchange.method === 'HEAD' || NULL_BODY_STATUSES.includes(exchange.status)) {
+            return Promise.resolve(exchange);
+        }
+        const contentLength = parseInt(response.headers.get('content-length'), 10);
+        if (response.bodyUsed || contentLength > this.options.maxBodySize) {
+            exchange.truncated = true;
+            return Promise.resolve(exchange);
+        }
+
+        // 先同步克隆，调用方随后读取原响应不受影响
+        const pending = readBodyWithLimit(response.clone(), this.options.maxBodySize)
+            .then(body => {
+                if (!body) {
+                    exchange.truncated = true;
+                } else if (this.exchanges.includes(exchange)) {
+                    // 读取期间已经被丢弃的请求不再保存响应体
+                    exchange.body = body;
+                    this.totalBytes += body.length;
+                    this.trimExchanges();
+                }
+            })
+            .catch(error => {
+                exchange.truncated = true;
+                console.warn('WARC捕获响应体失败:', url, error.message);
+            })
+            .then(() => {
+                this.pendingCaptures.delete(pending);
+                return exchange;
+            });
+        this.pendingCaptures.add(pending);
+        return pending;
+    }
+
+    /**
+     * 丢弃最早的请求，直到请求数和响应体总大小都在上限内
+     */
+    trimExchanges() {
+        while (this.exchanges.length > this.options.maxExchanges ||
+               (this.totalBytes > this.options.maxTotalBytes && this.exchanges.length > 0)) {
+            this.totalBytes -= this.exchanges.shift().body.length;
+        }
+    }
+
+    /**
+     * 记录页面的内容检测结果，导出时写入metadata记录（同一页面只保留最近一次结果）
+     * @param {string} url - 页面URL
+     * @param {Object} results - 检测结果 { media, pdfs, text }，见ContentDetector
+     */
+    addDetection(url, results) {
+        if (!this.isCapturing() || !results || !/^https?:/i.test(url)) {
+            return;
+        }
+
+        const media = results.media || [];
+        const pdfs = results.pdfs || [];
+        const fields = [
+            ['detected-media-count', media.length],
+            ['detected-pdf-count', pdfs.length]
+        ];
+        media.forEach(item => {
+            const type = ['video', 'audio', 'image'].includes(item.type) ? item.type : 'media';
+            fields.push([`detected-${type}`, item.url]);
+        });
+        pdfs.forEach(item => fields.push(['detected-pdf', item.url]));
+        if (results.text) {
+            fields.push(['text-title', results.text.title || '']);
+            fields.push(['text-word-count', results.text.wordCount || 0]);
+        }
+
+        this.detections.set(url, { date: Date.now(), fields });
+    }
+
+    /**
+     * 导出为WARC文件
+     * @param {Object} options - 选项
+     * @param {boolean} options.gzip - 是否按记录gzip压缩（默认使用保存的设置）
+     * @param {string} options.software - 写入warcinfo的软件名称和版本
+     * @param {string} options.filename - 写入warcinfo的文件名
+     * @returns {Promise<Blob>} WARC文件
+     */
+    async toWARC({ gzip = this.settings.gzip, software = '', filename = '' } = {}) {
+        await Promise.all(Array.from(this.pendingCaptures));
+
+        const warcinfoId = generateRecordId();
+        const infoHeaders = [
+            ['WARC-Type', 'warcinfo'],
+            ['WARC-Record-ID', warcinfoId],
+            ['WARC-Date', formatWarcDate(Date.now())]
+        ];
+        if (filename) {
+            infoHeaders.push(['WARC-Filename', filename]);
+        }
+        const records = [this.buildRecord(infoHeaders, 'application/warc-fields', textEncoder.encode(formatFields([
+            ['software', software || 'WebBrowserDownloader'],
+            ['format', 'WARC File Format 1.1'],
+            ['conformsTo', 'https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/'],
+            ['description', '通过代理浏览和下载捕获的请求与响应']
+        ])))];
+
+        const responseIds = new Map(); // URL -> 最近的response记录ID，metadata记录引用它
+        for (const exchange of this.exchanges) {
+            const responseId = generateRecordId();
+            const date = formatWarcDate(exchange.date);
+            const responseHeaders = [
+                ['WARC-Type', 'response'],
+                ['WARC-Record-ID', responseId],
+                ['WARC-Warcinfo-ID', warcinfoId],
+                ['WARC-Date', date],
+                ['WARC-Target-URI', exchange.url]
+            ];
+            if (exchange.truncated) {
+                responseHeaders.push(['WARC-Truncated', 'length']);
+            } else {
+                responseHeaders.push(['WARC-Payload-Digest', await sha1Digest(exchange.body)]);
+            }
+            records.push(this.buildRecord(responseHeaders, 'application/http;msgtype=response', this.buildResponseBlock(exchange)));
+
+            records.push(this.buildRecord([
+                ['WARC-Type', 'request'],
+                ['WARC-Record-ID', generateRecordId()],
+                ['WARC-Warcinfo-ID', warcinfoId],
+                ['WARC-Date', date],
+                ['WARC-Target-URI', exchange.url],
+                ['WARC-Concurrent-To', responseId]
+            ], 'application/http;msgtype=request', this.buildRequestBlock(exchange)));
+
+            responseIds.set(exchange.url, responseId);
+        }
+
+        for (const [url, detection] of this.detections) {
+            const headers = [
+                ['WARC-Type', 'metadata'],
+                ['WARC-Record-ID', generateRecordId()],
+                ['WARC-Warcinfo-ID', warcinfoId],
+                ['WARC-Date', formatWarcDate(detection.date)],
+                ['WARC-Target-URI', url]
+            ];
+            if (responseIds.has(url)) {
+                headers.push(['WARC-Refers-To', responseIds.get(url)]);
+            }
+            records.push(this.buildRecord(headers, 'application/warc-fields', textEncoder.encode(formatFields(detection.fields))));
+        }
+
+        const parts = await Promise.all(records.map(async record => {
+            const bytes = await record;
+            return gzip ? gzipBytes(bytes) : bytes;
+        }));
+        return new Blob(parts, { type: gzip ? 'application/gzip' : 'application/warc' });
+    }
+
+    /**
+     * 生成一条WARC记录：版本行、头部、空行、内容块和两个CRLF
+     * @param {Array<Array>} headers - WARC头部 [名称, 值]
+     * @param {string} contentType - 内容块类型
+     * @param {Uint8Array} block - 内容块
+     * @returns {Promise<Uint8Array>} 记录数据
+     */
+    async buildRecord(headers, contentType, block) {
+        const allHeaders = headers.concat([
+            ['WARC-Block-Digest', await sha1Digest(block)],
+            ['Content-Type', contentType],
+            ['Content-Length', block.length]
+        ]);
+        return concatBytes([
+            textEncoder.encode(`${WARC_VERSION}${CRLF}${formatFields(allHeaders)}${CRLF}`),
+            block,
+            textEncoder.encode(CRLF + CRLF)
+        ]);
+    }
+
+    /**
+     * 生成HTTP响应内容块
+     * @param {Object} exchange - 捕获的请求和响应
+     * @returns {Uint8Array} 内容块
+     */
+    buildResponseBlock(exchange) {
+        const headers = exchange.responseHeaders.filter(([name]) => !DECODED_BODY_HEADERS.includes(name.toLowerCase()));
+        if (!exchange.truncated && !NULL_BODY_STATUSES.includes(exchange.status)) {
+            headers.push(['Content-Length', exchange.body.length]);
+        }
+        return concatBytes([
+            textEncoder.encode(`HTTP/1.1 ${exchange.status} ${exchange.statusText}${CRLF}${formatFields(headers)}${CRLF}`),
+            exchange.body
+        ]);
+    }
+
+    /**
+     * 生成HTTP请求内容块
+     * @param {Object} exchange - 捕获的请求和响应
+     * @returns {Uint8Array} 内容块
+     */
+    buildRequestBlock(exchange) {
+        const target = new URL(exchange.url);
+        const body = exchange.requestBody !== null ? textEncoder.encode(exchange.requestBody) : new Uint8Array(0);
+        const headers = [['Host', target.host]]
+            .concat(exchange.requestHeaders.filter(([name]) => !['host', 'content-length'].includes(name.toLowerCase())));
+        if (body.length > 0) {
+            headers.push(['Content-Length', body.length]);
+        }
+        return concatBytes([
+            textEncoder.encode(`${exchange.method} ${target.pathname}${target.search} HTTP/1.1${CRLF}${formatFields(headers)}${CRLF}`),
+            body
+        ]);
+    }
+
+    /**
+     * 清空捕获的内容
+     */
+    clear() {
+        this.exchanges = [];
+        this.totalBytes = 0;
+        this.detections.clear();
+    }
+
+    /**
+     * 获取统计信息
+     * @returns {Object} 统计信息
+     */
+    getStats() {
+        return {
+            capturing: this.settings.capturing,
+            exchanges: this.exchanges.length,
+            totalBytes: this.totalBytes,
+            detections: this.detections.size,
+            pending: this.pendingCaptures.size
+        };
+    }
+}
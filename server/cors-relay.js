@@ -0,0 +1,496 @@
+/**
+ * 可自托管的CORS中继服务器 - 为ProxyService的'local'类型提供私有代理
+ *
+ * 用法:
+ *   RELAY_PORT=8787 RELAY_ALLOWLIST=example.com,*.example.org node server/cors-relay.js
+ *
+ * 接口:
+ *   GET  /health              健康检查
+ *   ANY  /proxy?url=<目标URL>  转发请求（支持Range、流式响应体、请求头转发）
+ *
+ * Cookie:
+ *   浏览器无法读写Set-Cookie/Cookie头，中继用自定义头传递：
+ *   请求头 x-relay-cookie 作为Cookie发往目标主机（重定向到其他主机时不发送），
+ *   响应头 x-relay-set-cookie 为JSON数组 [{ url, cookies: [Set-Cookie...] }]，包含每一跳重定向的Set-Cookie
+ */
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+// 逐跳请求头，不应被转发
+const HOP_BY_HOP_HEADERS = new Set([
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade',
+    'host'
+]);
+
+// 不转发给目标站点的请求头（避免泄露应用来源和凭据）
+const STRIPPED_REQUEST_HEADERS = new Set([
+    'origin',
+    'referer',
+    'cookie'
+]);
+
+// 不返回给浏览器的响应头（由中继重新设置CORS头）
+const STRIPPED_RESPONSE_HEADERS = new Set([
+    'set-cookie',
+    'access-control-allow-origin',
+    'access-control-allow-credentials',
+    'access-control-allow-headers',
+    'access-control-allow-methods',
+    'access-control-expose-headers'
+]);
+
+const REDIRECT_STATUS_CODES = new Set([301, 302, 303, 307, 308]);
+
+const DEFAULT_OPTIONS = {
+    allowlist: [],            // 允许访问的目标主机，支持 '*.example.com' 和 '*'
+    allowedOrigins: ['*'],    // 允许调用中继的页面来源
+    allowPrivateTargets: false, // 是否允许访问内网地址（显式列入allowlist的主机除外）
+    maxRedirects: 5,
+    timeout: 30000,
+    lookup: dns.lookup        // 解析目标主机，解析结果同样检查是否为内网地址
+};
+
+/**
+ * 解析逗号分隔的列表
+ * @param {string} value - 原始字符串
+ * @returns {Array<string>} 列表
+ */
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * 检查主机是否匹配允许列表中的条目
+ * @param {string} hostname - 目标主机
+ * @param {string} pattern - 允许列表条目
+ * @returns {boolean} 是否匹配
+ */
+function matchesHostPattern(hostname, pattern) {
+    if (pattern === '*') {
+        return true;
+    }
+    if (pattern.startsWith('*.')) {
+        const suffix = pattern.slice(2);
+        return hostname === suffix || hostname.endsWith('.' + suffix);
+    }
+    return hostname === pattern;
+}
+
+/**
+ * 把IPv4映射的IPv6地址（::ffff:127.0.0.1 或 ::ffff:7f00:1）转换为IPv4地址
+ * @param {string} host - 主机名或地址（不含方括号）
+ * @returns {string} IPv4地址，不是映射地址时原样返回
+ */
+function unmapIPv4(host) {
+    const match = /^(?:::|(?:0{1,4}:){5})ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(host);
+    if (!match) {
+        return host;
+    }
+    if (match[1]) {
+        return match[1];
+    }
+    const high = parseInt(match[2], 16);
+    const low = parseInt(match[3], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+/**
+ * 判断是否为内网/回环地址
+ * @param {string} hostname - 主机名或IP地址
+ * @returns {boolean} 是否为内网地址
+ */
+function isPrivateHost(hostname) {
+    const host = unmapIPv4(hostname.replace(/^\[|\]$/g, '').toLowerCase());
+    return host === 'localhost' ||
+        host.endsWith('.localhost') ||
+        host === '::1' ||
+        host === '::' ||
+        /^127\./.test(host) ||
+        /^10\./.test(host) ||
+        /^192\.168\./.test(host) ||
+        /^169\.254\./.test(host) ||
+        /^172\.(1[6-9]|2\d|3[01])\./.test(host) ||
+        /^0\./.test(host) ||
+        /^f[cd][0-9a-f]{2}:/i.test(host) ||
+        /^fe[89ab][0-9a-f]:/i.test(host);
+}
+
+/**
+ * 包装DNS解析：主机名解析到内网地址时拒绝连接（防止公网域名指向内网地址绕过检查）
+ * 内网地址只有显式列出主机名或开启allowPrivateTargets时才允许，和isTargetAllowed一致
+ * @param {Object} options - 中继选项
+ * @returns {Function} 传给http.request的lookup函数
+ */
+function createGuardedLookup(options) {
+    return (hostname, lookupOptions, callback) => {
+        options.lookup(hostname, lookupOptions, (error, address, family) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+
+            const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+            const allowed = options.allowPrivateTargets || options.allowlist.includes(hostname.toLowerCase());
+            if (!allowed && addresses.some(isPrivateHost)) {
+                callback(Object.assign(new Error(`目标主机解析到内网地址: ${hostname}`), { status: 403 }));
+                return;
+            }
+
+            callback(null, address, family);
+        });
+    };
+}
+
+/**
+ * 检查目标URL是否允许被中继
+ * @param {URL} target - 目标URL
+ * @param {Object} options - 中继选项
+ * @returns {boolean} 是否允许
+ */
+function isTargetAllowed(target, options) {
+    if (!['http:', 'https:'].includes(target.protocol)) {
+        return false;
+    }
+
+    const hostname = target.hostname.toLowerCase();
+
+    if (isPrivateHost(hostname)) {
+        // 内网地址只有显式列出（不含通配符）或开启allowPrivateTargets时才允许
+        return options.allowPrivateTargets || options.allowlist.includes(hostname);
+    }
+
+    return options.allowlist.some(pattern => matchesHostPattern(hostname, pattern));
+}
+
+/**
+ * 生成CORS响应头
+ * @param {http.IncomingMessage} req - 客户端请求
+ * @param {Object} options - 中继选项
+ * @returns {Object} 响应头
+ */
+function buildCorsHeaders(req, options) {
+    const origin = req.headers.origin;
+    const allowAll = options.allowedOrigins.includes('*');
+    const headers = {
+        'access-control-allow-methods': 'GET, HEAD, POST, PUT, DELETE, PATCH, OPTIONS',
+        'access-control-expose-headers': '*',
+        'access-control-max-age': '600',
+        'vary': 'Origin'
+    };
+
+    if (allowAll) {
+        headers['access-control-allow-origin'] = '*';
+    } else if (origin && options.allowedOrigins.includes(origin.toLowerCase())) {
+        headers['access-control-allow-origin'] = origin;
+    }
+
+    if (req.headers['access-control-request-headers']) {
+        headers['access-control-allow-headers'] = req.headers['access-control-request-headers'];
+    }
+
+    return headers;
+}
+
+/**
+ * 检查调用方来源是否被允许
+ * @param {http.IncomingMessage} req - 客户端请求
+ * @param {Object} options - 中继选项
+ * @returns {boolean} 是否允许
+ */
+function isOriginAllowed(req, options) {
+    const origin = req.headers.origin;
+    if (!origin || options.allowedOrigins.includes('*')) {
+        return true;
+    }
+    return options.allowedOrigins.includes(origin.toLowerCase());
+}
+
+/**
+ * 过滤需要转发给目标站点的请求头
+ * @param {Object} headers - 客户端请求头
+ * @returns {Object} 转发的请求头
+ */
+function filterRequestHeaders(headers) {
+    const forwarded = {};
+    for (const [key, value] of Object.entries(headers)) {
+        const lowerKey = key.toLowerCase();
+        if (HOP_BY_HOP_HEADERS.has(lowerKey) ||
+            STRIPPED_REQUEST_HEADERS.has(lowerKey) ||
+            lowerKey.startsWith('access-control-') ||
+            lowerKey.startsWith('sec-') ||
+            lowerKey.startsWith('x-relay-')) {
+            continue;
+        }
+        forwarded[lowerKey] = value;
+    }
+    return forwarded;
+}
+
+/**
+ * 过滤返回给浏览器的响应头
+ * @param {Object} headers - 目标站点响应头
+ * @returns {Object} 返回的响应头
+ */
+function filterResponseHeaders(headers) {
+    const filtered = {};
+    for (const [key, value] of Object.entries(headers)) {
+        const lowerKey = key.toLowerCase();
+        if (HOP_BY_HOP_HEADERS.has(lowerKey) || STRIPPED_RESPONSE_HEADERS.has(lowerKey)) {
+            continue;
+        }
+        filtered[lowerKey] = value;
+    }
+    return filtered;
+}
+
+/**
+ * 发送JSON错误响应
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {number} status - 状态码
+ * @param {string} message - 错误消息
+ * @param {Object} corsHeaders - CORS响应头
+ */
+function sendError(res, status, message, corsHeaders) {
+    if (res.headersSent) {
+        res.destroy();
+        return;
+    }
+    res.writeHead(status, { ...corsHeaders, 'content-type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify({ error: message }));
+}
+
+/**
+ * 合并Cookie请求头和Set-Cookie中的新值
+ * @param {string} cookieHeader - 现有Cookie头
+ * @param {Array<string>} setCookies - Set-Cookie头列表
+ * @returns {string} 合并后的Cookie头
+ */
+function mergeCookies(cookieHeader, setCookies) {
+    const cookies = new Map();
+    for (const pair of (cookieHeader || '').split(';')) {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            cookies.set(pair.slice(0, index).trim(), pair.slice(index + 1).trim());
+        }
+    }
+    for (const setCookie of setCookies) {
+        const pair = setCookie.split(';')[0];
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            cookies.set(pair.slice(0, index).trim(), pair.slice(index + 1).trim());
+        }
+    }
+    return Array.from(cookies, ([name, value]) => `${name}=${value}`).join('; ');
+}
+
+/**
+ * 向目标站点发起请求（GET/HEAD自动跟随重定向，每一跳都重新检查允许列表）
+ * @param {URL} target - 目标URL
+ * @param {http.IncomingMessage} req - 客户端请求
+ * @param {Object} options - 中继选项
+ * @param {number} redirectCount - 已跟随的重定向次数
+ * @param {Object} cookieContext - { host, cookie, setCookies }，记录各跳的Set-Cookie
+ * @returns {Promise<{response: http.IncomingMessage, finalURL: URL}>} 目标响应
+ */
+function requestUpstream(target, req, options, redirectCount = 0, cookieContext = null) {
+    const context = cookieContext || {
+        host: target.hostname,
+        cookie: req.headers['x-relay-cookie'] || '',
+        setCookies: []
+    };
+
+    return new Promise((resolve, reject) => {
+        const transport = target.protocol === 'https:' ? https : http;
+        const canFollow = req.method === 'GET' || req.method === 'HEAD';
+        const headers = filterRequestHeaders(req.headers);
+
+        // Cookie只发往最初请求的主机
+        if (context.cookie && target.hostname === context.host) {
+            headers.cookie = context.cookie;
+        }
+
+        const upstreamReq = transport.request(target, {
+            method: req.method,
+            headers,
+            timeout: options.timeout,
+            lookup: createGuardedLookup(options)
+        }, (upstreamRes) => {
+            const location = upstreamRes.headers.location;
+            const setCookies = upstreamRes.headers['set-cookie'] || [];
+
+            if (setCookies.length > 0) {
+                context.setCookies.push({ url: target.href, cookies: setCookies });
+                // 登录等流程在重定向前设置的Cookie需要带到后续同一主机的请求
+                if (target.hostname === context.host) {
+                    context.cookie = mergeCookies(context.cookie, setCookies);
+                }
+            }
+
+            if (canFollow && location && REDIRECT_STATUS_CODES.has(upstreamRes.statusCode)) {
+                upstreamRes.resume();
+
+                if (redirectCount >= options.maxRedirects) {
+                    reject(Object.assign(new Error('重定向次数过多'), { status: 508 }));
+                    return;
+                }
+
+                const nextURL = new URL(location, target);
+                if (!isTargetAllowed(nextURL, options)) {
+                    reject(Object.assign(new Error(`重定向目标不在允许列表中: ${nextURL.host}`), { status: 403 }));
+                    return;
+                }
+
+                resolve(requestUpstream(nextURL, req, options, redirectCount + 1, context));
+                return;
+            }
+
+            resolve({ response: upstreamRes, finalURL: target, setCookies: context.setCookies });
+        });
+
+        upstreamReq.on('timeout', () => {
+            upstreamReq.destroy(Object.assign(new Error('目标站点响应超时'), { status: 504 }));
+        });
+        upstreamReq.on('error', reject);
+
+        if (canFollow) {
+            upstreamReq.end();
+        } else {
+            // 流式转发请求体
+            req.pipe(upstreamReq);
+        }
+    });
+}
+
+/**
+ * 处理中继请求
+ * @param {http.IncomingMessage} req - 客户端请求
+ * @param {http.ServerResponse} res - 响应对象
+ * @param {Object} options - 中继选项
+ */
+async function handleRelay(req, res, options) {
+    const corsHeaders = buildCorsHeaders(req, options);
+    const requestURL = new URL(req.url, 'http://relay.local');
+    const targetParam = requestURL.searchParams.get('url');
+
+    let target;
+    try {
+        target = new URL(targetParam);
+    } catch (error) {
+        sendError(res, 400, '缺少或无效的url参数', corsHeaders);
+        return;
+    }
+
+    if (!isTargetAllowed(target, options)) {
+        sendError(res, 403, `目标主机不在允许列表中: ${target.host}`, corsHeaders);
+        return;
+    }
+
+    try {
+        const { response, finalURL, setCookies } = await requestUpstream(target, req, options);
+        const responseHeaders = {
+            ...filterResponseHeaders(response.headers),
+            ...corsHeaders,
+            'x-relay-final-url': finalURL.href
+        };
+
+        if (setCookies.length > 0) {
+            responseHeaders['x-relay-set-cookie'] = JSON.stringify(setCookies);
+        }
+
+        res.writeHead(response.statusCode, responseHeaders);
+
+        // 流式返回响应体
+        response.pipe(res);
+        response.on('error', () => res.destroy());
+        res.on('close', () => response.destroy());
+    } catch (error) {
+        sendError(res, error.status || 502, error.message, corsHeaders);
+    }
+}
+
+/**
+ * 创建CORS中继服务器
+ * @param {Object} userOptions - 中继选项
+ * @returns {http.Server} HTTP服务器
+ */
+function createRelayServer(userOptions = {}) {
+    const options = {
+        ...DEFAULT_OPTIONS,
+        ...userOptions,
+        allowlist: (userOptions.allowlist || DEFAULT_OPTIONS.allowlist).map(item => item.toLowerCase()),
+        allowedOrigins: (userOptions.allowedOrigins || DEFAULT_OPTIONS.allowedOrigins).map(item => item.toLowerCase())
+    };
+
+    return http.createServer((req, res) => {
+        const corsHeaders = buildCorsHeaders(req, options);
+        const pathname = new URL(req.url, 'http://relay.local').pathname;
+
+        if (!isOriginAllowed(req, options)) {
+            sendError(res, 403, '调用来源不被允许', corsHeaders);
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, corsHeaders);
+            res.end();
+            return;
+        }
+
+        if (pathname === '/health') {
+            res.writeHead(200, { ...corsHeaders, 'content-type': 'application/json; charset=utf-8' });
+            res.end(JSON.stringify({ status: 'ok', allowlist: options.allowlist }));
+            return;
+        }
+
+        if (pathname === '/proxy') {
+            handleRelay(req, res, options);
+            return;
+        }
+
+        sendError(res, 404, '未知的接口', corsHeaders);
+    });
+}
+
+module.exports = {
+    createRelayServer,
+    isPrivateHost,
+    isTargetAllowed,
+    matchesHostPattern,
+    mergeCookies
+};
+
+// 直接运行时启动服务器
+if (require.main === module) {
+    const port = Number(process.env.RELAY_PORT) || 8787;
+    const host = process.env.RELAY_HOST || '127.0.0.1';
+    const allowlist = parseList(process.env.RELAY_ALLOWLIST);
+
+    if (allowlist.length === 0) {
+        console.warn('⚠️ RELAY_ALLOWLIST为空，所有目标请求都会被拒绝');
+    }
+
+    const server = createRelayServer({
+        allowlist,
+        allowedOrigins: parseList(process.env.RELAY_ALLOWED_ORIGINS).length > 0
+            ? parseList(process.env.RELAY_ALLOWED_ORIGINS)
+            : ['*'],
+        allowPrivateTargets: process.env.RELAY_ALLOW_PRIVATE === '1'
+    });
+
+    server.listen(port, host, () => {
+        console.log(`CORS中继已启动: http://${host}:${port}`);
+        console.log(`允许的目标主机: ${allowlist.join(', ') || '(无)'}`);
+    });
+}
@@ -0,0 +1,248 @@
+/**
+ * Node.js环境下的CORS中继测试
+ * 在本机启动一个模拟目标站点和中继服务器，无需访问外网
+ */
+
+const dns = require('dns');
+const http = require('http');
+const { createRelayServer } = require('./server/cors-relay.js');
+
+const BODY = 'abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * 启动模拟目标站点
+ * @returns {Promise<http.Server>} 服务器
+ */
+function startUpstream() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/echo-headers') {
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(req.headers));
+            return;
+        }
+
+        if (req.url === '/redirect-out') {
+            res.writeHead(302, { location: 'https://not-allowed.example/' });
+            res.end();
+            return;
+        }
+
+        if (req.url === '/login') {
+            res.writeHead(302, { location: '/echo-headers', 'set-cookie': ['session=abc; Path=/; HttpOnly'] });
+            res.end();
+            return;
+        }
+
+        if (req.url === '/redirect-in') {
+            res.writeHead(302, { location: '/file.txt' });
+            res.end();
+            return;
+        }
+
+        // 支持Range的静态文件
+        const range = /bytes=(\d+)-(\d*)/.exec(req.headers.range || '');
+        if (range) {
+            const start = Number(range[1]);
+            const end = range[2] ? Number(range[2]) : BODY.length - 1;
+            res.writeHead(206, {
+                'content-type': 'text/plain',
+                'content-range': `bytes ${start}-${end}/${BODY.length}`,
+                'accept-ranges': 'bytes',
+                'set-cookie': 'tracking=1'
+            });
+            res.end(BODY.slice(start, end + 1));
+            return;
+        }
+
+        res.writeHead(200, { 'content-type': 'text/plain', 'accept-ranges': 'bytes' });
+        // 分块写入，验证流式转发
+        res.write(BODY.slice(0, 10));
+        setTimeout(() => res.end(BODY.slice(10)), 20);
+    });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * 启动中继服务器
+ * @param {Object} options - 中继选项
+ * @returns {Promise<http.Server>} 服务器
+ */
+function startRelay(options = { allowlist: ['127.0.0.1'] }) {
+    const server = createRelayServer(options);
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * 创建通过本地中继请求的ProxyService
+ * ProxyService是浏览器模块，ErrorHandler只需要navigator.onLine和window上的online/offline事件
+ * @param {string} relayBase - 中继地址
+ * @returns {Promise<Object>} 代理服务
+ */
+async function createRelayProxyService(relayBase) {
+    if (typeof navigator === 'undefined') {
+        globalThis.navigator = { onLine: true, userAgent: 'node' };
+    }
+    if (typeof window === 'undefined') {
+        globalThis.window = new EventTarget();
+    }
+    const { ProxyService } = await import('./js/modules/ProxyService.js');
+
+    const data = new Map();
+    const storage = {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: (key) => data.delete(key)
+    };
+    const securityManager = {
+        validateHTTPS: (url) => {
+            const urlObj = new URL(url);
+            return urlObj.protocol === 'https:' || urlObj.hostname === '127.0.0.1';
+        },
+        validateURLSafety: () => ({ isValid: true, errors: [] }),
+        validateProxyService: async () => ({ isValid: true, error: null }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+
+    const proxyService = new ProxyService(securityManager, { storage, cache: { persistent: false } });
+    await proxyService.updateProvider('LocalRelay', { url: `${relayBase}/proxy?url={encodedUrl}`, enabled: true });
+    proxyService.proxyServices = proxyService.proxyServices.filter(service => service.type === 'local');
+    return proxyService;
+}
+
+async function runRelayTests() {
+    console.log('开始CORS中继测试...\n');
+
+    const upstream = await startUpstream();
+    const relay = await startRelay();
+    // 允许所有公网主机；internal*.example 解析到回环地址，模拟指向内网的公网域名
+    const openRelay = await startRelay({
+        allowlist: ['*', 'internal-allowed.example'],
+        lookup: (hostname, options, callback) =>
+            dns.lookup(hostname.endsWith('.example') ? '127.0.0.1' : hostname, options, callback)
+    });
+    const upstreamBase = `http://127.0.0.1:${upstream.address().port}`;
+    const relayBase = `http://127.0.0.1:${relay.address().port}`;
+    const relayURL = (target) => `${relayBase}/proxy?url=${encodeURIComponent(target)}`;
+
+    let passed = 0;
+    let failed = 0;
+
+    const check = (condition, description) => {
+        if (condition) {
+            console.log(`✅ ${description}`);
+            passed++;
+        } else {
+            console.log(`❌ ${description}`);
+            failed++;
+        }
+    };
+
+    try {
+        // 测试1: 健康检查
+        console.log('测试1: 健康检查');
+        const health = await fetch(`${relayBase}/health`);
+        check(health.ok && (await health.json()).status === 'ok', '健康检查应该返回ok');
+
+        // 测试2: 完整转发与CORS头
+        console.log('\n测试2: 完整转发');
+        const full = await fetch(relayURL(`${upstreamBase}/file.txt`), { headers: { origin: 'https://app.example' } });
+        check(full.status === 200, '应该返回目标站点状态码');
+        check((await full.text()) === BODY, '应该完整转发分块写入的响应体');
+        check(full.headers.get('access-control-allow-origin') === '*', '应该添加CORS响应头');
+        check(full.headers.get('x-relay-final-url') === `${upstreamBase}/file.txt`, '应该返回最终URL');
+
+        // 测试3: Range请求
+        console.log('\n测试3: Range请求');
+        const partial = await fetch(relayURL(`${upstreamBase}/file.txt`), { headers: { range: 'bytes=2-4' } });
+        check(partial.status === 206, 'Range请求应该返回206');
+        check((await partial.text()) === 'cde', 'Range请求应该只返回指定片段');
+        check(partial.headers.get('content-range') === `bytes 2-4/${BODY.length}`, '应该转发Content-Range');
+        check(partial.headers.get('set-cookie') === null, '不应该返回Set-Cookie');
+
+        // 测试4: 请求头转发
+        console.log('\n测试4: 请求头转发');
+        const echoed = await (await fetch(relayURL(`${upstreamBase}/echo-headers`), {
+            headers: { 'x-custom': 'value', cookie: 'session=secret', origin: 'https://app.example' }
+        })).json();
+        check(echoed['x-custom'] === 'value', '应该转发自定义请求头');
+        check(!('cookie' in echoed), '不应该转发Cookie');
+        check(!('origin' in echoed), '不应该转发Origin');
+
+        // 测试5: 允许列表
+        console.log('\n测试5: 允许列表');
+        const blocked = await fetch(relayURL('https://not-allowed.example/'));
+        check(blocked.status === 403, '不在允许列表中的目标应该返回403');
+        const blockedRedirect = await fetch(relayURL(`${upstreamBase}/redirect-out`));
+        check(blockedRedirect.status === 403, '重定向到不允许的主机应该返回403');
+        const followed = await fetch(relayURL(`${upstreamBase}/redirect-in`));
+        check((await followed.text()) === BODY, '允许列表内的重定向应该被跟随');
+        const invalid = await fetch(`${relayBase}/proxy?url=not-a-url`);
+        check(invalid.status === 400, '无效的url参数应该返回400');
+
+        // 测试6: Cookie传递
+        console.log('\n测试6: Cookie传递');
+        const login = await fetch(relayURL(`${upstreamBase}/login`), { headers: { 'x-relay-cookie': 'consent=yes' } });
+        const loginEcho = await login.json();
+        const relayedSetCookies = JSON.parse(login.headers.get('x-relay-set-cookie') || '[]');
+        check(relayedSetCookies.length === 1 && relayedSetCookies[0].cookies[0].startsWith('session=abc'),
+            '应该通过x-relay-set-cookie返回重定向中的Set-Cookie');
+        check(relayedSetCookies[0].url === `${upstreamBase}/login`, '应该标明Set-Cookie来自哪个URL');
+        check(loginEcho.cookie === 'consent=yes; session=abc', '重定向后应该带上原有和新设置的Cookie');
+        check(!('x-relay-cookie' in loginEcho), '不应该把x-relay-cookie转发给目标站点');
+
+        // 测试7: 内网地址检查
+        console.log('\n测试7: 内网地址检查');
+        const upstreamPort = upstream.address().port;
+        const openRelayURL = (target) => `http://127.0.0.1:${openRelay.address().port}/proxy?url=${encodeURIComponent(target)}`;
+        const resolvedPrivate = await fetch(openRelayURL(`http://internal.example:${upstreamPort}/file.txt`));
+        check(resolvedPrivate.status === 403, '解析到内网地址的主机名应该返回403');
+        check((await resolvedPrivate.json()).error.includes('内网地址'), '错误消息应该说明解析到内网地址');
+        const mapped = await fetch(openRelayURL(`http://[::ffff:127.0.0.1]:${upstreamPort}/file.txt`));
+        check(mapped.status === 403, 'IPv4映射的IPv6回环地址应该返回403');
+        const listed = await fetch(openRelayURL(`http://internal-allowed.example:${upstreamPort}/file.txt`));
+        check((await listed.text()) === BODY, '显式列入允许列表的主机可以解析到内网地址');
+
+        // 测试8: ProxyService通过本地中继请求
+        console.log('\n测试8: ProxyService通过本地中继请求');
+        const proxyService = await createRelayProxyService(relayBase);
+        const localRelay = proxyService.proxyServices[0];
+        check(proxyService.getLocalRelayHealthURL(localRelay) === `${relayBase}/health`, '健康检查地址应该由URL模板推导');
+        check(await proxyService.testProxyConnectivity(localRelay), '应该连通本地中继');
+
+        proxyService.isInitialized = true;
+        const proxied = await proxyService.proxyGet(`${upstreamBase}/file.txt`, { cache: 'no-store' });
+        check((await proxied.text()) === BODY, '应该通过本地中继拿到目标内容');
+        check(localRelay.requestCount === 1, '成功请求应该计入速率限制');
+
+        await proxyService.proxyGet(`${upstreamBase}/login`, { cache: 'no-store' });
+        check(proxyService.cookieJar.getCookieHeader(`${upstreamBase}/`) === 'session=abc',
+            '应该保存中继通过x-relay-set-cookie返回的Cookie');
+        const echoedByProxy = await (await proxyService.proxyGet(`${upstreamBase}/echo-headers`, { cache: 'no-store' })).json();
+        check(echoedByProxy.cookie === 'session=abc', '之后的请求应该通过中继发回Cookie');
+    } finally {
+        relay.close();
+        openRelay.close();
+        upstream.close();
+    }
+
+    // 结果汇总
+    console.log('\n' + '='.repeat(50));
+    console.log('CORS中继测试结果:');
+    console.log(`总计: ${passed + failed}`);
+    console.log(`通过: ${passed}`);
+    console.log(`失败: ${failed}`);
+    console.log(`成功率: ${((passed / (passed + failed)) * 100).toFixed(1)}%`);
+    console.log('='.repeat(50));
+
+    return failed === 0;
+}
+
+// 运行测试
+runRelayTests().then(success => {
+    process.exit(success ? 0 : 1);
+}).catch(error => {
+    console.error('测试运行失败:', error);
+    process.exit(1);
+});
@@ -0,0 +1,114 @@
+/**
+ * 书签管理器测试
+ * 验证文件夹、标签、搜索以及Netscape书签HTML格式的导入导出
+ */
+
+import { BookmarkManager, ROOT_FOLDER_ID } from '../js/modules/BookmarkManager.js';
+
+// 创建测试实例
+const bookmarkManagerTests = new TestFramework();
+
+bookmarkManagerTests.test('书签 - 文件夹、标签和搜索', async function() {
+    const storage = createMemoryStorage();
+    const manager = new BookmarkManager(storage);
+
+    const work = manager.addFolder('工作');
+    const docs = manager.addFolder('文档', work.id);
+    manager.addBookmark({ url: 'https://developer.mozilla.org/zh-CN/', title: 'MDN', tags: 'docs, web', parentId: docs.id });
+    manager.addBookmark({ url: 'https://github.com', title: 'GitHub', tags: ['code', 'Code', ' '] });
+    const duplicate = manager.addBookmark({ url: 'https://github.com', title: '重复' });
+
+    this.assertEqual(duplicate.title, 'GitHub', '同一文件夹中的重复地址应该返回已有书签');
+    this.assertEqual(manager.getChildren(ROOT_FOLDER_ID).map(item => item.title).join(','), '工作,GitHub', '文件夹应该排在书签前面');
+    this.assertEqual(manager.getItem(manager.search('github')[0].id).tags.join(','), 'code', '标签应该去掉空白和重复');
+    this.assertEqual(manager.getFolderPath(docs.id).map(folder => folder.title).join('/'), '工作/文档', '应该返回文件夹路径');
+    this.assertTrue(manager.isBookmarked('https://github.com/'), '规范化后的地址应该匹配');
+
+    this.assertEqual(manager.search('mdn #web').length, 1, '关键词和标签应该同时匹配');
+    this.assertEqual(manager.search('#we').length, 0, '#标签应该完整匹配标签');
+    this.assertEqual(manager.search('mozilla').length, 1, '应该搜索地址');
+    this.assertEqual(manager.getTags().length, 3, '应该统计所有标签');
+
+    // 不能把文件夹移到自己的子文件夹中
+    let moveError = null;
+    try {
+        manager.updateItem(work.id, { parentId: docs.id });
+    } catch (error) {
+        moveError = error;
+    }
+    this.assertTrue(moveError !== null, '移动到子文件夹应该报错');
+
+    // 删除文件夹时连同内容一起删除，并持久化
+    this.assertEqual(manager.removeItem(work.id), 3, '应该删除文件夹及其中的内容');
+    const reloaded = new BookmarkManager(storage);
+    this.assertEqual(reloaded.getBookmarks().length, 1, '书签应该保存到存储中');
+
+    let urlError = null;
+    try {
+        manager.addBookmark({ url: 'javascript:alert(1)' });
+    } catch (error) {
+        urlError = error;
+    }
+    this.assertTrue(urlError !== null, '不应该接受非http(s)地址');
+
+    console.log('✅ 书签文件夹和搜索测试通过');
+});
+
+bookmarkManagerTests.test('书签 - Netscape书签HTML导入导出', async function() {
+    // 浏览器导出的文件：DT和P不闭合，包含实体和不支持的地址
+    const html = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 ADD_DATE="1700000000" PERSONAL_TOOLBAR_FOLDER="true">书签栏</H3>
+    <DL><p>
+        <DT><A HREF="https://example.com/?a=1&amp;b=2" ADD_DATE="1700000100" TAGS="demo,test">Example &amp; Co</A>
+        <DT><H3>空文件夹</H3>
+        <DL><p>
+        </DL><p>
+        <DT><A HREF="javascript:void(0)">小书签</A>
+    </DL><p>
+    <DT><A HREF="https://www.wikipedia.org/">Wikipedia</A>
+    <DD>描述文字
+</DL><p>`;
+
+    const manager = new BookmarkManager(null);
+    const result = manager.importNetscapeHTML(html);
+    this.assertEqual(result.bookmarks, 2, '应该导入两个书签');
+    this.assertEqual(result.folders, 2, '应该创建两个文件夹');
+    this.assertEqual(result.skipped, 1, '应该跳过javascript:地址');
+
+    const toolbar = manager.getChildren(ROOT_FOLDER_ID)[0];
+    this.assertEqual(toolbar.title, '书签栏', '应该保留文件夹结构');
+    const example = manager.getChildren(toolbar.id).find(item => item.type === 'bookmark');
+    this.assertEqual(example.url, 'https://example.com/?a=1&b=2', '应该解码地址中的实体');
+    this.assertEqual(example.title, 'Example & Co', '应该解码标题中的实体');
+    this.assertEqual(example.tags.join(','), 'demo,test', '应该读取TAGS属性');
+    this.assertEqual(example.addDate, 1700000100000, '应该读取ADD_DATE（秒）');
+    this.assertEqual(manager.getChildren(ROOT_FOLDER_ID)[1].title, 'Wikipedia', '文件夹结束后应该回到上级文件夹');
+
+    // 导出后再导入到新的管理器，结构应该一致；重复导入不产生重复书签
+    const exported = manager.exportNetscapeHTML();
+    this.assertTrue(exported.startsWith('<!DOCTYPE NETSCAPE-Bookmark-file-1>'), '导出应该带有Netscape格式标记');
+    this.assertTrue(exported.includes('HREF="https://example.com/?a=1&amp;b=2"'), '导出应该转义属性');
+
+    const copy = new BookmarkManager(null);
+    copy.importNetscapeHTML(exported);
+    this.assertEqual(copy.exportNetscapeHTML(), exported, '导出再导入后应该得到相同的书签');
+    const again = copy.importNetscapeHTML(exported);
+    this.assertEqual(again.bookmarks + again.folders, 0, '重复导入应该合并文件夹并跳过已有书签');
+
+    let formatError = null;
+    try {
+        manager.importNetscapeHTML('{"not": "bookmarks"}');
+    } catch (error) {
+        formatError = error;
+    }
+    this.assertTrue(formatError !== null, '非书签文件应该报错');
+
+    console.log('✅ 书签导入导出测试通过');
+});
+
+// 导出测试套件
+window.bookmarkManagerTests = bookmarkManagerTests;
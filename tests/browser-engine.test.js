@@ -454,5 +454,327 @@ browserEngineTests.test('属性 1: URL加载一致性 - URL解析应该正确处
     console.log('✅ URL解析属性测试通过');
 });
 
+/**
+ * 创建模拟iframe：设置src/srcdoc后异步触发load事件
+ * @returns {Object} 模拟iframe
+ */
+function createMockIframe() {
+    const listeners = {};
+    const attributes = { sandbox: 'allow-same-origin allow-scripts allow-forms allow-popups' };
+    const classes = new Set();
+    const fireLoad = () => setTimeout(() => {
+        (listeners.load || []).slice().forEach(listener => listener());
+    }, 5);
+
+    return {
+        attributes,
+        parentNode: null,
+        removed: false,
+        classList: {
+            contains: (name) => classes.has(name),
+            toggle: (name, force) => { if (force) { classes.add(name); } else { classes.delete(name); } }
+        },
+        set className(value) { classes.clear(); value.split(/\s+/).filter(Boolean).forEach(name => classes.add(name)); },
+        remove() { this.removed = true; },
+        contentDocument: null,
+        contentWindow: null,
+        addEventListener: (type, listener) => {
+            listeners[type] = listeners[type] || [];
+            listeners[type].push(listener);
+        },
+        removeEventListener: (type, listener) => {
+            listeners[type] = (listeners[type] || []).filter(item => item !== listener);
+        },
+        getAttribute: (name) => (name in attributes ? attributes[name] : null),
+        setAttribute: (name, value) => { attributes[name] = String(value); },
+        removeAttribute: (name) => { delete attributes[name]; },
+        get src() { return attributes.src || ''; },
+        set src(value) { attributes.src = value; fireLoad(); },
+        get srcdoc() { return attributes.srcdoc || ''; },
+        set srcdoc(value) { attributes.srcdoc = value; fireLoad(); }
+    };
+}
+
+browserEngineTests.test('代理渲染回退 - iframe嵌入被拒绝时自动改为代理渲染', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => true
+    };
+
+    const headRequests = [];
+    let releaseHead = null;
+    const headReleased = new Promise(resolve => { releaseHead = resolve; });
+    const mockProxyService = {
+        isInitialized: true,
+        proxyRequest: async (method, url) => {
+            headRequests.push(url);
+            if (url.includes('refuses.example')) {
+                await headReleased;
+            }
+            const headers = url.includes('refuses.example')
+                ? { 'x-frame-options': 'DENY' }
+                : { 'content-type': 'text/html' };
+            return new Response(null, { status: 200, headers });
+        },
+        proxyGet: async (url) => {
+            if (url.includes('broken.example')) {
+                throw new Error('所有代理服务都失败了');
+            }
+            return new Response(`<html><body><h1>${url}</h1></body></html>`, {
+                status: 200,
+                headers: { 'content-type': 'text/html; charset=utf-8' }
+            });
+        },
+        buildResourceProxyURL: (url) => url
+    };
+
+    const browserEngine = new BrowserEngine(mockProxyService, mockSecurityManager);
+    const iframe = createMockIframe();
+    browserEngine.iframe = iframe;
+    browserEngine.defaultSandbox = iframe.getAttribute('sandbox');
+    browserEngine.isInitialized = true;
+    browserEngine.pageRewriter = { rewriteHTML: async (html) => html };
+
+    // 响应头判断
+    const headersOf = (values) => new Headers(values);
+    this.assertFalse(browserEngine.isFramingAllowed(headersOf({ 'x-frame-options': 'SAMEORIGIN' })), 'SAMEORIGIN应该视为拒绝');
+    this.assertFalse(browserEngine.isFramingAllowed(headersOf({ 'content-security-policy': "default-src 'self'; frame-ancestors 'none'" })),
+        "frame-ancestors 'none'应该视为拒绝");
+    this.assertTrue(browserEngine.isFramingAllowed(headersOf({ 'content-security-policy': 'frame-ancestors *' })), 'frame-ancestors *应该允许');
+    this.assertTrue(browserEngine.isFramingAllowed(headersOf({})), '没有限制时应该允许');
+
+    const originalGetElementById = document.getElementById;
+    document.getElementById = () => null;
+
+    try {
+        // 直接加载成功后不等待嵌入检查
+        await browserEngine.loadURL('https://refuses.example/article');
+        this.assertFalse(browserEngine.isProxiedPage, '嵌入检查在后台进行，不阻塞导航');
+        this.assertEqual(iframe.src, 'https://refuses.example/article', '应该先直接加载');
+
+        releaseHead();
+        await browserEngine.activeTab.framingCheck;
+        this.assertTrue(browserEngine.isProxiedPage, '嵌入被拒绝时应该改为代理渲染');
+        this.assertTrue(iframe.srcdoc.includes('https://refuses.example/article'), '应该以srcdoc显示代理获取的文档');
+        this.assertEqual(iframe.getAttribute('sandbox'), 'allow-same-origin allow-forms', '代理页面应该使用禁止脚本的sandbox');
+        this.assertEqual(browserEngine.getCurrentURL(), 'https://refuses.example/article', '当前URL应该保持为原始地址');
+
+        // 同一站点的其他页面直接走代理，不再检查嵌入策略
+        await browserEngine.loadURL('https://refuses.example/other');
+        this.assertEqual(headRequests.length, 1, '已知拒绝嵌入的站点不应该重复检查');
+        this.assertTrue(iframe.srcdoc.includes('https://refuses.example/other'), '应该直接通过代理显示');
+
+        // 允许嵌入的站点恢复直接加载
+        await browserEngine.loadURL('https://embeddable.example/');
+        this.assertFalse(browserEngine.isProxiedPage, '允许嵌入的站点应该直接加载');
+        this.assertEqual(iframe.getAttribute('srcdoc'), null, '直接加载时应该移除srcdoc');
+        this.assertEqual(iframe.getAttribute('sandbox'), browserEngine.defaultSandbox, '直接加载时应该恢复默认sandbox');
+        this.assertEqual(iframe.src, 'https://embeddable.example/', '应该直接加载原始地址');
+        await browserEngine.activeTab.framingCheck;
+        await browserEngine.loadURL('https://embeddable.example/next');
+        this.assertEqual(headRequests.length, 2, '已确认允许嵌入的站点不应该重复检查');
+
+        // 直接加载失败、代理也失败时，错误信息说明实际原因
+        iframe.addEventListener = (type, listener) => {
+            if (type === 'error') {
+                setTimeout(listener, 0);
+            }
+        };
+        await browserEngine.loadURL('https://broken.example/');
+        const message = browserEngine.activeTab.errorPage.message;
+        this.assertTrue(message.startsWith('直接加载失败（页面加载失败）'), '应该说明直接加载失败的原因');
+        this.assertFalse(message.includes('不允许在iframe中显示'), '允许嵌入的站点不应该提示嵌入被拒绝');
+        this.assertTrue(message.includes('所有代理服务都失败了'), '应该包含代理加载失败的原因');
+    } finally {
+        document.getElementById = originalGetElementById;
+    }
+
+    console.log('✅ 嵌入拒绝回退测试通过');
+});
+
+browserEngineTests.test('加载失败页面 - 以srcdoc显示，按钮由应用绑定', async function() {
+    const browserEngine = new BrowserEngine({ isInitialized: true }, {});
+    const iframe = createMockIframe();
+    browserEngine.iframe = iframe;
+    browserEngine.defaultSandbox = iframe.getAttribute('sandbox');
+    const loads = [];
+    browserEngine.loadURL = async (url, options) => loads.push({ url, ...options });
+    const tab = browserEngine.activeTab;
+    iframe.src = 'https://previous.example/';
+
+    const url = 'https://fails.example/page?a=1&b=<2>';
+    browserEngine.showErrorPage(url, '无法加载\n<img src=x>', tab);
+
+    this.assertEqual(iframe.getAttribute('src'), null, '不应该使用data: URL（不透明源中的按钮无法调用应用）');
+    this.assertEqual(iframe.getAttribute('sandbox'), 'allow-same-origin allow-forms', '加载失败页面不执行脚本');
+    this.assertFalse(iframe.srcdoc.includes('onclick'), '按钮不应该使用内联脚本');
+    this.assertFalse(iframe.srcdoc.includes('<img src=x>'), '消息不应该作为HTML插入');
+    this.assertFalse(iframe.srcdoc.includes('直通模式'), '不应该声称无需代理服务');
+    this.assertTrue(iframe.srcdoc.includes('通过代理加载'), '代理服务可用时应该提示通过代理加载');
+    iframe.contentDocument = new DOMParser().parseFromString(iframe.srcdoc, 'text/html');
+    this.assertEqual(browserEngine.getCurrentPageContent(tab), null, '加载失败页面不作为网页内容检测');
+
+    browserEngine.setupErrorPage(iframe.contentDocument, tab);
+    const doc = iframe.contentDocument;
+    this.assertEqual(doc.querySelector('.error-message').textContent, '无法加载\n<img src=x>', '消息应该作为文本显示');
+    this.assertEqual(doc.querySelector('.error-url').textContent, url, '应该显示尝试加载的地址');
+
+    doc.querySelector('[data-action="proxy"]').click();
+    doc.querySelector('[data-action="retry"]').click();
+    this.assertEqual(JSON.stringify(loads), JSON.stringify([
+        { url, viaProxy: true, tabId: tab.id },
+        { url, tabId: tab.id }
+    ]), '按钮应该在原标签页中重新加载（通过代理或直接）');
+
+    // 重新加载失败时通过错误回调报告，而不是留下未处理的拒绝
+    const errors = [];
+    browserEngine.onError((message, error) => errors.push({ message, error }));
+    browserEngine.loadURL = async () => {
+        throw new Error('代理服务不可用');
+    };
+    doc.querySelector('[data-action="example"]').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    this.assertEqual(errors.length, 1, '按钮触发的加载失败应该通知错误回调');
+    this.assertEqual(errors[0].message, 'URL加载失败: 代理服务不可用', '错误消息应该说明失败原因');
+
+    browserEngine.resetFrameMode(tab);
+    this.assertEqual(tab.errorPage, null, '离开加载失败页面后清除状态');
+
+    console.log('✅ 加载失败页面测试通过');
+});
+
+browserEngineTests.test('标签页 - 每个标签页有独立的iframe、历史记录和检测通知', async function() {
+    const mockProxyService = { isInitialized: false };
+    const browserEngine = new BrowserEngine(mockProxyService, {});
+    const firstIframe = createMockIframe();
+    const createdFrames = [];
+    firstIframe.parentNode = { insertBefore: (frame) => createdFrames.push(frame) };
+
+    const originalGetElementById = document.getElementById;
+    const originalCreateElement = document.createElement;
+    document.getElementById = (id) => (id === 'browser-iframe' ? firstIframe : null);
+    document.createElement = (tag) => (tag === 'iframe' ? createMockIframe() : originalCreateElement.call(document, tag));
+
+    const pageChanges = [];
+    const closedTabs = [];
+    let latestTabs = null;
+    browserEngine.onPageChange((url, content, tabId) => pageChanges.push(`${tabId}:${url}`));
+    browserEngine.onTabsChange((tabs, activeTabId) => { latestTabs = { tabs, activeTabId }; });
+    browserEngine.onTabClosed((tabId) => closedTabs.push(tabId));
+
+    try {
+        await browserEngine.initialize();
+        const firstTab = browserEngine.activeTab.id;
+        await browserEngine.loadURL('https://a.example/one');
+        await browserEngine.loadURL('https://a.example/two');
+
+        const secondTab = browserEngine.openTab();
+        this.assertEqual(createdFrames.length, 1, '新标签页应该创建自己的iframe');
+        this.assertEqual(latestTabs.activeTabId, secondTab, '新建的标签页应该成为当前标签页');
+        this.assertTrue(firstIframe.classList.contains('hidden'), '切换后应该隐藏其他标签页的iframe');
+        this.assertEqual(createdFrames[0].getAttribute('sandbox'), firstIframe.getAttribute('sandbox'), '新iframe应该使用默认sandbox');
+
+        await browserEngine.loadURL('https://b.example/');
+        this.assertEqual(createdFrames[0].src, 'https://b.example/', '应该在当前标签页的iframe中加载');
+        this.assertEqual(firstIframe.src, 'https://a.example/two', '其他标签页的iframe不受影响');
+        this.assertEqual(browserEngine.pageHistory.join(','), 'https://b.example/', '每个标签页有独立的历史记录');
+
+        // 在后台标签页中加载
+        await browserEngine.loadURL('https://a.example/three', { tabId: firstTab });
+        await new Promise(resolve => setTimeout(resolve, 20));
+        this.assertEqual(browserEngine.getCurrentURL(), 'https://b.example/', '后台加载不应该改变当前标签页');
+        this.assertTrue(pageChanges.includes(`${firstTab}:https://a.example/three`), '页面变化通知应该带上所在标签页');
+
+        browserEngine.switchTab(firstTab);
+        this.assertEqual(browserEngine.getCurrentURL(), 'https://a.example/three', '切换后应该返回该标签页的URL');
+        this.assertEqual(browserEngine.pageHistory.length, 3, '切换后应该使用该标签页的历史记录');
+        this.assertFalse(firstIframe.classList.contains('hidden'), '当前标签页的iframe应该显示');
+        this.assertTrue(latestTabs.tabs.find(tab => tab.id === firstTab).canGoBack, '标签页概要应该包含后退状态');
+
+        browserEngine.switchTabByOffset(1);
+        this.assertEqual(browserEngine.activeTab.id, secondTab, '应该切换到下一个标签页');
+        browserEngine.switchTabByOffset(1);
+        this.assertEqual(browserEngine.activeTab.id, firstTab, '切换应该循环');
+
+        // 关闭当前标签页后切换到相邻的标签页
+        browserEngine.closeTab(firstTab);
+        this.assertEqual(browserEngine.activeTab.id, secondTab, '关闭当前标签页后应该切换到相邻标签页');
+        this.assertTrue(firstIframe.removed, '关闭的标签页应该移除iframe');
+        this.assertEqual(closedTabs.join(','), String(firstTab), '应该通知标签页已关闭');
+
+        // 关闭最后一个标签页时保留一个空白标签页
+        browserEngine.closeTab();
+        this.assertEqual(browserEngine.tabs.length, 1, '关闭最后一个标签页时应该保留一个标签页');
+        this.assertEqual(browserEngine.getCurrentURL(), 'about:blank', '保留的标签页应该是空白页');
+    } finally {
+        browserEngine.destroy();
+        document.getElementById = originalGetElementById;
+        document.createElement = originalCreateElement;
+    }
+
+    console.log('✅ 标签页测试通过');
+});
+
+browserEngineTests.test('会话恢复 - 保存标签页和历史记录，恢复时只加载当前标签页', async function() {
+    const saved = [];
+    const previousSession = {
+        id: 'previous',
+        activeIndex: 1,
+        tabs: [
+            { title: 'A', history: ['https://a.example/1', 'https://a.example/2'], index: 0, scroll: null },
+            { title: 'B', history: ['https://b.example/1', 'https://b.example/2', 'https://b.example/3'], index: 1, scroll: null }
+        ]
+    };
+    const sessionStore = {
+        archivePreviousSession: () => previousSession,
+        save: (session) => saved.push(session)
+    };
+
+    const browserEngine = new BrowserEngine({ isInitialized: false }, {}, { sessionStore });
+    const firstIframe = createMockIframe();
+    const createdFrames = [];
+    firstIframe.parentNode = { insertBefore: (frame) => createdFrames.push(frame) };
+
+    const originalGetElementById = document.getElementById;
+    const originalCreateElement = document.createElement;
+    document.getElementById = (id) => (id === 'browser-iframe' ? firstIframe : null);
+    document.createElement = (tag) => (tag === 'iframe' ? createMockIframe() : originalCreateElement.call(document, tag));
+
+    try {
+        await browserEngine.initialize();
+        this.assertEqual(browserEngine.previousSession, previousSession, '启动时应该读取上次会话');
+
+        browserEngine.restoreSession(previousSession);
+        this.assertEqual(browserEngine.tabs.length, 2, '空白标签页应该被复用');
+        this.assertEqual(browserEngine.getCurrentURL(), 'https://b.example/2', '应该切换到会话中的当前标签页');
+        await new Promise(resolve => setTimeout(resolve, 20));
+        this.assertEqual(createdFrames[0].src, 'https://b.example/2', '当前标签页应该立即加载');
+        this.assertEqual(firstIframe.src, '', '后台标签页应该等到切换时再加载');
+        this.assertEqual(browserEngine.pageHistory.join(','), 'https://b.example/1,https://b.example/2,https://b.example/3',
+            '加载后应该保留前进记录');
+
+        browserEngine.goForward();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        this.assertEqual(browserEngine.currentPageIndex, 2, '前进应该使用恢复的历史记录');
+        this.assertEqual(browserEngine.pageHistory.length, 3, '前进不应该截断历史记录');
+
+        browserEngine.switchTabByIndex(0);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        this.assertEqual(firstIframe.src, 'https://a.example/1', '切换到后台标签页时应该加载它');
+
+        browserEngine.saveSession();
+        const session = saved[saved.length - 1];
+        this.assertEqual(session.activeIndex, 0, '应该保存当前标签页位置');
+        this.assertEqual(session.tabs[1].index, 2, '应该保存每个标签页的历史位置');
+        this.assertEqual(session.tabs[0].history.length, 2, '应该保存每个标签页的历史记录');
+    } finally {
+        browserEngine.destroy();
+        document.getElementById = originalGetElementById;
+        document.createElement = originalCreateElement;
+    }
+
+    console.log('✅ 会话恢复测试通过');
+});
+
 // 导出测试套件
 window.browserEngineTests = browserEngineTests;
\ No newline at end of file
@@ -467,6 +467,46 @@ window.contentDetectorTests = {
             );
         });
 
+        suite.addTest('标签页: 每个标签页分别保存检测结果', async () => {
+            const detector = new ContentDetector();
+            await detector.initialize();
+
+            const notifications = [];
+            detector.onContentDetected((content) => {
+                notifications.push(content);
+            });
+
+            detector.setActiveTab(1);
+            detector.analyzeContent(testDataGenerators.generatePageContent().basic, 'https://example.com/a', 1);
+            const firstTabMedia = detector.getDetectedMedia().length;
+
+            // 后台标签页的结果不通知界面，也不影响当前标签页
+            const countBefore = notifications.length;
+            detector.analyzeContent({ title: '空页面', text: '', html: '', links: [], images: [], videos: [], audios: [] },
+                'https://example.com/b', 2);
+            framework.assert(notifications.length === countBefore, '后台标签页的检测结果不应该通知界面');
+            framework.assert(detector.getDetectedMedia().length === firstTabMedia, '后台标签页不应该覆盖当前标签页的结果');
+
+            detector.setActiveTab(2);
+            framework.assert(detector.getDetectedMedia().length === 0, '切换后应该返回该标签页的结果');
+            framework.assert(notifications[notifications.length - 1].hasMedia === false, '切换标签页时应该通知界面');
+
+            detector.setActiveTab(1);
+            framework.assert(detector.getDetectedMedia().length === firstTabMedia, '切换回来应该恢复原来的结果');
+
+            // 无法读取内容的页面不沿用上一个页面的结果
+            detector.analyzeContent(null, 'https://cross-origin.example/', 1);
+            framework.assert(detector.getTabResults(1) === null, '内容为空时应该清除该标签页的检测结果');
+            framework.assert(detector.getDetectedMedia().length === 0, '当前标签页不应该保留上一个页面的媒体');
+            framework.assert(notifications[notifications.length - 1].hasMedia === false, '清除结果时应该通知界面');
+            detector.analyzeContent(testDataGenerators.generatePageContent().basic, 'https://example.com/a', 1);
+
+            detector.removeTab(2);
+            detector.setActiveTab(2);
+            framework.assert(detector.getDetectedPDFs().length === 0 && detector.getExtractedText() === null,
+                '关闭的标签页不应该保留检测结果');
+        });
+
         suite.addTest('性能测试: 大量内容处理', async () => {
             const detector = new ContentDetector();
             await detector.initialize();
@@ -0,0 +1,85 @@
+/**
+ * Cookie罐测试
+ * 验证Set-Cookie的Domain/Path/过期处理、按站点管理和持久化
+ */
+
+import { CookieJar } from '../js/modules/CookieJar.js';
+
+// 创建测试实例
+const cookieJarTests = new TestFramework();
+
+cookieJarTests.test('Cookie罐 - 应该遵循Domain和Path规则', async function() {
+    const jar = new CookieJar();
+
+    this.assertTrue(jar.setCookie('sid=1; Path=/', 'https://www.example.com/login'), '应该接受普通Cookie');
+    this.assertTrue(jar.setCookie('theme=dark; Domain=.example.com; Path=/', 'https://www.example.com/'), '应该接受父域Cookie');
+    this.assertTrue(jar.setCookie('cart=5', 'https://www.example.com/shop/list'), '没有Path时应该使用默认路径');
+    this.assertFalse(jar.setCookie('evil=1; Domain=other.com', 'https://www.example.com/'), '不应该接受其他域的Cookie');
+    this.assertFalse(jar.setCookie('evil=1; Domain=com', 'https://www.example.com/'), '不应该接受顶级域Cookie');
+    this.assertFalse(jar.setCookie('token=1; Secure', 'http://www.example.com/'), 'HTTP响应不能设置Secure Cookie');
+
+    this.assertEqual(jar.getCookieHeader('https://www.example.com/shop/item'), 'cart=5; sid=1; theme=dark',
+        '路径更长的Cookie应该排在前面');
+    this.assertEqual(jar.getCookieHeader('https://www.example.com/'), 'sid=1; theme=dark', '路径不匹配的Cookie不应该发送');
+    this.assertEqual(jar.getCookieHeader('https://static.example.com/'), 'theme=dark', '仅限主机的Cookie不应该发给子域');
+    this.assertEqual(jar.getCookieHeader('https://www.example.com/shopping'), 'sid=1; theme=dark', '路径必须按段匹配');
+
+    jar.setCookie('secret=1; Secure; Path=/', 'https://www.example.com/');
+    this.assertFalse(jar.getCookieHeader('http://www.example.com/').includes('secret'), 'Secure Cookie只能通过HTTPS发送');
+
+    console.log('✅ Domain和Path规则测试通过');
+});
+
+cookieJarTests.test('Cookie罐 - 应该处理过期和删除', async function() {
+    const jar = new CookieJar();
+    const url = 'https://example.com/';
+
+    jar.setCookie('a=1; Max-Age=3600', url);
+    jar.setCookie('b=1; Expires=Thu, 01 Jan 1970 00:00:00 GMT', url);
+    jar.setCookie('c=1; Max-Age=3600; Expires=Thu, 01 Jan 1970 00:00:00 GMT', url);
+    this.assertEqual(jar.getCookieHeader(url), 'a=1; c=1', '已过期的Cookie不应该保存，Max-Age优先于Expires');
+
+    jar.setCookie('a=2', url);
+    this.assertEqual(jar.getCookieHeader(url), 'a=2; c=1', '同名同域同路径的Cookie应该被替换');
+
+    jar.setCookie('a=; Max-Age=0', url);
+    this.assertEqual(jar.getCookieHeader(url), 'c=1', 'Max-Age=0应该删除Cookie');
+
+    jar.cookies[0].expires = Date.now() - 1;
+    this.assertEqual(jar.getCookieHeader(url), '', '到期的Cookie不应该再发送');
+
+    console.log('✅ 过期和删除测试通过');
+});
+
+cookieJarTests.test('Cookie罐 - 应该按站点管理并只持久化持久Cookie', async function() {
+    const storage = createMemoryStorage();
+    const jar = new CookieJar(storage);
+    const changes = [];
+    jar.onChange((sites) => changes.push(sites));
+
+    jar.setCookie('session=1', 'https://www.example.com/');
+    jar.setCookie('remember=1; Max-Age=86400', 'https://accounts.example.com/');
+    jar.setCookie('id=1; Max-Age=86400', 'https://news.sina.com.cn/');
+
+    const sites = jar.getSites();
+    this.assertEqual(sites.map(site => site.site).join(','), 'example.com,sina.com.cn', '子域应该归入同一站点');
+    this.assertEqual(sites[0].count, 2, '应该统计站点的Cookie数量');
+    this.assertEqual(jar.getCookies('example.com').length, 2, '应该列出站点的所有Cookie');
+    this.assertEqual(changes.length, 3, '每次变化都应该通知');
+
+    const restored = new CookieJar(storage);
+    this.assertEqual(restored.getCookieHeader('https://accounts.example.com/'), 'remember=1', '持久Cookie应该被保存');
+    this.assertEqual(restored.getCookieHeader('https://www.example.com/'), '', '会话Cookie不应该被保存');
+
+    this.assertEqual(jar.clearSite('example.com'), 2, '应该清除站点的所有Cookie');
+    this.assertEqual(jar.getSites().length, 1, '其他站点的Cookie应该保留');
+    this.assertEqual(new CookieJar(storage).getSites().length, 1, '清除结果应该被保存');
+
+    jar.clearAll();
+    this.assertEqual(jar.getSites().length, 0, '应该可以清除全部Cookie');
+
+    console.log('✅ 站点管理和持久化测试通过');
+});
+
+// 导出测试套件
+window.cookieJarTests = cookieJarTests;
@@ -447,6 +447,51 @@ window.downloadManagerTests = {
             );
         });
 
+        suite.addTest('代理下载: 经代理流式下载并报告进度', async () => {
+            const mobileManager = createMockMobileManager();
+            const chunks = [new Uint8Array(40), new Uint8Array(60)];
+            const mockProxyService = {
+                isInitialized: true,
+                async proxyStream(url, options) {
+                    let loaded = 0;
+                    const stream = new ReadableStream({
+                        pull(controller) {
+                            const chunk = chunks[Math.floor(loaded / 40) > 0 ? 1 : 0];
+                            if (loaded >= 100) {
+                                controller.close();
+                                return;
+                            }
+                            loaded += chunk.byteLength;
+                            options.onProgress(loaded, 100);
+                            controller.enqueue(chunk);
+                        }
+                    });
+                    return new Response(stream, { status: 200 });
+                }
+            };
+            const downloadManager = new DownloadManager(mobileManager, mockProxyService);
+            await downloadManager.initialize();
+
+            const saved = [];
+            downloadManager.saveBlob = (blob, filename) => saved.push({ blob, filename });
+
+            const progressValues = [];
+            downloadManager.onProgressUpdate((downloadId, progress) => {
+                progressValues.push(progress.progress);
+            });
+
+            await downloadManager.downloadMediaFile('https://example.com/video.mp4', 'video.mp4', { viaProxy: true });
+
+            framework.assert(
+                progressValues.join(',') === '40,100',
+                `应该随响应体到达报告进度，实际是 ${progressValues.join(',')}`
+            );
+            framework.assert(
+                saved.length === 1 && saved[0].filename === 'video.mp4' && saved[0].blob.size === 100,
+                '下载完成后应该保存完整文件'
+            );
+        });
+
         suite.addTest('文件扩展名处理', async () => {
             const mobileManager = createMockMobileManager();
             const downloadManager = new DownloadManager(mobileManager);
@@ -113,7 +113,7 @@ window.finalIntegrationTests = {
             try {
                 // 初始化所有组件
                 const securityManager = new SecurityManager();
-                const proxyService = new ProxyService(securityManager);
+                const proxyService = new ProxyService(securityManager, { storage: createMemoryStorage() });
                 const mobileManager = new MobileAdaptationManager();
                 const browserEngine = new BrowserEngine(securityManager, proxyService);
                 const uiController = new UIController();
@@ -154,7 +154,7 @@ window.finalIntegrationTests = {
             try {
                 // 初始化组件
                 const securityManager = new SecurityManager();
-                const proxyService = new ProxyService(securityManager);
+                const proxyService = new ProxyService(securityManager, { storage: createMemoryStorage() });
                 const browserEngine = new BrowserEngine(securityManager, proxyService);
                 const contentDetector = new ContentDetector(securityManager);
 
@@ -0,0 +1,84 @@
+/**
+ * 浏览历史测试
+ * 验证访问记录、内容类型、全文搜索和按时间范围删除
+ */
+
+import { HistoryStore } from '../js/modules/HistoryStore.js';
+
+// 创建测试实例
+const historyStoreTests = new TestFramework();
+
+const HOUR = 60 * 60 * 1000;
+
+historyStoreTests.test('浏览历史 - 记录访问并全文搜索', async function() {
+    const storage = createMemoryStorage();
+    const history = new HistoryStore(storage);
+
+    history.recordVisit('https://example.com/report', {
+        title: '年度报告',
+        detected: { hasMedia: false, hasText: true, hasPDF: true },
+        time: 1000
+    });
+    history.recordVisit('https://example.com/report', { title: '', time: 2000 });
+    history.recordVisit('https://video.example/%E8%A7%86%E9%A2%91', {
+        title: 'Clip',
+        detected: { hasMedia: true, hasText: false, hasPDF: false },
+        time: 3000
+    });
+    this.assertEqual(history.recordVisit('about:blank', { time: 4000 }), null, '不应该记录非http(s)页面');
+
+    const reloaded = new HistoryStore(storage);
+    const entries = reloaded.getEntries();
+    this.assertEqual(entries.length, 2, '同一网址应该合并为一条记录');
+    this.assertEqual(entries[0].title, 'Clip', '最近访问的记录应该在前');
+
+    const report = entries[1];
+    this.assertEqual(report.visitCount, 2, '应该统计访问次数');
+    this.assertEqual(report.lastVisit, 2000, '应该记录最后访问时间');
+    this.assertEqual(report.title, '年度报告', '没有标题时保留原标题');
+    this.assertEqual(report.contentTypes.join(','), 'pdf,text', '应该记录检测到的内容类型');
+
+    this.assertEqual(reloaded.getEntries({ query: '报告 pdf' }).length, 1, '关键词应该同时匹配标题和内容类型');
+    this.assertEqual(reloaded.getEntries({ query: '音视频' })[0].title, 'Clip', '应该可以按内容类型名称搜索');
+    this.assertEqual(reloaded.getEntries({ query: '视频' }).length, 1, '应该可以搜索解码后的网址');
+    this.assertEqual(reloaded.getEntries({ query: 'missing' }).length, 0, '没有匹配时返回空列表');
+
+    console.log('✅ 浏览历史记录和搜索测试通过');
+});
+
+historyStoreTests.test('浏览历史 - 按时间范围和网址删除', async function() {
+    const history = new HistoryStore(null, { maxEntries: 3 });
+    const now = Date.now();
+
+    history.recordVisit('https://a.example/', { title: 'A', time: now - 3 * HOUR });
+    history.recordVisit('https://a.example/', { title: 'A', time: now - 10 * 60 * 1000 });
+    history.recordVisit('https://b.example/', { title: 'B', time: now - 5 * 60 * 1000 });
+    history.recordVisit('https://c.example/', { title: 'C', time: now - 2 * HOUR });
+
+    const removed = history.deleteRange(now - HOUR);
+    this.assertEqual(removed, 2, '应该删除最近一小时内的访问');
+
+    const entries = history.getEntries();
+    this.assertEqual(entries.map(entry => entry.title).join(','), 'C,A', '没有剩余访问的网址应该被移除');
+    const a = entries.find(entry => entry.title === 'A');
+    this.assertEqual(a.visitCount, 1, '访问次数应该扣除删除的访问');
+    this.assertEqual(a.lastVisit, now - 3 * HOUR, '最后访问时间应该回退到剩余的访问');
+
+    this.assertTrue(history.removeEntry('https://c.example/'), '应该删除指定网址');
+    this.assertFalse(history.removeEntry('https://c.example/'), '重复删除应该返回false');
+
+    // 超出上限时移除最久未访问的记录
+    ['d', 'e', 'f'].forEach((name, index) => {
+        history.recordVisit(`https://${name}.example/`, { time: now - index });
+    });
+    this.assertEqual(history.getEntries().length, 3, '记录数不应该超过上限');
+    this.assertEqual(history.getEntries({ query: 'a.example' }).length, 0, '应该先移除最久未访问的记录');
+
+    history.deleteRange(0);
+    this.assertEqual(history.getEntries().length, 0, '应该可以删除全部历史');
+
+    console.log('✅ 浏览历史删除测试通过');
+});
+
+// 导出测试套件
+window.historyStoreTests = historyStoreTests;
@@ -112,7 +112,7 @@ integrationCheckpointTests.test('基础功能集成 - 所有核心模块应该
         this.assertTrue(securityManager.isInitialized, 'SecurityManager应该初始化成功');
 
         console.log('  测试ProxyService初始化...');
-        const proxyService = new ProxyService(securityManager);
+        const proxyService = new ProxyService(securityManager, { storage: createMemoryStorage() });
         await proxyService.initialize();
         this.assertTrue(proxyService.isInitialized, 'ProxyService应该初始化成功');
 
@@ -153,7 +153,7 @@ integrationCheckpointTests.test('基础功能集成 - 模块间依赖关系应
         const securityManager = new SecurityManager();
         await securityManager.initialize();
 
-        const proxyService = new ProxyService(securityManager);
+        const proxyService = new ProxyService(securityManager, { storage: createMemoryStorage() });
         await proxyService.initialize();
 
         // 验证ProxyService能够使用SecurityManager的方法
@@ -0,0 +1,81 @@
+/**
+ * 地址栏测试
+ * 验证网址与搜索词的判断、搜索引擎模板和输入提示
+ */
+
+import { Omnibox, SEARCH_ENGINES } from '../js/modules/Omnibox.js';
+
+// 创建测试实例
+const omniboxTests = new TestFramework();
+
+omniboxTests.test('地址栏 - 区分网址和搜索词并使用搜索引擎模板', async function() {
+    const storage = createMemoryStorage();
+    const omnibox = new Omnibox(storage);
+
+    ['example.com', 'sub.example.co.uk/path?q=1', 'localhost:8080', '192.168.1.1/admin',
+        'https://example.com', 'user@example.org', '例子.中国'].forEach(input => {
+        this.assertTrue(omnibox.isLikelyURL(input), `${input} 应该被当作网址`);
+    });
+    ['github', 'how to cook rice', '3.14', 'example. com', 'C++'].forEach(input => {
+        this.assertFalse(omnibox.isLikelyURL(input), `${input} 应该被当作搜索词`);
+    });
+
+    this.assertEqual(omnibox.getSearchEngineName(), 'bing', '默认使用必应');
+    this.assertEqual(omnibox.buildSearchURL(' a&b 中文 '), 'https://www.bing.com/search?q=a%26b%20%E4%B8%AD%E6%96%87',
+        '搜索词应该编码后替换%s');
+
+    let templateError = null;
+    try {
+        omnibox.setSearchTemplate('https://search.example/?q=');
+    } catch (error) {
+        templateError = error;
+    }
+    this.assertTrue(templateError !== null, '没有%s的模板应该报错');
+
+    omnibox.setSearchTemplate('https://search.example/find?term=%s&lang=zh');
+    const reloaded = new Omnibox(storage);
+    this.assertEqual(reloaded.getSearchEngineName(), 'custom', '应该保存自定义模板');
+    this.assertEqual(reloaded.buildSearchURL('cats'), 'https://search.example/find?term=cats&lang=zh', '应该使用自定义模板');
+
+    reloaded.setSearchTemplate(SEARCH_ENGINES.duckduckgo);
+    this.assertEqual(reloaded.getSearchEngineName(), 'duckduckgo', '应该识别预置搜索引擎');
+
+    console.log('✅ 地址栏网址判断和搜索模板测试通过');
+});
+
+omniboxTests.test('地址栏 - 从标签页、书签和历史生成输入提示', async function() {
+    const omnibox = new Omnibox(null);
+    const sources = {
+        tabs: [{ id: 2, title: 'GitHub 仓库', url: 'https://github.com/org/repo' }],
+        bookmarks: [
+            { title: 'GitHub', url: 'https://github.com/' },
+            { title: 'GitHub 仓库', url: 'https://github.com/org/repo' }
+        ],
+        history: [
+            { title: 'Hub news', url: 'https://news.example/github', visitCount: 30 },
+            { title: 'GitHub', url: 'https://github.com/', visitCount: 5 },
+            { title: '', url: 'about:blank', visitCount: 99 }
+        ]
+    };
+
+    const suggestions = omnibox.getSuggestions('github', sources);
+    this.assertEqual(suggestions[0].type, 'search', '输入不像网址时搜索提示排在最前');
+    this.assertEqual(suggestions.length, 4, '相同网址应该只出现一次');
+    this.assertEqual(suggestions[1].type, 'tab', '网址前缀匹配的标签页排在前面');
+    this.assertEqual(suggestions[1].tabId, 2, '标签页提示应该带有标签页ID');
+    this.assertEqual(suggestions[2].type, 'bookmark', '同一网址保留书签来源');
+    this.assertEqual(suggestions[3].url, 'https://news.example/github', '只在路径中匹配的排在后面');
+
+    const urlSuggestions = omnibox.getSuggestions('github.com/org', sources);
+    this.assertEqual(urlSuggestions[urlSuggestions.length - 1].type, 'search', '输入像网址时搜索提示排在最后');
+    this.assertEqual(urlSuggestions[0].url, 'https://github.com/org/repo', '应该按网址前缀匹配');
+
+    this.assertEqual(omnibox.getSuggestions('仓库 repo', sources).length, 2, '多个关键词应该同时匹配');
+    this.assertEqual(omnibox.getSuggestions('   ', sources).length, 0, '空输入没有提示');
+    this.assertEqual(omnibox.getSuggestions('hub', sources, 2).length, 2, '应该限制提示数量');
+
+    console.log('✅ 地址栏输入提示测试通过');
+});
+
+// 导出测试套件
+window.omniboxTests = omniboxTests;
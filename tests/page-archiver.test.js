@@ -0,0 +1,170 @@
+/**
+ * 网页存档测试
+ * 验证脚本移除、样式表/图片/字体内联为data URI、进度通知和无法获取的资源列表
+ */
+
+import { PageArchiver } from '../js/modules/PageArchiver.js';
+
+// 创建测试实例
+const pageArchiverTests = new TestFramework();
+
+/**
+ * 创建模拟代理服务
+ * @param {Object} resources - URL到 { body, type } 的映射，不在其中的地址返回404
+ * @returns {Object} 模拟代理服务，requests记录请求过的地址
+ */
+function createMockProxyService(resources) {
+    const requests = [];
+    const respond = async (url) => {
+        requests.push(url);
+        const resource = resources[url];
+        if (!resource) {
+            return new Response('not found', { status: 404 });
+        }
+        return new Response(resource.body, { status: 200, headers: resource.type ? { 'content-type': resource.type } : {} });
+    };
+    return { isInitialized: true, requests, proxyGet: respond, proxyStream: respond };
+}
+
+const PAGE_URL = 'https://example.com/articles/page.html';
+
+const PAGE_HTML = `<!DOCTYPE html><html><head>
+    <meta charset="gbk">
+    <title>存档测试</title>
+    <base href="https://example.com/articles/">
+    <link rel="stylesheet" href="css/site.css" media="screen">
+    <link rel="preload" href="fonts/body.woff2" as="font">
+    <link rel="icon" href="/favicon.ico">
+    <style>.hero { background: url(img/hero.png); }</style>
+    <script src="app.js"></script>
+    </head><body>
+    <h1 onclick="track()">标题</h1>
+    <img src="img/photo.png" srcset="img/photo-2x.png 2x" alt="照片">
+    <img src="img/photo.png" alt="同一张图片">
+    <img src="img/missing.png" alt="缺失">
+    <div style="background-image: url('img/hero.png')">横幅</div>
+    <a href="other.html">其他文章</a>
+    <a href="#section">页内锚点</a>
+    <a href="javascript:alert(1)">脚本链接</a>
+    <noscript><p>请启用脚本</p></noscript>
+    <script>alert('inline');</script>
+</body></html>`;
+
+const RESOURCES = {
+    'https://example.com/articles/css/site.css': {
+        body: '@charset "utf-8";\n@import url("base.css") print;\nbody { font-family: Body; }\n@font-face { font-family: Body; src: url(../fonts/body.woff2) format("woff2"); }\n.icon { background: url("data:image/png;base64,AAAA"); }',
+        type: 'text/css'
+    },
+    'https://example.com/articles/css/base.css': { body: 'p { margin: 0; }', type: 'text/css' },
+    'https://example.com/articles/fonts/body.woff2': { body: new Uint8Array([1, 2, 3]), type: 'application/octet-stream' },
+    'https://example.com/favicon.ico': { body: new Uint8Array([0, 0, 1, 0]), type: 'image/x-icon' },
+    'https://example.com/articles/img/hero.png': { body: new Uint8Array([137, 80, 78, 71]), type: 'image/png' },
+    'https://example.com/articles/img/photo.png': { body: new Uint8Array([255, 216, 255]), type: 'image/jpeg; charset=binary' }
+};
+
+pageArchiverTests.test('网页存档 - 内联样式表、图片和字体并移除脚本', async function() {
+    const proxyService = createMockProxyService(RESOURCES);
+    const archiver = new PageArchiver(proxyService);
+    const progress = [];
+
+    const result = await archiver.archive(PAGE_HTML, PAGE_URL, { onProgress: (state) => progress.push(state) });
+    const doc = new DOMParser().parseFromString(result.html, 'text/html');
+
+    this.assertTrue(result.html.startsWith('<!DOCTYPE html>'), '存档应该是完整的HTML文档');
+    this.assertEqual(doc.querySelectorAll('script').length, 0, '应该移除所有脚本');
+    this.assertFalse(doc.querySelector('h1').hasAttribute('onclick'), '应该移除事件处理器');
+    this.assertEqual(doc.querySelector('p').textContent, '请启用脚本', '<noscript>中的内容应该保留');
+    this.assertEqual(doc.querySelectorAll('base, link[rel="preload"], link[rel="stylesheet"]').length, 0, '不应该留下<base>、预加载和外链样式表');
+    this.assertEqual(doc.querySelectorAll('meta[charset]').length, 1, '应该只有一个编码声明');
+    this.assertEqual(doc.querySelector('meta[charset]').getAttribute('charset'), 'utf-8', '存档应该声明UTF-8');
+
+    const siteStyle = doc.querySelector('style[data-original-href]');
+    this.assertEqual(siteStyle.getAttribute('media'), 'screen', '内联的样式表应该保留media');
+    this.assertTrue(siteStyle.textContent.includes('@media print {\np { margin: 0; }\n}'), '@import应该按媒体查询内联');
+    this.assertTrue(siteStyle.textContent.includes('url("data:font/woff2;base64,AQID")'), '字体应该按扩展名判断类型后内联');
+    this.assertTrue(siteStyle.textContent.includes('url("data:image/png;base64,AAAA")'), '已有的data URI保持不变');
+    this.assertFalse(siteStyle.textContent.includes('@charset'), '内联后应该去掉@charset');
+
+    const images = doc.querySelectorAll('img');
+    this.assertEqual(images[0].getAttribute('src'), 'data:image/jpeg;base64,/9j/', '图片应该内联为data URI');
+    this.assertFalse(images[0].hasAttribute('srcset'), '内联后应该去掉srcset');
+    this.assertEqual(images[2].getAttribute('src'), 'https://example.com/articles/img/missing.png', '无法获取的图片保留绝对地址');
+    this.assertTrue(doc.querySelector('div').getAttribute('style').includes('data:image/png;base64,iVBORw=='), 'style属性中的图片应该内联');
+    this.assertTrue(doc.querySelector('link[rel="icon"]').getAttribute('href').startsWith('data:image/x-icon;base64,'), '网站图标应该内联');
+
+    const links = doc.querySelectorAll('a');
+    this.assertEqual(links[0].getAttribute('href'), 'https://example.com/articles/other.html', '链接应该解析为绝对地址');
+    this.assertEqual(links[1].getAttribute('href'), '#section', '页内锚点保持不变');
+    this.assertFalse(links[2].hasAttribute('href'), '应该移除javascript链接');
+
+    this.assertEqual(result.failed.length, 1, '应该只有一个资源无法获取');
+    this.assertEqual(result.failed[0].url, 'https://example.com/articles/img/missing.png', '应该列出无法获取的资源');
+    this.assertEqual(result.failed[0].error, 'HTTP 404', '应该记录失败原因');
+
+    const photoRequests = proxyService.requests.filter(url => url.endsWith('img/photo.png')).length;
+    this.assertEqual(photoRequests, 1, '同一资源只获取一次');
+    this.assertEqual(result.total, 7, '应该统计所有获取的资源');
+    this.assertEqual(progress.length, result.total, '每个资源完成时都应该通知进度');
+    this.assertEqual(progress[progress.length - 1].completed, result.total, '最后的进度应该是全部完成');
+
+    console.log('✅ 网页存档内联测试通过');
+});
+
+pageArchiverTests.test('网页存档 - 获取页面和资源限制', async function() {
+    let offlineError = null;
+    try {
+        await new PageArchiver(null).fetchPage(PAGE_URL);
+    } catch (error) {
+        offlineError = error;
+    }
+    this.assertTrue(offlineError !== null, '没有代理时不能获取跨域页面');
+
+    const archiver = new PageArchiver(createMockProxyService({
+        [PAGE_URL]: { body: PAGE_HTML, type: 'text/html; charset=utf-8' },
+        'https://example.com/file.pdf': { body: '%PDF', type: 'application/pdf' }
+    }));
+    this.assertEqual(await archiver.fetchPage(PAGE_URL), PAGE_HTML, '应该通过代理获取页面');
+
+    let typeError = null;
+    try {
+        await archiver.fetchPage('https://example.com/file.pdf');
+    } catch (error) {
+        typeError = error;
+    }
+    this.assertTrue(typeError !== null, '非HTML内容不能保存为网页');
+
+    const limited = new PageArchiver(createMockProxyService(RESOURCES), { maxAssetSize: 2 });
+    const result = await limited.archive('<html><body><img src="img/photo.png"></body></html>', PAGE_URL);
+    this.assertEqual(result.failed.length, 1, '超过大小上限的资源不内联');
+    this.assertTrue(result.failed[0].error.includes('文件过大'), '应该说明资源过大');
+
+    // 声明的长度超过上限时不读取响应体；没有声明长度时读到上限就停止
+    let pulls = 0;
+    const createStream = () => new ReadableStream({
+        pull(controller) {
+            pulls++;
+            controller.enqueue(new Uint8Array(4));
+        }
+    }, { highWaterMark: 0 });
+    const streaming = new PageArchiver({
+        isInitialized: true,
+        proxyGet: async () => new Response('not found', { status: 404 }),
+        proxyStream: async (url) => new Response(createStream(), {
+            status: 200,
+            headers: url.endsWith('declared.png') ? { 'content-length': String(64 * 1024 * 1024) } : {}
+        })
+    }, { maxAssetSize: 10 });
+    const declared = await streaming.archive('<html><body><img src="declared.png"></body></html>', PAGE_URL);
+    this.assertEqual(pulls, 0, '声明的长度超过上限时不应该读取响应体');
+    this.assertTrue(declared.failed[0].error.includes('64MB'), '应该说明声明的大小');
+
+    const undeclared = await streaming.archive('<html><body><img src="endless.png"></body></html>', PAGE_URL);
+    this.assertTrue(undeclared.failed.length === 1 && undeclared.failed[0].error.includes('文件过大'),
+        '没有声明长度的资源超过上限时不内联');
+    this.assertTrue(pulls <= 4, '超过上限后应该停止读取响应体');
+
+    console.log('✅ 网页存档获取测试通过');
+});
+
+// 导出测试套件
+window.pageArchiverTests = pageArchiverTests;
@@ -0,0 +1,63 @@
+/**
+ * 页内查找测试
+ * 验证高亮、匹配计数、上一个/下一个、大小写和正则选项以及清除后还原页面
+ */
+
+import { PageFinder } from '../js/modules/PageFinder.js';
+
+// 创建测试实例
+const pageFinderTests = new TestFramework();
+
+/**
+ * 创建测试页面
+ * @returns {Document} 页面文档
+ */
+function createPage() {
+    return new DOMParser().parseFromString(`<!DOCTYPE html><html><head><title>测试</title></head><body>
+        <h1>Apple pie</h1>
+        <p>An apple a day, <b>APPLE</b> juice and apples.</p>
+        <script>var apple = 1;</script>
+        <p>Order 42 and 7 items</p>
+    </body></html>`, 'text/html');
+}
+
+pageFinderTests.test('页内查找 - 高亮匹配并在匹配之间跳转', async function() {
+    const doc = createPage();
+    const originalText = doc.body.textContent;
+    const finder = new PageFinder();
+
+    const status = finder.find(doc, 'apple');
+    this.assertEqual(status.total, 4, '默认不区分大小写，且不搜索脚本');
+    this.assertEqual(status.current, 0, '应该选中第一个匹配');
+    this.assertEqual(doc.querySelectorAll('mark.wbd-find-match').length, 4, '应该高亮所有匹配');
+    this.assertEqual(doc.querySelector('mark.wbd-find-current').textContent, 'Apple', '当前匹配应该单独标记');
+    this.assertTrue(doc.getElementById('wbd-find-style') !== null, '应该加入高亮样式');
+
+    this.assertEqual(finder.previous().current, 3, '从第一个向前应该回到最后一个');
+    this.assertEqual(finder.next().current, 0, '从最后一个向后应该回到第一个');
+    finder.next();
+    this.assertEqual(doc.querySelectorAll('mark.wbd-find-current').length, 1, '只有一个当前匹配');
+
+    this.assertEqual(finder.find(doc, 'APPLE', { caseSensitive: true }).total, 1, '区分大小写时只匹配大写');
+    this.assertEqual(finder.find(doc, '\\d+', { regex: true }).total, 2, '应该支持正则表达式');
+    this.assertEqual(finder.find(doc, 'a.', {}).total, 0, '非正则模式应该按字面查找');
+
+    let regexError = null;
+    try {
+        finder.find(doc, '(', { regex: true });
+    } catch (error) {
+        regexError = error;
+    }
+    this.assertTrue(regexError !== null, '无效的正则表达式应该报错');
+
+    finder.find(doc, 'apple');
+    finder.clear();
+    this.assertEqual(doc.querySelectorAll('mark').length, 0, '清除后不应该留下高亮');
+    this.assertEqual(doc.body.textContent, originalText, '清除后页面文本应该还原');
+    this.assertTrue(doc.getElementById('wbd-find-style') === null, '清除后应该移除样式');
+
+    console.log('✅ 页内查找测试通过');
+});
+
+// 导出测试套件
+window.pageFinderTests = pageFinderTests;
@@ -0,0 +1,123 @@
+/**
+ * 页面重写器测试
+ * 验证代理页面中的资源地址、样式和链接被正确重写
+ */
+
+import { PageRewriter } from '../js/modules/PageRewriter.js';
+
+// 创建测试实例
+const pageRewriterTests = new TestFramework();
+
+/**
+ * 创建模拟代理服务：资源地址统一改写为 https://relay.example/?u=<编码URL>
+ * @param {Object} stylesheets - URL到样式表内容的映射
+ * @returns {Object} 模拟代理服务
+ */
+function createMockProxyService(stylesheets = {}) {
+    return {
+        buildResourceProxyURL: (url) => `https://relay.example/?u=${encodeURIComponent(url)}`,
+        proxyGet: async (url) => {
+            if (!(url in stylesheets)) {
+                throw new Error('HTTP 404');
+            }
+            return new Response(stylesheets[url], { status: 200, headers: { 'content-type': 'text/css' } });
+        }
+    };
+}
+
+pageRewriterTests.test('页面重写 - CSS中的url()和@import应该经过代理', async function() {
+    const rewriter = new PageRewriter(createMockProxyService());
+    const css = `
+        body { background: url(images/bg.png); }
+        .logo { background-image: url('/static/logo.svg'); }
+        .inline { background: url("data:image/png;base64,AAAA"); }
+        @import "print.css";
+    `;
+
+    const result = rewriter.rewriteCSS(css, 'https://example.com/css/site.css');
+
+    this.assertTrue(result.includes(`url("https://relay.example/?u=${encodeURIComponent('https://example.com/css/images/bg.png')}")`),
+        '相对地址应该相对于样式表解析后经过代理');
+    this.assertTrue(result.includes(encodeURIComponent('https://example.com/static/logo.svg')),
+        '根相对地址应该相对于站点解析');
+    this.assertTrue(result.includes('url("data:image/png;base64,AAAA")'), 'data:地址应该保持不变');
+    this.assertTrue(result.includes(`@import url("https://relay.example/?u=${encodeURIComponent('https://example.com/css/print.css')}")`),
+        '@import应该经过代理');
+
+    console.log('✅ CSS重写测试通过');
+});
+
+pageRewriterTests.test('页面重写 - srcset中的每个候选地址都应该经过代理', async function() {
+    const rewriter = new PageRewriter(createMockProxyService());
+    const proxied = (url) => `https://relay.example/?u=${encodeURIComponent(url)}`;
+
+    const withDescriptors = rewriter.rewriteSrcset('small.jpg 480w, /img/large.jpg 1080w', 'https://example.com/page/');
+    this.assertEqual(withDescriptors,
+        `${proxied('https://example.com/page/small.jpg')} 480w, ${proxied('https://example.com/img/large.jpg')} 1080w`,
+        '带描述符的srcset应该逐项重写');
+
+    const withoutDescriptors = rewriter.rewriteSrcset('a.png, b.png 2x', 'https://example.com/');
+    this.assertEqual(withoutDescriptors,
+        `${proxied('https://example.com/a.png')}, ${proxied('https://example.com/b.png')} 2x`,
+        '没有描述符的候选也应该正确拆分');
+
+    console.log('✅ srcset重写测试通过');
+});
+
+pageRewriterTests.test('页面重写 - 没有可用代理时保留原始绝对地址', async function() {
+    const rewriter = new PageRewriter({ buildResourceProxyURL: () => null });
+
+    this.assertEqual(rewriter.toProxyURL('img/a.png', 'https://example.com/docs/'), 'https://example.com/docs/img/a.png',
+        '没有可用代理时应该返回解析后的绝对地址');
+    this.assertEqual(rewriter.toProxyURL('blob:https://example.com/123', 'https://example.com/'), 'blob:https://example.com/123',
+        'blob:地址应该保持不变');
+
+    console.log('✅ 无代理回退测试通过');
+});
+
+pageRewriterTests.test('页面重写 - HTML文档注入<base>、重写资源、内联样式表并移除脚本', async function() {
+    if (typeof DOMParser === 'undefined') {
+        console.log('⏭️ 当前环境没有DOMParser，跳过HTML重写测试');
+        return;
+    }
+
+    const rewriter = new PageRewriter(createMockProxyService({
+        'https://example.com/css/site.css': '.hero { background: url(../img/hero.jpg); }'
+    }));
+    const html = `<!DOCTYPE html><html><head>
+        <meta http-equiv="refresh" content="0; url=https://elsewhere.example/">
+        <link rel="stylesheet" href="/css/site.css">
+        <script src="/app.js"></script>
+    </head><body>
+        <a href="/about" onclick="track()">关于</a>
+        <a href="#top">顶部</a>
+        <img src="logo.png" srcset="logo@2x.png 2x">
+        <form action="/search"><input name="q"></form>
+        <noscript><p>需要JavaScript</p></noscript>
+    </body></html>`;
+
+    const result = await rewriter.rewriteHTML(html, 'https://example.com/blog/post.html');
+    const doc = new DOMParser().parseFromString(result, 'text/html');
+
+    this.assertEqual(doc.head.firstElementChild.tagName, 'BASE', '<base>应该位于<head>开头');
+    this.assertEqual(doc.querySelector('base').getAttribute('href'), 'https://example.com/blog/post.html', '<base>应该指向原始页面');
+    this.assertEqual(doc.querySelectorAll('script').length, 0, '脚本应该被移除');
+    this.assertTrue(doc.querySelector('meta[http-equiv]') === null, '刷新跳转应该被移除');
+    this.assertFalse(doc.querySelector('a').hasAttribute('onclick'), '事件处理器应该被移除');
+    this.assertEqual(doc.querySelector('a').getAttribute('href'), 'https://example.com/about', '链接应该解析为原始站点的绝对地址');
+    this.assertEqual(doc.querySelectorAll('a')[1].getAttribute('href'), '#top', '页内锚点应该保持不变');
+    this.assertTrue(doc.querySelector('img').getAttribute('src').startsWith('https://relay.example/'), '图片应该经过代理');
+    this.assertTrue(doc.querySelector('img').getAttribute('srcset').startsWith('https://relay.example/'), 'srcset应该经过代理');
+    this.assertEqual(doc.querySelector('form').getAttribute('action'), 'https://example.com/search', '表单地址应该解析为绝对地址');
+    this.assertTrue(doc.querySelector('p') !== null, '<noscript>内容应该显示');
+
+    const inlined = doc.querySelector('style[data-original-href]');
+    this.assertTrue(inlined !== null, '外链样式表应该被内联');
+    this.assertTrue(inlined.textContent.includes(encodeURIComponent('https://example.com/img/hero.jpg')),
+        '内联样式表中的url()应该相对于样式表地址重写');
+
+    console.log('✅ HTML重写测试通过');
+});
+
+// 导出测试套件
+window.pageRewriterTests = pageRewriterTests;
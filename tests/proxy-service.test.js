@@ -8,6 +8,8 @@
 // 导入相关模块 (在测试环境中需要模拟)
 import { ProxyService } from '../js/modules/ProxyService.js';
 import { SecurityManager } from '../js/modules/SecurityManager.js';
+import { ProxyCache, parseCacheControl } from '../js/modules/ProxyCache.js';
+import { APP_NAME, APP_VERSION } from '../js/modules/AppInfo.js';
 
 // 创建测试实例
 const proxyServiceTests = new TestFramework();
@@ -24,9 +26,9 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - 所有跨域请求都应
                 return false;
             }
         },
-        validateURLSafety: (url) => {
-            return url && typeof url === 'string' && !url.includes('javascript:');
-        },
+        validateURLSafety: (url) => ({
+            isValid: Boolean(url && typeof url === 'string' && !url.includes('javascript:'))
+        }),
         validateProxyService: async (proxyURL) => {
             // 模拟代理服务验证
             return proxyURL.startsWith('https://');
@@ -44,7 +46,7 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - 所有跨域请求都应
         sanitizeContent: (content) => content
     };
 
-    const proxyService = new ProxyService(mockSecurityManager);
+    const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage() });
     
     // 模拟初始化（不进行实际网络请求）
     proxyService.proxyServices = [
@@ -92,7 +94,7 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - 所有跨域请求都应
         const isHTTPS = mockSecurityManager.validateHTTPS(testCase.url);
         this.assertTrue(isHTTPS, `${testCase.description}: URL应该使用HTTPS`);
         
-        const isSafe = mockSecurityManager.validateURLSafety(testCase.url);
+        const isSafe = mockSecurityManager.validateURLSafety(testCase.url).isValid;
         this.assertTrue(isSafe, `${testCase.description}: URL应该是安全的`);
         
         // 验证代理URL构建
@@ -116,13 +118,13 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - HTTP请求应该自动升
                 return false;
             }
         },
-        validateURLSafety: (url) => true,
+        validateURLSafety: () => ({ isValid: true }),
         validateProxyService: async () => true,
         sanitizeHeaders: (headers) => headers,
         sanitizeContent: (content) => content
     };
 
-    const proxyService = new ProxyService(mockSecurityManager);
+    const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage() });
     proxyService.isInitialized = true;
     proxyService.proxyServices = [{
         name: 'TestProxy',
@@ -162,13 +164,13 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - HTTP请求应该自动升
 proxyServiceTests.test('属性 7: 跨域请求处理 - 代理服务选择和故障转移', async function() {
     const mockSecurityManager = {
         validateHTTPS: () => true,
-        validateURLSafety: () => true,
+        validateURLSafety: () => ({ isValid: true }),
         validateProxyService: async () => true,
         sanitizeHeaders: (headers) => headers,
         sanitizeContent: (content) => content
     };
 
-    const proxyService = new ProxyService(mockSecurityManager);
+    const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage() });
     proxyService.isInitialized = true;
     
     // 设置多个代理服务
@@ -227,13 +229,13 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - 代理服务选择和故
 proxyServiceTests.test('属性 7: 跨域请求处理 - 速率限制和请求管理', async function() {
     const mockSecurityManager = {
         validateHTTPS: () => true,
-        validateURLSafety: () => true,
+        validateURLSafety: () => ({ isValid: true }),
         validateProxyService: async () => true,
         sanitizeHeaders: (headers) => headers,
         sanitizeContent: (content) => content
     };
 
-    const proxyService = new ProxyService(mockSecurityManager);
+    const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage() });
     proxyService.isInitialized = true;
     
     // 设置有限速率限制的代理服务
@@ -279,15 +281,15 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - 安全代理URL构建', a
                 return false;
             }
         },
-        validateURLSafety: (url) => {
-            return !url.includes('javascript:') && !url.includes('data:text/html');
-        },
+        validateURLSafety: (url) => ({
+            isValid: !url.includes('javascript:') && !url.includes('data:text/html')
+        }),
         validateProxyService: async () => true,
         sanitizeHeaders: (headers) => headers,
         sanitizeContent: (content) => content
     };
 
-    const proxyService = new ProxyService(mockSecurityManager);
+    const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage() });
     proxyService.isInitialized = true;
     proxyService.proxyServices = [{
         name: 'SecureProxy',
@@ -350,7 +352,7 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - 安全代理URL构建', a
 proxyServiceTests.test('属性 7: 跨域请求处理 - 请求头清理和安全性', async function() {
     const mockSecurityManager = {
         validateHTTPS: () => true,
-        validateURLSafety: () => true,
+        validateURLSafety: () => ({ isValid: true }),
         validateProxyService: async () => true,
         sanitizeHeaders: (headers) => {
             const allowed = ['accept', 'content-type', 'user-agent'];
@@ -365,7 +367,7 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - 请求头清理和安全
         sanitizeContent: (content) => content
     };
 
-    const proxyService = new ProxyService(mockSecurityManager);
+    const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage() });
 
     // 测试请求头清理
     const originalHeaders = {
@@ -395,13 +397,13 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - 请求头清理和安全
 proxyServiceTests.test('属性 7: 跨域请求处理 - 代理服务统计和监控', async function() {
     const mockSecurityManager = {
         validateHTTPS: () => true,
-        validateURLSafety: () => true,
+        validateURLSafety: () => ({ isValid: true }),
         validateProxyService: async () => true,
         sanitizeHeaders: (headers) => headers,
         sanitizeContent: (content) => content
     };
 
-    const proxyService = new ProxyService(mockSecurityManager);
+    const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage() });
     proxyService.isInitialized = true;
     proxyService.proxyServices = [
         {
@@ -450,5 +452,1411 @@ proxyServiceTests.test('属性 7: 跨域请求处理 - 代理服务统计和监
     console.log('✅ 代理服务统计和监控属性测试通过');
 });
 
+proxyServiceTests.test('代理服务提供者注册表 - 添加、排序、禁用和持久化', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async (proxyURL) => ({
+            isValid: proxyURL.startsWith('https://'),
+            error: proxyURL.startsWith('https://') ? null : new Error('代理服务必须使用HTTPS')
+        }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+    const storage = createMemoryStorage();
+
+    const proxyService = new ProxyService(mockSecurityManager, { storage });
+    this.assertEqual(proxyService.getProviders().length, 4, '默认应该有4个代理服务提供者');
+    this.assertFalse(proxyService.proxyServices.some(s => s.type === 'local'), '本地中继默认不应该启用');
+
+    // 添加自定义中继并放到首位
+    await proxyService.addProvider({
+        name: 'TeamRelay',
+        url: 'https://relay.example.com/fetch?target={encodedUrl}',
+        type: 'team-relay',
+        timeout: 6000,
+        rateLimit: 200
+    }, 0);
+    this.assertEqual(proxyService.proxyServices[0].name, 'TeamRelay', '新提供者应该插入到指定位置');
+
+    const relayUrl = proxyService.buildProxyURL('https://example.com/a b', proxyService.proxyServices[0]);
+    this.assertEqual(relayUrl, 'https://relay.example.com/fetch?target=' + encodeURIComponent('https://example.com/a b'),
+        '自定义类型应该按URL模板构建代理URL');
+
+    // 不安全的提供者应该被拒绝
+    let rejected = false;
+    try {
+        await proxyService.addProvider({ name: 'Insecure', url: 'http://relay.example.com/?{url}', timeout: 1000, rateLimit: 10 });
+    } catch (error) {
+        rejected = true;
+    }
+    this.assertTrue(rejected, '未通过validateProxyService的提供者应该被拒绝');
+
+    // 排序和禁用
+    proxyService.moveProvider('TeamRelay', 4);
+    proxyService.setProviderEnabled('CORS.SH', false);
+    this.assertEqual(proxyService.getProviders()[4].name, 'TeamRelay', '提供者应该移动到新位置');
+    this.assertFalse(proxyService.proxyServices.some(s => s.name === 'CORS.SH'), '禁用的提供者不应该参与请求');
+
+    // 重新加载后配置保持不变
+    const reloaded = new ProxyService(mockSecurityManager, { storage });
+    this.assertEqual(reloaded.getProviders().map(p => p.name).join(','),
+        'AllOrigins,CORS.SH,CORSProxy.io,LocalRelay,TeamRelay', '提供者顺序应该被持久化');
+    this.assertFalse(reloaded.getProviders()[1].enabled, '禁用状态应该被持久化');
+
+    // 移除和恢复默认
+    reloaded.removeProvider('TeamRelay');
+    this.assertEqual(reloaded.getProviders().length, 4, '移除后应该剩余4个提供者');
+    reloaded.resetProviders();
+    this.assertTrue(reloaded.getProviders().every(p => p.enabled || p.type === 'local'), '恢复默认后所有公共提供者应该启用');
+
+    console.log('✅ 代理服务提供者注册表测试通过');
+});
+
+proxyServiceTests.test('代理服务提供者注册表 - JSON响应解包', async function() {
+    const proxyService = new ProxyService({}, { storage: null });
+    const service = { name: 'Wrapped', unwrap: 'json', unwrapField: 'contents' };
+
+    const wrapped = new Response(JSON.stringify({
+        contents: '<html><body>ok</body></html>',
+        status: { http_code: 200, content_type: 'text/html; charset=utf-8' }
+    }));
+    const response = await proxyService.unwrapProxyResponse(wrapped, service);
+
+    this.assertEqual(await response.text(), '<html><body>ok</body></html>', '应该返回解包后的内容');
+    this.assertEqual(response.headers.get('content-type'), 'text/html; charset=utf-8', '应该还原目标内容类型');
+
+    const raw = new Response('raw body');
+    const passthrough = await proxyService.unwrapProxyResponse(raw, { name: 'Raw', unwrap: 'raw' });
+    this.assertTrue(passthrough === raw, 'raw类型应该直接返回原始响应');
+
+    console.log('✅ JSON响应解包测试通过');
+});
+
+proxyServiceTests.test('本地中继 - 默认配置和健康检查地址', async function() {
+    // 通过中继完成代理请求的端到端测试在 test-cors-relay-node.js 中进行（在进程内启动中继）
+    const securityManager = {
+        validateHTTPS: (url) => {
+            const urlObj = new URL(url);
+            return urlObj.protocol === 'https:' || urlObj.hostname === 'localhost';
+        },
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async () => ({ isValid: true, error: null }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+
+    const proxyService = new ProxyService(securityManager, { storage: createMemoryStorage() });
+    const localRelay = proxyService.getProviders().find(p => p.type === 'local');
+    this.assertTrue(localRelay, '默认配置中应该包含本地中继');
+    this.assertEqual(proxyService.getLocalRelayHealthURL(localRelay), 'http://localhost:8787/health',
+        '健康检查地址应该由URL模板推导');
+
+    proxyService.setProviderEnabled('LocalRelay', true);
+    const enabled = proxyService.proxyServices.find(s => s.type === 'local');
+    this.assertTrue(enabled, '启用后本地中继应该参与请求');
+    this.assertTrue(enabled.cookies, '本地中继默认支持Cookie');
+
+    console.log('✅ 本地中继配置测试通过');
+});
+
+proxyServiceTests.test('响应缓存 - 新鲜命中、条件请求重新验证和清除', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+
+    const proxyService = new ProxyService(mockSecurityManager, {
+        storage: createMemoryStorage(),
+        cache: { persistent: false }
+    });
+    proxyService.isInitialized = true;
+
+    // 模拟代理请求，记录发出的请求头
+    const sentHeaders = [];
+    proxyService.makeProxyRequest = async (service, url, options) => {
+        const headers = options.headers || {};
+        sentHeaders.push(headers);
+        if (headers['If-None-Match'] === '"v1"') {
+            return new Response(null, { status: 304, headers: { 'cache-control': 'max-age=120' } });
+        }
+        if (url.includes('private')) {
+            return new Response('secret', { status: 200, headers: { 'cache-control': 'no-store' } });
+        }
+        return new Response('page-v1', {
+            status: 200,
+            headers: { 'etag': '"v1"', 'cache-control': 'max-age=60', 'content-type': 'text/html' }
+        });
+    };
+
+    const url = 'https://example.com/page';
+    const first = await proxyService.proxyGet(url);
+    this.assertEqual(await first.text(), 'page-v1', '首次请求应该返回网络响应');
+
+    const second = await proxyService.proxyGet(url);
+    this.assertEqual(await second.text(), 'page-v1', '缓存命中应该返回相同内容');
+    this.assertEqual(second.headers.get('x-proxy-cache'), 'HIT', '应该标记为缓存命中');
+    this.assertEqual(sentHeaders.length, 1, '新鲜的缓存不应该发起请求');
+
+    // 让条目过期，触发条件请求
+    (await proxyService.responseCache.get(`GET ${url}`)).expiresAt = 0;
+    const third = await proxyService.proxyGet(url);
+    this.assertEqual(sentHeaders[1]['If-None-Match'], '"v1"', '过期条目应该带ETag重新验证');
+    this.assertEqual(third.headers.get('x-proxy-cache'), 'REVALIDATED', '304后应该返回缓存内容');
+    this.assertEqual(await third.text(), 'page-v1', '重新验证后内容应该保持不变');
+
+    // no-store的响应不缓存，cache: 'no-store' 跳过缓存
+    await proxyService.proxyGet('https://example.com/private');
+    await proxyService.proxyGet('https://example.com/private');
+    this.assertEqual(sentHeaders.length, 4, 'no-store响应不应该被缓存');
+    await proxyService.proxyGet(url, { cache: 'no-store' });
+    this.assertEqual(sentHeaders.length, 5, 'no-store模式应该绕过缓存');
+
+    const stats = proxyService.getProxyStats().cache;
+    this.assertEqual(stats.hits, 2, '命中次数应该包括重新验证');
+    this.assertEqual(stats.revalidations, 1, '应该记录一次重新验证');
+    this.assertEqual(stats.memoryEntries, 1, '内存中应该只有一个条目');
+
+    await proxyService.purgeCache();
+    this.assertEqual(proxyService.getCacheStats().memoryEntries, 0, '清除后缓存应该为空');
+
+    // Cache-Control解析
+    const directives = parseCacheControl('public, max-age=300, no-cache');
+    this.assertEqual(directives['max-age'], 300, '应该解析max-age');
+    this.assertTrue(directives['no-cache'], '应该解析无值指令');
+
+    console.log('✅ 响应缓存测试通过');
+});
+
+proxyServiceTests.test('响应缓存 - 按Vary列出的请求头区分缓存条目', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => {
+            const sanitized = {};
+            for (const [key, value] of Object.entries(headers)) {
+                if (key.toLowerCase() !== 'x-dropped') {
+                    sanitized[key] = value;
+                }
+            }
+            return sanitized;
+        },
+        sanitizeContent: (content) => content
+    };
+
+    const proxyService = new ProxyService(mockSecurityManager, {
+        storage: createMemoryStorage(),
+        cache: { persistent: false }
+    });
+    proxyService.isInitialized = true;
+
+    const sentHeaders = [];
+    proxyService.makeProxyRequest = async (service, url, options) => {
+        const headers = options.headers || {};
+        sentHeaders.push(headers);
+        const language = headers['Accept-Language'] || 'default';
+        return new Response(`page-${language}`, {
+            status: 200,
+            headers: { 'etag': `"${language}"`, 'cache-control': 'max-age=60', 'vary': 'Accept-Language, X-Dropped' }
+        });
+    };
+
+    const url = 'https://example.com/localized';
+    const get = async (language, extra = {}) => {
+        const response = await proxyService.proxyGet(url, { headers: { 'Accept-Language': language, ...extra } });
+        return { body: await response.text(), cache: response.headers.get('x-proxy-cache') };
+    };
+
+    this.assertEqual((await get('zh-CN')).body, 'page-zh-CN', '首次请求应该返回网络响应');
+    const zhAgain = await get('zh-CN', { 'X-Dropped': 'ignored' });
+    this.assertEqual(zhAgain.cache, 'HIT', 'Vary列出的请求头相同时应该命中，未实际发送的请求头不参与比较');
+    this.assertEqual(sentHeaders.length, 1, '命中时不应该发起请求');
+
+    const en = await get('en-US');
+    this.assertEqual(en.body, 'page-en-US', 'Vary列出的请求头不同时不应该返回其他语言的缓存');
+    this.assertEqual(en.cache, null, '请求头不同时应该视为未命中');
+    this.assertEqual(sentHeaders[1]['If-None-Match'], undefined, '未命中时不应该用其他条目的ETag发起条件请求');
+
+    await proxyService.responseCache.pendingPuts.get(`GET ${url}`);
+    this.assertEqual((await get('en-US')).cache, 'HIT', '新的响应应该替换原条目');
+    this.assertEqual((await get('zh-CN')).body, 'page-zh-CN', '被替换的请求头取值应该重新请求');
+    this.assertEqual(sentHeaders.length, 3, '只有请求头不同的请求访问网络');
+
+    // 没有记录请求头取值的旧条目，响应带Vary时不使用
+    const cache = new ProxyCache({ persistent: false });
+    cache.putInMemory({
+        key: 'GET https://example.com/old', url: 'https://example.com/old', status: 200,
+        headers: [['vary', 'accept-language']], body: new ArrayBuffer(0), size: 0,
+        storedAt: Date.now(), accessedAt: Date.now(), expiresAt: Date.now() + 60000, mustRevalidate: false
+    });
+    this.assertEqual(await cache.get('GET https://example.com/old', { 'Accept-Language': 'zh-CN' }), null,
+        '无法判断请求头是否一致的旧条目应该视为未命中');
+
+    console.log('✅ 响应缓存Vary测试通过');
+});
+
+proxyServiceTests.test('响应缓存 - 后台写入不阻塞请求，持久化缓存有条目数和大小上限', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+
+    const proxyService = new ProxyService(mockSecurityManager, {
+        storage: createMemoryStorage(),
+        cache: { persistent: false, maxEntrySize: 8 }
+    });
+    proxyService.isInitialized = true;
+
+    // 没有Content-Length的流式响应，由测试控制何时结束
+    const controllers = {};
+    proxyService.makeProxyRequest = async (service, url) => new Response(new ReadableStream({
+        start(controller) {
+            controllers[url] = controller;
+            controller.enqueue(new TextEncoder().encode('abcd'));
+        }
+    }), { status: 200, headers: { 'cache-control': 'max-age=60' } });
+
+    const url = 'https://example.com/stream';
+    const response = await proxyService.proxyGet(url);
+    const reader = response.body.getReader();
+    this.assertEqual(new TextDecoder().decode((await reader.read()).value), 'abcd', '写入缓存时不应该等待响应体结束');
+    this.assertEqual(proxyService.getCacheStats().memoryEntries, 0, '响应体结束前不应该写入缓存');
+
+    controllers[url].close();
+    this.assertEqual(await (await proxyService.proxyGet(url)).text(), 'abcd', '同一响应正在写入时应该等待并命中缓存');
+
+    // 超过上限时立即停止读取，不等待响应体结束
+    const largeURL = 'https://example.com/large';
+    await proxyService.proxyGet(largeURL);
+    controllers[largeURL].enqueue(new TextEncoder().encode('efghijkl'));
+    this.assertEqual(await proxyService.responseCache.pendingPuts.get(`GET ${largeURL}`), null, '超过上限的响应不应该缓存');
+
+    // 持久化缓存按访问时间淘汰：只读取索引，删除最久未使用的条目
+    const cache = new ProxyCache({ maxPersistentEntries: 2, maxPersistentBytes: 150 });
+    const rows = [['old', 1, 100], ['middle', 2, 100], ['recent', 3, 100]];
+    const deleted = [];
+    cache.openDatabase = async () => ({
+        transaction: () => {
+            const transaction = {};
+            transaction.objectStore = () => ({
+                delete: (key) => deleted.push(key),
+                index: () => ({
+                    openKeyCursor: () => {
+                        const request = {};
+                        let position = 0;
+                        const next = () => setTimeout(() => {
+                            const row = rows[position++];
+                            request.result = row && {
+                                primaryKey: row[0], key: [row[1], row[2]], continue: next
+                            };
+                            request.onsuccess();
+                            if (!row) {
+                                transaction.oncomplete();
+                            }
+                        }, 0);
+                        next();
+                        return request;
+                    }
+                })
+            });
+            return transaction;
+        }
+    });
+    await cache.prunePersistent();
+    this.assertEqual(deleted.join(','), 'old,middle', '应该从最久未使用的条目开始删除，直到条目数和大小都在上限内');
+    this.assertEqual(cache.getStats().persistentEvictions, 2, '应该记录持久化淘汰次数');
+
+    console.log('✅ 响应缓存后台写入和淘汰测试通过');
+});
+
+proxyServiceTests.test('请求合并 - 同时发出的相同请求只访问一次代理', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => {
+            const sanitized = {};
+            for (const [key, value] of Object.entries(headers)) {
+                if (['accept', 'accept-language'].includes(key.toLowerCase())) {
+                    sanitized[key] = value;
+                }
+            }
+            return sanitized;
+        },
+        sanitizeContent: (content) => content
+    };
+
+    const proxyService = new ProxyService(mockSecurityManager, {
+        storage: createMemoryStorage(),
+        cache: { persistent: false }
+    });
+    proxyService.isInitialized = true;
+
+    let requestCount = 0;
+    proxyService.makeProxyRequest = async () => {
+        requestCount++;
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return new Response('shared body', { status: 200, headers: { 'cache-control': 'no-store' } });
+    };
+
+    const url = 'https://example.com/resource';
+    const responses = await Promise.all([
+        proxyService.proxyGet(url),
+        proxyService.proxyGet(url, { headers: { 'X-Ignored': 'stripped-by-sanitizer' } }),
+        proxyService.proxyGet(url)
+    ]);
+
+    this.assertEqual(requestCount, 1, '相同请求应该只发出一次');
+    this.assertEqual(proxyService.proxyServices.reduce((sum, s) => sum + s.requestCount, 0), 1,
+        '合并的请求只应该计入一次速率限制');
+    this.assertTrue(responses[0] !== responses[1], '每个调用方应该拿到独立的响应对象');
+
+    const bodies = await Promise.all(responses.map(response => response.text()));
+    this.assertTrue(bodies.every(body => body === 'shared body'), '每个克隆都应该可以独立读取');
+
+    // 相关请求头不同时不合并
+    await Promise.all([
+        proxyService.proxyGet(url, { headers: { 'Accept-Language': 'zh-CN' } }),
+        proxyService.proxyGet(url, { headers: { 'Accept-Language': 'en-US' } })
+    ]);
+    this.assertEqual(requestCount, 3, '请求头不同的请求不应该合并');
+
+    const stats = proxyService.getProxyStats();
+    this.assertEqual(stats.coalescedRequests, 2, '应该记录合并次数');
+    this.assertEqual(stats.inflightRequests, 0, '请求结束后不应该残留进行中的记录');
+
+    console.log('✅ 请求合并测试通过');
+});
+
+proxyServiceTests.test('请求合并 - 第一个调用方拿到原始响应，不留下无人读取的响应体', async function() {
+    const proxyService = new ProxyService({}, { storage: createMemoryStorage(), cache: { persistent: false } });
+
+    let original = null;
+    const execute = async () => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        original = new Response('shared body', { status: 200 });
+        return original;
+    };
+
+    const first = proxyService.coalesceRequest('GET https://example.com/a', 'https://example.com/a', execute);
+    const second = proxyService.coalesceRequest('GET https://example.com/a', 'https://example.com/a', execute);
+    const third = proxyService.coalesceRequest('GET https://example.com/a', 'https://example.com/a', execute);
+
+    // 第一个调用方拿到响应后立即读取，不影响其他调用方
+    const firstBody = await first.then(response => {
+        this.assertTrue(response === original, '第一个调用方应该拿到原始响应');
+        return response.text();
+    });
+    const others = await Promise.all([second, third]);
+    this.assertTrue(others.every(response => response !== original), '其余调用方应该拿到克隆');
+    const otherBodies = await Promise.all(others.map(response => response.text()));
+    this.assertEqual(firstBody, 'shared body', '原始响应体应该可以读取');
+    this.assertTrue(otherBodies.every(body => body === 'shared body'), '每个克隆都应该可以独立读取');
+    this.assertTrue(original.bodyUsed, '原始响应体应该由调用方读取，而不是被保留');
+    this.assertEqual(proxyService.inflightRequests.size, 0, '请求结束后不应该残留进行中的记录');
+
+    // 单独的请求直接拿到原始响应
+    const single = await proxyService.coalesceRequest('GET https://example.com/b', 'https://example.com/b', execute);
+    this.assertTrue(single === original, '没有合并时应该直接返回原始响应');
+    await single.text();
+
+    // 失败时所有调用方都收到同一个错误
+    const failing = async () => {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        throw new Error('代理失败');
+    };
+    const results = await Promise.allSettled([
+        proxyService.coalesceRequest('GET https://example.com/c', 'https://example.com/c', failing),
+        proxyService.coalesceRequest('GET https://example.com/c', 'https://example.com/c', failing)
+    ]);
+    this.assertTrue(results.every(result => result.status === 'rejected' && result.reason.message === '代理失败'),
+        '失败应该传给所有合并的调用方');
+    this.assertEqual(proxyService.inflightRequests.size, 0, '失败后不应该残留进行中的记录');
+
+    console.log('✅ 请求合并响应归属测试通过');
+});
+
+proxyServiceTests.test('自适应选择 - 根据延迟和成功率选择代理并保留探索流量', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+
+    const proxyService = new ProxyService(mockSecurityManager, {
+        storage: createMemoryStorage(),
+        selection: { explorationRate: 0.2 }
+    });
+    proxyService.proxyServices = ['Fast', 'Slow', 'Flaky'].map(name => ({
+        name, url: `https://${name.toLowerCase()}.example/?`, type: 'test',
+        timeout: 8000, rateLimit: 100, lastUsed: 0, requestCount: 0
+    }));
+    const [fast, slow, flaky] = proxyService.proxyServices;
+
+    // 冷启动时先选择没有样本的服务
+    proxyService.random = () => 0.99;
+    this.assertEqual(proxyService.selectBestProxy().name, 'Fast', '没有样本时应该按最近最少使用选择');
+    this.assertEqual(proxyService.lastSelection.reason, 'cold-start', '应该记录冷启动原因');
+
+    for (let i = 0; i < 5; i++) {
+        proxyService.recordProviderOutcome(fast, { success: true, latency: 200, bytes: 100000 });
+        proxyService.recordProviderOutcome(slow, { success: true, latency: 1500, bytes: 100000 });
+        proxyService.recordProviderOutcome(flaky, { success: i % 2 === 0, latency: 100 });
+    }
+
+    const best = proxyService.selectBestProxy();
+    this.assertEqual(best.name, 'Fast', '应该选择预期耗时最短的服务');
+    this.assertEqual(proxyService.lastSelection.reason, 'best-score', '应该记录按评分选择');
+
+    const scores = proxyService.getProxyStats().providerScores;
+    const fastScore = scores.find(score => score.name === 'Fast');
+    const flakyScore = scores.find(score => score.name === 'Flaky');
+    this.assertEqual(fastScore.latencyEwma, 200, '延迟EWMA应该正确');
+    this.assertTrue(fastScore.bytesPerSecond > 0, '应该记录吞吐量');
+    this.assertTrue(flakyScore.successRate < 1 && flakyScore.expectedCost > fastScore.expectedCost,
+        '不稳定的服务预期耗时应该更高');
+
+    // 探索流量
+    proxyService.random = () => 0.05;
+    const explored = proxyService.selectBestProxy();
+    this.assertTrue(explored.name !== 'Fast', '探索时应该选择非最优服务');
+    this.assertEqual(proxyService.lastSelection.reason, 'exploration', '应该记录探索原因');
+
+    // 同一次请求中不重复尝试已失败的服务
+    proxyService.random = () => 0.99;
+    this.assertEqual(proxyService.selectBestProxy(new Set(['Fast'])).name !== 'Fast', true, '应该排除已尝试的服务');
+
+    console.log('✅ 自适应代理选择测试通过');
+});
+
+proxyServiceTests.test('对冲请求 - 主服务过慢时向次优服务发请求并取消落败者', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+
+    const proxyService = new ProxyService(mockSecurityManager, {
+        storage: createMemoryStorage(),
+        cache: { persistent: false },
+        hedging: { enabled: true, minSamples: 3, minDelay: 10 }
+    });
+    proxyService.isInitialized = true;
+    proxyService.random = () => 0.99;
+    proxyService.proxyServices = ['Primary', 'Backup'].map(name => ({
+        name, url: `https://${name.toLowerCase()}.example/?`, type: 'test',
+        timeout: 8000, rateLimit: 100, lastUsed: 0, requestCount: 0
+    }));
+    const [primary, backup] = proxyService.proxyServices;
+
+    // 主服务通常在20ms内返回，备用服务稍慢
+    for (let i = 0; i < 5; i++) {
+        proxyService.recordProviderOutcome(primary, { success: true, latency: 20 });
+        proxyService.recordProviderOutcome(backup, { success: true, latency: 40 });
+    }
+    this.assertEqual(proxyService.getHedgeDelay(primary), 20, '对冲延迟应该取主服务的延迟百分位');
+
+    const abortedServices = [];
+    const delays = { Primary: 500, Backup: 30 };
+    proxyService.makeProxyRequest = (service, url, options) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => resolve(new Response(service.name, { status: 200 })), delays[service.name]);
+        options.signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            abortedServices.push(service.name);
+            const error = new Error('请求已取消');
+            error.name = 'AbortError';
+            reject(error);
+        });
+    });
+
+    const response = await proxyService.proxyGet('https://example.com/slow', { cache: 'no-store' });
+    this.assertEqual(await response.text(), 'Backup', '先返回的对冲请求应该胜出');
+    this.assertEqual(abortedServices.join(','), 'Primary', '落败的请求应该被取消');
+
+    const stats = proxyService.getProxyStats().hedging;
+    this.assertEqual(stats.hedgedRequests, 1, '应该记录对冲请求次数');
+    this.assertEqual(stats.hedgeWins, 1, '应该记录对冲胜出次数');
+    this.assertEqual(proxyService.failureCount.get('Primary') || 0, 0, '被取消的请求不应计为失败');
+
+    // 主服务及时返回时不发出对冲请求
+    delays.Primary = 1;
+    const fastResponse = await proxyService.proxyGet('https://example.com/fast', { cache: 'no-store' });
+    this.assertEqual(await fastResponse.text(), 'Primary', '主服务及时返回时应该直接使用');
+    this.assertEqual(proxyService.getProxyStats().hedging.hedgedRequests, 1, '不应该发出额外的对冲请求');
+
+    // 请求结束后不应该在调用方的signal上留下监听器
+    const callerController = new AbortController();
+    const callerListeners = new Set();
+    const { signal } = callerController;
+    const addListener = signal.addEventListener.bind(signal);
+    const removeListener = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (type, listener, listenerOptions) => {
+        callerListeners.add(listener);
+        addListener(type, listener, listenerOptions);
+    };
+    signal.removeEventListener = (type, listener, listenerOptions) => {
+        callerListeners.delete(listener);
+        removeListener(type, listener, listenerOptions);
+    };
+    delays.Primary = 500;
+    const hedged = await proxyService.proxyGet('https://example.com/signal', { cache: 'no-store', signal });
+    this.assertEqual(await hedged.text(), 'Backup', '带signal的请求同样可以对冲');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    this.assertEqual(callerListeners.size, 0, '请求结束后应该移除调用方signal上的监听器');
+
+    console.log('✅ 对冲请求测试通过');
+});
+
+proxyServiceTests.test('通用请求 - proxyRequest按代理能力转发HEAD/PUT/DELETE并清理请求头', async function() {
+    const sanitizedHeaders = [];
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => {
+            const clean = {};
+            for (const [name, value] of Object.entries(headers)) {
+                if (name.toLowerCase() !== 'cookie') {
+                    clean[name] = value;
+                }
+            }
+            sanitizedHeaders.push(clean);
+            return clean;
+        },
+        sanitizeContent: (content) => content
+    };
+
+    const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage() });
+    proxyService.isInitialized = true;
+
+    // 未声明methods时按解包方式推断
+    const jsonProvider = proxyService.normalizeProviderConfig({
+        name: 'Wrapped', url: 'https://wrapped.example/?u={encodedUrl}', unwrap: 'json', timeout: 1000, rateLimit: 10
+    });
+    const rawProvider = proxyService.normalizeProviderConfig({
+        name: 'Raw', url: 'https://raw.example/{url}', timeout: 1000, rateLimit: 10
+    });
+    this.assertEqual(jsonProvider.methods.join(','), 'GET', 'JSON包装的代理默认只支持GET');
+    this.assertEqual(rawProvider.methods.join(','), 'GET,HEAD', '原样转发的代理默认支持GET/HEAD');
+
+    proxyService.proxyServices = [
+        { ...jsonProvider, lastUsed: 0, requestCount: 0 },
+        { ...rawProvider, lastUsed: 0, requestCount: 0 },
+        { ...rawProvider, name: 'Full', methods: ['GET', 'HEAD', 'PUT', 'DELETE'], lastUsed: 0, requestCount: 0 }
+    ];
+
+    const calls = [];
+    proxyService.makeProxyRequest = async (service, url, options) => {
+        calls.push({ service: service.name, method: options.method, body: options.body });
+        proxyService.securityManager.sanitizeHeaders(options.headers || {});
+        return new Response(null, { status: 200, headers: { 'content-length': '2048', 'content-type': 'application/pdf' } });
+    };
+
+    const head = await proxyService.proxyRequest('head', 'https://example.com/file.pdf', {
+        headers: { Accept: '*/*', Cookie: 'secret=1' }
+    });
+    this.assertEqual(head.headers.get('content-length'), '2048', 'HEAD应该返回资源大小');
+    this.assertEqual(calls[0].method, 'HEAD', '应该以HEAD方法转发');
+    this.assertTrue(calls[0].service !== 'Wrapped', '不支持HEAD的代理不应该被选择');
+    this.assertFalse('Cookie' in sanitizedHeaders[sanitizedHeaders.length - 1], '请求头应该经过sanitizeHeaders过滤');
+
+    await proxyService.proxyRequest('PUT', 'https://example.com/upload', { body: 'data' });
+    this.assertEqual(calls[1].service, 'Full', 'PUT只应该发往声明支持的代理');
+    this.assertEqual(calls[1].body, 'data', '应该转发请求体');
+
+    // 没有任何代理支持时给出明确错误
+    proxyService.proxyServices = proxyService.proxyServices.slice(0, 2);
+    let methodError = null;
+    try {
+        await proxyService.proxyRequest('DELETE', 'https://example.com/item');
+    } catch (error) {
+        methodError = error;
+    }
+    this.assertTrue(methodError && methodError.message.includes('没有支持 DELETE 请求的代理服务'), '应该说明没有代理支持该方法');
+    this.assertTrue(methodError.message.includes('Wrapped: GET'), '错误信息应该列出各代理支持的方法');
+
+    let bodyError = null;
+    try {
+        await proxyService.proxyRequest('HEAD', 'https://example.com/file.pdf', { body: 'x' });
+    } catch (error) {
+        bodyError = error;
+    }
+    this.assertTrue(bodyError !== null, 'HEAD请求不应该允许请求体');
+
+    console.log('✅ 通用代理请求测试通过');
+});
+
+proxyServiceTests.test('HAR录制和回放 - 录制代理请求后可以离线回放', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+
+    const pngBytes = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]);
+    const originalFetch = window.fetch;
+    let networkRequests = 0;
+
+    try {
+        // 录制
+        window.fetch = async (proxyUrl) => {
+            networkRequests++;
+            if (proxyUrl.includes(encodeURIComponent('https://example.com/logo.png'))) {
+                return new Response(pngBytes, { status: 200, headers: { 'content-type': 'image/png' } });
+            }
+            return new Response('<h1>你好</h1>', { status: 200, headers: { 'content-type': 'text/html; charset=utf-8' } });
+        };
+
+        const storage = createMemoryStorage();
+        const recorder = new ProxyService(mockSecurityManager, { storage, cache: { persistent: false } });
+        recorder.isInitialized = true;
+        recorder.proxyServices = [{
+            name: 'Stub', url: 'https://stub.example/?url={encodedUrl}', type: 'test', unwrap: 'raw',
+            methods: ['GET', 'HEAD'], timeout: 5000, rateLimit: 100, lastUsed: 0, requestCount: 0
+        }];
+        await recorder.updateHarSettings({ mode: 'record' });
+
+        await (await recorder.proxyGet('https://example.com/page', { cache: 'no-store' })).text();
+        await (await recorder.proxyGet('https://example.com/logo.png', { cache: 'no-store' })).arrayBuffer();
+
+        const har = await recorder.exportHar();
+        this.assertEqual(har.log.version, '1.2', '应该导出HAR 1.2');
+        this.assertEqual(har.log.entries.length, 2, '应该录制每个代理请求');
+        this.assertEqual(har.log.entries[0].request.url, 'https://example.com/page', '应该记录目标URL而不是代理URL');
+        this.assertEqual(har.log.entries[0].response.content.text, '<h1>你好</h1>', '文本响应应该按原文录制');
+        this.assertEqual(har.log.entries[1].response.content.encoding, 'base64', '二进制响应应该以base64录制');
+        this.assertEqual(JSON.parse(storage.getItem('wbd.harSettings')).mode, 'record', '录制模式应该被保存');
+
+        // 回放：任何网络请求都视为失败
+        window.fetch = async () => {
+            networkRequests++;
+            throw new Error('回放模式不应该访问网络');
+        };
+        const requestsBeforeReplay = networkRequests;
+
+        const player = new ProxyService(mockSecurityManager, { storage: createMemoryStorage(), cache: { persistent: false } });
+        await player.updateHarSettings({ mode: 'replay', source: JSON.stringify(har) });
+        this.assertTrue(player.isInitialized, '加载HAR后即可使用，无需验证代理服务');
+
+        const page = await player.proxyGet('https://example.com/page', { cache: 'no-store' });
+        this.assertEqual(await page.text(), '<h1>你好</h1>', '应该回放录制的文本');
+        this.assertEqual(page.headers.get('x-har-replay'), 'HIT', '回放的响应应该带有标记');
+
+        const logo = new Uint8Array(await (await player.proxyGet('https://example.com/logo.png', { cache: 'no-store' })).arrayBuffer());
+        this.assertEqual(Array.from(logo).join(','), Array.from(pngBytes).join(','), '应该回放录制的二进制内容');
+
+        let missError = null;
+        try {
+            await player.proxyGet('https://example.com/missing', { cache: 'no-store' });
+        } catch (error) {
+            missError = error;
+        }
+        this.assertTrue(missError && missError.message.includes('HAR回放中没有该请求的记录'), '没有录制的请求应该明确报错');
+        this.assertEqual(networkRequests, requestsBeforeReplay, '回放期间不应该访问网络');
+        this.assertEqual(player.getProxyStats().har.replayHits, 2, '应该统计回放命中次数');
+    } finally {
+        window.fetch = originalFetch;
+    }
+
+    console.log('✅ HAR录制和回放测试通过');
+});
+
+proxyServiceTests.test('HAR录制和回放 - 录制不等待响应体，流式读取照常进行', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        validateProxyService: async () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+    const originalFetch = window.fetch;
+    let streamController = null;
+
+    try {
+        window.fetch = async () => new Response(new ReadableStream({
+            start(controller) {
+                streamController = controller;
+                controller.enqueue(new TextEncoder().encode('第一段'));
+            }
+        }), { status: 200, headers: { 'content-type': 'text/plain' } });
+
+        const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage(), cache: { persistent: false } });
+        proxyService.isInitialized = true;
+        proxyService.proxyServices = [{
+            name: 'Stub', url: 'https://stub.example/?url={encodedUrl}', type: 'test', unwrap: 'raw',
+            methods: ['GET', 'HEAD'], timeout: 5000, rateLimit: 100, lastUsed: 0, requestCount: 0
+        }];
+        await proxyService.updateHarSettings({ mode: 'record' });
+
+        // 响应体还没有结束，请求也应该返回
+        const response = await proxyService.proxyStream('https://example.com/large.txt');
+        const reader = response.body.getReader();
+        const first = await reader.read();
+        this.assertEqual(new TextDecoder().decode(first.value), '第一段', '响应体结束前就可以读取');
+        this.assertEqual(proxyService.harArchive.getStats().recordedEntries, 1, '条目应该在请求返回时加入');
+
+        streamController.enqueue(new TextEncoder().encode('第二段'));
+        streamController.close();
+        while (!(await reader.read()).done) {
+            // 读完调用方的响应
+        }
+
+        const har = await proxyService.exportHar();
+        this.assertEqual(har.log.entries[0].response.content.text, '第一段第二段', '导出时应该等待并包含完整的响应体');
+
+        // 声明的长度超过上限时不读取响应体
+        proxyService.harArchive.options.maxBodySize = 4;
+        const entry = await proxyService.harArchive.record({
+            url: 'https://example.com/huge.bin',
+            response: new Response('0123456789', { headers: { 'content-length': '10' } }),
+            startTime: Date.now()
+        });
+        this.assertEqual(entry.response.content.comment, '响应体过大，未录制', '超过上限的响应体不录制');
+        this.assertEqual(entry.response.bodySize, 10, '应该记录声明的长度');
+
+        // 没有声明长度时读到上限就停止，调用方仍然可以读取完整的响应体
+        let pulls = 0;
+        const undeclared = new Response(new ReadableStream({
+            pull(controller) {
+                pulls++;
+                controller.enqueue(new TextEncoder().encode('01234'));
+                if (pulls === 20) {
+                    controller.close();
+                }
+            }
+        }, { highWaterMark: 0 }), { headers: { 'content-type': 'text/plain' } });
+        const streamed = await proxyService.harArchive.record({
+            url: 'https://example.com/stream.txt',
+            response: undeclared,
+            startTime: Date.now()
+        });
+        this.assertEqual(streamed.response.content.comment, '响应体过大，未录制', '没有声明长度的大响应体不录制');
+        this.assertEqual(streamed.response.bodySize, -1, '没有读完的响应体大小记为未知');
+        this.assertEqual(streamed.response.content.text, undefined, '不应该保存部分响应体');
+        this.assertTrue(pulls < 20, '超过上限后录制不应该继续读取');
+        this.assertEqual((await undeclared.text()).length, 100, '调用方应该可以读取完整的响应体');
+
+        this.assertEqual(har.log.creator.name, APP_NAME, 'HAR的创建者应该是应用名称');
+        this.assertEqual(har.log.creator.version, APP_VERSION, 'HAR的创建者版本应该来自共用的版本号');
+    } finally {
+        window.fetch = originalFetch;
+    }
+
+    console.log('✅ HAR后台录制测试通过');
+});
+
+proxyServiceTests.test('HAR录制和回放 - 跳过浏览器导出的无法回放的记录', async function() {
+    const entry = (url, status, headers = []) => ({
+        request: { method: 'GET', url },
+        response: { status, statusText: '', headers, content: { mimeType: 'text/plain', text: url } }
+    });
+    const har = {
+        log: {
+            entries: [
+                entry('https://example.com/blocked.js', 0),
+                entry('https://example.com/switching', 101),
+                entry('https://example.com/page', 200, [
+                    { name: ':status', value: '200' },
+                    { name: 'bad header', value: 'x' },
+                    { name: 'Content-Type', value: 'text/plain' }
+                ])
+            ]
+        }
+    };
+
+    const proxyService = new ProxyService({}, { storage: createMemoryStorage(), cache: { persistent: false } });
+    const count = await proxyService.loadHarReplay(JSON.stringify(har));
+    this.assertEqual(count, 1, '只加载可以回放的记录');
+    this.assertEqual(proxyService.getProxyStats().har.replaySkipped, 2, '状态码为0或不在200-599之间的记录应该被跳过并计数');
+    this.assertEqual(proxyService.harArchive.findResponse('GET', 'https://example.com/blocked.js'), null, '跳过的记录视为没有录制');
+
+    const response = proxyService.harArchive.findResponse('GET', 'https://example.com/page');
+    this.assertEqual(await response.text(), 'https://example.com/page', '其他记录应该正常回放');
+    this.assertEqual(response.headers.get('content-type'), 'text/plain', '合法的响应头应该还原');
+    this.assertEqual(Array.from(response.headers.keys()).join(','), 'content-type,x-har-replay', 'HTTP/2伪头和无效的头名称应该被忽略');
+
+    console.log('✅ HAR无效记录测试通过');
+});
+
+proxyServiceTests.test('HAR录制和回放 - URL参数优先于保存的设置', async function() {
+    const proxyService = new ProxyService({}, { storage: createMemoryStorage() });
+    proxyService.harSettings = { mode: 'record', source: '' };
+
+    const originalLocation = window.location;
+    const withSearch = (search) => {
+        Object.defineProperty(window, 'location', { value: { ...originalLocation, search }, configurable: true });
+        return proxyService.resolveHarSettings();
+    };
+
+    try {
+        this.assertEqual(withSearch('').mode, 'record', '没有URL参数时使用保存的设置');
+        const replay = withSearch('?har=fixtures%2Fdemo.har');
+        this.assertEqual(replay.mode, 'replay', 'har参数为文件地址时进入回放模式');
+        this.assertEqual(replay.source, 'fixtures/demo.har', '应该使用参数中的HAR地址');
+        this.assertEqual(withSearch('?har=off').mode, 'off', 'har=off应该临时关闭');
+        this.assertEqual(withSearch(`?har=${encodeURIComponent('https://evil.example/x.har')}`).mode, 'off',
+            '其他来源的HAR地址不应该进入回放模式');
+        this.assertEqual(withSearch('?har=%2F%2Fevil.example%2Fx.har').mode, 'off', '协议相对地址同样按来源检查');
+    } finally {
+        Object.defineProperty(window, 'location', { value: originalLocation, configurable: true });
+    }
+
+    // 保存的回放来源同样只接受同源地址
+    const storage = createMemoryStorage();
+    storage.setItem('wbd.harSettings', JSON.stringify({ mode: 'replay', source: 'https://evil.example/x.har' }));
+    const restored = new ProxyService({}, { storage });
+    this.assertEqual(restored.getHarSettings().mode, 'off', '保存的其他来源HAR地址应该被忽略');
+
+    let loadError = null;
+    try {
+        await restored.loadHarReplay('https://evil.example/x.har');
+    } catch (error) {
+        loadError = error;
+    }
+    this.assertTrue(loadError && loadError.message.includes('同源'), '不应该读取其他来源的HAR文件');
+
+    console.log('✅ HAR设置来源测试通过');
+});
+
+proxyServiceTests.test('Cookie - 支持Cookie的代理服务应该保存并发回Cookie', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+
+    const originalFetch = window.fetch;
+    const sentCookies = [];
+
+    try {
+        window.fetch = async (proxyUrl, init) => {
+            sentCookies.push({ proxyUrl, cookie: init.headers['X-Relay-Cookie'] });
+            const headers = { 'content-type': 'text/plain' };
+            if (proxyUrl.includes(encodeURIComponent('https://example.com/login'))) {
+                headers['x-relay-set-cookie'] = JSON.stringify([
+                    { url: 'https://example.com/login', cookies: ['session=abc; Path=/; Max-Age=3600'] }
+                ]);
+            }
+            return new Response('ok', { status: 200, headers });
+        };
+
+        const storage = createMemoryStorage();
+        const proxyService = new ProxyService(mockSecurityManager, { storage, cache: { persistent: false } });
+        proxyService.isInitialized = true;
+        proxyService.proxyServices = [{
+            name: 'Relay', url: 'http://localhost:8787/proxy?url={encodedUrl}', type: 'local', unwrap: 'raw',
+            methods: ['GET', 'HEAD', 'POST'], cookies: true, timeout: 5000, rateLimit: 100, lastUsed: 0, requestCount: 0
+        }];
+
+        await (await proxyService.proxyPost('https://example.com/login', 'user=a')).text();
+        this.assertEqual(sentCookies[0].cookie, undefined, '没有Cookie时不应该发送X-Relay-Cookie');
+        this.assertEqual(proxyService.cookieJar.getCookieHeader('https://example.com/'), 'session=abc', '应该保存中继返回的Cookie');
+
+        await (await proxyService.proxyGet('https://example.com/account')).text();
+        await (await proxyService.proxyGet('https://example.com/account')).text();
+        this.assertEqual(sentCookies[1].cookie, 'session=abc', '之后的请求应该带上Cookie');
+        this.assertEqual(sentCookies.length, 3, '带Cookie的请求不应该使用共享缓存');
+
+        // 不支持Cookie的代理服务不发送Cookie
+        proxyService.proxyServices[0].cookies = false;
+        await (await proxyService.proxyGet('https://example.com/public', { cache: 'no-store' })).text();
+        this.assertEqual(sentCookies[3].cookie, undefined, '不支持Cookie的代理服务不应该收到Cookie');
+
+        this.assertTrue(storage.getItem('wbd.cookieJar').includes('session'), '持久Cookie应该被保存');
+    } finally {
+        window.fetch = originalFetch;
+    }
+
+    console.log('✅ 代理Cookie测试通过');
+});
+
+proxyServiceTests.test('Cookie - 默认只有自托管中继支持Cookie', async function() {
+    const proxyService = new ProxyService({}, { storage: createMemoryStorage() });
+    const providers = proxyService.getProviders();
+
+    this.assertTrue(providers.find(config => config.name === 'LocalRelay').cookies, '自托管中继应该支持Cookie');
+    this.assertFalse(providers.find(config => config.name === 'AllOrigins').cookies === true, '公共代理不应该转发Cookie');
+    this.assertTrue(proxyService.normalizeProviderConfig({
+        name: 'MyRelay', url: 'https://relay.example/?url={encodedUrl}', type: 'local', timeout: 1000, rateLimit: 10
+    }).cookies, 'local类型的自定义中继默认支持Cookie');
+
+    console.log('✅ Cookie默认配置测试通过');
+});
+
+proxyServiceTests.test('断路器持久化 - 重新加载后保留断路器、失败窗口和速率计数', async function() {
+    const storage = createMemoryStorage();
+    const createService = () => {
+        const proxyService = new ProxyService({}, { storage, cache: { persistent: false } });
+        proxyService.proxyServices = proxyService.proxyServices.filter(service => service.name !== 'AllOrigins');
+        return proxyService;
+    };
+
+    const first = createService();
+    const dead = first.proxyServices.find(service => service.name === 'CORS.SH');
+    const flaky = first.proxyServices.find(service => service.name === 'CORSProxy.io');
+    first.recordFailure(dead);
+    first.recordFailure(dead);
+    first.recordFailure(dead);
+    first.recordFailure(flaky);
+    first.countRequest(flaky);
+    first.countRequest(flaky);
+    first.saveHealthState();
+
+    const second = createService();
+    const restoredDead = second.proxyServices.find(service => service.name === 'CORS.SH');
+    const restoredFlaky = second.proxyServices.find(service => service.name === 'CORSProxy.io');
+    this.assertEqual(second.getCircuitState(restoredDead), 'open', '断路器状态应该在重新加载后保留');
+    this.assertFalse(second.isServiceAvailable(restoredDead), '恢复的断路器应该继续阻止请求');
+    this.assertEqual(second.failureCount.get('CORSProxy.io'), 1, '失败窗口应该被保留');
+    this.assertEqual(restoredFlaky.requestCount, 2, '速率限制计数应该被保留');
+
+    // 过期的状态被丢弃
+    const saved = JSON.parse(storage.getItem('wbd.proxyHealth'));
+    saved.services['CORSProxy.io'].failures = [Date.now() - 60 * 60 * 1000];
+    saved.services['CORSProxy.io'].rateWindowStart = Date.now() - 2 * 60 * 1000;
+    storage.setItem('wbd.proxyHealth', JSON.stringify(saved));
+    const third = createService();
+    this.assertFalse(third.failureCount.has('CORSProxy.io'), '窗口外的失败应该过期');
+    this.assertEqual(third.proxyServices.find(service => service.name === 'CORSProxy.io').requestCount, 0,
+        '过期的速率计数应该被丢弃');
+
+    saved.savedAt = Date.now() - 2 * 24 * 60 * 60 * 1000;
+    storage.setItem('wbd.proxyHealth', JSON.stringify(saved));
+    this.assertEqual(createService().circuitBreaker.size, 0, '太久以前保存的断路器状态应该被丢弃');
+
+    console.log('✅ 断路器持久化测试通过');
+});
+
+proxyServiceTests.test('断路器持久化 - 只在状态变化时写入存储', async function() {
+    const storage = createMemoryStorage();
+    let writes = 0;
+    const countingStorage = {
+        ...storage,
+        setItem: (key, value) => {
+            if (key === 'wbd.proxyHealth') {
+                writes++;
+            }
+            storage.setItem(key, value);
+        }
+    };
+    const proxyService = new ProxyService({}, { storage: countingStorage, cache: { persistent: false } });
+    const service = proxyService.proxyServices.find(candidate => candidate.name === 'CORS.SH');
+
+    proxyService.countRequest(service);
+    proxyService.recordSuccess(service);
+    proxyService.recordSuccess(service);
+    this.assertEqual(writes, 0, '没有失败记录时，成功的请求不应该写存储');
+
+    proxyService.recordFailure(service);
+    this.assertEqual(writes, 1, '失败应该保存失败窗口');
+    proxyService.recordSuccess(service);
+    this.assertEqual(writes, 2, '失败计数清零时应该保存');
+    proxyService.recordSuccess(service);
+    this.assertEqual(writes, 2, '状态没有变化时不应该再次保存');
+
+    proxyService.recordFailure(service);
+    proxyService.recordFailure(service);
+    proxyService.recordFailure(service);
+    this.assertEqual(proxyService.getCircuitState(service), 'open', '达到阈值应该开启断路器');
+    writes = 0;
+    proxyService.recordSuccess(service);
+    this.assertEqual(writes, 1, '断路器关闭时应该保存');
+
+    // 速率计数在离开页面时保存
+    proxyService.validateProxyServices = async () => {};
+    proxyService.setupHealthCheck = () => {};
+    const originalAddEventListener = window.addEventListener;
+    let onPageHide = null;
+    window.addEventListener = (type, listener) => {
+        if (type === 'pagehide') {
+            onPageHide = listener;
+        }
+    };
+    try {
+        await proxyService.initialize();
+    } finally {
+        window.addEventListener = originalAddEventListener;
+    }
+    this.assertTrue(typeof onPageHide === 'function', '初始化时应该注册pagehide处理');
+    proxyService.countRequest(service);
+    writes = 0;
+    onPageHide();
+    this.assertTrue(writes >= 1, '离开页面时应该保存状态');
+    const saved = JSON.parse(storage.getItem('wbd.proxyHealth'));
+    this.assertEqual(saved.services['CORS.SH'].requestCount, 2, '保存的状态应该包含最新的速率计数');
+
+    console.log('✅ 状态保存时机测试通过');
+});
+
+proxyServiceTests.test('代理服务提供者注册表 - 改名后沿用断路器、速率和延迟统计', async function() {
+    const storage = createMemoryStorage();
+    const proxyService = new ProxyService({}, { storage, cache: { persistent: false } });
+    const service = proxyService.proxyServices.find(candidate => candidate.name === 'CORS.SH');
+    proxyService.recordFailure(service);
+    proxyService.recordFailure(service);
+    proxyService.recordFailure(service);
+    proxyService.countRequest(service);
+    proxyService.recordProviderOutcome(service, { success: true, latency: 300 });
+
+    await proxyService.updateProvider('CORS.SH', { name: 'CORS.SH Mirror' });
+
+    const renamed = proxyService.proxyServices.find(candidate => candidate.name === 'CORS.SH Mirror');
+    this.assertEqual(proxyService.getCircuitState(renamed), 'open', '断路器状态应该移到新名称下');
+    this.assertEqual(renamed.requestCount, 1, '速率计数应该保留');
+    this.assertEqual(proxyService.providerMetrics.get('CORS.SH Mirror').latencyEwma, 300, '延迟统计应该保留');
+    ['failureCount', 'failureWindows', 'circuitBreaker', 'providerDiagnostics', 'providerMetrics'].forEach(map => {
+        this.assertFalse(proxyService[map].has('CORS.SH'), `原名称下不应该残留状态: ${map}`);
+    });
+
+    const saved = JSON.parse(storage.getItem('wbd.proxyHealth'));
+    this.assertFalse('CORS.SH' in saved.services, '保存的状态中不应该残留原名称');
+    const reloaded = new ProxyService({}, { storage, cache: { persistent: false } });
+    const restored = reloaded.proxyServices.find(candidate => candidate.name === 'CORS.SH Mirror');
+    this.assertEqual(reloaded.getCircuitState(restored), 'open', '重新加载后断路器应该在新名称下恢复');
+    this.assertEqual(restored.requestCount, 1, '重新加载后速率计数应该在新名称下恢复');
+
+    console.log('✅ 代理服务改名测试通过');
+});
+
+proxyServiceTests.test('断路器持久化 - 健康检查在后台进行半开探测', async function() {
+    const proxyService = new ProxyService({}, { storage: createMemoryStorage(), cache: { persistent: false } });
+    const service = proxyService.proxyServices.find(candidate => candidate.name === 'CORS.SH');
+    let healthy = false;
+    const probed = [];
+    proxyService.testProxyConnectivity = async (candidate) => {
+        probed.push(candidate.name);
+        return candidate.name !== 'CORS.SH' || healthy;
+    };
+
+    for (let i = 0; i < 3; i++) {
+        proxyService.recordFailure(service);
+    }
+    this.assertEqual(proxyService.getCircuitState(service), 'open', '窗口内失败3次应该开启断路器');
+
+    // 未到期时不探测，也不放行用户请求
+    await proxyService.performHealthCheck({ probesOnly: true });
+    this.assertEqual(probed.length, 0, '断路器未到期时不应该探测');
+    this.assertFalse(proxyService.isServiceAvailable(service), '断路器开启期间不应该接收请求');
+
+    // 到期后探测失败：重新开启，等待时间加倍
+    proxyService.circuitBreaker.get('CORS.SH').openedAt -= 5 * 60 * 1000;
+    this.assertFalse(proxyService.isServiceAvailable(service), '到期后也不应该把用户请求当作探测');
+    await proxyService.performHealthCheck({ probesOnly: true });
+    this.assertEqual(probed.join(','), 'CORS.SH', '只应该探测到期的断路器');
+    this.assertEqual(proxyService.getCircuitState(service), 'open', '探测失败应该重新开启断路器');
+    this.assertEqual(proxyService.circuitBreaker.get('CORS.SH').timeout, 10 * 60 * 1000, '探测失败后等待时间应该加倍');
+
+    // 再次到期后探测成功：关闭断路器
+    healthy = true;
+    proxyService.circuitBreaker.get('CORS.SH').openedAt -= 10 * 60 * 1000;
+    await proxyService.performHealthCheck();
+    this.assertEqual(proxyService.getCircuitState(service), 'closed', '探测成功应该关闭断路器');
+    this.assertTrue(proxyService.isServiceAvailable(service), '恢复后应该重新接收请求');
+    this.assertEqual(proxyService.failureCount.get('CORS.SH'), 0, '恢复后应该清空失败计数');
+
+    console.log('✅ 半开探测测试通过');
+});
+
+proxyServiceTests.test('拦截器 - 按顺序改写请求、处理响应并支持短路', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: (url) => ({ isValid: !url.includes('javascript:') }),
+        sanitizeHeaders: (headers) => {
+            const sanitized = {};
+            for (const [key, value] of Object.entries(headers)) {
+                if (key.toLowerCase() === 'accept') {
+                    sanitized[key] = value;
+                }
+            }
+            return sanitized;
+        },
+        sanitizeContent: (content) => content
+    };
+
+    const originalFetch = window.fetch;
+    const requests = [];
+
+    try {
+        window.fetch = async (proxyUrl, init) => {
+            requests.push({ proxyUrl, headers: init.headers });
+            return new Response('origin', { status: 200, headers: { 'content-type': 'text/plain' } });
+        };
+
+        const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage(), cache: { persistent: false } });
+        proxyService.isInitialized = true;
+        proxyService.proxyServices = [{
+            name: 'Stub', url: 'https://stub.example/?url={encodedUrl}', type: 'test', unwrap: 'raw',
+            methods: ['GET', 'HEAD'], timeout: 5000, rateLimit: 100, lastUsed: 0, requestCount: 0
+        }];
+
+        const order = [];
+        proxyService.use({
+            name: 'strip-tracking',
+            request: (context) => {
+                order.push('strip-tracking');
+                const target = new URL(context.url);
+                [...target.searchParams.keys()].filter(key => key.startsWith('utm_'))
+                    .forEach(key => target.searchParams.delete(key));
+                context.url = target.href;
+            }
+        });
+        proxyService.use({
+            name: 'internal-auth',
+            request: async (context) => {
+                order.push('internal-auth');
+                if (new URL(context.url).hostname === 'intranet.example.com') {
+                    context.headers.Authorization = 'Bearer token';
+                }
+            }
+        });
+        const timings = [];
+        const removeTiming = proxyService.use({
+            name: 'timing',
+            response: async (response, context) => {
+                timings.push({ url: context.url, elapsed: Date.now() - context.startTime });
+                return new Response(await response.text() + '+timed', { status: response.status, headers: response.headers });
+            }
+        });
+
+        const response = await proxyService.proxyGet('https://intranet.example.com/page?id=1&utm_source=mail', {
+            cache: 'no-store',
+            headers: { Accept: 'text/html', 'X-Page-Header': 'drop' }
+        });
+        this.assertEqual(await response.text(), 'origin+timed', '响应拦截器返回的Response应该替换原响应');
+        this.assertEqual(order.join(','), 'strip-tracking,internal-auth', '请求拦截器应该按注册顺序执行');
+        this.assertTrue(requests[0].proxyUrl.includes(encodeURIComponent('https://intranet.example.com/page?id=1')) &&
+            !requests[0].proxyUrl.includes('utm_source'), '应该请求改写后的地址');
+        this.assertEqual(requests[0].headers.Authorization, 'Bearer token', '拦截器添加的请求头不应该被过滤');
+        this.assertEqual(requests[0].headers['X-Page-Header'], undefined, '调用方的请求头仍然经过过滤');
+        this.assertEqual(timings[0].url, 'https://intranet.example.com/page?id=1', '响应拦截器应该拿到改写后的上下文');
+
+        // 短路：返回合成响应，不访问网络，后续请求拦截器不再执行
+        order.length = 0;
+        proxyService.interceptors.unshift({
+            name: 'mock',
+            request: (context) => context.url.endsWith('/mocked')
+                ? new Response('synthetic', { status: 200 })
+                : undefined
+        });
+        const mocked = await proxyService.proxyGet('https://example.com/mocked', { cache: 'no-store' });
+        this.assertEqual(await mocked.text(), 'synthetic+timed', '短路的响应仍然经过响应拦截器');
+        this.assertEqual(requests.length, 1, '短路的请求不应该访问网络');
+        this.assertEqual(order.length, 0, '短路后不应该执行后续请求拦截器');
+
+        // 移除拦截器
+        removeTiming();
+        const plain = await proxyService.proxyGet('https://example.com/plain', { cache: 'no-store' });
+        this.assertEqual(await plain.text(), 'origin', '移除后拦截器不应该再执行');
+
+        // 拦截器改写的地址同样需要通过安全检查
+        proxyService.use({ name: 'bad', request: (context) => { context.url = 'javascript:alert(1)'; } });
+        let rejected = false;
+        try {
+            await proxyService.proxyGet('https://example.com/bad', { cache: 'no-store' });
+        } catch (error) {
+            rejected = error.message.includes('不安全');
+        }
+        this.assertTrue(rejected, '改写为不安全地址的请求应该被拒绝');
+
+        let invalid = false;
+        try {
+            proxyService.use({ name: 'empty' });
+        } catch (error) {
+            invalid = true;
+        }
+        this.assertTrue(invalid, '没有request/response函数的拦截器应该被拒绝');
+    } finally {
+        window.fetch = originalFetch;
+    }
+
+    console.log('✅ 拦截器测试通过');
+});
+
+proxyServiceTests.test('拦截器 - 改写后的地址由安全管理器的检查结果把关', async function() {
+    const originalFetch = window.fetch;
+    const requests = [];
+
+    try {
+        window.fetch = async (proxyUrl) => {
+            requests.push(proxyUrl);
+            return new Response('origin', { status: 200, headers: { 'content-type': 'text/plain' } });
+        };
+
+        const proxyService = new ProxyService(new SecurityManager(), { storage: createMemoryStorage(), cache: { persistent: false } });
+        proxyService.isInitialized = true;
+        proxyService.proxyServices = [{
+            name: 'Stub', url: 'https://stub.example/?url={encodedUrl}', type: 'test', unwrap: 'raw',
+            methods: ['GET', 'HEAD'], timeout: 5000, rateLimit: 100, lastUsed: 0, requestCount: 0
+        }];
+
+        const safe = await proxyService.proxyGet('https://example.com/safe', { cache: 'no-store' });
+        this.assertEqual(await safe.text(), 'origin', '安全的地址应该正常请求');
+
+        const rewrites = {
+            '/script': 'javascript:alert(1)',
+            '/long': 'https://example.com/' + 'a'.repeat(3000)
+        };
+        proxyService.use({
+            name: 'rewrite',
+            request: (context) => {
+                const target = rewrites[new URL(context.url).pathname];
+                if (target) {
+                    context.url = target;
+                }
+            }
+        });
+
+        for (const path of Object.keys(rewrites)) {
+            let rejected = false;
+            try {
+                await proxyService.proxyGet('https://example.com' + path, { cache: 'no-store' });
+            } catch (error) {
+                rejected = error.message.includes('不安全');
+            }
+            this.assertTrue(rejected, `改写为 ${path} 对应的不安全地址应该被拒绝`);
+        }
+        this.assertEqual(requests.length, 1, '被拒绝的地址不应该访问网络');
+    } finally {
+        window.fetch = originalFetch;
+    }
+
+    console.log('✅ 改写地址安全检查测试通过');
+});
+
+proxyServiceTests.test('流式响应 - 优先使用原样转发的代理服务并报告进度', async function() {
+    const mockSecurityManager = {
+        validateHTTPS: () => true,
+        validateURLSafety: () => ({ isValid: true }),
+        sanitizeHeaders: (headers) => headers,
+        sanitizeContent: (content) => content
+    };
+
+    const originalFetch = window.fetch;
+    const usedProxies = [];
+    let rawAvailable = true;
+
+    try {
+        window.fetch = async (proxyUrl) => {
+            usedProxies.push(proxyUrl.startsWith('https://wrapped.example') ? 'Wrapped' : 'Raw');
+            if (proxyUrl.startsWith('https://wrapped.example')) {
+                return new Response(JSON.stringify({ contents: 'wrapped-body' }), { status: 200 });
+            }
+            if (!rawAvailable) {
+                throw new Error('网络错误');
+            }
+            const chunks = ['0123456789', 'abcdefghij', 'KLMNO'];
+            const stream = new ReadableStream({
+                pull(controller) {
+                    if (chunks.length === 0) {
+                        controller.close();
+                    } else {
+                        controller.enqueue(new TextEncoder().encode(chunks.shift()));
+                    }
+                }
+            });
+            return new Response(stream, { status: 200, headers: { 'content-type': 'video/mp4', 'content-length': '25' } });
+        };
+
+        const proxyService = new ProxyService(mockSecurityManager, { storage: createMemoryStorage(), cache: { persistent: false } });
+        proxyService.isInitialized = true;
+        proxyService.proxyServices = [
+            { name: 'Wrapped', url: 'https://wrapped.example/get?url={encodedUrl}', type: 'test', unwrap: 'json', unwrapField: 'contents',
+                methods: ['GET'], timeout: 5000, rateLimit: 100, lastUsed: 0, requestCount: 0 },
+            { name: 'Raw', url: 'https://raw.example/?url={encodedUrl}', type: 'test', unwrap: 'raw',
+                methods: ['GET', 'HEAD'], timeout: 5000, rateLimit: 100, lastUsed: 5, requestCount: 0 }
+        ];
+
+        const progress = [];
+        const response = await proxyService.proxyStream('https://example.com/video.mp4', {
+            onProgress: (loaded, total) => progress.push(`${loaded}/${total}`)
+        });
+        this.assertEqual(usedProxies.join(','), 'Raw', '应该优先使用原样转发的代理服务');
+        this.assertTrue(response.body && typeof response.body.getReader === 'function', '应该提供ReadableStream');
+        this.assertEqual(progress.length, 0, '读取响应体之前不应该报告进度');
+
+        const reader = response.body.getReader();
+        const first = await reader.read();
+        this.assertEqual(first.value.byteLength, 10, '应该逐块读取响应体');
+        this.assertEqual(progress.join(','), '10/25', '每读取一块都应该报告进度');
+        while (!(await reader.read()).done) { /* 读取剩余内容 */ }
+        this.assertEqual(progress.join(','), '10/25,20/25,25/25', '进度应该覆盖全部响应体');
+        this.assertEqual(response.headers.get('content-type'), 'video/mp4', '应该保留响应头');
+
+        // 原样转发的服务都失败时退回JSON包装的服务
+        rawAvailable = false;
+        usedProxies.length = 0;
+        const fallback = await proxyService.proxyStream('https://example.com/other.mp4');
+        this.assertEqual(await fallback.text(), 'wrapped-body', '原样转发不可用时应该退回JSON包装的服务');
+        this.assertEqual(usedProxies[usedProxies.length - 1], 'Wrapped', '最后应该使用JSON包装的服务');
+    } finally {
+        window.fetch = originalFetch;
+    }
+
+    console.log('✅ 流式响应测试通过');
+});
+
+proxyServiceTests.test('诊断 - 按类型统计错误并支持立即测试', async function() {
+    const proxyService = new ProxyService({}, { storage: createMemoryStorage(), cache: { persistent: false } });
+    const service = proxyService.proxyServices.find(candidate => candidate.name === 'CORS.SH');
+    const originalFetch = window.fetch;
+    let status = 503;
+    window.fetch = async () => new Response('', { status, statusText: status === 200 ? 'OK' : 'Service Unavailable' });
+
+    try {
+        proxyService.recordFailure(service, new Error('HTTP 500: Internal Server Error'));
+        proxyService.recordFailure(service, new Error('HTTP 404: Not Found'));
+        service.requestCount = 15;
+        service.rateWindowStart = Date.now();
+
+        let diagnostics = proxyService.getProviderDiagnostics().find(entry => entry.name === 'CORS.SH');
+        this.assertEqual(diagnostics.state, 'closed', '未达到阈值时断路器应该关闭');
+        this.assertEqual(diagnostics.errorCounts.server, 1, '应该按analyzeError的类型统计服务器错误');
+        this.assertEqual(diagnostics.errorCounts.notfound, 1, '应该按analyzeError的类型统计404');
+        this.assertEqual(diagnostics.lastFailure.message, 'HTTP 404: Not Found', '应该记录最近的失败原因');
+        this.assertEqual(diagnostics.rateLimit.remaining, service.rateLimit - 15, '应该报告剩余速率额度');
+
+        // 立即测试失败：计入失败并开启断路器
+        const failedProbe = await proxyService.testProvider('CORS.SH');
+        this.assertFalse(failedProbe.ok, '返回503时测试应该失败');
+        diagnostics = proxyService.getProviderDiagnostics().find(entry => entry.name === 'CORS.SH');
+        this.assertEqual(diagnostics.state, 'open', '第3次失败应该开启断路器');
+        this.assertEqual(diagnostics.errorCounts.server, 2, '测试失败也应该计入错误类型');
+        this.assertTrue(diagnostics.retryAt > Date.now(), '断路器开启时应该给出下次探测时间');
+        this.assertEqual(diagnostics.lastProbe.error, 'HTTP 503: Service Unavailable', '应该记录测试结果');
+
+        // 立即测试成功：关闭断路器
+        status = 200;
+        const probe = await proxyService.testProvider('CORS.SH');
+        this.assertTrue(probe.ok, '返回200时测试应该成功');
+        this.assertEqual(proxyService.getCircuitState(service), 'closed', '测试成功应该关闭断路器');
+
+        let missingError = null;
+        try {
+            await proxyService.testProvider('不存在');
+        } catch (error) {
+            missingError = error;
+        }
+        this.assertTrue(missingError && missingError.message.includes('代理服务不存在'), '测试不存在的服务应该报错');
+    } finally {
+        window.fetch = originalFetch;
+    }
+
+    console.log('✅ 代理诊断测试通过');
+});
+
 // 导出测试套件
 window.proxyServiceTests = proxyServiceTests;
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * 阅读模式测试
+ * 验证正文提取（标题、作者、阅读时间、图片）、字号和宽度设置以及Markdown与阅读视图一致
+ */
+
+import { ReaderView, READER_FONT_SIZE } from '../js/modules/ReaderView.js';
+
+// 创建测试实例
+const readerViewTests = new TestFramework();
+
+/**
+ * 创建测试文章页面
+ * @returns {Document} 页面文档
+ */
+function createArticlePage() {
+    const paragraph = '阅读模式只保留正文，去掉导航、广告和评论，让长文章更容易阅读。'.repeat(4);
+    return new DOMParser().parseFromString(`<!DOCTYPE html><html><head>
+        <title>示例文章 - 示例站点</title>
+        <meta name="author" content="张三">
+        <meta property="og:site_name" content="示例站点">
+        </head><body>
+        <nav><a href="/">首页</a><a href="/news">新闻</a></nav>
+        <div class="sidebar">热门推荐：其他文章的标题列表</div>
+        <article>
+            <h1>示例文章</h1>
+            <p>${paragraph}</p>
+            <img src="data:image/gif;base64,R0lGOD" data-src="/images/cover.jpg" alt="封面">
+            <h2>第二节</h2>
+            <p style="color:red" onclick="alert(1)">${paragraph}<a href="/more">更多内容</a><a href="javascript:alert(1)">坏链接</a></p>
+            <pre>function hello() {
+    return 1;
+}</pre>
+            <script>document.write('脚本插入的内容');</script>
+            <div class="comments">评论区：这段文字不应该出现在正文中</div>
+        </article>
+        <footer>版权所有</footer>
+    </body></html>`, 'text/html');
+}
+
+readerViewTests.test('阅读模式 - 提取正文、标题、作者、阅读时间和图片', async function() {
+    const doc = createArticlePage();
+    const originalHTML = doc.documentElement.outerHTML;
+    const reader = new ReaderView(null);
+
+    const article = reader.extractArticle(doc, 'https://example.com/posts/1');
+    this.assertTrue(article !== null, '应该找到正文');
+    this.assertEqual(article.title, '示例文章', '标题应该取自正文中的h1');
+    this.assertEqual(article.byline, '张三', '作者应该取自meta');
+    this.assertEqual(article.siteName, '示例站点', '站点名称应该取自og:site_name');
+    this.assertEqual(article.readingMinutes, 1, '短文章阅读时间至少1分钟');
+    this.assertTrue(article.wordCount > 100, '应该统计正文字数');
+
+    this.assertEqual(article.images.length, 1, '应该收集正文图片');
+    this.assertEqual(article.images[0].url, 'https://example.com/images/cover.jpg', '懒加载图片应该使用data-src并解析为绝对地址');
+
+    this.assertFalse(article.html.includes('<h2>示例文章</h2>'), '正文开头重复的标题不再显示');
+    this.assertTrue(article.html.includes('<h2>第二节</h2>'), '应该保留小标题');
+    this.assertTrue(article.html.includes('<a href="https://example.com/more">更多内容</a>'), '链接应该解析为绝对地址');
+    this.assertFalse(article.html.includes('javascript:'), '不应该保留javascript链接');
+    this.assertTrue(article.html.includes('    return 1;'), '代码块应该保留缩进');
+    ['首页', '热门推荐', '评论区', '版权所有', '脚本插入的内容', 'style=', 'onclick'].forEach(text => {
+        this.assertFalse(article.html.includes(text), `正文中不应该包含 ${text}`);
+    });
+
+    this.assertEqual(doc.documentElement.outerHTML, originalHTML, '提取正文不应该修改页面');
+
+    const emptyPage = new DOMParser().parseFromString('<html><body><nav><a href="/">首页</a></nav><p>很短</p></body></html>', 'text/html');
+    this.assertEqual(reader.extractArticle(emptyPage, 'https://example.com/'), null, '没有正文的页面返回null');
+
+    console.log('✅ 阅读模式正文提取测试通过');
+});
+
+readerViewTests.test('阅读模式 - 字号和宽度设置，Markdown与阅读视图一致', async function() {
+    const storage = createMemoryStorage();
+    const convertedHTML = [];
+    const markdownConverter = {
+        isInitialized: true,
+        convertToMarkdown: (html) => {
+            convertedHTML.push(html);
+            return 'markdown';
+        }
+    };
+    const reader = new ReaderView(storage, { markdownConverter });
+
+    this.assertEqual(reader.getSettings().fontSize, READER_FONT_SIZE.default, '默认使用默认字号');
+    this.assertEqual(reader.changeFontSize(1), READER_FONT_SIZE.default + READER_FONT_SIZE.step, '应该按步长放大字号');
+    for (let i = 0; i < 20; i++) {
+        reader.changeFontSize(-1);
+    }
+    this.assertEqual(reader.getSettings().fontSize, READER_FONT_SIZE.min, '字号不应该小于最小值');
+
+    reader.setWidth('wide');
+    let widthError = null;
+    try {
+        reader.setWidth('huge');
+    } catch (error) {
+        widthError = error;
+    }
+    this.assertTrue(widthError !== null, '未知的宽度应该报错');
+
+    const restored = new ReaderView(storage);
+    this.assertEqual(restored.getSettings().fontSize, READER_FONT_SIZE.min, '字号设置应该被保存');
+    this.assertEqual(restored.getSettings().width, 'wide', '宽度设置应该被保存');
+
+    const page = createArticlePage();
+    const article = reader.extractArticle(page, 'https://example.com/posts/1');
+    const container = new DOMParser().parseFromString('<html><body><div id="reader"></div></body></html>', 'text/html').getElementById('reader');
+    reader.render(container, article);
+
+    const articleElement = container.querySelector('.reader-article');
+    this.assertEqual(articleElement.querySelector('h1').textContent, '示例文章', '阅读视图应该显示标题');
+    this.assertTrue(articleElement.textContent.includes('张三 · 示例站点 · 约 1 分钟读完'), '阅读视图应该显示作者和阅读时间');
+    this.assertEqual(articleElement.style.fontSize, `${READER_FONT_SIZE.min}px`, '应该应用字号设置');
+    this.assertEqual(articleElement.style.maxWidth, '960px', '应该应用宽度设置');
+
+    this.assertEqual(await reader.toMarkdown(article), 'markdown', '应该返回转换结果');
+    this.assertEqual(convertedHTML[0], articleElement.innerHTML, 'Markdown应该由阅读视图显示的HTML转换');
+
+    console.log('✅ 阅读模式设置和Markdown测试通过');
+});
+
+// 导出测试套件
+window.readerViewTests = readerViewTests;
@@ -0,0 +1,104 @@
+/**
+ * 会话存储测试
+ * 验证会话的保存、启动时归档和最近关闭会话的数量限制
+ */
+
+import { SessionStore } from '../js/modules/SessionStore.js';
+
+// 创建测试实例
+const sessionStoreTests = new TestFramework();
+
+/**
+ * 创建只有一个标签页的会话
+ * @param {string} url - 页面URL
+ * @returns {Object} 会话
+ */
+function createSession(url) {
+    return { activeIndex: 0, tabs: [{ title: url, history: [url], index: 0, scroll: null }] };
+}
+
+sessionStoreTests.test('会话存储 - 启动时归档上次会话并可以取出恢复', async function() {
+    const storage = createMemoryStorage();
+    const store = new SessionStore(storage);
+
+    store.save({
+        activeIndex: 1,
+        tabs: [
+            { title: 'A', history: ['https://a.example/1', 'https://a.example/2'], index: 0, scroll: { x: 0, y: 300 } },
+            { title: '', history: [], index: -1, scroll: null },
+            { title: 'B', history: ['https://b.example/'], index: 0, scroll: null }
+        ]
+    });
+
+    // 重新加载页面
+    const reloaded = new SessionStore(storage);
+    const previous = reloaded.archivePreviousSession();
+    this.assertTrue(previous !== null, '应该读取到上次的会话');
+    this.assertEqual(previous.tabs.length, 2, '空白标签页不应该保存');
+    this.assertEqual(previous.tabs[previous.activeIndex].title, 'B', '当前标签页是空白页时应该选中它后面保存的标签页');
+    this.assertEqual(previous.tabs[0].history.join(','), 'https://a.example/1,https://a.example/2', '应该保存前进/后退记录');
+    this.assertEqual(previous.tabs[0].index, 0, '应该保存历史记录中的当前位置');
+    this.assertEqual(previous.tabs[0].scroll.y, 300, '应该保存滚动位置');
+    this.assertEqual(reloaded.archivePreviousSession(), null, '归档后不应该再次作为上次会话');
+    this.assertEqual(reloaded.getClosedSessions().length, 1, '上次会话应该进入最近关闭的会话');
+
+    const taken = reloaded.takeClosedSession(previous.id);
+    this.assertEqual(taken.tabs[1].title, 'B', '应该取出指定的会话');
+    this.assertEqual(reloaded.getClosedSessions().length, 0, '取出后应该从列表中移除');
+    this.assertEqual(reloaded.takeClosedSession(previous.id), null, '不能重复取出');
+
+    // 没有打开页面时清除保存的会话
+    reloaded.save({ activeIndex: 0, tabs: [{ title: '', history: [], index: -1 }] });
+    this.assertEqual(new SessionStore(storage).archivePreviousSession(), null, '没有页面的会话不应该提示恢复');
+
+    console.log('✅ 会话归档测试通过');
+});
+
+sessionStoreTests.test('会话存储 - 去掉空白标签页后仍然选中原来的当前标签页', async function() {
+    const storage = createMemoryStorage();
+    const store = new SessionStore(storage);
+    const tab = (title) => ({ title, history: title ? [`https://${title.toLowerCase()}.example/`] : [], index: title ? 0 : -1 });
+    const restoreActive = (session) => {
+        store.save(session);
+        const saved = new SessionStore(storage).archivePreviousSession();
+        return saved.tabs[saved.activeIndex].title;
+    };
+
+    this.assertEqual(restoreActive({ activeIndex: 1, tabs: [tab(''), tab('A'), tab('B')] }), 'A',
+        '前面的空白标签页不保存时，当前标签页的位置应该前移');
+    this.assertEqual(restoreActive({ activeIndex: 3, tabs: [tab(''), tab('A'), tab(''), tab('B')] }), 'B',
+        '多个空白标签页被去掉后应该仍然选中原来的标签页');
+    this.assertEqual(restoreActive({ activeIndex: 2, tabs: [tab('A'), tab('B'), tab('')] }), 'B',
+        '当前标签页是最后的空白页时应该选中前面的标签页');
+
+    console.log('✅ 会话当前标签页测试通过');
+});
+
+sessionStoreTests.test('会话存储 - 只保留最近N个关闭的会话并限制历史记录长度', async function() {
+    const storage = createMemoryStorage();
+
+    for (let i = 1; i <= 4; i++) {
+        new SessionStore(storage, { maxClosedSessions: 3 }).save(createSession(`https://example.com/${i}`));
+        new SessionStore(storage, { maxClosedSessions: 3 }).archivePreviousSession();
+    }
+
+    const store = new SessionStore(storage, { maxClosedSessions: 3, maxHistoryPerTab: 4 });
+    const closed = store.getClosedSessions();
+    this.assertEqual(closed.length, 3, '应该只保留最近3个会话');
+    this.assertEqual(closed[0].tabs[0].history[0], 'https://example.com/4', '最新的会话应该在前');
+    this.assertEqual(closed[2].tabs[0].history[0], 'https://example.com/2', '最早的会话应该被丢弃');
+
+    const history = Array.from({ length: 10 }, (value, index) => `https://example.com/page${index}`);
+    store.save({ activeIndex: 0, tabs: [{ title: '长历史', history, index: 8, scroll: null }] });
+    const saved = store.archivePreviousSession().tabs[0];
+    this.assertEqual(saved.history.length, 4, '历史记录应该截断到上限');
+    this.assertEqual(saved.history[saved.index], 'https://example.com/page8', '截断后当前位置应该指向原来的页面');
+
+    store.clearClosedSessions();
+    this.assertEqual(store.getClosedSessions().length, 0, '应该清除所有关闭的会话');
+
+    console.log('✅ 会话数量限制测试通过');
+});
+
+// 导出测试套件
+window.sessionStoreTests = sessionStoreTests;
@@ -0,0 +1,234 @@
+/**
+ * 站点抓取测试
+ * 验证链接深度、抓取范围、网址规则、页面数上限、停止抓取，以及跨页面汇总去重的检测结果
+ */
+
+import { SiteCrawler } from '../js/modules/SiteCrawler.js';
+import { BrowserEngine } from '../js/modules/BrowserEngine.js';
+import { ContentDetector } from '../js/modules/ContentDetector.js';
+
+// 创建测试实例
+const siteCrawlerTests = new TestFramework();
+
+/**
+ * 创建抓取器，页面通过模拟代理服务获取
+ * @param {Object} pages - URL到 { body, type } 的映射，不在其中的地址返回404
+ * @param {Function} delay - (url, signal) => Promise，可选，在响应前等待
+ * @returns {Promise<Object>} { crawler, requests }
+ */
+async function createCrawler(pages, delay = null) {
+    const requests = [];
+    const proxyService = {
+        isInitialized: true,
+        proxyGet: async (url, options = {}) => {
+            requests.push(url);
+            if (delay) {
+                await delay(url, options.signal);
+            }
+            const page = pages[url];
+            if (!page) {
+                return new Response('not found', { status: 404 });
+            }
+            return new Response(page.body, { status: 200, headers: { 'content-type': page.type || 'text/html; charset=utf-8' } });
+        }
+    };
+    // 只初始化Markdown转换器，不启动网络监控
+    const contentDetector = new ContentDetector();
+    await contentDetector.htmlToMarkdownConverter.initialize();
+    const crawler = new SiteCrawler(new BrowserEngine(proxyService, {}), contentDetector);
+    return { crawler, requests };
+}
+
+const ARTICLE_TEXT = '这是一篇用于测试文本检测的文章，内容需要足够长才会被识别为可以下载的正文。'.repeat(6);
+
+const SITE = {
+    'https://example.com/docs/index.html': {
+        body: `<html><head><title>文档首页</title><script>var x = 1;</script></head><body>
+            <a href="guide.html">指南</a>
+            <a href="guide.html#install">指南的锚点</a>
+            <a href="drafts/b.html">草稿</a>
+            <a href="/private/secret.html">目录之外</a>
+            <a href="https://other.example.com/docs/x.html">其他主机</a>
+            <a href="missing.html">不存在的页面</a>
+            <a href="feed.html">不是HTML</a>
+            <a href="movie.mp4">视频</a>
+            <a href="manual.pdf">手册</a>
+            <a href="data.json">数据</a>
+        </body></html>`
+    },
+    'https://example.com/docs/guide.html': {
+        body: `<html><head><title>安装指南</title><base href="https://example.com/docs/guide/"></head><body>
+            <p>${ARTICLE_TEXT}</p>
+            <a href="../movie.mp4">同一个视频</a>
+            <a href="setup.pdf">安装手册</a>
+            <a href="deep.html">更深的页面</a>
+        </body></html>`
+    },
+    'https://example.com/docs/guide/deep.html': {
+        body: '<html><head><title>第二层</title></head><body><a href="deeper.html">第三层</a></body></html>'
+    },
+    'https://example.com/docs/guide/deeper.html': { body: '<html><body>超过深度</body></html>' },
+    'https://example.com/docs/drafts/b.html': { body: '<html><body>排除的页面</body></html>' },
+    'https://example.com/docs/feed.html': { body: '{}', type: 'application/json' }
+};
+
+siteCrawlerTests.test('站点抓取 - 深度、范围、网址规则和结果汇总', async function() {
+    const { crawler, requests } = await createCrawler(SITE);
+    const progressUpdates = [];
+
+    const result = await crawler.crawl('https://example.com/docs/index.html#top', {
+        maxDepth: 2,
+        scope: 'path',
+        exclude: '*/drafts/*\n',
+        onProgress: (progress) => progressUpdates.push(progress)
+    });
+
+    this.assertEqual(result.startURL, 'https://example.com/docs/index.html', '起始网址应该去掉片段');
+    this.assertEqual(requests.slice().sort().join(','), [
+        'https://example.com/docs/feed.html',
+        'https://example.com/docs/guide.html',
+        'https://example.com/docs/guide/deep.html',
+        'https://example.com/docs/index.html',
+        'https://example.com/docs/missing.html'
+    ].join(','), '只抓取范围内、未排除、深度以内的页面，每个页面只请求一次，文件链接不当作页面');
+
+    const guide = result.pages.find(page => page.url === 'https://example.com/docs/guide.html');
+    this.assertEqual(guide.depth, 1, '应该记录页面深度');
+    this.assertEqual(guide.title, '安装指南', '应该记录页面标题');
+    this.assertTrue(guide.hasText, '正文足够长的页面应该检测到文本');
+    this.assertEqual(result.pages.find(page => page.url.endsWith('deep.html')).depth, 2, '<base>之后的链接应该按基础地址解析');
+
+    const errors = result.pages.filter(page => page.error).map(page => page.error);
+    this.assertEqual(errors.length, 2, '无法抓取的页面应该记录原因');
+    this.assertTrue(errors.includes('HTTP 404'), '应该记录HTTP错误');
+    this.assertTrue(errors.some(error => error.includes('application/json')), '应该拒绝不是HTML的页面');
+
+    const videos = result.media.filter(item => item.url === 'https://example.com/docs/movie.mp4');
+    this.assertEqual(videos.length, 1, '多个页面中的同一个媒体文件只保留一个');
+    this.assertEqual(result.pdfs.map(pdf => pdf.url).sort().join(','),
+        'https://example.com/docs/guide/setup.pdf,https://example.com/docs/manual.pdf', '应该汇总所有页面的PDF');
+    this.assertEqual(result.pdfs.find(pdf => pdf.url.endsWith('setup.pdf')).pageURL, 'https://example.com/docs/guide.html', 'PDF应该记录来源页面');
+    this.assertEqual(result.texts.length, 1, '应该汇总页面文本');
+    this.assertFalse(result.texts[0].content.includes('var x'), '脚本不属于正文');
+
+    this.assertEqual(progressUpdates.length, result.pages.length, '每个页面完成时都应该通知进度');
+    this.assertEqual(progressUpdates[progressUpdates.length - 1].failed, 2, '进度应该包含失败的页面数');
+    this.assertFalse(result.stopped, '正常完成的抓取没有被停止');
+    this.assertFalse(result.limitReached, '没有达到页面数上限');
+    this.assertFalse(crawler.isRunning(), '抓取结束后不再运行');
+
+    console.log('✅ 站点抓取范围和汇总测试通过');
+});
+
+siteCrawlerTests.test('站点抓取 - 页面数上限、停止和选项检查', async function() {
+    const links = [1, 2, 3, 4, 5].map(n => `<a href="/page${n}.html">页面${n}</a>`).join('');
+    const pages = { 'https://www.example.com/': { body: `<html><body>${links}</body></html>` } };
+    [1, 2, 3, 4, 5].forEach(n => {
+        pages[`https://www.example.com/page${n}.html`] = { body: '<html><body>子页面</body></html>' };
+    });
+
+    const limited = await (await createCrawler(pages)).crawler.crawl('https://www.example.com/', { maxPages: 3 });
+    this.assertEqual(limited.pages.length, 3, '抓取的页面数不超过上限');
+    this.assertTrue(limited.limitReached, '还有未抓取的链接时应该标记达到上限');
+
+    // 起始页面之后的请求一直等到被取消
+    const { crawler, requests } = await createCrawler(pages, (url, signal) => (url === 'https://www.example.com/'
+        ? Promise.resolve()
+        : new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('已取消'))))));
+    const crawling = crawler.crawl('https://www.example.com/', {
+        maxConcurrent: 2,
+        onProgress: () => setTimeout(() => crawler.stop(), 0)
+    });
+    this.assertTrue(crawler.isRunning(), '抓取开始后应该处于运行状态');
+
+    let concurrentError = null;
+    try {
+        await crawler.crawl('https://www.example.com/');
+    } catch (error) {
+        concurrentError = error;
+    }
+    this.assertTrue(concurrentError && concurrentError.message.includes('已经有抓取任务'), '不能同时进行两个抓取');
+
+    const stopped = await crawling;
+    this.assertTrue(stopped.stopped, '应该标记为手动停止');
+    this.assertFalse(stopped.limitReached, '手动停止不算达到上限');
+    this.assertEqual(requests.length, 3, '停止后不再开始新的请求');
+    this.assertEqual(stopped.pages.length, 3, '已开始的页面应该保留在结果中');
+    this.assertFalse(crawler.isRunning(), '停止后不再运行');
+
+    const invalid = [
+        [() => crawler.normalizeOptions({ maxDepth: 6 }), '链接深度'],
+        [() => crawler.normalizeOptions({ maxPages: 0 }), '最多页面数'],
+        [() => crawler.normalizeOptions({ scope: 'site' }), '未知的抓取范围'],
+        [() => crawler.normalizeOptions({ include: ['/[/'] }), '网址规则无效']
+    ];
+    invalid.forEach(([normalize, message]) => {
+        let error = null;
+        try {
+            normalize();
+        } catch (e) {
+            error = e;
+        }
+        this.assertTrue(error && error.message.includes(message), `无效选项应该报错: ${message}`);
+    });
+
+    let schemeError = null;
+    try {
+        await crawler.crawl('ftp://example.com/');
+    } catch (error) {
+        schemeError = error;
+    }
+    this.assertTrue(schemeError && schemeError.message.includes('http(s)'), '只能从http(s)页面开始抓取');
+
+    const options = crawler.normalizeOptions({ include: ['/PAGE\\d/', 'docs*.html'] });
+    this.assertTrue(options.include[0].test('https://x.com/page1'), '/.../形式的规则按正则表达式匹配，不区分大小写');
+    this.assertTrue(options.include[1].test('https://x.com/docs/a.html'), '*通配符匹配任意字符');
+    this.assertFalse(options.include[1].test('https://x.com/docs/a_html'), '通配符规则中的点只匹配点');
+
+    const start = 'https://www.example.com/blog/post.html';
+    this.assertTrue(crawler.isInScope('https://cdn.example.com/a.html', start, 'domain'), '同一域名的子域名在范围内');
+    this.assertFalse(crawler.isInScope('https://notexample.com/a.html', start, 'domain'), '后缀相同的其他域名不在范围内');
+    this.assertFalse(crawler.isInScope('https://cdn.example.com/a.html', start, 'host'), '其他主机不在同一主机范围内');
+    this.assertTrue(crawler.isInScope('https://www.example.com/blog/2024/a.html', start, 'path'), '起始目录之下在范围内');
+    this.assertFalse(crawler.isInScope('https://www.example.com/about.html', start, 'path'), '起始目录之外不在范围内');
+
+    console.log('✅ 站点抓取上限和选项测试通过');
+});
+
+siteCrawlerTests.test('站点抓取 - 进度回调或页面处理出错时抓取仍然结束', async function() {
+    const links = [1, 2, 3].map(n => `<a href="/page${n}.html">页面${n}</a>`).join('');
+    const pages = { 'https://www.example.com/': { body: `<html><body>${links}</body></html>` } };
+    [1, 2, 3].forEach(n => {
+        pages[`https://www.example.com/page${n}.html`] = { body: '<html><body>子页面</body></html>' };
+    });
+
+    const { crawler } = await createCrawler(pages);
+    let progressCalls = 0;
+    const result = await crawler.crawl('https://www.example.com/', {
+        onProgress: () => {
+            progressCalls++;
+            throw new Error('进度回调出错');
+        }
+    });
+    this.assertEqual(result.pages.length, 4, '进度回调出错后应该继续抓取其余页面');
+    this.assertEqual(progressCalls, 4, '每个页面完成时仍然调用进度回调');
+    this.assertFalse(crawler.isRunning(), '抓取结束后不再运行');
+
+    // 页面处理本身抛出异常（不是抓取失败）时同样继续
+    const { crawler: failing } = await createCrawler(pages);
+    const originalCrawlPage = failing.crawlPage.bind(failing);
+    failing.crawlPage = async (item, state, signal) => {
+        await originalCrawlPage(item, state, signal);
+        if (item.url.endsWith('page2.html')) {
+            throw new Error('页面处理出错');
+        }
+    };
+    const partial = await failing.crawl('https://www.example.com/');
+    this.assertEqual(partial.pages.length, 4, '一个页面处理出错后应该继续抓取其余页面');
+    this.assertFalse(failing.isRunning(), '抓取结束后不再运行');
+
+    console.log('✅ 站点抓取回调错误测试通过');
+});
+
+// 导出测试套件
+window.siteCrawlerTests = siteCrawlerTests;
@@ -143,5 +143,19 @@ class TestFramework {
     }
 }
 
+/**
+ * 创建内存存储（模拟localStorage）
+ * @returns {Object} 存储对象
+ */
+function createMemoryStorage() {
+    const data = new Map();
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: (key) => data.delete(key)
+    };
+}
+
 // 导出测试框架
-window.TestFramework = TestFramework;
\ No newline at end of file
+window.TestFramework = TestFramework;
+window.createMemoryStorage = createMemoryStorage;
\ No newline at end of file
@@ -0,0 +1,231 @@
+/**
+ * WARC存档测试
+ * 验证request/response/warcinfo/metadata记录的格式、摘要、按记录gzip压缩和捕获设置
+ */
+
+import { WarcArchive } from '../js/modules/WarcArchive.js';
+
+// 创建测试实例
+const warcArchiveTests = new TestFramework();
+
+/**
+ * 解析未压缩的WARC数据（Content-Length按字节计算）
+ * @param {Uint8Array} bytes - WARC数据
+ * @returns {Array<Object>} 记录列表 { headers, block }，内容块按UTF-8解码
+ */
+function parseRecords(bytes) {
+    const decoder = new TextDecoder();
+    const records = [];
+    let position = 0;
+    while (position < bytes.length) {
+        let headerEnd = position;
+        while (!(bytes[headerEnd] === 13 && bytes[headerEnd + 1] === 10 && bytes[headerEnd + 2] === 13 && bytes[headerEnd + 3] === 10)) {
+            headerEnd++;
+        }
+        const lines = decoder.decode(bytes.subarray(position, headerEnd)).split('\r\n');
+        if (lines.shift() !== 'WARC/1.1') {
+            throw new Error(`记录版本行无效（位置 ${position}）`);
+        }
+        const headers = {};
+        lines.forEach(line => {
+            const index = line.indexOf(':');
+            headers[line.slice(0, index)] = line.slice(index + 1).trim();
+        });
+        const blockStart = headerEnd + 4;
+        const blockEnd = blockStart + parseInt(headers['Content-Length'], 10);
+        if (decoder.decode(bytes.subarray(blockEnd, blockEnd + 4)) !== '\r\n\r\n') {
+            throw new Error('记录结尾应该是两个CRLF');
+        }
+        records.push({ headers, block: decoder.decode(bytes.subarray(blockStart, blockEnd)) });
+        position = blockEnd + 4;
+    }
+    return records;
+}
+
+/**
+ * 解压单个gzip成员
+ * @param {Uint8Array} bytes - gzip数据
+ * @returns {Promise<Uint8Array>} 解压后的数据
+ */
+async function gunzip(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+warcArchiveTests.test('WARC存档 - 记录格式、摘要和检测结果', async function() {
+    const archive = new WarcArchive(null);
+    const pageURL = 'https://example.com/articles/page.html?id=1';
+
+    const ignored = await archive.capture({ url: pageURL, response: new Response('x') });
+    this.assertEqual(ignored, null, '没有开启捕获时不记录');
+    archive.addDetection(pageURL, { media: [], pdfs: [], text: null });
+    this.assertEqual(archive.getStats().detections, 0, '没有开启捕获时不记录检测结果');
+
+    archive.updateSettings({ capturing: true });
+    const pageResponse = new Response('<html>hello</html>', {
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'text/html', 'content-encoding': 'gzip', 'content-length': '9' }
+    });
+    const capturing = archive.capture({
+        method: 'get',
+        url: pageURL,
+        requestHeaders: { Accept: 'text/html' },
+        response: pageResponse,
+        startTime: Date.UTC(2024, 0, 2, 3, 4, 5, 678)
+    });
+    this.assertEqual(await pageResponse.text(), '<html>hello</html>', '捕获不应该影响调用方读取响应');
+    await capturing;
+
+    archive.capture({
+        method: 'POST',
+        url: 'https://api.example.com/search',
+        requestHeaders: { 'Content-Type': 'application/json' },
+        requestBody: '{"q":"warc"}',
+        response: new Response(null, { status: 204, statusText: 'No Content' })
+    });
+    archive.addDetection(pageURL, {
+        media: [{ url: 'https://cdn.example.com/movie.mp4', type: 'video' }],
+        pdfs: [{ url: 'https://example.com/paper.pdf' }],
+        text: { title: '示例\r\n文章', wordCount: 120 }
+    });
+
+    const blob = await archive.toWARC({ gzip: false, software: 'WebBrowserDownloader/test', filename: 'test.warc' });
+    this.assertEqual(blob.type, 'application/warc', '未压缩的存档类型为application/warc');
+    const records = parseRecords(new Uint8Array(await blob.arrayBuffer()));
+
+    this.assertEqual(records.map(record => record.headers['WARC-Type']).join(','),
+        'warcinfo,response,request,response,request,metadata', '记录顺序应该是warcinfo、每个请求的response和request、metadata');
+    records.forEach(record => {
+        this.assertTrue(/^<urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}>$/.test(record.headers['WARC-Record-ID']), '记录ID应该是UUID的URN');
+        this.assertTrue(record.headers['WARC-Block-Digest'].startsWith('sha1:'), '每条记录都应该有内容块摘要');
+    });
+
+    const [warcinfo, pageRecord, pageRequest, apiRecord, apiRequest, metadata] = records;
+    this.assertEqual(warcinfo.headers['Content-Type'], 'application/warc-fields', 'warcinfo使用warc-fields格式');
+    this.assertEqual(warcinfo.headers['WARC-Filename'], 'test.warc', 'warcinfo应该包含文件名');
+    this.assertTrue(warcinfo.block.includes('software: WebBrowserDownloader/test\r\n'), 'warcinfo应该包含软件名称');
+    this.assertTrue(warcinfo.block.includes('format: WARC File Format 1.1\r\n'), 'warcinfo应该声明格式版本');
+
+    this.assertEqual(pageRecord.headers['WARC-Target-URI'], pageURL, 'response记录应该包含目标地址');
+    this.assertEqual(pageRecord.headers['WARC-Date'], '2024-01-02T03:04:05Z', '日期应该是UTC并精确到秒');
+    this.assertEqual(pageRecord.headers['WARC-Warcinfo-ID'], warcinfo.headers['WARC-Record-ID'], '记录应该引用warcinfo');
+    this.assertEqual(pageRecord.headers['Content-Type'], 'application/http;msgtype=response', 'response记录的内容类型');
+    this.assertEqual(pageRecord.headers['WARC-Payload-Digest'], 'sha1:O57NSEYVH37NN5YSIJIQGZF2VAMOK4GK', '应该计算响应体的SHA-1摘要');
+    this.assertTrue(pageRecord.block.startsWith('HTTP/1.1 200 OK\r\ncontent-type: text/html\r\nContent-Length: 18\r\n\r\n'), '响应块应该去掉传输编码并按实际长度重写Content-Length');
+    this.assertTrue(pageRecord.block.endsWith('\r\n\r\n<html>hello</html>'), '响应块应该包含响应体');
+
+    this.assertEqual(pageRequest.headers['WARC-Concurrent-To'], pageRecord.headers['WARC-Record-ID'], 'request记录应该关联对应的response记录');
+    this.assertEqual(pageRequest.block, 'GET /articles/page.html?id=1 HTTP/1.1\r\nHost: example.com\r\nAccept: text/html\r\n\r\n', '请求块应该包含请求行和请求头');
+
+    this.assertEqual(apiRecord.block, 'HTTP/1.1 204 No Content\r\n\r\n', '没有响应体的响应不加Content-Length');
+    this.assertTrue(apiRequest.block.endsWith('Content-Length: 12\r\n\r\n{"q":"warc"}'), '请求块应该包含请求体');
+
+    this.assertEqual(metadata.headers['WARC-Target-URI'], pageURL, 'metadata记录应该指向页面');
+    this.assertEqual(metadata.headers['WARC-Refers-To'], pageRecord.headers['WARC-Record-ID'], 'metadata记录应该引用页面的response记录');
+    this.assertEqual(metadata.block, [
+        'detected-media-count: 1',
+        'detected-pdf-count: 1',
+        'detected-video: https://cdn.example.com/movie.mp4',
+        'detected-pdf: https://example.com/paper.pdf',
+        'text-title: 示例 文章',
+        'text-word-count: 120',
+        ''
+    ].join('\r\n'), 'metadata记录应该包含检测结果，字段值中的换行替换为空格');
+
+    console.log('✅ WARC记录格式测试通过');
+});
+
+warcArchiveTests.test('WARC存档 - 按记录gzip压缩、截断和设置保存', async function() {
+    const storage = createMemoryStorage();
+    const archive = new WarcArchive(storage, { maxBodySize: 4 });
+    this.assertEqual(archive.getSettings().gzip, true, '默认按记录压缩');
+    archive.updateSettings({ capturing: true, gzip: false });
+
+    const restored = new WarcArchive(storage);
+    this.assertEqual(restored.getSettings().capturing, true, '捕获设置应该被保存');
+    this.assertEqual(restored.getSettings().gzip, false, '压缩设置应该被保存');
+
+    archive.capture({ url: 'https://example.com/small.txt', response: new Response('abc') });
+    archive.capture({ url: 'https://example.com/large.bin', response: new Response('0123456789') });
+    archive.capture({ url: 'blob:https://example.com/123', response: new Response('ignored') });
+    this.assertEqual(archive.getStats().exchanges, 2, '只捕获http(s)请求');
+
+    const blob = await archive.toWARC({ gzip: true });
+    this.assertEqual(blob.type, 'application/gzip', '压缩后的存档类型为application/gzip');
+
+    // 每条记录是独立的gzip成员：按成员头拆分后逐个解压
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const starts = [];
+    for (let i = 0; i + 3 < bytes.length; i++) {
+        if (bytes[i] === 0x1f && bytes[i + 1] === 0x8b && bytes[i + 2] === 0x08) {
+            starts.push(i);
+        }
+    }
+    this.assertEqual(starts.length, 5, '应该有warcinfo和两个请求的request/response共5个gzip成员');
+    this.assertEqual(starts[0], 0, '文件应该从第一个gzip成员开始');
+
+    const members = await Promise.all(starts.map((start, index) => gunzip(bytes.subarray(start, starts[index + 1]))));
+    const records = members.map(member => {
+        const parsed = parseRecords(member);
+        this.assertEqual(parsed.length, 1, '每个gzip成员只包含一条记录');
+        return parsed[0];
+    });
+
+    const small = records[1];
+    this.assertTrue(small.block.endsWith('Content-Length: 3\r\n\r\nabc'), '小于上限的响应体应该保存');
+    this.assertTrue(Boolean(small.headers['WARC-Payload-Digest']), '完整的响应应该有内容摘要');
+
+    const large = records[3];
+    this.assertEqual(large.headers['WARC-Target-URI'], 'https://example.com/large.bin', '应该保存超过上限的响应');
+    this.assertEqual(large.headers['WARC-Truncated'], 'length', '超过上限的响应体应该标记为截断');
+    this.assertFalse(large.block.includes('0123456789'), '截断的响应不保存响应体');
+
+    archive.clear();
+    this.assertEqual(archive.getStats().exchanges, 0, '清空后不再有捕获内容');
+
+    console.log('✅ WARC压缩和设置测试通过');
+});
+
+warcArchiveTests.test('WARC存档 - 读取前检查响应体大小，总大小超出时丢弃最早的请求', async function() {
+    const archive = new WarcArchive(null, { maxBodySize: 4, maxTotalBytes: 6 });
+    archive.updateSettings({ capturing: true });
+
+    // 声明的长度超过上限时不读取响应体
+    let pulled = false;
+    const declared = new Response(new ReadableStream({
+        pull() {
+            pulled = true;
+        }
+    }, { highWaterMark: 0 }), { headers: { 'content-length': '10' } });
+    const declaredExchange = await archive.capture({ url: 'https://example.com/declared.bin', response: declared });
+    this.assertTrue(declaredExchange.truncated, '声明的长度超过上限时应该标记为截断');
+    this.assertFalse(pulled, '声明的长度超过上限时不应该读取响应体');
+
+    // 没有Content-Length时超过上限立即停止读取，不等待响应体结束
+    const streaming = new Response(new ReadableStream({
+        start(controller) {
+            controller.enqueue(new TextEncoder().encode('0123456789'));
+        }
+    }));
+    const streamingExchange = await archive.capture({ url: 'https://example.com/stream.bin', response: streaming });
+    this.assertTrue(streamingExchange.truncated, '读取时超过上限应该标记为截断');
+    this.assertEqual(archive.getStats().totalBytes, 0, '截断的响应体不计入总大小');
+
+    await archive.capture({ url: 'https://example.com/a.txt', response: new Response('aaa') });
+    await archive.capture({ url: 'https://example.com/b.txt', response: new Response('bbb') });
+    this.assertEqual(archive.getStats().totalBytes, 6, '应该累计保存的响应体大小');
+    await archive.capture({ url: 'https://example.com/c.txt', response: new Response('ccc') });
+
+    this.assertEqual(archive.exchanges.map(exchange => exchange.url.split('/').pop()).join(','), 'b.txt,c.txt',
+        '总大小超出上限时应该丢弃最早的请求');
+    this.assertEqual(archive.getStats().totalBytes, 6, '丢弃的请求不再计入总大小');
+
+    archive.clear();
+    this.assertEqual(archive.getStats().totalBytes, 0, '清空后总大小归零');
+
+    console.log('✅ WARC大小上限测试通过');
+});
+
+// 导出测试套件
+window.warcArchiveTests = warcArchiveTests;